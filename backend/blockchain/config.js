@@ -10,6 +10,7 @@ export const blockchainConfig = {
   // Contract addresses (update after deployment)
   tokenAddress: process.env.TOKEN_CONTRACT_ADDRESS || '',
   gameAddress: process.env.GAME_CONTRACT_ADDRESS || '',
+  tournamentAddress: process.env.TOURNAMENT_CONTRACT_ADDRESS || '',
   
   // Backend wallet (for automated transactions)
   privateKey: process.env.BACKEND_PRIVATE_KEY || '',
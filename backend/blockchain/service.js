@@ -7,11 +7,89 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// How long to wait for a buy-in transaction the client says it sent
+const BUY_IN_RECEIPT_TIMEOUT_MS = 60000;
+
+// Rooms read per getActiveRooms() call (the contract's MAX_PAGE_SIZE)
+const ACTIVE_ROOMS_PAGE_SIZE = 100;
+
+// TournamentState.REGISTERING in TeenPattiTournament.sol
+const TOURNAMENT_REGISTERING = 0n;
+
+// RoomState.FINISHED in TeenPattiGame.sol
+const ROOM_FINISHED = 2n;
+
+/**
+ * A room's roomMetadata() in readable form: the variant as a string and the
+ * rules hash, each null when the creator left it empty.
+ * @param {object} metadata - { variant: bytes32, rulesHash: bytes32 }
+ * @returns {{variant: string|null, rulesHash: string|null}}
+ */
+export function decodeRoomMetadata({ variant, rulesHash }) {
+  let name = null;
+  if (variant !== ethers.ZeroHash) {
+    try {
+      name = ethers.decodeBytes32String(variant);
+    } catch (e) {
+      // Not a bytes32 string: no variant this server knows
+      name = '';
+    }
+  }
+  return { variant: name, rulesHash: rulesHash === ethers.ZeroHash ? null : rulesHash };
+}
+
+/**
+ * Find the buy-in event a receipt must carry: RoomCreated for the creator,
+ * PlayerJoined for everyone else. Sit & Go entries are PlayerRegistered events
+ * of the tournament contract, keyed by tournamentId instead of roomId.
+ * @param {object} receipt - Transaction receipt (status, to, logs)
+ * @param {object} options - { iface, gameAddress, eventName, roomId, player, idArg, contractName }
+ * @returns {{success: boolean, event?: object, error?: string}}
+ */
+export function findBuyInEvent(
+  receipt,
+  { iface, gameAddress, eventName, roomId, player, idArg = 'roomId', contractName = 'game' }
+) {
+  if (!receipt) {
+    return { success: false, error: 'Buy-in transaction not found' };
+  }
+  if (receipt.status !== 1) {
+    return { success: false, error: 'Buy-in transaction failed on-chain' };
+  }
+  if (!receipt.to || receipt.to.toLowerCase() !== gameAddress.toLowerCase()) {
+    return { success: false, error: `Buy-in transaction was not sent to the ${contractName} contract` };
+  }
+
+  // RoomCreated names the player "creator"
+  const playerArg = eventName === 'RoomCreated' ? 'creator' : 'player';
+  const event = receipt.logs
+    .filter(log => log.address.toLowerCase() === gameAddress.toLowerCase())
+    .map(log => {
+      try {
+        return iface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .find(parsed =>
+      parsed &&
+      parsed.name === eventName &&
+      parsed.args[idArg].toLowerCase() === roomId.toLowerCase() &&
+      parsed.args[playerArg].toLowerCase() === player.toLowerCase()
+    );
+
+  if (!event) {
+    return { success: false, error: `Buy-in transaction has no ${eventName} event for this room and wallet` };
+  }
+  return { success: true, event };
+}
+
 class BlockchainService {
   constructor() {
     this.provider = null;
     this.tokenContract = null;
     this.gameContract = null;
+    this.tournamentContract = null;
     this.initialized = false;
     this.eventListeners = [];
   }
@@ -37,6 +115,7 @@ class BlockchainService {
       // Load contract ABIs
       const tokenABI = this.loadABI('TeenPattiToken');
       const gameABI = this.loadABI('TeenPattiGame');
+      const tournamentABI = this.loadABI('TeenPattiTournament');
       
       // Initialize contracts (read-only)
       if (blockchainConfig.tokenAddress) {
@@ -57,6 +136,15 @@ class BlockchainService {
         console.log(`✅ Game contract loaded: ${blockchainConfig.gameAddress}`);
       }
       
+      if (blockchainConfig.tournamentAddress) {
+        this.tournamentContract = new ethers.Contract(
+          blockchainConfig.tournamentAddress,
+          tournamentABI,
+          this.provider
+        );
+        console.log(`✅ Tournament contract loaded: ${blockchainConfig.tournamentAddress}`);
+      }
+      
       this.initialized = true;
       console.log('🎉 Blockchain service initialized successfully');
       return true;
@@ -170,11 +258,168 @@ class BlockchainService {
     }
   }
 
+  // The variant and rules hash the room was created with
+  async getRoomMetadata(roomId) {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+    return decodeRoomMetadata(await this.gameContract.roomMetadata(roomId));
+  }
+
   async getPlayerBalance(roomId, playerAddress) {
     if (!this.gameContract) throw new Error('Game contract not initialized');
     return await this.gameContract.getPlayerBalance(roomId, playerAddress);
   }
 
+  async getRoomPlayers(roomId) {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+    return await this.gameContract.getRoomPlayers(roomId);
+  }
+
+  /**
+   * Details of the rooms asked about, with the variant and rules hash each was
+   * created with. The contract's active list is read a page at a time; rooms
+   * missing from it have finished or been cancelled, and are reported as
+   * finished so they can be told apart from rooms newer than this read.
+   * @param {string[]} roomIds
+   * @returns {Promise<Map<string, object>>} getRoomDetails() and getRoomMetadata() results by lowercase room id
+   */
+  async getActiveRooms(roomIds) {
+    if (!this.gameContract) throw new Error('Game contract not initialized');
+
+    const active = new Set();
+    let offset = 0n;
+    do {
+      const [page, nextOffset] = await this.gameContract.getActiveRooms(offset, ACTIVE_ROOMS_PAGE_SIZE);
+      page.forEach(id => active.add(id.toLowerCase()));
+      offset = nextOffset;
+    } while (offset !== 0n);
+
+    const wanted = roomIds.filter(id => active.has(id.toLowerCase()));
+    const details = await Promise.all(wanted.map(async id => {
+      const [roomDetails, metadata] = await Promise.all([this.getRoomDetails(id), this.getRoomMetadata(id)]);
+      return roomDetails && { ...roomDetails, ...metadata };
+    }));
+    const closed = roomIds
+      .filter(id => !active.has(id.toLowerCase()))
+      .map(id => [id.toLowerCase(), { state: ROOM_FINISHED, currentPlayers: 0n, maxPlayers: 0n }]);
+    return new Map([
+      ...closed,
+      ...wanted
+        .map((id, i) => [id.toLowerCase(), details[i]])
+        .filter(([, roomDetails]) => roomDetails)
+    ]);
+  }
+
+  /**
+   * Check that a player really bought in before they are seated: the
+   * transaction succeeded and emitted the buy-in event for this room and
+   * wallet, and the contract lists them with a balance in the room.
+   * @param {object} options - { txHash, roomId, player, eventName: 'RoomCreated' | 'PlayerJoined' }
+   * @returns {Promise<{success: boolean, balance?: bigint, event?: object, error?: string}>}
+   */
+  async verifyBuyIn({ txHash, roomId, player, eventName }) {
+    if (!this.gameContract) {
+      return { success: false, error: 'On-chain verification is not available' };
+    }
+    if (typeof txHash !== 'string' || !ethers.isHexString(txHash, 32)) {
+      return { success: false, error: 'A buy-in transaction hash is required' };
+    }
+    if (typeof roomId !== 'string' || !ethers.isHexString(roomId, 32)) {
+      return { success: false, error: 'Invalid blockchain room ID' };
+    }
+
+    try {
+      const receipt = await this.waitForBuyIn(txHash);
+      const found = findBuyInEvent(receipt, {
+        iface: this.gameContract.interface,
+        gameAddress: blockchainConfig.gameAddress,
+        eventName,
+        roomId,
+        player
+      });
+      if (!found.success) return found;
+
+      const players = await this.getRoomPlayers(roomId);
+      if (!players.some(address => address.toLowerCase() === player.toLowerCase())) {
+        return { success: false, error: 'Wallet is not a player in this room on-chain' };
+      }
+
+      const balance = await this.getPlayerBalance(roomId, player);
+      if (balance === 0n) {
+        return { success: false, error: 'Wallet has no balance in this room on-chain' };
+      }
+
+      return { success: true, balance, event: found.event };
+    } catch (error) {
+      console.error('Failed to verify buy-in:', error.message);
+      return { success: false, error: 'Could not verify the buy-in transaction' };
+    }
+  }
+
+  /**
+   * Check that a player really paid a Sit & Go entry fee before they are
+   * seated: the transaction succeeded and emitted PlayerRegistered for this
+   * tournament and wallet (createTournament registers the creator too), and
+   * the tournament contract still has them registered while registration is open.
+   * @param {object} options - { txHash, tournamentId, player }
+   * @returns {Promise<{success: boolean, tournament?: object, error?: string}>}
+   * tournament is { entryFee, maxPlayers, payouts } with payouts in percent by place
+   */
+  async verifyTournamentEntry({ txHash, tournamentId, player }) {
+    if (!this.tournamentContract) {
+      return { success: false, error: 'On-chain tournaments are not available' };
+    }
+    if (typeof txHash !== 'string' || !ethers.isHexString(txHash, 32)) {
+      return { success: false, error: 'An entry fee transaction hash is required' };
+    }
+    if (typeof tournamentId !== 'string' || !ethers.isHexString(tournamentId, 32)) {
+      return { success: false, error: 'Invalid tournament ID' };
+    }
+
+    try {
+      const receipt = await this.waitForBuyIn(txHash);
+      const found = findBuyInEvent(receipt, {
+        iface: this.tournamentContract.interface,
+        gameAddress: blockchainConfig.tournamentAddress,
+        eventName: 'PlayerRegistered',
+        roomId: tournamentId,
+        player,
+        idArg: 'tournamentId',
+        contractName: 'tournament'
+      });
+      if (!found.success) return found;
+
+      if (!(await this.tournamentContract.isRegistered(tournamentId, player))) {
+        return { success: false, error: 'Wallet is not registered for this tournament on-chain' };
+      }
+      const details = await this.tournamentContract.getTournament(tournamentId);
+      if (details.state !== TOURNAMENT_REGISTERING) {
+        return { success: false, error: 'This tournament is no longer taking players' };
+      }
+      const payoutBps = await this.tournamentContract.getPayoutSchedule(tournamentId);
+
+      return {
+        success: true,
+        tournament: {
+          entryFee: details.entryFee,
+          maxPlayers: details.maxPlayers,
+          payouts: payoutBps.map(bps => Number(bps) / 100)
+        }
+      };
+    } catch (error) {
+      console.error('Failed to verify tournament entry:', error.message);
+      return { success: false, error: 'Could not verify the entry fee transaction' };
+    }
+  }
+
+  // The receipt of a buy-in the client says it sent; unknown hashes fail now
+  // rather than waiting out the timeout
+  async waitForBuyIn(txHash) {
+    if (!(await this.provider.getTransaction(txHash))) {
+      return null;
+    }
+    return this.provider.waitForTransaction(txHash, blockchainConfig.confirmations, BUY_IN_RECEIPT_TIMEOUT_MS);
+  }
+
   // Utility functions
   formatTokenAmount(amount) {
     return ethers.formatEther(amount);
@@ -9,12 +9,60 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// The Settlement message players co-sign; must match SETTLEMENT_TYPEHASH in TeenPattiGame
+export const SETTLEMENT_TYPES = {
+    Settlement: [
+        { name: 'roomId', type: 'bytes32' },
+        { name: 'players', type: 'address[]' },
+        { name: 'finalChips', type: 'uint256[]' },
+        { name: 'nonce', type: 'uint256' }
+    ]
+};
+
+/**
+ * EIP-712 typed data for a settlement proposal, ready for signTypedData.
+ * Numbers are strings so it can be sent over the socket as JSON.
+ */
+export function buildSettlementTypedData(domain, { roomId, players, finalChips, nonce }) {
+    return {
+        domain: { ...domain, chainId: domain.chainId.toString() },
+        types: SETTLEMENT_TYPES,
+        primaryType: 'Settlement',
+        message: {
+            roomId,
+            players: [...players],
+            finalChips: finalChips.map(chips => chips.toString()),
+            nonce: nonce.toString()
+        }
+    };
+}
+
+// Wallet that signed the proposal, or null if the signature can't be read
+export function recoverSettlementSigner(typedData, signature) {
+    try {
+        return ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+    } catch {
+        return null;
+    }
+}
+
+// The paid finishers in place order (1st, 2nd, ...), as TeenPattiTournament.settleTournament takes them
+export function tournamentPlacements(standings) {
+    return standings
+        .filter(s => s.share > 0)
+        .sort((a, b) => a.place - b.place)
+        .map(s => s.id);
+}
+
 class SettlementService {
     constructor() {
         this.provider = null;
         this.wallet = null;
         this.gameContract = null;
+        this.tournamentContract = null;
         this.initialized = false;
+        // Proposals waiting for co-signatures, by lowercase blockchain room ID
+        this.proposals = new Map();
     }
 
     async initialize() {
@@ -60,6 +108,18 @@ class SettlementService {
 
             console.log(`✅ Game contract loaded: ${process.env.GAME_CONTRACT_ADDRESS}`);
 
+            // Sit & Go entry fees are escrowed by the tournament contract
+            if (process.env.TOURNAMENT_CONTRACT_ADDRESS) {
+                this.tournamentContract = new ethers.Contract(
+                    process.env.TOURNAMENT_CONTRACT_ADDRESS,
+                    this.loadABI('TeenPattiTournament'),
+                    this.wallet
+                );
+                console.log(`✅ Tournament contract loaded: ${process.env.TOURNAMENT_CONTRACT_ADDRESS}`);
+            } else {
+                console.warn('⚠️  TOURNAMENT_CONTRACT_ADDRESS not set - on-chain tournaments cannot be settled');
+            }
+
             this.initialized = true;
             console.log('🎉 Settlement service initialized successfully');
             return true;
@@ -94,27 +154,8 @@ class SettlementService {
         }
 
         try {
-            // Validate inputs
-            if (!roomId || !playerChips || playerChips.length === 0) {
-                return { success: false, error: 'Invalid input parameters' };
-            }
-
-            // Validate chip counts
-            const hasInvalidChips = playerChips.some((pc) => {
-                const chips = pc.chips;
-                return (
-                    !pc.id ||
-                    typeof chips !== 'number' ||
-                    !Number.isFinite(chips) ||
-                    chips < 0 ||
-                    !Number.isInteger(chips)
-                );
-            });
-
-            if (hasInvalidChips) {
-                console.error('Invalid chip amounts detected:', playerChips);
-                return { success: false, error: 'Invalid chip amounts - must be positive integers' };
-            }
+            const invalid = this.validatePlayerChips(roomId, playerChips);
+            if (invalid) return invalid;
 
             // Extract players and chips
             const players = playerChips.map(pc => pc.id);
@@ -130,45 +171,317 @@ class SettlementService {
             const tx = await this.gameContract.settleCashGame(roomId, players, finalChips);
             console.log(`📤 Settlement transaction sent: ${tx.hash}`);
 
-            // Wait for confirmation
+            const result = await this.confirmSettlement(tx);
+            this.proposals.delete(roomId.toLowerCase());
+            return result;
+
+        } catch (error) {
+            return this.settlementError(error);
+        }
+    }
+
+    /**
+     * Whether a room pays out on its players' co-signatures (rooms created with
+     * createRoomWithSignedSettlement) rather than on the owner's word alone
+     * @param {string} roomId - The blockchain room ID
+     * @returns {Promise<{success: boolean, required?: boolean, error?: string}>}
+     */
+    async requiresSignatures(roomId) {
+        if (!this.initialized) {
+            return { success: false, error: 'Settlement service not initialized' };
+        }
+
+        try {
+            const quorum = await this.gameContract.settlementQuorum(roomId);
+            return { success: true, required: quorum > 0n };
+        } catch (error) {
+            // Contracts deployed before signed settlement have no quorum to read. Settling
+            // as the owner is safe either way: the contract refuses it for signed rooms.
+            console.warn('Could not read settlement quorum, settling as the owner:', error.message);
+            return { success: true, required: false };
+        }
+    }
+
+    /**
+     * Propose final chips on-chain and keep the typed data players co-sign.
+     * A new proposal replaces the last one; signatures on it no longer count.
+     * @param {string} roomId - The blockchain room ID
+     * @param {Array} playerChips - Array of {id: address, chips: number}
+     * @returns {Promise<{success: boolean, proposal?: object, txHash?: string, error?: string}>}
+     */
+    async proposeSettlement(roomId, playerChips) {
+        if (!this.initialized) {
+            return { success: false, error: 'Settlement service not initialized' };
+        }
+
+        try {
+            const invalid = this.validatePlayerChips(roomId, playerChips);
+            if (invalid) return invalid;
+
+            const players = playerChips.map(pc => pc.id);
+            const finalChips = playerChips.map(pc => Math.floor(pc.chips));
+
+            const tx = await this.gameContract.proposeSettlement(roomId, players, finalChips);
+            console.log(`📤 Settlement proposal sent: ${tx.hash}`);
             const receipt = await tx.wait();
-            console.log(`✅ Settlement confirmed in block ${receipt.blockNumber}`);
 
-            // Parse events to get payout details
-            const payouts = this.parseSettlementEvent(receipt);
+            const event = this.findEvent(receipt, 'SettlementProposed');
+            const { chainId } = await this.provider.getNetwork();
+            const typedData = buildSettlementTypedData(
+                {
+                    name: 'TeenPattiGame',
+                    version: '1',
+                    chainId,
+                    verifyingContract: await this.gameContract.getAddress()
+                },
+                { roomId, players, finalChips, nonce: event.args.nonce }
+            );
 
-            return {
-                success: true,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
-                payouts
-            };
+            this.proposals.set(roomId.toLowerCase(), {
+                roomId,
+                typedData,
+                signatures: new Map(),
+                signaturesRequired: Number(await this.gameContract.signaturesRequired(roomId)),
+                disputeDeadline: Number(event.args.disputeDeadline) * 1000,
+                submitting: false
+            });
+
+            console.log(`✅ Settlement proposed for ${roomId} (nonce ${event.args.nonce})`);
+            return { success: true, txHash: tx.hash, proposal: this.getSettlementProposal(roomId) };
 
         } catch (error) {
-            console.error('❌ Settlement failed:', error);
+            return this.settlementError(error);
+        }
+    }
 
-            let errorMessage = error.message;
-            if (error.message.includes('Game not active')) {
-                errorMessage = 'Game is not active or already settled';
-            } else if (error.message.includes('insufficient funds')) {
-                errorMessage = 'Insufficient funds for gas fees';
-            }
+    /**
+     * The proposal waiting for co-signatures, as players see it
+     * @param {string} roomId - The blockchain room ID
+     * @returns {object|null} { blockchainRoomId, typedData, signers, signaturesRequired, disputeDeadline }
+     */
+    getSettlementProposal(roomId) {
+        const proposal = this.proposals.get(String(roomId).toLowerCase());
+        if (!proposal) return null;
+        return {
+            blockchainRoomId: proposal.roomId,
+            typedData: proposal.typedData,
+            signers: [...proposal.signatures.keys()],
+            signaturesRequired: proposal.signaturesRequired,
+            disputeDeadline: proposal.disputeDeadline
+        };
+    }
+
+    /**
+     * Keep a player's signature on the current proposal
+     * @param {string} roomId - The blockchain room ID
+     * @param {string} signature - EIP-712 signature of the proposal's typed data
+     * @returns {{success: boolean, signer?: string, ready?: boolean, error?: string}}
+     * ready is true once there are enough signatures to submit
+     */
+    addSettlementSignature(roomId, signature) {
+        const proposal = this.proposals.get(String(roomId).toLowerCase());
+        if (!proposal) {
+            return { success: false, error: 'No settlement is waiting for signatures' };
+        }
+
+        const signer = typeof signature === 'string' ? recoverSettlementSigner(proposal.typedData, signature) : null;
+        const seated = signer && proposal.typedData.message.players.find(
+            address => address.toLowerCase() === signer.toLowerCase()
+        );
+        if (!seated) {
+            return { success: false, error: 'Signature does not match the proposed settlement' };
+        }
+
+        proposal.signatures.set(seated, signature);
+        return {
+            success: true,
+            signer: seated,
+            ready: !proposal.submitting && proposal.signatures.size >= proposal.signaturesRequired
+        };
+    }
+
+    /**
+     * Pay out the current proposal with the signatures collected so far
+     * @param {string} roomId - The blockchain room ID
+     * @returns {Promise<{success: boolean, txHash?: string, error?: string}>}
+     */
+    async submitSignedSettlement(roomId) {
+        const proposal = this.proposals.get(String(roomId).toLowerCase());
+        if (!this.initialized || !proposal) {
+            return { success: false, error: 'No settlement is waiting for signatures' };
+        }
+        if (proposal.submitting) {
+            return { success: false, error: 'Settlement is already being submitted' };
+        }
+
+        proposal.submitting = true;
+        try {
+            const tx = await this.gameContract.settleWithSignatures(roomId, [...proposal.signatures.values()]);
+            console.log(`📤 Co-signed settlement sent: ${tx.hash}`);
+
+            const result = await this.confirmSettlement(tx);
+            this.proposals.delete(String(roomId).toLowerCase());
+            return result;
+
+        } catch (error) {
+            proposal.submitting = false;
+            return this.settlementError(error);
+        }
+    }
+
+    /**
+     * Settle the current proposal's chips as the owner: the fallback once its
+     * dispute window has run out or a player disputed it
+     * @param {string} roomId - The blockchain room ID
+     * @returns {Promise<{success: boolean, txHash?: string, error?: string}>}
+     */
+    async settleProposalAsOwner(roomId) {
+        const proposal = this.proposals.get(String(roomId).toLowerCase());
+        if (!proposal) {
+            return { success: false, error: 'No settlement is waiting for signatures' };
+        }
+        if (proposal.submitting) {
+            return { success: false, error: 'Settlement is already being submitted' };
+        }
+
+        proposal.submitting = true;
+        const { players, finalChips } = proposal.typedData.message;
+        const result = await this.settleCashGame(
+            roomId,
+            players.map((id, i) => ({ id, chips: Number(finalChips[i]) }))
+        );
+        proposal.submitting = false;
+        return result;
+    }
+
+    /**
+     * Tell the contract a room's session is still being played. Hands are
+     * played off-chain, so without this the room could be timed out (and
+     * everyone refunded) in the middle of a long session.
+     * @param {string} roomId - The blockchain room ID
+     * @returns {Promise<{success: boolean, txHash?: string, error?: string}>}
+     */
+    async keepAlive(roomId) {
+        if (!this.initialized) {
+            return { success: false, error: 'Settlement service not initialized' };
+        }
+
+        try {
+            const tx = await this.gameContract.keepAlive(roomId);
+            await tx.wait();
+            return { success: true, txHash: tx.hash };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Whether a player disputed the current proposal on-chain
+    async isSettlementDisputed(roomId) {
+        try {
+            const { disputed } = await this.gameContract.getSettlementProposal(roomId);
+            return disputed;
+        } catch (error) {
+            console.error('Failed to read settlement proposal:', error.message);
+            return false;
+        }
+    }
+
+    validatePlayerChips(roomId, playerChips) {
+        if (!roomId || !playerChips || playerChips.length === 0) {
+            return { success: false, error: 'Invalid input parameters' };
+        }
+
+        const hasInvalidChips = playerChips.some((pc) => {
+            const chips = pc.chips;
+            return (
+                !pc.id ||
+                typeof chips !== 'number' ||
+                !Number.isFinite(chips) ||
+                chips < 0 ||
+                !Number.isInteger(chips)
+            );
+        });
 
-            return { success: false, error: errorMessage };
+        if (hasInvalidChips) {
+            console.error('Invalid chip amounts detected:', playerChips);
+            return { success: false, error: 'Invalid chip amounts - must be positive integers' };
         }
+        return null;
+    }
+
+    // Wait for a settlement transaction and read the payouts it made
+    async confirmSettlement(tx) {
+        const receipt = await tx.wait();
+        console.log(`✅ Settlement confirmed in block ${receipt.blockNumber}`);
+
+        return {
+            success: true,
+            txHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            payouts: this.parseSettlementEvent(receipt)
+        };
+    }
+
+    settlementError(error) {
+        console.error('❌ Settlement failed:', error);
+
+        let errorMessage = error.message;
+        if (error.message.includes('Game not active')) {
+            errorMessage = 'Game is not active or already settled';
+        } else if (error.message.includes('Tournament not running')) {
+            errorMessage = 'Tournament has not started on-chain or is already settled';
+        } else if (error.message.includes('Players must co-sign the settlement')) {
+            errorMessage = 'Players are still co-signing this settlement';
+        } else if (error.message.includes('insufficient funds')) {
+            errorMessage = 'Insufficient funds for gas fees';
+        }
+
+        return { success: false, error: errorMessage };
+    }
+
+    /**
+     * Settle a Sit & Go by finishing place: the tournament contract pays the
+     * prize pool by the payout schedule fixed when the tournament was created
+     * @param {string} tournamentId - The on-chain tournament ID
+     * @param {Array} standings - Array of {id: address, place: number, share: percent}
+     * @returns {Promise<{success: boolean, txHash?: string, error?: string}>}
+     */
+    async settleTournament(tournamentId, standings) {
+        if (!this.initialized || !this.tournamentContract) {
+            return { success: false, error: 'Tournament settlement not initialized' };
+        }
+        if (!standings || !standings.some(s => s.share > 0)) {
+            return { success: false, error: 'No paid places to settle' };
+        }
+
+        try {
+            const placements = tournamentPlacements(standings);
+            console.log('🏆 Settling tournament:', { tournamentId, placements });
+
+            const tx = await this.tournamentContract.settleTournament(tournamentId, placements);
+            console.log(`📤 Tournament settlement sent: ${tx.hash}`);
+            return await this.confirmSettlement(tx);
+
+        } catch (error) {
+            return this.settlementError(error);
+        }
+    }
+
+    findEvent(receipt, name, contract = this.gameContract) {
+        return receipt.logs
+            .map(log => {
+                try {
+                    return contract.interface.parseLog(log);
+                } catch (e) {
+                    return null;
+                }
+            })
+            .find(event => event && event.name === name);
     }
 
     parseSettlementEvent(receipt) {
         try {
-            const cashGameSettledEvent = receipt.logs
-                .map(log => {
-                    try {
-                        return this.gameContract.interface.parseLog(log);
-                    } catch (e) {
-                        return null;
-                    }
-                })
-                .find(event => event && event.name === 'CashGameSettled');
+            const cashGameSettledEvent = this.findEvent(receipt, 'CashGameSettled');
 
             if (cashGameSettledEvent) {
                 return {
@@ -177,6 +490,16 @@ class SettlementService {
                     rake: cashGameSettledEvent.args.rake.toString()
                 };
             }
+
+            const tournamentSettledEvent = this.tournamentContract &&
+                this.findEvent(receipt, 'TournamentSettled', this.tournamentContract);
+            if (tournamentSettledEvent) {
+                return {
+                    players: tournamentSettledEvent.args.placements,
+                    payouts: tournamentSettledEvent.args.payouts.map(p => p.toString()),
+                    rake: tournamentSettledEvent.args.rake.toString()
+                };
+            }
         } catch (error) {
             console.warn('Could not parse settlement event:', error.message);
         }
@@ -0,0 +1,167 @@
+// Bot players
+//
+// Bots are ordinary Players with isBot set. The server asks decideBotTurn what
+// a bot does when it is on turn and plays the answer through the same action
+// path as a person. A bot only looks at its own cards, and only once it has
+// seen them; the rest of the table is judged by sampling hands it could face.
+
+import { randomUUID } from 'crypto';
+import { Card, Player, RANKS, SUITS } from './gameLogic.js';
+import { compareScores } from './variants.js';
+
+// How long a bot "thinks" before acting, and before acting again after seeing its cards
+export const BOT_THINK_MS = { min: 1200, max: 3500 };
+export const BOT_SEE_MS = { min: 700, max: 1600 };
+
+// Opponent hands sampled to estimate how good a hand is
+const STRENGTH_SAMPLES = 200;
+
+// play: win chance needed to keep betting once seen
+// raise: win chance needed to double the stake
+// bluff: how often a weak hand bets anyway (scaled down as the hand gets weaker)
+// blindRounds / seeAtStake: stay blind for this many rounds, or until the stake reaches this many boots
+// blindRaise: chance of doubling while blind
+// acceptSideshow: win chance needed to accept a sideshow
+export const BOT_STRATEGIES = {
+  tight: {
+    id: 'tight',
+    name: 'Tight',
+    description: 'Sees its cards straight away and only plays strong hands',
+    play: 0.55, raise: 0.8, bluff: 0, blindRounds: 0, seeAtStake: Infinity, blindRaise: 0, acceptSideshow: 0.6
+  },
+  loose: {
+    id: 'loose',
+    name: 'Loose',
+    description: 'Plays most hands and chases the pot',
+    play: 0.25, raise: 0.6, bluff: 0.15, blindRounds: 1, seeAtStake: Infinity, blindRaise: 0.2, acceptSideshow: 0.45
+  },
+  blind: {
+    id: 'blind',
+    name: 'Blind-heavy',
+    description: 'Plays blind for as long as the stakes allow',
+    play: 0.35, raise: 0.75, bluff: 0.1, blindRounds: Infinity, seeAtStake: 16, blindRaise: 0.3, acceptSideshow: 0.5
+  },
+  bluffer: {
+    id: 'bluffer',
+    name: 'Bluffer',
+    description: 'Bets weak hands as if they were strong',
+    play: 0.45, raise: 0.7, bluff: 0.6, blindRounds: 1, seeAtStake: Infinity, blindRaise: 0.3, acceptSideshow: 0.55
+  }
+};
+
+const BOT_NAMES = ['Arjun', 'Priya', 'Rohan', 'Meera', 'Vikram', 'Ananya', 'Kabir', 'Isha', 'Dev', 'Nisha'];
+
+export function getBotStrategy(id) {
+  return BOT_STRATEGIES[id] || null;
+}
+
+export function listBotStrategies() {
+  return Object.values(BOT_STRATEGIES).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+// A bot ready to be seated with Game.addPlayer, named after someone not already at the table
+export function createBot(strategyId, takenNames = [], chips) {
+  const strategy = getBotStrategy(strategyId);
+  if (!strategy) {
+    throw new Error(`Unknown bot strategy: ${strategyId}`);
+  }
+
+  const firstName = BOT_NAMES.find(name => !takenNames.includes(`${name} (Bot)`)) || `Bot ${takenNames.length + 1}`;
+  const bot = new Player(`bot-${randomUUID()}`, `${firstName} (Bot)`, null, chips);
+  bot.isBot = true;
+  bot.botStrategy = strategy.id;
+  return bot;
+}
+
+// A delay in [min, max) ms
+export function thinkingTime({ min, max }, random = Math.random) {
+  return Math.round(min + random() * (max - min));
+}
+
+const cardKey = card => `${card.rank}${card.suit}`;
+
+// Chance that the player's hand beats every opponent still in, estimated by
+// scoring it against random hands from the cards the player hasn't seen
+export function estimateWinChance(game, player, random = Math.random, opponents = game.getActivePlayers().length - 1) {
+  const known = new Set([...player.cards, game.jokerCard].filter(Boolean).map(cardKey));
+  const unseen = SUITS.flatMap(suit => RANKS.map(rank => new Card(rank, suit))).filter(card => !known.has(cardKey(card)));
+  const handSize = player.cards.length;
+  const mine = game.scoreHand(player.cards);
+
+  let wins = 0;
+  for (let i = 0; i < STRENGTH_SAMPLES; i++) {
+    // Partial shuffle: the last handSize cards become the opponent's hand
+    const deck = [...unseen];
+    for (let j = 0; j < handSize; j++) {
+      const pick = Math.floor(random() * (deck.length - j));
+      [deck[pick], deck[deck.length - 1 - j]] = [deck[deck.length - 1 - j], deck[pick]];
+    }
+    const result = compareScores(mine, game.scoreHand(deck.slice(deck.length - handSize)));
+    wins += result > 0 ? 1 : result === 0 ? 0.5 : 0;
+  }
+
+  return (wins / STRENGTH_SAMPLES) ** Math.max(1, opponents);
+}
+
+// Chaal at the current stake, or double it when allowed
+function chaal(game, bot, wantsRaise) {
+  const stake = bot.isBlind ? game.currentBet / 2 : game.currentBet;
+  if (bot.chips < stake) {
+    return { action: 'chaal', amount: bot.chips }; // All-in
+  }
+
+  const underLimit = game.rules.chaalLimit === null || game.currentBet * 2 <= game.rules.chaalLimit;
+  const raise = wantsRaise && underLimit && bot.chips >= stake * 2;
+  return { action: 'chaal', amount: raise ? stake * 2 : stake };
+}
+
+/**
+ * What a bot does on its turn: { action: 'see' | 'chaal' | 'pack' | 'check' | 'show', amount? }.
+ * 'see' does not end the turn; ask again once the bot has seen its cards.
+ */
+export function decideBotTurn(game, playerId, random = Math.random) {
+  const bot = game.getPlayer(playerId);
+  const strategy = getBotStrategy(bot.botStrategy) || BOT_STRATEGIES.tight;
+
+  if (game.canCheck(bot)) {
+    return { action: 'check' };
+  }
+
+  // Blind play can't depend on the cards
+  if (bot.isBlind) {
+    const maxBlindRounds = game.rules.maxBlindRounds;
+    const mustSee = (maxBlindRounds !== null && bot.blindRounds >= maxBlindRounds) || game.isPotLimitReached();
+    const wantsToSee = bot.blindRounds >= strategy.blindRounds || game.currentBet >= strategy.seeAtStake * game.minBet;
+    if (mustSee || wantsToSee) {
+      return { action: 'see' };
+    }
+    return chaal(game, bot, random() < strategy.blindRaise);
+  }
+
+  const headsUp = game.getActivePlayers().length === 2;
+  const strength = estimateWinChance(game, bot, random);
+  const bluffing = strength < strategy.play && random() < strategy.bluff * (1 - strength);
+
+  // No more betting once the pot limit is reached: show down or get out
+  if (game.isPotLimitReached()) {
+    return headsUp && (strength >= strategy.play || bluffing) ? { action: 'show' } : { action: 'pack' };
+  }
+
+  if (strength < strategy.play && !bluffing) {
+    return { action: 'pack' };
+  }
+
+  // Heads-up, a decent hand calls the show rather than betting on
+  if (headsUp && !bluffing && strength < strategy.raise) {
+    return { action: 'show' };
+  }
+
+  return chaal(game, bot, bluffing ? random() < 0.5 : strength >= strategy.raise);
+}
+
+// Whether a bot accepts the sideshow it was asked for
+export function decideSideshowResponse(game, playerId, random = Math.random) {
+  const bot = game.getPlayer(playerId);
+  const strategy = getBotStrategy(bot.botStrategy) || BOT_STRATEGIES.tight;
+  return estimateWinChance(game, bot, random, 1) >= strategy.acceptSideshow;
+}
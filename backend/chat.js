@@ -0,0 +1,117 @@
+// Table chat
+//
+// Seated players can send short text messages and preset emoji reactions.
+// Messages are length-capped, rate-limited per seat and run through a
+// profanity filter before anyone sees them. The most recent messages are kept
+// on the room (game.chatLog) so they are saved with it and replayed to
+// players who reconnect. Each player can mute others; muted players' messages
+// and reactions are simply not delivered to them.
+
+import { randomUUID } from 'crypto';
+
+export const MAX_CHAT_LENGTH = 200;
+export const CHAT_HISTORY_SIZE = 50;
+
+// At most `limit` messages (or reactions) per seat in any `windowMs`
+export const CHAT_RATE_LIMIT = { limit: 5, windowMs: 10000 };
+export const REACTION_RATE_LIMIT = { limit: 3, windowMs: 5000 };
+
+export const CHAT_REACTIONS = [
+  { id: 'thumbs-up', emoji: '👍' },
+  { id: 'laugh', emoji: '😂' },
+  { id: 'shocked', emoji: '😮' },
+  { id: 'cry', emoji: '😢' },
+  { id: 'angry', emoji: '😡' },
+  { id: 'fire', emoji: '🔥' },
+  { id: 'party', emoji: '🎉' },
+  { id: 'pray', emoji: '🙏' }
+];
+
+export function getReaction(id) {
+  return CHAT_REACTIONS.find(reaction => reaction.id === id) || null;
+}
+
+// Whole words only, so "class" or "Scunthorpe" go through untouched
+const PROFANITY = [
+  'fuck', 'shit', 'shitty', 'bitch', 'bastard', 'cunt', 'dick', 'asshole', 'motherfucker', 'slut', 'whore',
+  'prick', 'wanker', 'twat', 'chutiya', 'madarchod', 'bhenchod', 'behenchod', 'gandu', 'bhosdike'
+];
+const SUFFIXES = ['', 's', 'es', 'ed', 'er', 'ers', 'ing', 'in', 'y'];
+const PROFANE_WORDS = new Set(PROFANITY.flatMap(word => SUFFIXES.map(suffix => word + suffix)));
+
+// Digits and symbols commonly swapped in for letters
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const unmask = word => word.toLowerCase().replace(/[013457@$]/g, c => LOOKALIKES[c]);
+
+// Replace every profane word with asterisks of the same length
+export function filterProfanity(text) {
+  return text.replace(/[\p{L}\p{N}@$]+/gu, word =>
+    PROFANE_WORDS.has(unmask(word)) ? '*'.repeat(word.length) : word
+  );
+}
+
+/**
+ * Check and tidy a chat message before it is filtered and sent.
+ * @returns {{success: boolean, text?: string, error?: string}}
+ */
+export function normalizeChatText(text) {
+  if (typeof text !== 'string') {
+    return { success: false, error: 'Message must be text' };
+  }
+  const tidy = text.replace(/\s+/g, ' ').trim();
+  if (!tidy) {
+    return { success: false, error: 'Message is empty' };
+  }
+  if (tidy.length > MAX_CHAT_LENGTH) {
+    return { success: false, error: `Messages can be at most ${MAX_CHAT_LENGTH} characters` };
+  }
+  return { success: true, text: tidy };
+}
+
+// Append a filtered message to the room's history and return it
+export function addChatMessage(game, player, text, now = Date.now()) {
+  const message = {
+    id: randomUUID(),
+    playerId: player.id,
+    playerName: player.name,
+    text: filterProfanity(text),
+    sentAt: now
+  };
+  game.chatLog.push(message);
+  if (game.chatLog.length > CHAT_HISTORY_SIZE) {
+    game.chatLog.splice(0, game.chatLog.length - CHAT_HISTORY_SIZE);
+  }
+  return message;
+}
+
+// Recent messages as a player sees them, without the ones from players they muted
+export function chatHistoryFor(game, player = null) {
+  const muted = player ? player.mutedIds : [];
+  return game.chatLog.filter(message => !muted.includes(message.playerId));
+}
+
+// Sliding-window limit per key (a seat)
+export class ChatRateLimiter {
+  constructor({ limit, windowMs } = CHAT_RATE_LIMIT) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.sent = new Map(); // key -> send times within the window
+  }
+
+  // True (and counted) if the key may send now
+  allow(key, now = Date.now()) {
+    const recent = (this.sent.get(key) || []).filter(time => time > now - this.windowMs);
+    if (recent.length >= this.limit) {
+      this.sent.set(key, recent);
+      return false;
+    }
+    recent.push(now);
+    this.sent.set(key, recent);
+    return true;
+  }
+
+  forget(key) {
+    this.sent.delete(key);
+  }
+}
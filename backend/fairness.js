@@ -0,0 +1,104 @@
+// Provably fair shuffling
+//
+// Before a hand the server commits to sha256(serverSeed). Players add their own
+// client seeds, and the deck is shuffled with an HMAC-SHA256 stream keyed by the
+// server seed. Once the hand ends the server seed is revealed so anyone can
+// re-derive the deal (see verifier.js).
+//
+// The browser verifies hands with this same module (frontend/src/lib/fairness.js
+// imports it as @backend/fairness.js), so it must stay free of Node-only imports.
+
+import { sha256, computeHmac, randomBytes, hexlify, getBytes, toUtf8Bytes } from 'ethers';
+
+// Same order Deck.reset builds the unshuffled deck in
+const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+
+const MAX_UINT32 = 2 ** 32;
+
+export function generateServerSeed() {
+  return hexlify(randomBytes(32));
+}
+
+export function hashServerSeed(serverSeed) {
+  return sha256(serverSeed);
+}
+
+// Every player's seed in seat order, so no single player controls the result
+export function combineClientSeeds(seeds) {
+  return seeds.map(seed => seed || '').join(':');
+}
+
+// Deterministic random integers in [0, max) from the combined seed.
+// Each HMAC block yields eight 32-bit words; rejection sampling keeps the result unbiased.
+export function createRng(serverSeed, clientSeed, nonce) {
+  const key = getBytes(serverSeed);
+  let counter = 0;
+  let words = [];
+
+  const nextWord = () => {
+    if (words.length === 0) {
+      const block = getBytes(computeHmac('sha256', key, toUtf8Bytes(`${clientSeed}:${nonce}:${counter++}`)));
+      for (let i = 0; i < block.length; i += 4) {
+        words.push(((block[i] << 24) | (block[i + 1] << 16) | (block[i + 2] << 8) | block[i + 3]) >>> 0);
+      }
+    }
+    return words.shift();
+  };
+
+  return max => {
+    const limit = MAX_UINT32 - (MAX_UINT32 % max);
+    let word = nextWord();
+    while (word >= limit) {
+      word = nextWord();
+    }
+    return word % max;
+  };
+}
+
+// Fisher-Yates, the same walk Deck.shuffle makes
+export function shuffleInPlace(items, randomInt) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// The full shuffled deck for a hand; cards are dealt from the end
+export function deriveDeck(serverSeed, clientSeed, nonce) {
+  const cards = SUITS.flatMap(suit => RANKS.map(rank => ({ rank, suit })));
+  return shuffleInPlace(cards, createRng(serverSeed, clientSeed, nonce));
+}
+
+const sameCard = (a, b) => !!a && !!b && a.rank === b.rank && a.suit === b.suit;
+
+// Re-derive a hand's deal from the seeds revealed in `gameEnded.fairness` and check it
+// against the committed hash and the cards that were shown
+export function verifyHand(fairness, shownCards = {}) {
+  const { serverSeed, serverSeedHash, clientSeed, nonce, playerIds, cardsPerPlayer, variant } = fairness;
+
+  const hashMatches = hashServerSeed(serverSeed) === serverSeedHash;
+
+  // Deal exactly as Game.startGame does: one card per player per round, from the end of the deck
+  const deck = deriveDeck(serverSeed, clientSeed, nonce);
+  const hands = Object.fromEntries(playerIds.map(id => [id, []]));
+  for (let round = 0; round < cardsPerPlayer; round++) {
+    playerIds.forEach(id => hands[id].push(deck.pop()));
+  }
+  const jokerCard = variant === 'joker' ? deck.pop() : null;
+
+  // Only the hands that were actually revealed can be compared
+  const mismatches = Object.entries(shownCards)
+    .filter(([id, cards]) => hands[id] && cards && cards.length > 0)
+    .filter(([id, cards]) => cards.some((card, i) => !sameCard(card, hands[id][i])))
+    .map(([id]) => id);
+
+  return {
+    valid: hashMatches && mismatches.length === 0,
+    hashMatches,
+    mismatches,
+    hands,
+    jokerCard
+  };
+}
@@ -1,8 +1,13 @@
 // Teen Patti Game Logic
 
+import { randomInt } from 'crypto';
+import { getVariant, compareScores } from './variants.js';
+import { generateServerSeed, hashServerSeed, combineClientSeeds, createRng } from './fairness.js';
+import { normalizeTableRules } from './tableRules.js';
+
 // Card ranks and suits
-const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
-const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+export const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+export const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
 
 // Hand rankings (higher is better)
 const HAND_RANKINGS = {
@@ -14,6 +19,25 @@ const HAND_RANKINGS = {
   TRIO: 5
 };
 
+// How long the previous player has to accept or decline a sideshow request
+export const SIDESHOW_RESPONSE_MS = 15000;
+
+// How long a player has to act before the server acts for them
+export const TURN_TIMEOUT_MS = 30000;
+
+// Extra thinking time each player can draw on once per session
+export const TIME_BANK_MS = 30000;
+
+// Longest client seed a player may add to the shuffle
+export const MAX_CLIENT_SEED_LENGTH = 64;
+
+// How long a dropped player's seat is held for them to reconnect
+export const RECONNECT_GRACE_MS = 60000;
+
+// Who gets the leftover chip(s) when a pot doesn't split evenly between tied hands:
+// 'dealer-left' goes round the table from the seat after the dealer, 'lowest-seat' from seat 0
+export const ODD_CHIP_RULES = ['dealer-left', 'lowest-seat'];
+
 export class Card {
   constructor(rank, suit) {
     this.rank = rank;
@@ -23,6 +47,10 @@ export class Card {
   getValue() {
     return RANKS.indexOf(this.rank);
   }
+
+  static fromJSON({ rank, suit }) {
+    return new Card(rank, suit);
+  }
 }
 
 export class Deck {
@@ -31,19 +59,20 @@ export class Deck {
     this.reset();
   }
 
-  reset() {
+  // Pass a seeded generator (see fairness.js) to make the shuffle reproducible
+  reset(random = randomInt) {
     this.cards = [];
     for (const suit of SUITS) {
       for (const rank of RANKS) {
         this.cards.push(new Card(rank, suit));
       }
     }
-    this.shuffle();
+    this.shuffle(random);
   }
 
-  shuffle() {
+  shuffle(random = randomInt) {
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = random(i + 1);
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
@@ -66,6 +95,17 @@ export class Player {
     this.isFolded = false;
     this.isBlind = true;
     this.hasSeenCards = false;
+    this.isAllIn = false;
+    this.timeBank = TIME_BANK_MS; // Not refilled between hands
+    this.clientSeed = ''; // Player entropy mixed into the shuffle
+    this.blindRounds = 0;
+    this.inHand = false; // Dealt into the current hand
+    this.sittingOut = false; // Skips hands until they sit back in
+    this.connected = true;
+    this.reconnectDeadline = null; // Seat is given up if they are still away at this time
+    this.isBot = false;
+    this.botStrategy = null; // Strategy id for bots (see bots.js)
+    this.mutedIds = []; // Players whose chat this player doesn't see
   }
 
   addCard(card) {
@@ -87,6 +127,7 @@ export class Player {
     this.chips -= betAmount;
     this.currentBet = betAmount;
     this.totalBet += betAmount;
+    this.isAllIn = this.chips === 0;
     return betAmount;
   }
 
@@ -98,23 +139,83 @@ export class Player {
     this.isFolded = false;
     this.isBlind = true;
     this.hasSeenCards = false;
+    this.isAllIn = false;
+    this.blindRounds = 0;
   }
 }
 
 export class Game {
-  constructor(roomId, minPlayers = 2, maxPlayers = 6) {
+  constructor(roomId, minPlayers = 2, maxPlayers = 6, options = {}) {
+    const { oddChipRule = 'dealer-left', variant = 'classic', rules } = options;
+    if (!ODD_CHIP_RULES.includes(oddChipRule)) {
+      throw new Error(`Unknown odd chip rule: ${oddChipRule}`);
+    }
+    if (!getVariant(variant)) {
+      throw new Error(`Unknown variant: ${variant}`);
+    }
+    const tableRules = normalizeTableRules(rules);
+    if (!tableRules.success) {
+      throw new Error(tableRules.error);
+    }
+
     this.roomId = roomId;
     this.players = [];
     this.deck = new Deck();
     this.pot = 0;
     this.currentBet = 0;
-    this.minBet = 10;
+    this.rules = tableRules.rules;
+    this.minBet = this.rules.boot;
     this.currentPlayerIndex = 0;
     this.dealerIndex = 0;
     this.gameStarted = false;
     this.minPlayers = minPlayers;
     this.maxPlayers = maxPlayers;
     this.roundNumber = 0;
+    this.pendingSideshow = null;
+    this.oddChipRule = oddChipRule;
+    this.turnDeadline = null;
+    this.variant = getVariant(variant);
+    this.jokerCard = null; // Face-up wild card in the Joker variant
+    this.handNumber = 0;
+    this.handFairness = null; // Seeds behind the hand being played
+    this.hostId = null; // Player who can end the session
+    this.isPrivate = false; // Joined only with the password or an invite (see roomAccess.js)
+    this.passwordHash = null;
+    this.locked = false; // Takes no new players
+    this.sessionActive = false; // Hands keep being dealt until the session ends
+    this.handsPlayed = 0;
+    this.cashedOut = []; // Final stacks of players who left the session
+    this.handLog = []; // Ordered events of the current (or last) hand
+    this.chatLog = []; // Recent chat messages (see chat.js)
+    this.tournament = null; // Sit & Go settings, levels and eliminations (see tournament.js)
+    this.createdAt = Date.now();
+    this.spectatorCount = 0; // Sockets watching without a seat; kept by the server, never saved
+    this.commitNextHand();
+  }
+
+  // Pick the server seed for the next hand and publish only its hash
+  commitNextHand() {
+    this.serverSeed = generateServerSeed();
+    this.serverSeedHash = hashServerSeed(this.serverSeed);
+  }
+
+  // Players may add their own entropy between hands
+  setClientSeed(playerId, seed) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    if (this.gameStarted) {
+      return { success: false, error: 'Client seeds can only be changed between hands' };
+    }
+
+    if (typeof seed !== 'string' || seed.length > MAX_CLIENT_SEED_LENGTH) {
+      return { success: false, error: `Client seed must be a string of at most ${MAX_CLIENT_SEED_LENGTH} characters` };
+    }
+
+    player.clientSeed = seed;
+    return { success: true };
   }
 
   addPlayer(player) {
@@ -122,13 +223,57 @@ export class Game {
       return false;
     }
     this.players.push(player);
+    if (!this.hostId) {
+      this.hostId = player.id;
+    }
     return true;
   }
 
   removePlayer(playerId) {
     const index = this.players.findIndex(p => p.id === playerId);
     if (index !== -1) {
+      // A sideshow is off once either side leaves. The requester already paid,
+      // so if the target left their turn ends as it would on a decline
+      const sideshow = this.pendingSideshow;
+      const targetLeft = !!sideshow && sideshow.targetId === playerId;
+      if (sideshow && (sideshow.requesterId === playerId || targetLeft)) {
+        this.pendingSideshow = null;
+      }
+
+      const wasOnTurn = this.gameStarted && index === this.currentPlayerIndex;
+      if (this.gameStarted && this.players[index].inHand) {
+        this.logEvent('leave', { playerId });
+      }
       this.players.splice(index, 1);
+
+      // Keep the dealer button on the same seat
+      if (index < this.dealerIndex) {
+        this.dealerIndex--;
+      }
+      if (this.dealerIndex >= this.players.length) {
+        this.dealerIndex = 0;
+      }
+      // Hosting passes to the next person at the table, never to a bot
+      if (this.hostId === playerId) {
+        const nextHost = this.players.find(p => !p.isBot) || this.players[0];
+        this.hostId = nextHost ? nextHost.id : null;
+      }
+
+      // Keep the turn pointing at the same player, or pass it on if the leaver was on turn
+      if (index < this.currentPlayerIndex || (wasOnTurn && index > 0)) {
+        this.currentPlayerIndex--;
+      } else if (wasOnTurn) {
+        this.currentPlayerIndex = this.players.length - 1;
+      }
+      if (this.currentPlayerIndex >= this.players.length) {
+        this.currentPlayerIndex = 0;
+      }
+      if (wasOnTurn || targetLeft) {
+        this.turnDeadline = null;
+        if (this.players.length > 0) {
+          this.advanceTurn();
+        }
+      }
       return true;
     }
     return false;
@@ -138,8 +283,98 @@ export class Game {
     return this.players.find(p => p.id === playerId);
   }
 
+  // Cash players need the boot; tournament players are dealt in with whatever they have left
+  get minStack() {
+    return this.tournament ? 1 : this.minBet;
+  }
+
+  // Players who will be dealt into the next hand
+  getEligiblePlayers() {
+    return this.players.filter(p => !p.sittingOut && p.connected && p.chips >= this.minStack);
+  }
+
   canStartGame() {
-    return this.players.length >= this.minPlayers && !this.gameStarted;
+    return this.getEligiblePlayers().length >= this.minPlayers && !this.gameStarted;
+  }
+
+  // The session is over once too few players can cover the boot, even counting those sitting out
+  canContinueSession() {
+    return this.players.filter(p => p.chips >= this.minStack).length >= this.minPlayers;
+  }
+
+  // Takes effect from the next deal; a hand already dealt is played out
+  setSittingOut(playerId, sittingOut) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    if (this.tournament && sittingOut) {
+      return { success: false, error: 'You cannot sit out of a tournament' };
+    }
+
+    player.sittingOut = !!sittingOut;
+    return { success: true };
+  }
+
+  // A dropped player keeps their seat until the deadline; their turn clock keeps running
+  setDisconnected(playerId, reconnectDeadline) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    player.connected = false;
+    player.reconnectDeadline = reconnectDeadline;
+    return { success: true };
+  }
+
+  setReconnected(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    player.connected = true;
+    player.reconnectDeadline = null;
+    return { success: true };
+  }
+
+  // Leave the session with the current stack; it is paid out when the room settles
+  cashOut(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    if (this.tournament) {
+      return { success: false, error: 'Tournament chips cannot be cashed out' };
+    }
+
+    if (this.gameStarted && player.inHand && !player.isFolded) {
+      return { success: false, error: 'Fold or finish this hand before cashing out' };
+    }
+
+    const entry = { id: player.id, name: player.name, chips: player.chips };
+    this.cashedOut.push(entry);
+    this.removePlayer(playerId);
+    return { success: true, ...entry };
+  }
+
+  // Final stacks for settlement: seated players and everyone who cashed out
+  getFinalChips() {
+    return [
+      ...this.players.map(p => ({ id: p.id, chips: p.chips })),
+      ...this.cashedOut.map(({ id, chips }) => ({ id, chips }))
+    ];
+  }
+
+  endSession() {
+    this.sessionActive = false;
+    return {
+      handsPlayed: this.handsPlayed,
+      playerChips: this.getFinalChips()
+    };
   }
 
   startGame() {
@@ -148,33 +383,103 @@ export class Game {
     }
 
     this.gameStarted = true;
-    this.deck.reset();
+    this.sessionActive = true;
+
+    // Players sitting out or short of the boot sit this hand out
+    const dealt = this.getEligiblePlayers();
+
+    // Shuffle from the committed server seed and every dealt player's client seed
+    this.handNumber++;
+    const clientSeed = combineClientSeeds(dealt.map(p => p.clientSeed));
+    this.deck.reset(createRng(this.serverSeed, clientSeed, this.handNumber));
+    this.handFairness = {
+      serverSeedHash: this.serverSeedHash,
+      clientSeed,
+      nonce: this.handNumber,
+      playerIds: dealt.map(p => p.id),
+      cardsPerPlayer: this.variant.cardsPerPlayer,
+      variant: this.variant.id
+    };
+
     this.pot = 0;
     this.currentBet = this.minBet;
     this.roundNumber = 0;
+    this.pendingSideshow = null;
+    this.turnDeadline = null;
+    this.jokerCard = null;
+    this.handLog = [];
 
-    // Reset all players
-    this.players.forEach(player => player.reset());
+    // Reset all players; anyone not dealt in counts as folded for the whole hand
+    this.players.forEach(player => {
+      player.reset();
+      player.inHand = dealt.includes(player);
+      if (!player.inHand) {
+        player.fold();
+      }
+    });
 
-    // Deal 3 cards to each player
-    for (let i = 0; i < 3; i++) {
-      this.players.forEach(player => {
+    // Deal 3 cards to each player (4 in Best of Four)
+    for (let i = 0; i < this.variant.cardsPerPlayer; i++) {
+      dealt.forEach(player => {
         player.addCard(this.deck.deal());
       });
     }
+    if (this.variant.onDeal) {
+      this.variant.onDeal(this);
+    }
+
+    // The button only sits on a dealt seat
+    while (!this.players[this.dealerIndex].inHand) {
+      this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
+    }
+
+    this.logEvent('deal', {
+      handNumber: this.handNumber,
+      variant: this.variant.id,
+      boot: this.minBet,
+      dealerId: this.players[this.dealerIndex].id,
+      players: dealt.map(p => ({ id: p.id, name: p.name, seat: this.players.indexOf(p) + 1, chips: p.chips })),
+      jokerCard: this.jokerCard && { rank: this.jokerCard.rank, suit: this.jokerCard.suit }
+    });
 
     // Collect ante from all players
-    this.players.forEach(player => {
+    dealt.forEach(player => {
       const ante = player.bet(this.minBet);
       this.pot += ante;
+      this.logEvent('boot', { playerId: player.id, amount: ante });
     });
 
-    // Set first player after dealer
-    this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
+    // Set first player after dealer (skipping anyone the boot put all-in)
+    this.currentPlayerIndex = this.dealerIndex;
+    if (this.getPlayersAbleToAct().length > 0) {
+      this.nextPlayer();
+    } else {
+      this.currentPlayerIndex = (this.dealerIndex + 1) % this.players.length;
+    }
+    this.roundNumber = 0;
 
     return true;
   }
 
+  // Append to the current hand's event log; seq keeps the order when timestamps tie
+  logEvent(type, fields = {}) {
+    this.handLog.push({ seq: this.handLog.length + 1, at: Date.now(), type, ...fields });
+  }
+
+  // Seeing cards doesn't need the turn
+  seeCards(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    if (this.gameStarted && player.inHand && !player.hasSeenCards) {
+      this.logEvent('see', { playerId: player.id });
+    }
+    player.seeCards();
+    return { success: true };
+  }
+
   getCurrentPlayer() {
     return this.players[this.currentPlayerIndex];
   }
@@ -183,6 +488,116 @@ export class Game {
     return this.players.filter(p => p.isActive && !p.isFolded);
   }
 
+  // Active players who still have chips to bet with
+  getPlayersAbleToAct() {
+    return this.getActivePlayers().filter(p => !p.isAllIn);
+  }
+
+  // Nobody is left to bet against: the remaining hands go straight to showdown.
+  // A lone player with chips still gets one turn to answer an all-in.
+  isShowdownDue() {
+    if (!this.gameStarted || this.getActivePlayers().length <= 1) {
+      return false;
+    }
+
+    // Reaching the pot limit ends the betting
+    if (this.isPotLimitReached()) {
+      return true;
+    }
+
+    const ableToAct = this.getPlayersAbleToAct();
+    return ableToAct.length === 0 ||
+      (ableToAct.length === 1 && ableToAct[0] === this.getCurrentPlayer());
+  }
+
+  isPotLimitReached() {
+    return this.rules.potLimit !== null && this.pot >= this.rules.potLimit;
+  }
+
+  // Call a Show against the one remaining opponent, paying the table's show cost
+  show(playerId) {
+    if (!this.gameStarted) {
+      return { success: false, error: 'Game has not started' };
+    }
+
+    const player = this.getPlayer(playerId);
+    if (!player || player.id !== this.getCurrentPlayer().id) {
+      return { success: false, error: 'Not your turn' };
+    }
+
+    if (this.pendingSideshow) {
+      return { success: false, error: 'Waiting for sideshow response' };
+    }
+
+    if (this.getActivePlayers().length !== 2) {
+      return { success: false, error: 'Need exactly 2 players for show' };
+    }
+
+    const stake = player.isBlind ? this.currentBet / 2 : this.currentBet;
+    const cost = { free: 0, chaal: stake, double: stake * 2 }[this.rules.showCost];
+    // A short stack shows for whatever it has left
+    const paid = cost > 0 ? player.bet(cost) : 0;
+    this.pot += paid;
+    this.logEvent('show', { playerId: player.id, amount: paid, pot: this.pot });
+
+    return { success: true, cost: paid };
+  }
+
+  // Move the turn on unless the hand is already decided
+  advanceTurn() {
+    if (this.getActivePlayers().length > 1 && !this.isShowdownDue()) {
+      this.nextPlayer();
+    }
+  }
+
+  // Start the clock for whoever is on turn
+  startTurnClock(now = Date.now()) {
+    this.turnDeadline = now + TURN_TIMEOUT_MS;
+    return this.turnDeadline;
+  }
+
+  // Add the player's whole remaining time bank to the current turn
+  useTimeBank(playerId, now = Date.now()) {
+    const player = this.getPlayer(playerId);
+    if (!this.gameStarted || !this.turnDeadline || !player || player.id !== this.getCurrentPlayer().id) {
+      return { success: false, error: 'Not your turn' };
+    }
+
+    if (player.timeBank <= 0) {
+      return { success: false, error: 'Your time bank is used up' };
+    }
+
+    this.turnDeadline = Math.max(this.turnDeadline, now) + player.timeBank;
+    player.timeBank = 0;
+    return { success: true, deadline: this.turnDeadline };
+  }
+
+  // A check is only legal when the player owes nothing: everyone else is
+  // all-in and already covered by what this player has put in
+  canCheck(player) {
+    const others = this.getActivePlayers().filter(p => p.id !== player.id);
+    return !player.isAllIn && others.length > 0 &&
+      others.every(p => p.isAllIn && p.totalBet <= player.totalBet);
+  }
+
+  getTimeoutAction(player) {
+    return this.canCheck(player) ? 'check' : 'pack';
+  }
+
+  // Act for the current player once their clock has run out
+  handleTurnTimeout(now = Date.now()) {
+    if (!this.gameStarted || !this.turnDeadline || now < this.turnDeadline || this.pendingSideshow) {
+      return { success: false, error: 'Turn has not timed out' };
+    }
+
+    const player = this.getCurrentPlayer();
+    const action = this.getTimeoutAction(player);
+    this.turnDeadline = null;
+    this.logEvent('timeout', { playerId: player.id, action });
+
+    return { ...this.playerAction(player.id, action), playerId: player.id, action };
+  }
+
   nextPlayer() {
     // Safety check: ensure there are active players
     const activePlayers = this.getActivePlayers();
@@ -199,26 +614,34 @@ export class Game {
         console.error('nextPlayer: No active players found! This should not happen.');
         throw new Error('No active non-folded players found');
       }
-    } while (this.players[this.currentPlayerIndex].isFolded);
+    } while (this.players[this.currentPlayerIndex].isFolded || this.players[this.currentPlayerIndex].isAllIn);
 
     this.roundNumber++;
   }
 
   playerAction(playerId, action, amount = 0) {
+    if (!this.gameStarted) {
+      return { success: false, error: 'Game has not started' };
+    }
+
     const player = this.getPlayer(playerId);
     if (!player || player.id !== this.getCurrentPlayer().id) {
       return { success: false, error: 'Not your turn' };
     }
 
+    if (this.pendingSideshow) {
+      return { success: false, error: 'Waiting for sideshow response' };
+    }
+
     switch (action) {
       case 'fold':
         player.fold();
-        this.nextPlayer();
+        this.logEvent('pack', { playerId: player.id });
+        this.advanceTurn();
         return { success: true };
 
       case 'see':
-        player.seeCards();
-        return { success: true };
+        return this.seeCards(player.id);
 
       case 'bet':
       case 'chaal':
@@ -260,12 +683,16 @@ export class Game {
 
         // Let's assume `currentBet` is the amount a SEEN player needs to put.
 
-        // Pot Limit Check (Standard Teen Patti Rule: 1024x Boot)
-        const POT_LIMIT = this.minBet * 1024;
-        if (this.pot >= POT_LIMIT) {
+        // Pot Limit Check (table rule, 1024x Boot by default)
+        if (this.isPotLimitReached()) {
           return { success: false, error: 'Pot limit reached. You must Show.' };
         }
 
+        if (player.isBlind && this.rules.maxBlindRounds !== null &&
+          player.blindRounds >= this.rules.maxBlindRounds) {
+          return { success: false, error: `Blind limit of ${this.rules.maxBlindRounds} rounds reached. See your cards to continue.` };
+        }
+
         let requiredAmount = this.currentBet;
         if (player.isBlind) {
           requiredAmount = this.currentBet / 2;
@@ -274,6 +701,7 @@ export class Game {
         // Allow raise (double the stake)
         const minBet = requiredAmount;
         const maxBet = requiredAmount * 2;
+        const raise = amount === maxBet && player.chips >= minBet;
 
         // Verify amount
         // Allow "All-In" if chips < minBet but > 0
@@ -281,8 +709,7 @@ export class Game {
           if (amount !== player.chips) {
             return { success: false, error: `You must go ShowDown or All-In with ${player.chips}` };
           }
-          // All-in logic: Side pots would be needed for true correctness, 
-          // but for now we just let them bet what they have.
+          // All-in: the player is capped to a side pot (see calculatePots).
           // We do NOT update currentBet because they couldn't match the stake.
         } else {
           if (amount !== minBet && amount !== maxBet) {
@@ -294,17 +721,40 @@ export class Game {
           if (player.isBlind) {
             newSeenStake = amount * 2;
           }
+          if (this.rules.chaalLimit !== null && newSeenStake > this.rules.chaalLimit) {
+            return { success: false, error: `Chaal limit is ${this.rules.chaalLimit}. You can only Chaal ${minBet}.` };
+          }
           this.currentBet = Math.max(this.currentBet, newSeenStake);
         }
 
+        if (player.isBlind) {
+          player.blindRounds++;
+        }
         const betAmount = player.bet(amount);
         this.pot += betAmount;
-        this.nextPlayer();
+        this.logEvent('chaal', {
+          playerId: player.id,
+          amount: betAmount,
+          blind: player.isBlind,
+          raise,
+          allIn: player.isAllIn,
+          pot: this.pot
+        });
+        this.advanceTurn();
         return { success: true };
 
       case 'pack':
         player.fold();
-        this.nextPlayer();
+        this.logEvent('pack', { playerId: player.id });
+        this.advanceTurn();
+        return { success: true };
+
+      case 'check':
+        if (!this.canCheck(player)) {
+          return { success: false, error: 'You cannot check: chaal or pack' };
+        }
+        this.logEvent('check', { playerId: player.id });
+        this.advanceTurn();
         return { success: true };
 
       default:
@@ -312,6 +762,126 @@ export class Game {
     }
   }
 
+  // Previous non-folded player in seat order (the only valid sideshow target)
+  getPreviousActivePlayer(playerId) {
+    const index = this.players.findIndex(p => p.id === playerId);
+    if (index === -1) {
+      return null;
+    }
+
+    for (let offset = 1; offset < this.players.length; offset++) {
+      const candidate = this.players[(index - offset + this.players.length) % this.players.length];
+      if (!candidate.isFolded) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  requestSideshow(playerId, now = Date.now()) {
+    if (!this.gameStarted) {
+      return { success: false, error: 'Game not in progress' };
+    }
+
+    const player = this.getPlayer(playerId);
+    if (!player || player.id !== this.getCurrentPlayer().id) {
+      return { success: false, error: 'Not your turn' };
+    }
+
+    if (this.pendingSideshow) {
+      return { success: false, error: 'A sideshow is already pending' };
+    }
+
+    // With only two players left the correct move is a Show
+    if (this.getActivePlayers().length < 3) {
+      return { success: false, error: 'Sideshow needs at least 3 active players. Use Show instead.' };
+    }
+
+    if (!player.hasSeenCards) {
+      return { success: false, error: 'You must see your cards before asking for a sideshow' };
+    }
+
+    const target = this.getPreviousActivePlayer(playerId);
+    if (!target || !target.hasSeenCards) {
+      return { success: false, error: 'Sideshow is only allowed with a previous player who has seen their cards' };
+    }
+
+    // A sideshow costs the same as a chaal for a seen player
+    const cost = this.currentBet;
+    if (player.chips < cost) {
+      return { success: false, error: `You need ${cost} chips to ask for a sideshow` };
+    }
+
+    const amount = player.bet(cost);
+    this.pot += amount;
+    this.turnDeadline = null; // The turn clock waits for the sideshow answer
+    this.logEvent('sideshow', { playerId: player.id, targetId: target.id, amount, pot: this.pot });
+
+    this.pendingSideshow = {
+      requesterId: player.id,
+      targetId: target.id,
+      amount,
+      expiresAt: now + SIDESHOW_RESPONSE_MS
+    };
+
+    return { success: true, requester: player, target, amount, expiresAt: this.pendingSideshow.expiresAt };
+  }
+
+  respondToSideshow(playerId, accepted) {
+    const sideshow = this.pendingSideshow;
+    if (!sideshow) {
+      return { success: false, error: 'No sideshow pending' };
+    }
+
+    if (sideshow.targetId !== playerId) {
+      return { success: false, error: 'This sideshow request is not for you' };
+    }
+
+    this.pendingSideshow = null;
+    const requester = this.getPlayer(sideshow.requesterId);
+    const target = this.getPlayer(sideshow.targetId);
+
+    if (!accepted) {
+      // Declining just ends the requester's turn
+      this.logEvent('sideshowResult', { playerId: target.id, requesterId: requester.id, accepted: false });
+      this.advanceTurn();
+      return { success: true, accepted: false, requesterId: requester.id, targetId: target.id };
+    }
+
+    // Requester loses on equal hands
+    const winner = this.compareHands(requester, target) || target;
+    const loser = winner.id === requester.id ? target : requester;
+    loser.fold();
+    this.logEvent('sideshowResult', {
+      playerId: target.id,
+      requesterId: requester.id,
+      accepted: true,
+      winnerId: winner.id,
+      loserId: loser.id
+    });
+    this.advanceTurn();
+
+    return {
+      success: true,
+      accepted: true,
+      requesterId: requester.id,
+      targetId: target.id,
+      winnerId: winner.id,
+      loserId: loser.id
+    };
+  }
+
+  // Unanswered requests count as a decline
+  expireSideshow(now = Date.now()) {
+    const sideshow = this.pendingSideshow;
+    if (!sideshow || now < sideshow.expiresAt) {
+      return { success: false, error: 'No expired sideshow' };
+    }
+
+    this.logEvent('timeout', { playerId: sideshow.targetId, action: 'decline' });
+    return { ...this.respondToSideshow(sideshow.targetId, false), expired: true };
+  }
+
   checkWinner() {
     const activePlayers = this.getActivePlayers();
 
@@ -326,24 +896,20 @@ export class Game {
     return null;
   }
 
-  compareHands(player1, player2) {
-    const hand1 = this.evaluateHand(player1.cards);
-    const hand2 = this.evaluateHand(player2.cards);
-
-    if (hand1.rank !== hand2.rank) {
-      return hand1.rank > hand2.rank ? player1 : player2;
-    }
+  // Score a hand under the room's variant (see variants.js)
+  scoreHand(cards) {
+    return this.variant.scoreHand(cards, this);
+  }
 
-    // Compare high cards
-    for (let i = 0; i < hand1.values.length; i++) {
-      if (hand1.values[i] !== hand2.values[i]) {
-        return hand1.values[i] > hand2.values[i] ? player1 : player2;
-      }
+  compareHands(player1, player2) {
+    const result = compareScores(this.scoreHand(player1.cards), this.scoreHand(player2.cards));
+    if (result === 0) {
+      return null; // Tie
     }
-
-    return null; // Tie
+    return result > 0 ? player1 : player2;
   }
 
+  // Classic Teen Patti ranking of a 3-card hand
   evaluateHand(cards) {
     const sortedCards = [...cards].sort((a, b) => b.getValue() - a.getValue());
     const values = sortedCards.map(c => c.getValue());
@@ -409,17 +975,156 @@ export class Game {
     return { isSequence: false, compareValues: values };
   }
 
-  endGame(winner) {
-    if (winner) {
-      winner.chips += this.pot;
+  // Best hand(s) among the given players; more than one entry means a tie
+  findBestHands(players) {
+    let best = [];
+    for (const player of players) {
+      if (best.length === 0) {
+        best = [player];
+        continue;
+      }
+
+      const result = this.compareHands(best[0], player);
+      if (result === null) {
+        best.push(player);
+      } else if (result.id === player.id) {
+        best = [player];
+      }
+    }
+    return best;
+  }
+
+  // Split the pot into a main pot and side pots.
+  // Only all-in players cap a layer: blind players legitimately put in half
+  // of what seen players do and stay eligible for every pot.
+  calculatePots() {
+    const contenders = this.players.filter(p => !p.isFolded);
+    const caps = [...new Set(contenders.filter(p => p.isAllIn).map(p => p.totalBet))]
+      .sort((a, b) => a - b);
+
+    const pots = [];
+    let floor = 0;
+    for (const cap of [...caps, Infinity]) {
+      const amount = this.players.reduce(
+        (sum, p) => sum + Math.max(0, Math.min(p.totalBet, cap) - floor),
+        0
+      );
+      const eligiblePlayers = contenders.filter(p => !p.isAllIn || p.totalBet >= cap);
+      floor = cap;
+
+      if (amount === 0) {
+        continue;
+      }
+
+      const previous = pots[pots.length - 1];
+      const sameEligibility = previous &&
+        previous.eligiblePlayers.length === eligiblePlayers.length &&
+        previous.eligiblePlayers.every(p => eligiblePlayers.includes(p));
+
+      // Money nobody left can claim (folded over-bets) stays in the pot below
+      if (previous && (eligiblePlayers.length === 0 || sameEligibility)) {
+        previous.amount += amount;
+      } else {
+        pots.push({ amount, eligiblePlayers });
+      }
+    }
+
+    // Chips from players who left mid-hand are dead money in the main pot
+    const tracked = pots.reduce((sum, pot) => sum + pot.amount, 0);
+    if (this.pot > tracked) {
+      if (pots.length === 0) {
+        pots.push({ amount: 0, eligiblePlayers: contenders });
+      }
+      pots[0].amount += this.pot - tracked;
     }
 
+    return pots;
+  }
+
+  // Divide a pot evenly between tied winners; leftover chips go one at a time
+  // in seat order according to the room's odd chip rule
+  splitPot(amount, winners) {
+    const startSeat = this.oddChipRule === 'dealer-left' ? this.dealerIndex + 1 : 0;
+    const seatDistance = player => {
+      const seat = this.players.indexOf(player);
+      return (seat - startSeat + this.players.length) % this.players.length;
+    };
+    const ordered = [...winners].sort((a, b) => seatDistance(a) - seatDistance(b));
+
+    const share = Math.floor(amount / ordered.length);
+    const remainder = amount - share * ordered.length;
+    return ordered.map((player, i) => ({
+      playerId: player.id,
+      amount: share + (i < remainder ? 1 : 0)
+    }));
+  }
+
+  // Pass the winner(s) when everyone else packed; without any every pot goes to showdown.
+  // Tied hands split the pot (see splitPot).
+  endGame(winners = null) {
+    const declared = winners ? [].concat(winners) : null;
+    const totals = new Map();
+
+    if (!declared) {
+      this.logEvent('showdown', {
+        hands: this.getActivePlayers().map(p => ({
+          playerId: p.id,
+          cards: p.cards.map(({ rank, suit }) => ({ rank, suit }))
+        }))
+      });
+    }
+
+    const potResults = this.calculatePots().map(pot => {
+      let potWinners;
+      if (declared) {
+        const eligible = declared.filter(p => pot.eligiblePlayers.includes(p));
+        potWinners = eligible.length > 0 ? eligible : declared;
+      } else {
+        potWinners = this.findBestHands(pot.eligiblePlayers);
+      }
+
+      const shares = potWinners.length > 0 ? this.splitPot(pot.amount, potWinners) : [];
+      shares.forEach(({ playerId, amount }) => {
+        this.getPlayer(playerId).chips += amount;
+        totals.set(playerId, (totals.get(playerId) || 0) + amount);
+      });
+
+      return {
+        amount: pot.amount,
+        eligiblePlayerIds: pot.eligiblePlayers.map(p => p.id),
+        winnerIds: potWinners.map(p => p.id),
+        shares
+      };
+    });
+
+    const mainWinnerId = potResults[0] && potResults[0].winnerIds.length > 0
+      ? potResults[0].winnerIds[0]
+      : null;
+    this.logEvent('result', {
+      pot: this.pot,
+      pots: potResults.map(({ amount, winnerIds, shares }) => ({ amount, winnerIds, shares })),
+      winners: [...totals].map(([id, amount]) => ({ id, amount }))
+    });
+
+    // The pot has been paid out: nothing is left on the table between hands
+    const pot = this.pot;
+    this.pot = 0;
     this.gameStarted = false;
+    this.pendingSideshow = null;
+    this.turnDeadline = null;
     this.dealerIndex = (this.dealerIndex + 1) % this.players.length;
+    this.handsPlayed++;
+
+    // Reveal this hand's seed and commit to the next one
+    const fairness = this.handFairness ? { ...this.handFairness, serverSeed: this.serverSeed } : null;
+    this.commitNextHand();
 
     return {
-      winner: winner ? winner.id : null,
-      pot: this.pot,
+      fairness,
+      winner: mainWinnerId,
+      winners: [...totals].map(([id, amount]) => ({ id, amount })),
+      pot,
+      pots: potResults,
       playerChips: this.players.map(p => ({ id: p.id, chips: p.chips }))
     };
   }
@@ -436,13 +1141,56 @@ export class Game {
         isFolded: p.isFolded,
         isBlind: p.isBlind,
         hasSeenCards: p.hasSeenCards,
+        isAllIn: p.isAllIn,
+        timeBank: p.timeBank,
+        clientSeed: p.clientSeed,
+        blindRounds: p.blindRounds,
+        inHand: p.inHand,
+        sittingOut: p.sittingOut,
+        connected: p.connected,
+        reconnectDeadline: p.reconnectDeadline,
+        isBot: p.isBot,
+        botStrategy: p.botStrategy,
         cardCount: p.cards.length
       })),
       pot: this.pot,
+      pots: this.calculatePots().map(pot => ({
+        amount: pot.amount,
+        eligiblePlayerIds: pot.eligiblePlayers.map(p => p.id)
+      })),
       currentBet: this.currentBet,
       currentPlayerIndex: this.currentPlayerIndex,
       gameStarted: this.gameStarted,
-      roundNumber: this.roundNumber
+      roundNumber: this.roundNumber,
+      oddChipRule: this.oddChipRule,
+      rules: { ...this.rules },
+      variant: {
+        id: this.variant.id,
+        name: this.variant.name,
+        cardsPerPlayer: this.variant.cardsPerPlayer
+      },
+      jokerCard: this.jokerCard,
+      serverSeedHash: this.serverSeedHash, // Commitment for the current (or next) hand
+      handNumber: this.handNumber,
+      hostId: this.hostId,
+      maxPlayers: this.maxPlayers,
+      isPrivate: this.isPrivate,
+      hasPassword: !!this.passwordHash,
+      locked: this.locked,
+      spectators: this.spectatorCount,
+      blockchainRoomId: this.blockchainRoomId || null,
+      sessionActive: this.sessionActive,
+      handsPlayed: this.handsPlayed,
+      cashedOut: this.cashedOut.map(entry => ({ ...entry })),
+      tournament: this.tournament && structuredClone(this.tournament),
+      turnDeadline: this.turnDeadline,
+      pendingSideshow: this.pendingSideshow
+        ? {
+          requesterId: this.pendingSideshow.requesterId,
+          targetId: this.pendingSideshow.targetId,
+          expiresAt: this.pendingSideshow.expiresAt
+        }
+        : null
     };
   }
 
@@ -450,4 +1198,45 @@ export class Game {
     const player = this.getPlayer(playerId);
     return player ? player.cards : [];
   }
+
+  // Hole cards of everyone dealt into the hand, by player id
+  getDealtCards() {
+    return Object.fromEntries(this.players
+      .filter(p => p.inHand)
+      .map(p => [p.id, p.cards.map(({ rank, suit }) => ({ rank, suit }))]));
+  }
+
+  // Only the hands still contesting the pot, as turned over at a showdown
+  getShownCards() {
+    return Object.fromEntries(this.players
+      .filter(p => p.inHand && !p.isFolded)
+      .map(p => [p.id, p.cards.map(({ rank, suit }) => ({ rank, suit }))]));
+  }
+
+  // Full snapshot for storage, including the deck and server seed the clients never see
+  toJSON() {
+    const { deck, variant, players, spectatorCount, ...fields } = this;
+    return {
+      ...fields,
+      variant: variant.id,
+      deck: deck.cards.map(({ rank, suit }) => ({ rank, suit })),
+      players: players.map(p => ({ ...p, socketId: null }))
+    };
+  }
+
+  // Rebuild a room from toJSON(); players have to reconnect to get a socket again
+  static fromJSON(snapshot) {
+    const { variant, deck, players, jokerCard, oddChipRule, rules, ...fields } = snapshot;
+    const game = new Game(snapshot.roomId, snapshot.minPlayers, snapshot.maxPlayers, { oddChipRule, variant, rules });
+
+    Object.assign(game, fields);
+    game.deck.cards = deck.map(Card.fromJSON);
+    game.jokerCard = jokerCard ? Card.fromJSON(jokerCard) : null;
+    game.players = players.map(data => Object.assign(
+      new Player(data.id, data.name, null, data.chips),
+      data,
+      { cards: data.cards.map(Card.fromJSON) }
+    ));
+    return game;
+  }
 }
@@ -0,0 +1,131 @@
+// Plain-text hand histories
+//
+// Turns a recorded hand (see recordHand in server.js) into the line-per-action
+// format poker trackers use, e.g.
+//
+//   Teen Patti Hand #ROOM01-3: Classic (boot 10) - 2026-10-19 12:00:00 UTC
+//   Table 'ROOM01' Seat #1 is the button
+//   Seat 1: Alice (1000 in chips)
+//   ...
+//   Bob: chaals 5 blind
+//   *** SHOW DOWN ***
+//   Bob: shows [Ah Kh Qh]
+//   *** SUMMARY ***
+
+import { getVariant } from './variants.js';
+
+const formatCard = ({ rank, suit }) => `${rank === '10' ? 'T' : rank}${suit[0]}`;
+const formatCards = cards => `[${cards.map(formatCard).join(' ')}]`;
+const formatTime = at => `${new Date(at).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+
+// One line per event; null for events that have no line of their own
+function describeEvent(event, nameOf) {
+  const name = nameOf(event.playerId);
+  switch (event.type) {
+    case 'boot':
+      return `${name}: posts boot ${event.amount}`;
+    case 'see':
+      return `${name}: sees cards`;
+    case 'chaal': {
+      const blind = event.blind ? ' blind' : '';
+      if (event.allIn) return `${name}: goes all-in for ${event.amount}${blind}`;
+      return `${name}: ${event.raise ? 'raises' : 'chaals'} ${event.amount}${blind}`;
+    }
+    case 'pack':
+      return `${name}: packs`;
+    case 'check':
+      return `${name}: checks`;
+    case 'show':
+      return `${name}: calls a show for ${event.amount}`;
+    case 'sideshow':
+      return `${name}: asks ${nameOf(event.targetId)} for a sideshow (${event.amount})`;
+    case 'sideshowResult':
+      if (!event.accepted) return `${name}: declines the sideshow`;
+      return `${name}: accepts the sideshow, ${nameOf(event.loserId)} packs`;
+    case 'timeout':
+      return `${name}: runs out of time`;
+    case 'leave':
+      return `${name}: leaves the table`;
+    case 'showdown':
+      return ['*** SHOW DOWN ***', ...event.hands.map(h => `${nameOf(h.playerId)}: shows ${formatCards(h.cards)}`)].join('\n');
+    default:
+      return null;
+  }
+}
+
+export function formatHandHistory(hand) {
+  const events = hand.events || [];
+  const deal = events.find(e => e.type === 'deal');
+  const result = events.find(e => e.type === 'result');
+
+  // Players who left mid-hand are only named in the deal
+  const names = new Map([...(deal ? deal.players : []), ...hand.players].map(p => [p.id, p.name]));
+  const nameOf = id => names.get(id) || id;
+
+  const variant = getVariant(hand.variant);
+  const boot = deal ? deal.boot : hand.rules.boot;
+  const lines = [
+    `Teen Patti Hand #${hand.handId}: ${variant ? variant.name : hand.variant} (boot ${boot}) - ${formatTime(deal ? deal.at : hand.endedAt)}`
+  ];
+
+  if (deal) {
+    const button = deal.players.find(p => p.id === deal.dealerId);
+    lines.push(`Table '${hand.roomId}' Seat #${button ? button.seat : 1} is the button`);
+    deal.players.forEach(p => lines.push(`Seat ${p.seat}: ${p.name} (${p.chips} in chips)`));
+    if (deal.jokerCard) {
+      lines.push(`Joker: ${formatCards([deal.jokerCard])}`);
+    }
+  }
+
+  events.forEach((event, i) => {
+    const line = describeEvent(event, nameOf);
+    if (line) lines.push(line);
+    // Betting starts once the last boot is in
+    if (event.type === 'boot' && events[i + 1]?.type !== 'boot') {
+      lines.push('*** BETTING ***');
+    }
+  });
+
+  if (hand.reason) {
+    lines.push(`Hand ended: ${hand.reason}`);
+  }
+
+  lines.push('*** SUMMARY ***');
+  lines.push(`Total pot ${hand.pot}`);
+  const pots = result ? result.pots : hand.pots;
+  if (pots.length > 1) {
+    pots.forEach((pot, i) => {
+      const label = i === 0 ? 'Main pot' : `Side pot ${i}`;
+      lines.push(`${label} ${pot.amount} won by ${pot.winnerIds.map(nameOf).join(', ') || 'nobody'}`);
+    });
+  }
+  hand.winners.forEach(w => lines.push(`${nameOf(w.id)} collected ${w.amount}`));
+  hand.players.forEach(p => {
+    const cards = p.cards ? formatCards(p.cards) : '[hidden]';
+    lines.push(`${p.name} ${p.folded ? 'packed' : 'held'} ${cards}, finished with ${p.chips}`);
+  });
+
+  if (hand.fairness) {
+    lines.push(`Server seed: ${hand.fairness.serverSeed} (hash ${hand.fairness.serverSeedHash})`);
+    lines.push(`Client seed: ${hand.fairness.clientSeed}`);
+  }
+
+  return lines.join('\n');
+}
+
+// What someone who didn't play the hand may see: the hands shown at the
+// showdown, but no other hole cards and not the seeds that would rebuild the deal
+export function redactHand(hand) {
+  const showdown = hand.events.find(e => e.type === 'showdown');
+  const shown = new Set(showdown ? showdown.hands.map(h => h.playerId) : []);
+  return {
+    ...hand,
+    players: hand.players.map(p => ({ ...p, cards: shown.has(p.id) ? p.cards : null })),
+    fairness: null
+  };
+}
+
+// Several hands in one file, separated by blank lines as trackers expect
+export function formatHandHistories(hands) {
+  return hands.map(formatHandHistory).join('\n\n\n') + '\n';
+}
@@ -0,0 +1,155 @@
+// Public lobby
+//
+// Summaries of the public rooms open on this server, with the filters and
+// sort orders the room browser offers; private rooms are never listed.
+// Blockchain rooms are cross-checked against TeenPattiGame.getActiveRooms():
+// once the contract no longer lists a room as waiting or active it drops out
+// of the lobby, and its seat count, variant and rules hash come from the chain
+// rather than from whoever happens to be connected.
+
+import { getVariant } from './variants.js';
+
+export const LOBBY_SORTS = ['newest', 'oldest', 'buy-in-asc', 'buy-in-desc', 'players', 'open-seats'];
+export const LOBBY_TYPES = ['all', 'on-chain', 'off-chain'];
+export const LOBBY_STATUSES = ['all', 'waiting', 'playing'];
+
+// Changes are batched before subscribers are sent a new listing
+export const LOBBY_UPDATE_DELAY_MS = 250;
+
+// How often blockchain rooms are re-read from the contract
+export const CHAIN_ROOMS_REFRESH_MS = 15000;
+
+// Matches the GameState enum in TeenPattiGame.sol
+const CHAIN_STATES = ['waiting', 'active', 'finished', 'cancelled'];
+
+export const DEFAULT_LOBBY_QUERY = {
+  variant: null,
+  type: 'all',
+  status: 'all',
+  openSeats: false,
+  sort: 'newest'
+};
+
+/**
+ * Check a lobby query (REST query string or socket payload) and fill in defaults.
+ * @returns {{success: boolean, query?: object, error?: string}}
+ */
+export function normalizeLobbyQuery(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { success: false, error: 'Lobby query must be an object' };
+  }
+
+  const query = { ...DEFAULT_LOBBY_QUERY };
+  if (input.variant !== undefined && input.variant !== '' && input.variant !== 'all') {
+    if (!getVariant(input.variant)) {
+      return { success: false, error: `Unknown game variant: ${input.variant}` };
+    }
+    query.variant = input.variant;
+  }
+
+  for (const [key, allowed] of [['type', LOBBY_TYPES], ['status', LOBBY_STATUSES], ['sort', LOBBY_SORTS]]) {
+    if (input[key] === undefined || input[key] === '') continue;
+    if (!allowed.includes(input[key])) {
+      return { success: false, error: `Lobby ${key} must be one of: ${allowed.join(', ')}` };
+    }
+    query[key] = input[key];
+  }
+
+  // Query strings carry booleans as text
+  if (input.openSeats !== undefined) {
+    query.openSeats = input.openSeats === true || input.openSeats === 'true' || input.openSeats === '1';
+  }
+
+  return { success: true, query };
+}
+
+/**
+ * What the lobby shows about one room.
+ * @param {Game} game
+ * @param {object} [chainRoom] - { state, currentPlayers, maxPlayers, variant, rulesHash } read from the contract
+ */
+export function summarizeRoom(game, chainRoom = null) {
+  const seatsTaken = chainRoom ? chainRoom.currentPlayers : game.players.length;
+  const maxPlayers = chainRoom ? chainRoom.maxPlayers : game.maxPlayers;
+  const variant = (chainRoom?.variant && getVariant(chainRoom.variant)) || game.variant;
+  return {
+    roomId: game.roomId,
+    blockchainRoomId: game.blockchainRoomId || null,
+    onChain: !!game.blockchainRoomId,
+    variant: { id: variant.id, name: variant.name },
+    rulesHash: chainRoom ? chainRoom.rulesHash : null,
+    buyIn: game.buyIn ?? null,
+    boot: game.rules.boot,
+    seatsTaken,
+    maxPlayers,
+    locked: game.locked,
+    spectators: game.spectatorCount,
+    bots: game.players.filter(p => p.isBot).length,
+    tournament: game.tournament
+      ? {
+        entryFee: game.tournament.entryFee,
+        startingChips: game.tournament.startingChips,
+        payouts: game.tournament.payouts,
+        started: game.tournament.startedAt !== null
+      }
+      : null,
+    status: game.sessionActive ? 'playing' : 'waiting',
+    handsPlayed: game.handsPlayed,
+    createdAt: game.createdAt
+  };
+}
+
+// Rooms without a buy-in (off-chain) count as free
+const buyInOf = room => Number(room.buyIn) || 0;
+
+const SORTS = {
+  'newest': (a, b) => b.createdAt - a.createdAt,
+  'oldest': (a, b) => a.createdAt - b.createdAt,
+  'buy-in-asc': (a, b) => buyInOf(a) - buyInOf(b),
+  'buy-in-desc': (a, b) => buyInOf(b) - buyInOf(a),
+  'players': (a, b) => b.seatsTaken - a.seatsTaken,
+  'open-seats': (a, b) => (b.maxPlayers - b.seatsTaken) - (a.maxPlayers - a.seatsTaken)
+};
+
+/**
+ * Lobby listing for a normalized query.
+ * @param {Iterable<Game>} games - Every room on this server
+ * @param {object} query - From normalizeLobbyQuery
+ * @param {Map<string, object>|null} chainRooms - Contract rooms by lowercase room id (see toChainRoom),
+ *   or null when the chain can't be read (blockchain rooms are then listed as the server sees them)
+ */
+export function listLobbyRooms(games, query = DEFAULT_LOBBY_QUERY, chainRooms = null) {
+  const rooms = [];
+  for (const game of games) {
+    if (game.isPrivate) continue;
+
+    // A room missing from the last read is newer than it: go by the server's view
+    const chainRoom = game.blockchainRoomId && chainRooms
+      ? chainRooms.get(game.blockchainRoomId.toLowerCase()) || null
+      : null;
+    if (chainRoom && !['waiting', 'active'].includes(chainRoom.state)) continue;
+    rooms.push(summarizeRoom(game, chainRoom));
+  }
+
+  return rooms
+    .filter(room =>
+      (!query.variant || room.variant.id === query.variant) &&
+      (query.type === 'all' || room.onChain === (query.type === 'on-chain')) &&
+      (query.status === 'all' || room.status === query.status) &&
+      (!query.openSeats || room.seatsTaken < room.maxPlayers)
+    )
+    // Ties fall back to the newest room first
+    .sort((a, b) => SORTS[query.sort](a, b) || SORTS.newest(a, b));
+}
+
+// Contract room details ({ state, currentPlayers, maxPlayers } as read from getRoomDetails,
+// with { variant, rulesHash } from getRoomMetadata) in lobby form
+export function toChainRoom(details) {
+  return {
+    state: CHAIN_STATES[Number(details.state)] || 'unknown',
+    currentPlayers: Number(details.currentPlayers),
+    maxPlayers: Number(details.maxPlayers),
+    variant: details.variant ?? null,
+    rulesHash: details.rulesHash ?? null
+  };
+}
@@ -0,0 +1,74 @@
+// Who may join an off-chain room
+//
+// Room codes are short enough to guess, so a private room also asks for its
+// password or an invite token (see sessionTokens.js), of players and
+// spectators alike. Passwords are kept as salted scrypt hashes; a locked room
+// seats nobody new, though it can still be watched. Blockchain rooms only
+// seat players who bought in on-chain (joinRoomWithBlockchain).
+
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+export const MIN_ROOM_PASSWORD_LENGTH = 4;
+export const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+const KEY_LENGTH = 32;
+
+export function validateRoomPassword(password) {
+  if (typeof password !== 'string' ||
+    password.length < MIN_ROOM_PASSWORD_LENGTH || password.length > MAX_ROOM_PASSWORD_LENGTH) {
+    return {
+      success: false,
+      error: `Room password must be ${MIN_ROOM_PASSWORD_LENGTH} to ${MAX_ROOM_PASSWORD_LENGTH} characters`
+    };
+  }
+  return { success: true };
+}
+
+// Stored as "<salt>:<hash>", both hex
+export function hashRoomPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  return `${salt}:${scryptSync(password, salt, KEY_LENGTH).toString('hex')}`;
+}
+
+export function checkRoomPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const given = scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * Whether a new player may take a seat.
+ * @param {Game} game
+ * @param {object} credentials - { password, invitedTo: room id from a verified invite token }
+ * @returns {{success: boolean, error?: string}}
+ */
+export function checkRoomAccess(game, credentials = {}) {
+  if (game.blockchainRoomId) {
+    return { success: false, error: 'This is a blockchain room: buy in with your wallet to join' };
+  }
+  if (game.locked) {
+    return { success: false, error: 'This table is locked' };
+  }
+  return checkWatchAccess(game, credentials);
+}
+
+// Whether a spectator may watch: the same credentials, but a lock doesn't apply
+export function checkWatchAccess(game, { password, invitedTo } = {}) {
+  if (!game.isPrivate || invitedTo === game.roomId) {
+    return { success: true };
+  }
+
+  if (!game.passwordHash) {
+    return { success: false, error: 'This room is private: you need an invite link' };
+  }
+  if (password === undefined || password === null || password === '') {
+    return { success: false, error: 'This room is private: you need an invite link or the password' };
+  }
+  if (!checkRoomPassword(password, game.passwordHash)) {
+    return { success: false, error: 'Wrong room password' };
+  }
+  return { success: true };
+}
@@ -3,14 +3,72 @@ import { createServer } from "http";
 import { Server } from "socket.io";
 import cors from "cors";
 import { v4 as uuidv4 } from "uuid";
-import { Game, Player } from "./gameLogic.js";
+import { randomBytes } from "crypto";
+import { Game, Player, ODD_CHIP_RULES, TURN_TIMEOUT_MS, RECONNECT_GRACE_MS } from "./gameLogic.js";
+import { getVariant, listVariants } from "./variants.js";
+import { normalizeTableRules, tableRulesHash } from "./tableRules.js";
+import { formatEther } from "ethers";
+import blockchainService from "./blockchain/service.js";
 import settlementService from "./blockchain/settlementService.js";
+import { createStorage } from "./storage/index.js";
+import { formatHandHistory, formatHandHistories, redactHand } from "./handHistory.js";
+import {
+  issueSessionToken,
+  verifySessionToken,
+  issueAuthToken,
+  verifyAuthToken,
+  issueInviteToken,
+  verifyInviteToken,
+  INVITE_TOKEN_TTL_MS,
+  MAX_INVITE_TOKEN_TTL_MS,
+} from "./sessionTokens.js";
+import { NonceStore, verifySiweMessage } from "./siwe.js";
+import {
+  BOT_SEE_MS,
+  BOT_THINK_MS,
+  createBot,
+  decideBotTurn,
+  decideSideshowResponse,
+  getBotStrategy,
+  listBotStrategies,
+  thinkingTime,
+} from "./bots.js";
+import {
+  CHAIN_ROOMS_REFRESH_MS,
+  LOBBY_UPDATE_DELAY_MS,
+  listLobbyRooms,
+  normalizeLobbyQuery,
+  toChainRoom,
+} from "./lobby.js";
+import { checkRoomAccess, checkWatchAccess, hashRoomPassword, validateRoomPassword } from "./roomAccess.js";
+import {
+  CHAT_RATE_LIMIT,
+  REACTION_RATE_LIMIT,
+  ChatRateLimiter,
+  addChatMessage,
+  chatHistoryFor,
+  getReaction,
+  normalizeChatText,
+} from "./chat.js";
+import {
+  applyBlindLevel,
+  finishTournament,
+  forfeitTournament,
+  isTournamentOver,
+  normalizeTournament,
+  recordEliminations,
+  startTournament,
+  tournamentTableRules,
+} from "./tournament.js";
 
 const app = express();
 const httpServer = createServer(app);
+
+const CLIENT_ORIGINS = ["http://localhost:5173", "https://3-patti-nu.vercel.app"];
+
 const io = new Server(httpServer, {
   cors: {
-    origin: ["http://localhost:5173", "https://3-patti-nu.vercel.app/"],
+    origin: CLIENT_ORIGINS,
     methods: ["GET", "POST"],
   },
 });
@@ -18,18 +76,954 @@ const io = new Server(httpServer, {
 app.use(cors());
 app.use(express.json());
 
+// Room snapshots and completed hands survive restarts here
+const storage = createStorage();
+
+// Signs session and auth tokens; without a fixed SESSION_SECRET they stop working after a restart
+const sessionSecret = process.env.SESSION_SECRET || randomBytes(32).toString("hex");
+
+// Sign-in messages must name one of these hosts (comma-separated SIWE_DOMAINS)
+const siweDomains = process.env.SIWE_DOMAINS
+  ? process.env.SIWE_DOMAINS.split(",").map((d) => d.trim()).filter(Boolean)
+  : CLIENT_ORIGINS.map((origin) => new URL(origin).host);
+const siweNonces = new NonceStore();
+
+// REST calls that act for a wallet carry its auth token as a bearer token
+function requireAuth(req, res, next) {
+  const header = req.get("authorization") || "";
+  const auth = verifyAuthToken(header.replace(/^Bearer /, ""), sessionSecret);
+  if (!header.startsWith("Bearer ") || !auth.success) {
+    return res.status(401).json({ success: false, error: "Sign in with your wallet first" });
+  }
+  req.address = auth.address;
+  next();
+}
+
+// Sockets may connect anonymously; a presented auth token must be valid and
+// binds its wallet to the connection as socket.data.address
+io.use((socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  if (!token) return next();
+
+  const auth = verifyAuthToken(token, sessionSecret);
+  if (!auth.success) {
+    const err = new Error(auth.error);
+    err.data = { code: "AUTH_INVALID" };
+    return next(err);
+  }
+  socket.data.address = auth.address;
+  next();
+});
+
 // Store active games
 const games = new Map();
 
 // Store player socket mappings
 const playerSockets = new Map();
 
+// Pending sideshow response timers by room
+const sideshowTimers = new Map();
+
+// Turn clocks by room
+const turnTimers = new Map();
+
+// Pauses before the next hand of a session, by room
+const nextHandTimers = new Map();
+
+// Delayed reveals of the last hand's hole cards to spectators, by room
+const spectatorRevealTimers = new Map();
+
+// Showdowns still revealing cards before the pots are announced, by room
+const showdownTimers = new Map();
+
+// Seats held for players whose connection dropped, by seatKey
+const graceTimers = new Map();
+
+// Pending bot moves, by roomId
+const botTimers = new Map();
+
+// Owner settlement once a co-signing window runs out, by roomId
+const settlementTimers = new Map();
+
+// Give the chain's clock a little slack before falling back past the dispute window
+const SETTLEMENT_FALLBACK_GRACE_MS = 60000;
+
+// How often blockchain sessions in play are kept alive on-chain; well inside the
+// contract's GAME_TIMEOUT (1 hour), after which anyone could cancel the room
+const CHAIN_KEEP_ALIVE_MS = 20 * 60000;
+
+// Spectators join the room's socket room for public updates, and this one as well
+// so that card-carrying events can leave them out
+const spectatorRoom = (roomId) => `${roomId}:spectators`;
+
+// Chat and reaction limits, by seatKey
+const chatLimiter = new ChatRateLimiter(CHAT_RATE_LIMIT);
+const reactionLimiter = new ChatRateLimiter(REACTION_RATE_LIMIT);
+
+// Buy-ins being checked on-chain, by seatKey
+const pendingBuyIns = new Set();
+const seatKey = (roomId, playerId) => `${roomId}:${playerId}`;
+
+// Last contract read of the blockchain rooms, by lowercase room id (null until read)
+let chainRooms = null;
+let lobbyUpdateTimer = null;
+
+// Snapshot a room after anything changes it
+function saveRoom(roomId, game) {
+  if (games.get(roomId) !== game) return;
+  storage.saveRoom(roomId, game.toJSON()).catch((error) => {
+    console.error(`Failed to save room ${roomId}:`, error.message);
+  });
+  notifyLobby();
+}
+
+// Send lobby subscribers their listing once the current burst of changes is over;
+// a subscriber only hears about it if their filtered listing actually changed
+function notifyLobby() {
+  if (lobbyUpdateTimer) return;
+  lobbyUpdateTimer = setTimeout(() => {
+    lobbyUpdateTimer = null;
+    for (const socketId of io.sockets.adapter.rooms.get("lobby") || []) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket) sendLobbyRooms(socket);
+    }
+  }, LOBBY_UPDATE_DELAY_MS);
+}
+
+function sendLobbyRooms(socket, force = false) {
+  const rooms = listLobbyRooms(games.values(), socket.data.lobbyQuery, chainRooms);
+  const listing = JSON.stringify(rooms);
+  if (!force && listing === socket.data.lobbyListing) return;
+  socket.data.lobbyListing = listing;
+  socket.emit("lobbyRooms", { rooms });
+}
+
+// Re-read the blockchain rooms this server holds from the contract
+async function refreshChainRooms() {
+  // Sit & Gos are escrowed by the tournament contract, which keeps no room list
+  const roomIds = [...games.values()]
+    .filter((game) => !game.tournament)
+    .map((game) => game.blockchainRoomId)
+    .filter(Boolean);
+  try {
+    const details = await blockchainService.getActiveRooms(roomIds);
+    chainRooms = new Map([...details].map(([roomId, room]) => [roomId, toChainRoom(room)]));
+    notifyLobby();
+  } catch (error) {
+    console.error("Failed to read active rooms from the contract:", error.message);
+  }
+}
+
+// Keep the blockchain rooms whose sessions are being played from timing out on-chain.
+// One at a time, since every call is sent from the owner wallet.
+async function keepChainRoomsAlive() {
+  const playing = [...games.values()].filter(
+    (game) => game.blockchainRoomId && !game.tournament && game.sessionActive
+  );
+  for (const game of playing) {
+    const result = await settlementService.keepAlive(game.blockchainRoomId);
+    if (!result.success) {
+      console.error(`Failed to keep room ${game.roomId} alive on-chain: ${result.error}`);
+    }
+  }
+}
+
+// Keep a completed hand for later queries
+function recordHand(roomId, game, gameResult, reason) {
+  const hand = {
+    handId: `${roomId}-${game.handNumber}`,
+    roomId,
+    handNumber: game.handNumber,
+    variant: game.variant.id,
+    rules: game.rules,
+    private: game.isPrivate, // Only its players may read it back
+    endedAt: Date.now(),
+    reason: reason || null,
+    players: game.players
+      .filter((p) => p.inHand)
+      .map((p) => ({
+        id: p.id,
+        name: p.name,
+        cards: p.cards.map(({ rank, suit }) => ({ rank, suit })),
+        folded: p.isFolded,
+        totalBet: p.totalBet,
+        chips: p.chips,
+      })),
+    pot: gameResult.pot,
+    pots: gameResult.pots,
+    winners: gameResult.winners,
+    fairness: gameResult.fairness,
+    events: game.handLog,
+  };
+
+  storage.saveHand(hand).catch((error) => {
+    console.error(`Failed to record hand ${hand.handId}:`, error.message);
+  });
+  return hand.handId;
+}
+
+function getPlayerSocketId(playerId) {
+  const entry = Array.from(playerSockets.entries()).find(
+    ([_, info]) => info.playerId === playerId
+  );
+  return entry ? entry[0] : null;
+}
+
+function clearTurnTimer(roomId) {
+  clearTimeout(turnTimers.get(roomId));
+  turnTimers.delete(roomId);
+}
+
+// Act for the current player once their clock (and any time bank) runs out
+function scheduleTurnTimer(roomId, game) {
+  clearTurnTimer(roomId);
+  turnTimers.set(
+    roomId,
+    setTimeout(() => {
+      turnTimers.delete(roomId);
+      const result = game.handleTurnTimeout(Math.max(Date.now(), game.turnDeadline));
+      if (!result.success) return;
+
+      io.to(roomId).emit("actionPerformed", {
+        playerId: result.playerId,
+        action: result.action,
+        amount: 0,
+        auto: true,
+        gameState: game.getGameState(),
+      });
+
+      console.log(`Turn timed out in room ${roomId}: ${result.playerId} auto-${result.action}`);
+      advanceGame(roomId, game);
+    }, game.turnDeadline - Date.now())
+  );
+}
+
+function clearNextHandTimer(roomId) {
+  clearTimeout(nextHandTimers.get(roomId));
+  nextHandTimers.delete(roomId);
+}
+
+// Shuffle, deal and open the first turn of a hand
+function dealHand(roomId, game) {
+  // Tournament boots go up between hands
+  const levelUp = game.tournament && applyBlindLevel(game);
+  if (levelUp) {
+    io.to(roomId).emit("blindLevelUp", {
+      level: levelUp.level + 1,
+      boot: levelUp.boot,
+      gameState: game.getGameState(),
+    });
+  }
+
+  game.startGame();
+
+  // Send game state to all players
+  io.to(roomId).emit("gameStarted", {
+    gameState: game.getGameState(),
+  });
+
+  // Send cards to each player privately
+  game.players.forEach((player) => {
+    const socketId = getPlayerSocketId(player.id);
+
+    if (socketId && player.inHand) {
+      io.to(socketId).emit("yourCards", {
+        cards: game.getPlayerCards(player.id),
+      });
+    }
+  });
+
+  // Notify whose turn it is (or go straight to showdown if the boot put everyone all-in)
+  advanceGame(roomId, game);
+
+  console.log(`Hand ${game.handNumber} started in room ${roomId}`);
+}
+
+// Between hands: deal again after the table's pause, wait for players to sit back in,
+// or end the session once too few players can cover the boot
+function scheduleNextHand(roomId, game) {
+  clearNextHandTimer(roomId);
+  if (games.get(roomId) !== game || !game.sessionActive || game.gameStarted || showdownTimers.has(roomId)) {
+    return;
+  }
+
+  if (game.tournament) {
+    const eliminated = recordEliminations(game);
+    if (eliminated.length > 0) {
+      saveRoom(roomId, game);
+      io.to(roomId).emit("playersEliminated", { eliminated, gameState: game.getGameState() });
+    }
+    if (isTournamentOver(game)) {
+      endSession(roomId, game, "Tournament over");
+      return;
+    }
+  }
+
+  if (!game.canContinueSession()) {
+    endSession(roomId, game, "Not enough players left with chips");
+    return;
+  }
+
+  if (!game.canStartGame()) {
+    io.to(roomId).emit("waitingForPlayers", { gameState: game.getGameState() });
+    return;
+  }
+
+  const delay = game.rules.handPauseMs;
+  nextHandTimers.set(
+    roomId,
+    setTimeout(() => {
+      nextHandTimers.delete(roomId);
+      if (game.canStartGame()) {
+        dealHand(roomId, game);
+      } else {
+        scheduleNextHand(roomId, game);
+      }
+    }, delay)
+  );
+
+  io.to(roomId).emit("nextHandScheduled", {
+    startsAt: Date.now() + delay,
+    handNumber: game.handNumber + 1,
+  });
+}
+
+// Stop dealing and pay out the final stacks, or the tournament places (blockchain rooms only)
+function endSession(roomId, game, reason) {
+  clearNextHandTimer(roomId);
+  const standings = game.tournament ? finishTournament(game) : null;
+  const { handsPlayed, playerChips } = game.endSession();
+  saveRoom(roomId, game);
+
+  if (standings) {
+    io.to(roomId).emit("tournamentFinished", { standings, gameState: game.getGameState() });
+  }
+
+  io.to(roomId).emit("sessionEnded", {
+    reason,
+    handsPlayed,
+    playerChips,
+    gameState: game.getGameState(),
+  });
+
+  console.log(`Session ended in room ${roomId} after ${handsPlayed} hands: ${reason}`);
+
+  if (game.blockchainRoomId) {
+    settleRoom(roomId, game).then((result) => {
+      if (!result.success) {
+        io.to(roomId).emit("settlementFailed", { error: result.error });
+      }
+    });
+  }
+}
+
+// Settle a blockchain room from the final stacks of everyone who played the session,
+// or a tournament from its finishing places (paid by the tournament contract)
+async function settleRoom(roomId, game, blockchainRoomId = game.blockchainRoomId) {
+  if (!settlementService.isInitialized()) {
+    return { success: false, error: "Settlement service not initialized. Check server logs." };
+  }
+
+  if (game.tournament) {
+    const result = await settlementService.settleTournament(blockchainRoomId, game.tournament.standings);
+    announceSettlement(roomId, blockchainRoomId, result);
+    return result;
+  }
+
+  // Rooms created with signed settlement only pay out once the players co-sign
+  const signed = await settlementService.requiresSignatures(blockchainRoomId);
+  if (!signed.success) return signed;
+  if (signed.required) {
+    return proposeSettlement(roomId, game, blockchainRoomId);
+  }
+
+  const result = await settlementService.settleCashGame(blockchainRoomId, game.getFinalChips());
+  announceSettlement(roomId, blockchainRoomId, result);
+  return result;
+}
+
+// Put the final chips to the players for co-signing. If too few sign before the
+// dispute window closes, the owner settles the same chips on its own.
+async function proposeSettlement(roomId, game, blockchainRoomId) {
+  const result = await settlementService.proposeSettlement(blockchainRoomId, game.getFinalChips());
+  if (!result.success) {
+    console.error(`Settlement proposal failed: ${result.error}`);
+    return result;
+  }
+
+  io.to(roomId).emit("settlementProposed", result.proposal);
+
+  clearSettlementTimer(roomId);
+  settlementTimers.set(
+    roomId,
+    setTimeout(() => {
+      console.log(`Settlement of ${blockchainRoomId} was not co-signed in time; settling as the owner`);
+      settleAsOwner(roomId, blockchainRoomId);
+    }, result.proposal.disputeDeadline - Date.now() + SETTLEMENT_FALLBACK_GRACE_MS)
+  );
+
+  console.log(`Settlement of ${blockchainRoomId} proposed for co-signing: ${result.txHash}`);
+  return { success: true, pending: true, txHash: result.txHash, proposal: result.proposal };
+}
+
+// Co-signing is over: pay out the proposed chips on the owner's word
+async function settleAsOwner(roomId, blockchainRoomId) {
+  clearSettlementTimer(roomId);
+  const settled = await settlementService.settleProposalAsOwner(blockchainRoomId);
+  announceSettlement(roomId, blockchainRoomId, settled);
+  if (!settled.success) {
+    io.to(roomId).emit("settlementFailed", { error: settled.error });
+  }
+}
+
+function clearSettlementTimer(roomId) {
+  clearTimeout(settlementTimers.get(roomId));
+  settlementTimers.delete(roomId);
+}
+
+// A settlement still waiting for co-signatures, for a player coming back to the table
+function sendSettlementProposal(socket, game) {
+  const proposal = game.blockchainRoomId && settlementService.getSettlementProposal(game.blockchainRoomId);
+  if (proposal) {
+    socket.emit("settlementProposed", proposal);
+  }
+}
+
+// Tell the table how a settlement went
+function announceSettlement(roomId, blockchainRoomId, result) {
+  if (result.success) {
+    console.log(`Game ${blockchainRoomId} settled successfully: ${result.txHash}`);
+
+    // Notify all players in the room about settlement
+    io.to(roomId).emit("gameSettled", {
+      txHash: result.txHash,
+      payouts: result.payouts,
+      blockchainRoomId,
+    });
+  } else {
+    console.error(`Settlement failed: ${result.error}`);
+  }
+}
+
+// Everyone who took chips from the pot(s), with their share
+function describeWinners(game, gameResult) {
+  return gameResult.winners.map(({ id, amount }) => {
+    const player = game.getPlayer(id);
+    return { id, name: player ? player.name : id, amount };
+  });
+}
+
+// Award every pot to the last player standing
+function finishHand(roomId, game, winner, reason) {
+  clearTurnTimer(roomId);
+  const gameResult = game.endGame(winner);
+  const handId = recordHand(roomId, game, gameResult, reason);
+  saveRoom(roomId, game);
+  scheduleSpectatorReveal(roomId, game, gameResult.fairness);
+
+  emitWithCards(roomId, "gameEnded", {
+    handId, // Replay and history: GET /api/hands/:handId
+    winner: {
+      id: winner.id,
+      name: winner.name,
+    },
+    winners: describeWinners(game, gameResult),
+    pot: gameResult.pot,
+    pots: gameResult.pots,
+    playerChips: gameResult.playerChips, // Include all player chip counts
+    fairness: gameResult.fairness, // Revealed seeds so the deal can be verified
+    ...(reason && { reason }),
+    gameState: game.getGameState(),
+  });
+
+  console.log(`Game ended in room ${roomId}. Winner: ${winner.name}`);
+  scheduleNextHand(roomId, game);
+}
+
+// Reveal the remaining hands and settle the main pot and every side pot
+function runShowdown(roomId, game, reason) {
+  clearTurnTimer(roomId);
+  const gameResult = game.endGame();
+  const handId = recordHand(roomId, game, gameResult, reason);
+  saveRoom(roomId, game);
+  scheduleSpectatorReveal(roomId, game, gameResult.fairness);
+  const winner = game.getPlayer(gameResult.winner);
+  const winners = describeWinners(game, gameResult);
+
+  // Reveal all cards FIRST
+  const allCards = {};
+  game.players.forEach((p) => {
+    allCards[p.id] = game.getPlayerCards(p.id);
+  });
+  const shownCards = game.getShownCards();
+
+  // 1. Notify everyone that showdown is happening and reveal cards
+  emitWithCards(roomId, "showdownStarted", {
+    gameState: game.getGameState(),
+  }, allCards, shownCards);
+
+  console.log(`Showdown in room ${roomId}. Winners: ${winners.map((w) => `${w.name} (${w.amount})`).join(", ") || "none"}`);
+
+  // 2. Wait for 4 seconds to let players see the cards
+  showdownTimers.set(roomId, setTimeout(() => {
+    showdownTimers.delete(roomId);
+    emitWithCards(roomId, "gameEnded", {
+      handId, // Replay and history: GET /api/hands/:handId
+      winner: winner ? { id: winner.id, name: winner.name } : null, // Main pot winner, kept for older clients
+      winners, // Every winner with their share; more than one when hands tie
+      pot: gameResult.pot,
+      pots: gameResult.pots,
+      playerChips: gameResult.playerChips, // Include all player chip counts
+      fairness: gameResult.fairness, // Revealed seeds so the deal can be verified
+      reason,
+      gameState: game.getGameState(),
+    }, allCards, shownCards); // Cards sent again just in case
+    scheduleNextHand(roomId, game);
+  }, 4000));
+}
+
+// Players see every hand at a showdown; spectators only the ones still in it.
+// The deal's seeds would let spectators rebuild every hand, so they wait for
+// the spectator reveal.
+function emitWithCards(roomId, event, payload, allCards, shownCards) {
+  const { fairness, ...spectatorPayload } = payload;
+  io.to(roomId).except(spectatorRoom(roomId)).emit(event, { ...payload, allCards });
+  io.to(spectatorRoom(roomId)).emit(event, { ...spectatorPayload, allCards: shownCards });
+}
+
+// Once the table's reveal delay is over, spectators see every hole card of the
+// hand just played and its seeds; with no delay set they never do
+function scheduleSpectatorReveal(roomId, game, fairness) {
+  clearSpectatorRevealTimer(roomId);
+  const delay = game.rules.spectatorRevealMs;
+  if (delay === null) return;
+
+  const handNumber = game.handNumber;
+  const cards = game.getDealtCards();
+  spectatorRevealTimers.set(roomId, setTimeout(() => {
+    spectatorRevealTimers.delete(roomId);
+    if (games.get(roomId) !== game) return;
+    io.to(spectatorRoom(roomId)).emit("spectatorReveal", { handNumber, cards, fairness });
+  }, delay));
+}
+
+function clearSpectatorRevealTimer(roomId) {
+  clearTimeout(spectatorRevealTimers.get(roomId));
+  spectatorRevealTimers.delete(roomId);
+}
+
+// Chat goes to everyone in the room except players who muted the sender
+function emitChat(roomId, game, senderId, event, payload) {
+  for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
+    const info = playerSockets.get(socketId);
+    const listener = info && game.getPlayer(info.playerId);
+    if (listener && listener.mutedIds.includes(senderId)) continue;
+    io.to(socketId).emit(event, payload);
+  }
+}
+
+// Recent messages for a player who (re)joins, or for a spectator
+function sendChatHistory(socket, game, player = null) {
+  socket.emit("chatHistory", {
+    messages: chatHistoryFor(game, player),
+    mutedIds: player ? player.mutedIds : [],
+  });
+}
+
+// Recount a room's spectators and tell everyone watching or playing
+function updateSpectatorCount(roomId, game) {
+  const spectators = io.sockets.adapter.rooms.get(spectatorRoom(roomId))?.size || 0;
+  if (spectators === game.spectatorCount) return;
+
+  game.spectatorCount = spectators;
+  io.to(roomId).emit("spectatorsChanged", { spectators });
+  notifyLobby();
+}
+
+function stopWatching(socket) {
+  const roomId = socket.data.watching;
+  if (!roomId) return;
+
+  socket.data.watching = null;
+  socket.leave(roomId);
+  socket.leave(spectatorRoom(roomId));
+  const game = games.get(roomId);
+  if (game) updateSpectatorCount(roomId, game);
+}
+
+// End the hand if only one player is left, otherwise announce the next turn
+function advanceGame(roomId, game) {
+  clearTurnTimer(roomId);
+
+  const winner = game.checkWinner();
+  if (winner) {
+    finishHand(roomId, game, winner);
+    return;
+  }
+
+  // Everyone left is all-in: no more betting is possible
+  if (game.isShowdownDue()) {
+    runShowdown(roomId, game, "All-in");
+    return;
+  }
+
+  // Notify whose turn it is and start their clock
+  const currentPlayer = game.getCurrentPlayer();
+  const deadline = game.startTurnClock();
+  scheduleTurnTimer(roomId, game);
+
+  io.to(roomId).emit("turnChanged", {
+    currentPlayerId: currentPlayer.id,
+    currentPlayerName: currentPlayer.name,
+    deadline,
+    turnTimeMs: TURN_TIMEOUT_MS,
+    timeBank: currentPlayer.timeBank,
+  });
+  scheduleBotTurn(roomId, game);
+  saveRoom(roomId, game);
+}
+
+// Delete the game once nobody is seated, settling any session still running
+function closeRoomIfEmpty(roomId, game) {
+  // Bots don't keep a table open on their own
+  if (game.players.some((p) => !p.isBot)) return;
+
+  clearTurnTimer(roomId);
+  clearBotTimer(roomId);
+  clearNextHandTimer(roomId);
+  clearSpectatorRevealTimer(roomId);
+  if (game.sessionActive) {
+    endSession(roomId, game, "Everyone left");
+  }
+  games.delete(roomId);
+  notifyLobby();
+
+  // Nothing left to watch
+  io.to(spectatorRoom(roomId)).emit("roomClosed", { roomId });
+  for (const socketId of [...(io.sockets.adapter.rooms.get(spectatorRoom(roomId)) || [])]) {
+    stopWatching(io.sockets.sockets.get(socketId));
+  }
+
+  storage.deleteRoom(roomId).catch((error) => {
+    console.error(`Failed to delete room ${roomId}:`, error.message);
+  });
+  console.log(`Room ${roomId} deleted (no players)`);
+}
+
+// Unanswered sideshow requests are declined automatically
+function scheduleSideshowTimer(roomId, game) {
+  clearTimeout(sideshowTimers.get(roomId));
+  sideshowTimers.set(
+    roomId,
+    setTimeout(() => {
+      sideshowTimers.delete(roomId);
+      const expired = game.expireSideshow();
+      if (expired.success) {
+        resolveSideshow(roomId, game, expired);
+      }
+    }, Math.max(0, game.pendingSideshow.expiresAt - Date.now()))
+  );
+}
+
+function resolveSideshow(roomId, game, result) {
+  // Only the two players involved get to see the compared cards
+  if (result.accepted) {
+    const cards = {
+      [result.requesterId]: game.getPlayerCards(result.requesterId),
+      [result.targetId]: game.getPlayerCards(result.targetId),
+    };
+
+    [result.requesterId, result.targetId].forEach((playerId) => {
+      const socketId = getPlayerSocketId(playerId);
+      if (socketId) {
+        io.to(socketId).emit("sideshowReveal", {
+          requesterId: result.requesterId,
+          targetId: result.targetId,
+          winnerId: result.winnerId,
+          loserId: result.loserId,
+          cards,
+        });
+      }
+    });
+  }
+
+  io.to(roomId).emit("sideshowResult", {
+    requesterId: result.requesterId,
+    targetId: result.targetId,
+    accepted: result.accepted,
+    expired: !!result.expired,
+    winnerId: result.winnerId || null,
+    loserId: result.loserId || null,
+    gameState: game.getGameState(),
+  });
+
+  advanceGame(roomId, game);
+}
+
+// Everything a player (or a bot) does at the table goes through these, so
+// both are held to the same rules and the room sees the same events
+
+function seePlayerCards(roomId, game, playerId) {
+  game.seeCards(playerId);
+  saveRoom(roomId, game);
+
+  io.to(roomId).emit("playerSawCards", {
+    playerId,
+    gameState: game.getGameState(),
+  });
+}
+
+function performAction(roomId, game, playerId, action, amount) {
+  const result = game.playerAction(playerId, action, amount);
+  if (!result.success) return result;
+
+  // Broadcast the action to all players
+  io.to(roomId).emit("actionPerformed", {
+    playerId,
+    action,
+    amount,
+    gameState: game.getGameState(),
+  });
+
+  advanceGame(roomId, game);
+  return result;
+}
+
+function callShow(roomId, game, playerId) {
+  const result = game.show(playerId);
+  if (!result.success) return result;
+
+  io.to(roomId).emit("actionPerformed", {
+    playerId,
+    action: "show",
+    amount: result.cost,
+    gameState: game.getGameState(),
+  });
+
+  runShowdown(roomId, game, "Show");
+  return result;
+}
+
+function answerSideshow(roomId, game, playerId, accepted) {
+  const result = game.respondToSideshow(playerId, accepted);
+  if (!result.success) return result;
+
+  clearTimeout(sideshowTimers.get(roomId));
+  sideshowTimers.delete(roomId);
+
+  resolveSideshow(roomId, game, result);
+  return result;
+}
+
+function clearBotTimer(roomId) {
+  clearTimeout(botTimers.get(roomId));
+  botTimers.delete(roomId);
+}
+
+// Give a bot on turn a moment to "think", then play its move
+function scheduleBotTurn(roomId, game, delay = thinkingTime(BOT_THINK_MS)) {
+  clearBotTimer(roomId);
+  const bot = game.getCurrentPlayer();
+  if (!game.gameStarted || !bot || !bot.isBot) return;
+
+  const handNumber = game.handNumber;
+  botTimers.set(roomId, setTimeout(() => {
+    botTimers.delete(roomId);
+    // The hand may have moved on without the bot (a leaver, a timeout)
+    if (games.get(roomId) !== game || game.handNumber !== handNumber || !game.gameStarted ||
+      game.pendingSideshow || game.getCurrentPlayer() !== bot) {
+      return;
+    }
+
+    const move = decideBotTurn(game, bot.id);
+    if (move.action === "see") {
+      seePlayerCards(roomId, game, bot.id);
+      scheduleBotTurn(roomId, game, thinkingTime(BOT_SEE_MS));
+      return;
+    }
+
+    const result = move.action === "show"
+      ? callShow(roomId, game, bot.id)
+      : performAction(roomId, game, bot.id, move.action, move.amount);
+    if (!result.success) {
+      console.error(`Bot ${bot.name} tried ${move.action} in room ${roomId}: ${result.error}`);
+      performAction(roomId, game, bot.id, "pack");
+    }
+  }, delay));
+}
+
+// A bot asked for a sideshow answers it like a person would, after a pause
+function scheduleBotSideshowResponse(roomId, game) {
+  const pending = game.pendingSideshow;
+  const bot = pending && game.getPlayer(pending.targetId);
+  if (!bot || !bot.isBot) return;
+
+  clearBotTimer(roomId);
+  botTimers.set(roomId, setTimeout(() => {
+    botTimers.delete(roomId);
+    if (games.get(roomId) !== game || game.pendingSideshow !== pending) return;
+    answerSideshow(roomId, game, bot.id, decideSideshowResponse(game, bot.id));
+  }, thinkingTime(BOT_THINK_MS)));
+}
+
 app.get("/health", (req, res) => {
   res.json({ status: "ok", activeGames: games.size });
 });
 
+// Game variants a room can be created with
+app.get("/api/variants", (req, res) => {
+  res.json({ success: true, variants: listVariants() });
+});
+
+// Playing styles a host can pick when adding a bot
+app.get("/api/bots", (req, res) => {
+  res.json({ success: true, strategies: listBotStrategies() });
+});
+
+// Open rooms for the lobby, with the same filters as subscribeLobby
+app.get("/api/lobby", (req, res) => {
+  const lobbyQuery = normalizeLobbyQuery(req.query);
+  if (!lobbyQuery.success) {
+    return res.status(400).json({ success: false, error: lobbyQuery.error });
+  }
+  res.json({ success: true, rooms: listLobbyRooms(games.values(), lobbyQuery.query, chainRooms) });
+});
+
+// Room summary shown before joining, including its table rules
+function describeRoom(game) {
+  return {
+    roomId: game.roomId,
+    blockchainRoomId: game.blockchainRoomId || null,
+    variant: game.variant.id,
+    rules: game.rules,
+    players: game.players.length,
+    maxPlayers: game.maxPlayers,
+    gameStarted: game.gameStarted,
+    buyIn: game.buyIn ?? null,
+    isPrivate: game.isPrivate,
+    hasPassword: !!game.passwordHash,
+    locked: game.locked,
+    spectators: game.spectatorCount,
+    tournament: game.tournament,
+  };
+}
+
+app.get("/api/rooms/:roomId", (req, res) => {
+  const game = games.get(req.params.roomId);
+  if (!game) {
+    return res.status(404).json({ success: false, error: "Room not found" });
+  }
+
+  res.json({ success: true, room: describeRoom(game) });
+});
+
+// The room an invite link leads to, so the join dialog can show it first
+app.get("/api/invites/:inviteToken", (req, res) => {
+  const invite = verifyInviteToken(req.params.inviteToken, sessionSecret);
+  if (!invite.success) {
+    return res.status(400).json({ success: false, error: invite.error });
+  }
+
+  const game = games.get(invite.roomId);
+  if (!game) {
+    return res.status(404).json({ success: false, error: "Room not found" });
+  }
+
+  res.json({ success: true, room: describeRoom(game), expiresAt: invite.expiresAt });
+});
+
+// Send hands as JSON, or as a plain-text history with ?format=text
+function sendHands(req, res, hands, filename) {
+  const format = req.query.format || "json";
+  if (format === "text") {
+    res.type("text/plain");
+    res.attachment(`${filename}.txt`);
+    return res.send(
+      Array.isArray(hands) ? formatHandHistories(hands) : `${formatHandHistory(hands)}\n`
+    );
+  }
+  if (format !== "json") {
+    return res.status(400).json({ success: false, error: "Format must be json or text" });
+  }
+  res.json(Array.isArray(hands) ? { success: true, hands } : { success: true, hand: hands });
+}
+
+// Players who sat at the table (their session token for the room, as a bearer
+// token) read its hands in full. Anyone else gets them redacted, or nothing for
+// a private room. The token resumes a seat, so it is never taken from the URL,
+// where it would end up in access logs and browser history.
+function handAccess(req, roomId, isPrivate) {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : null;
+  const session = verifySessionToken(token, sessionSecret);
+  if (session.success && session.roomId === roomId) {
+    return { success: true, redact: false };
+  }
+  if (isPrivate) {
+    return { success: false, error: "Hands of a private room are only shown to its players" };
+  }
+  return { success: true, redact: true };
+}
+
+// Completed hands of a room, oldest first
+app.get("/api/rooms/:roomId/hands", async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const hands = await storage.listHands(roomId);
+    const game = games.get(roomId);
+    if (hands.length === 0 && !game) {
+      return res.status(404).json({ success: false, error: "Room not found" });
+    }
+    const access = handAccess(req, roomId, game ? game.isPrivate : hands.some((hand) => hand.private));
+    if (!access.success) {
+      return res.status(403).json({ success: false, error: access.error });
+    }
+    sendHands(req, res, access.redact ? hands.map(redactHand) : hands, `${roomId}-hands`);
+  } catch (error) {
+    console.error("Failed to list hands:", error);
+    res.status(500).json({ success: false, error: "Failed to load hands" });
+  }
+});
+
+// One completed hand with its event log
+app.get("/api/hands/:handId", async (req, res) => {
+  try {
+    const hand = await storage.getHand(req.params.handId);
+    if (!hand) {
+      return res.status(404).json({ success: false, error: "Hand not found" });
+    }
+    const access = handAccess(req, hand.roomId, hand.private);
+    if (!access.success) {
+      return res.status(403).json({ success: false, error: access.error });
+    }
+    sendHands(req, res, access.redact ? redactHand(hand) : hand, hand.handId);
+  } catch (error) {
+    console.error("Failed to load hand:", error);
+    res.status(500).json({ success: false, error: "Failed to load hand" });
+  }
+});
+
+// Sign-In With Ethereum: a one-time nonce for the message to sign
+app.get("/api/auth/nonce", (req, res) => {
+  res.json({ success: true, nonce: siweNonces.issue() });
+});
+
+// Sign-In With Ethereum: trade a signed message for an auth token
+app.post("/api/auth/verify", (req, res) => {
+  const { message, signature } = req.body || {};
+  const result = verifySiweMessage(message, signature, { nonces: siweNonces, domains: siweDomains });
+  if (!result.success) {
+    return res.status(401).json(result);
+  }
+
+  const authToken = issueAuthToken(result.address, sessionSecret);
+  const { expiresAt } = verifyAuthToken(authToken, sessionSecret);
+  console.log(`Wallet ${result.address} signed in`);
+  res.json({ success: true, address: result.address, authToken, expiresAt });
+});
+
 // Settlement API endpoint
-app.post("/api/settle-game", async (req, res) => {
+app.post("/api/settle-game", requireAuth, async (req, res) => {
   try {
     const { roomId, playerChips, blockchainRoomId } = req.body;
 
@@ -57,11 +1051,35 @@ app.post("/api/settle-game", async (req, res) => {
       });
     }
 
-    // Get REAL chip counts from backend game state
-    const realChipCounts = game.players.map(p => ({
-      id: p.id,
-      chips: p.chips
-    }));
+    // Only someone who played at the table may ask for it to settle
+    // (blockchain rooms use wallet addresses as player ids; a tournament also counts players who left)
+    const seated = (game.tournament?.standings || game.getFinalChips()).some(
+      (p) => p.id.toLowerCase() === req.address.toLowerCase()
+    );
+    if (!seated) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only players at this table can settle it'
+      });
+    }
+
+    if (game.blockchainRoomId && String(blockchainRoomId) !== String(game.blockchainRoomId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'blockchainRoomId does not match this room'
+      });
+    }
+
+    // Stacks only settle once the session is over
+    if (game.sessionActive) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session still in progress - chips settle when it ends'
+      });
+    }
+
+    // Get REAL chip counts from backend game state, including players who cashed out
+    const realChipCounts = game.getFinalChips();
 
     console.log('Verifying settlement for game:', roomId);
     console.log('Submitted chip counts:', playerChips);
@@ -106,23 +1124,9 @@ app.post("/api/settle-game", async (req, res) => {
 
     // ✅ Use VERIFIED chip counts from backend game state
     console.log(`✅ Chip counts verified - settling game ${blockchainRoomId}`);
-    const result = await settlementService.settleCashGame(blockchainRoomId, realChipCounts);
-
-    if (result.success) {
-      console.log(`✅ Game ${blockchainRoomId} settled successfully: ${result.txHash}`);
-
-      // Notify all players in the room about settlement
-      io.to(roomId).emit('gameSettled', {
-        txHash: result.txHash,
-        payouts: result.payouts,
-        blockchainRoomId
-      });
+    const result = await settleRoom(roomId, game, blockchainRoomId);
 
-      return res.json(result);
-    } else {
-      console.error(`❌ Settlement failed: ${result.error}`);
-      return res.status(400).json(result);
-    }
+    return result.success ? res.json(result) : res.status(400).json(result);
 
   } catch (error) {
     console.error('API error in /api/settle-game:', error);
@@ -137,22 +1141,60 @@ io.on("connection", (socket) => {
   console.log("Client connected:", socket.id);
 
   // Create a new game room
-  socket.on("createRoom", ({ playerName }) => {
+  socket.on("createRoom", ({ playerName, oddChipRule, variant, rules, isPrivate, password, tournament }) => {
+    if (oddChipRule && !ODD_CHIP_RULES.includes(oddChipRule)) {
+      socket.emit("error", { message: `Odd chip rule must be one of: ${ODD_CHIP_RULES.join(", ")}` });
+      return;
+    }
+    if (variant && !getVariant(variant)) {
+      socket.emit("error", { message: `Unknown game variant: ${variant}` });
+      return;
+    }
+    const sitAndGo = tournament ? normalizeTournament(tournament) : null;
+    if (sitAndGo && !sitAndGo.success) {
+      socket.emit("error", { message: sitAndGo.error });
+      return;
+    }
+    const tableRules = normalizeTableRules(sitAndGo ? tournamentTableRules(sitAndGo.tournament, rules) : rules);
+    if (!tableRules.success) {
+      socket.emit("error", { message: tableRules.error });
+      return;
+    }
+    // A password makes the room private
+    if (password !== undefined && password !== null && password !== "") {
+      const passwordCheck = validateRoomPassword(password);
+      if (!passwordCheck.success) {
+        socket.emit("error", { message: passwordCheck.error });
+        return;
+      }
+    }
+
     const roomId = uuidv4().substring(0, 6).toUpperCase();
     const playerId = uuidv4();
 
-    const game = new Game(roomId);
+    const game = new Game(roomId, undefined, undefined, {
+      oddChipRule,
+      variant,
+      rules: tableRules.rules,
+    });
+    game.tournament = sitAndGo ? sitAndGo.tournament : null;
+    if (password) {
+      game.passwordHash = hashRoomPassword(password);
+    }
+    game.isPrivate = !!isPrivate || !!game.passwordHash;
     const player = new Player(playerId, playerName, socket.id);
 
     game.addPlayer(player);
     games.set(roomId, game);
     playerSockets.set(socket.id, { playerId, roomId });
+    saveRoom(roomId, game);
 
     socket.join(roomId);
 
     socket.emit("roomCreated", {
       roomId,
       playerId,
+      sessionToken: issueSessionToken({ roomId, playerId }, sessionSecret),
       gameState: game.getGameState(),
     });
 
@@ -162,69 +1204,156 @@ io.on("connection", (socket) => {
   // Create room with blockchain integration
   socket.on(
     "createRoomWithBlockchain",
-    ({
+    async ({
       blockchainRoomId,
-      buyIn,
-      maxPlayers,
       creator,
       txHash,
-      tokenBalance,
-      buyInTokens,
+      oddChipRule,
+      variant,
+      rules,
+      tournament,
     }) => {
       console.log("Creating blockchain room:", blockchainRoomId);
 
+      // The seat belongs to the wallet that signed in, not whoever the payload names
+      const wallet = authenticatedWallet(socket, creator);
+      if (!wallet.success) {
+        socket.emit("error", { message: wallet.error });
+        return;
+      }
+
+      if (oddChipRule && !ODD_CHIP_RULES.includes(oddChipRule)) {
+        socket.emit("error", { message: `Odd chip rule must be one of: ${ODD_CHIP_RULES.join(", ")}` });
+        return;
+      }
+      if (variant && !getVariant(variant)) {
+        socket.emit("error", { message: `Unknown game variant: ${variant}` });
+        return;
+      }
+      // The entry fee of an on-chain tournament is its buy-in
+      const sitAndGo = tournament ? normalizeTournament({ ...tournament, entryFee: undefined }) : null;
+      if (sitAndGo && !sitAndGo.success) {
+        socket.emit("error", { message: sitAndGo.error });
+        return;
+      }
+      const tableRules = normalizeTableRules(sitAndGo ? tournamentTableRules(sitAndGo.tournament, rules) : rules);
+      if (!tableRules.success) {
+        socket.emit("error", { message: tableRules.error });
+        return;
+      }
+
       // Use blockchain room ID as the game room ID
       const roomId = blockchainRoomId;
-      const playerId = creator; // Use wallet address as player ID
-      const playerName = creator.slice(0, 6); // Short address as name
+      if (games.has(roomId) || pendingBuyIns.has(seatKey(roomId, wallet.address))) {
+        socket.emit("error", { message: "Room already exists" });
+        return;
+      }
+
+      // Buy-in, table size and chips all come from the chain, not the payload. A Sit & Go's
+      // entry fee is escrowed by the tournament contract, along with its payout schedule.
+      const buyIn = sitAndGo
+        ? await verifyOnChainEntry(roomId, wallet.address, txHash, sitAndGo.tournament.startingChips)
+        : await verifyOnChainBuyIn(roomId, wallet.address, txHash, "RoomCreated");
+      if (!buyIn.success) {
+        socket.emit("error", { message: buyIn.error });
+        return;
+      }
+
+      // The variant and rules of a cash room were fixed on-chain when it was created
+      let metadata = { variant: null, rulesHash: null };
+      try {
+        if (!sitAndGo) metadata = await blockchainService.getRoomMetadata(roomId);
+      } catch (error) {
+        console.error("Failed to read room metadata:", error.message);
+        socket.emit("error", { message: "Could not read the room's variant and rules on-chain" });
+        return;
+      }
+      if (metadata.variant !== null && !getVariant(metadata.variant)) {
+        socket.emit("error", { message: `Unknown on-chain game variant: ${metadata.variant}` });
+        return;
+      }
+      if (metadata.variant !== null && variant && variant !== metadata.variant) {
+        socket.emit("error", { message: "Game variant does not match the room created on-chain" });
+        return;
+      }
+      if (metadata.rulesHash !== null && metadata.rulesHash !== tableRulesHash(tableRules.rules)) {
+        socket.emit("error", { message: "Table rules do not match the room created on-chain" });
+        return;
+      }
+
+      // Checked after the last await: a retried create may have opened the room meanwhile
+      if (games.has(roomId)) {
+        socket.emit("error", { message: "Room already exists" });
+        return;
+      }
+
+      const playerId = wallet.address; // Use wallet address as player ID
+      const playerName = wallet.address.slice(0, 6); // Short address as name
+      const { buyIn: buyInWei, maxPlayers } = sitAndGo ? buyIn : buyIn.event.args;
 
-      const game = new Game(roomId);
+      const game = new Game(roomId, undefined, Number(maxPlayers), {
+        oddChipRule,
+        variant: metadata.variant ?? variant,
+        rules: tableRules.rules,
+      });
       game.blockchainRoomId = blockchainRoomId;
-      game.buyIn = buyIn;
-      game.maxPlayers = maxPlayers;
+      game.buyIn = formatEther(buyInWei);
+      game.buyInTokens = Number(game.buyIn);
       game.txHash = txHash;
-      // Persist numeric buy-in tokens to drive off-chain chip amounts
-      const parsedBuyInTokens =
-        typeof buyInTokens === "number" && isFinite(buyInTokens)
-          ? buyInTokens
-          : typeof buyIn === "string"
-            ? parseFloat(buyIn)
-            : 0;
-      game.buyInTokens = parsedBuyInTokens > 0 ? parsedBuyInTokens : 0;
-
-      // Start chips equal to room buy-in (tokens). Fallbacks avoid using wallet balance.
-      const playerChips =
-        game.buyInTokens > 0 ? Math.floor(game.buyInTokens) : 1000;
-      const player = new Player(playerId, playerName, socket.id, playerChips);
-      player.walletAddress = creator;
+      if (sitAndGo) {
+        game.tournament = { ...sitAndGo.tournament, entryFee: game.buyInTokens, payouts: buyIn.payouts };
+      }
+
+      const player = new Player(playerId, playerName, socket.id, buyIn.chips);
+      player.walletAddress = wallet.address;
 
       game.addPlayer(player);
       games.set(roomId, game);
       playerSockets.set(socket.id, { playerId, roomId });
+      saveRoom(roomId, game);
 
       socket.join(roomId);
 
       socket.emit("roomCreated", {
         roomId,
         playerId,
+        sessionToken: issueSessionToken({ roomId, playerId }, sessionSecret),
         gameState: game.getGameState(),
       });
 
       console.log(
-        `Blockchain room ${roomId} created by ${creator} (tx: ${txHash})`
+        `Blockchain room ${roomId} created by ${wallet.address} (tx: ${txHash})`
       );
     }
   );
 
   // Join an existing game room
-  socket.on("joinRoom", ({ roomId, playerName }) => {
-    const game = games.get(roomId);
-
-    if (!game) {
+  socket.on("joinRoom", ({ roomId, playerName, password, inviteToken } = {}) => {
+    // An invite link names its room
+    let invitedTo = null;
+    if (inviteToken) {
+      const invite = verifyInviteToken(inviteToken, sessionSecret);
+      if (!invite.success) {
+        socket.emit("error", { message: invite.error });
+        return;
+      }
+      invitedTo = invite.roomId;
+      roomId = roomId || invite.roomId;
+    }
+
+    const game = games.get(roomId);
+
+    if (!game) {
       socket.emit("error", { message: "Room not found" });
       return;
     }
 
+    const access = checkRoomAccess(game, { password, invitedTo });
+    if (!access.success) {
+      socket.emit("error", { message: access.error });
+      return;
+    }
+
     if (game.players.length >= game.maxPlayers) {
       socket.emit("error", { message: "Room is full" });
       return;
@@ -235,19 +1364,30 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (game.tournament && game.tournament.startedAt !== null) {
+      socket.emit("error", { message: "This tournament has already started" });
+      return;
+    }
+
+    // A spectator can take a free seat
+    stopWatching(socket);
+
     const playerId = uuidv4();
     const player = new Player(playerId, playerName, socket.id);
 
     game.addPlayer(player);
     playerSockets.set(socket.id, { playerId, roomId });
+    saveRoom(roomId, game);
 
     socket.join(roomId);
 
     socket.emit("roomJoined", {
       roomId,
       playerId,
+      sessionToken: issueSessionToken({ roomId, playerId }, sessionSecret),
       gameState: game.getGameState(),
     });
+    sendChatHistory(socket, game, player);
 
     // Notify all players in the room
     io.to(roomId).emit("playerJoined", {
@@ -265,71 +1405,93 @@ io.on("connection", (socket) => {
   // Join room with blockchain integration
   socket.on(
     "joinRoomWithBlockchain",
-    ({ blockchainRoomId, player, txHash, tokenBalance, buyInTokens }) => {
+    async ({ blockchainRoomId, player, txHash }) => {
       console.log("Joining blockchain room:", blockchainRoomId);
 
       const roomId = blockchainRoomId;
-      const game = games.get(roomId);
-
-      if (!game) {
+      if (!games.has(roomId)) {
         socket.emit("error", { message: "Room not found" });
         return;
       }
 
-      // Check if player already joined
-      const existingPlayer = game.players.find(
-        (p) => p.walletAddress === player
+      const wallet = authenticatedWallet(socket, player);
+      if (!wallet.success) {
+        socket.emit("error", { message: wallet.error });
+        return;
+      }
+
+      // The wallet proved itself when it signed in, so it can take its seat back
+      const seatedIn = (game) => game.players.find(
+        (p) => p.walletAddress && p.walletAddress.toLowerCase() === wallet.address.toLowerCase()
       );
-      if (existingPlayer) {
-        // Player already in game, just reconnect
-        playerSockets.set(socket.id, { playerId: existingPlayer.id, roomId });
-        socket.join(roomId);
-
-        socket.emit("roomJoined", {
-          roomId,
-          playerId: existingPlayer.id,
-          gameState: game.getGameState(),
-        });
+      const seated = seatedIn(games.get(roomId));
+      if (seated) {
+        resumeSeat(socket, roomId, games.get(roomId), seated.id);
+        return;
+      }
 
-        // If game is in progress, send cards
-        if (game.gameStarted) {
-          socket.emit("yourCards", {
-            cards: game.getPlayerCards(existingPlayer.id),
-          });
-        }
+      // A cashed-out stack settles at the end; buying back in would count the deposit twice
+      const cashedOut = (game) => game.cashedOut.some((entry) => entry.id.toLowerCase() === wallet.address.toLowerCase());
+      if (cashedOut(games.get(roomId))) {
+        socket.emit("error", { message: "You already cashed out of this room" });
+        return;
+      }
+      if (pendingBuyIns.has(seatKey(roomId, wallet.address))) {
+        socket.emit("error", { message: "Your buy-in is already being verified" });
+        return;
+      }
+      const { tournament } = games.get(roomId);
+      if (tournament && tournament.startedAt !== null) {
+        socket.emit("error", { message: "This tournament has already started" });
+        return;
+      }
 
-        console.log(`${player} reconnected to room ${roomId}`);
+      const buyIn = tournament
+        ? await verifyOnChainEntry(roomId, wallet.address, txHash, tournament.startingChips)
+        : await verifyOnChainBuyIn(roomId, wallet.address, txHash, "PlayerJoined");
+      if (!buyIn.success) {
+        socket.emit("error", { message: buyIn.error });
         return;
       }
 
-      const playerId = player; // Use wallet address as player ID
-      const playerName = player.slice(0, 6); // Short address as name
+      // The room may have changed while the chain was checked
+      const game = games.get(roomId);
+      if (!game) {
+        socket.emit("error", { message: "Room not found" });
+        return;
+      }
+      if (seatedIn(game) || cashedOut(game)) {
+        socket.emit("error", { message: "This wallet already has a seat at this table" });
+        return;
+      }
 
-      // Start chips equal to room buy-in (tokens). Prefer stored value, then payload.
-      const playerChips =
-        typeof game.buyInTokens === "number" && game.buyInTokens > 0
-          ? Math.floor(game.buyInTokens)
-          : typeof buyInTokens === "number" && buyInTokens > 0
-            ? Math.floor(buyInTokens)
-            : 1000;
+      const playerId = wallet.address; // Use wallet address as player ID
+      const playerName = wallet.address.slice(0, 6); // Short address as name
       const newPlayer = new Player(
         playerId,
         playerName,
         socket.id,
-        playerChips
+        buyIn.chips
       );
-      newPlayer.walletAddress = player;
+      newPlayer.walletAddress = wallet.address;
 
-      game.addPlayer(newPlayer);
+      if (!game.addPlayer(newPlayer)) {
+        socket.emit("error", { message: "Room is full" });
+        return;
+      }
+      stopWatching(socket);
       playerSockets.set(socket.id, { playerId, roomId });
+      saveRoom(roomId, game);
 
       socket.join(roomId);
 
       socket.emit("roomJoined", {
         roomId,
         playerId,
+        sessionToken: issueSessionToken({ roomId, playerId }, sessionSecret),
         gameState: game.getGameState(),
       });
+      sendChatHistory(socket, game, newPlayer);
 
       // Notify all players in the room
       io.to(roomId).emit("playerJoined", {
@@ -337,12 +1499,12 @@ io.on("connection", (socket) => {
           id: playerId,
           name: playerName,
           chips: newPlayer.chips,
-          walletAddress: player,
+          walletAddress: wallet.address,
         },
         gameState: game.getGameState(),
       });
 
-      console.log(`${player} joined blockchain room ${roomId} (tx: ${txHash})`);
+      console.log(`${wallet.address} joined blockchain room ${roomId} (tx: ${txHash})`);
     }
   );
 
@@ -354,41 +1516,361 @@ io.on("connection", (socket) => {
     const game = games.get(playerInfo.roomId);
     if (!game) return;
 
+    // Later hands of a session are dealt automatically
+    if (game.sessionActive) {
+      socket.emit("error", { message: "The session is already running" });
+      return;
+    }
+
+    // Everyone seated plays the tournament, starting from the same stack
+    if (game.tournament) {
+      const result = startTournament(game);
+      if (!result.success) {
+        socket.emit("error", { message: result.error });
+        return;
+      }
+    }
+
     if (!game.canStartGame()) {
       socket.emit("error", {
-        message: "Cannot start game. Need at least 2 players.",
+        message: "Cannot start game. Need at least 2 players who can cover the boot.",
       });
       return;
     }
 
-    game.startGame();
+    dealHand(playerInfo.roomId, game);
+    console.log(`Session started in room ${playerInfo.roomId}`);
+  });
 
-    // Send game state to all players
-    io.to(playerInfo.roomId).emit("gameStarted", {
-      gameState: game.getGameState(),
+  // Follow the lobby: the listing now and again whenever it changes
+  socket.on("subscribeLobby", (filters = {}) => {
+    const lobbyQuery = normalizeLobbyQuery(filters);
+    if (!lobbyQuery.success) {
+      socket.emit("error", { message: lobbyQuery.error });
+      return;
+    }
+
+    socket.data.lobbyQuery = lobbyQuery.query;
+    socket.join("lobby");
+    sendLobbyRooms(socket, true);
+  });
+
+  socket.on("unsubscribeLobby", () => {
+    socket.leave("lobby");
+    delete socket.data.lobbyListing;
+  });
+
+  // Host only: a link that lets its holder into the room, private or not
+  socket.on("createInvite", ({ ttlMs = INVITE_TOKEN_TTL_MS } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (game.hostId !== playerInfo.playerId) {
+      socket.emit("error", { message: "Only the host can create invites" });
+      return;
+    }
+
+    // Blockchain rooms are joined with a buy-in, not a link
+    if (game.blockchainRoomId) {
+      socket.emit("error", { message: "Invites are for off-chain rooms" });
+      return;
+    }
+
+    if (!Number.isInteger(ttlMs) || ttlMs <= 0 || ttlMs > MAX_INVITE_TOKEN_TTL_MS) {
+      socket.emit("error", { message: `Invites can last at most ${MAX_INVITE_TOKEN_TTL_MS / 86400000} days` });
+      return;
+    }
+
+    const now = Date.now();
+    socket.emit("inviteCreated", {
+      roomId: playerInfo.roomId,
+      inviteToken: issueInviteToken(playerInfo.roomId, sessionSecret, now, ttlMs),
+      expiresAt: now + ttlMs,
     });
+  });
 
-    // Send cards to each player privately
-    game.players.forEach((player) => {
-      const playerSocket = Array.from(playerSockets.entries()).find(
-        ([_, info]) => info.playerId === player.id
-      );
+  // Host only, before the game starts: remove a player from an off-chain room
+  socket.on("kickPlayer", ({ playerId } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
 
-      if (playerSocket) {
-        io.to(playerSocket[0]).emit("yourCards", {
-          cards: game.getPlayerCards(player.id),
-        });
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const check = checkTableControl(game, playerInfo.playerId, "kick players");
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
+
+    const target = game.getPlayer(playerId);
+    if (!target) {
+      socket.emit("error", { message: "Player not found" });
+      return;
+    }
+    if (target.id === playerInfo.playerId) {
+      socket.emit("error", { message: "You can't kick yourself" });
+      return;
+    }
+
+    // Take them out of the room before the rest of the table hears they left
+    const targetSocketId = getPlayerSocketId(target.id);
+    if (targetSocketId) {
+      const targetSocket = io.sockets.sockets.get(targetSocketId);
+      playerSockets.delete(targetSocketId);
+      if (targetSocket) {
+        targetSocket.leave(playerInfo.roomId);
+        targetSocket.emit("kicked", { roomId: playerInfo.roomId, message: "The host removed you from the table" });
       }
+    }
+
+    removeFromRoom(playerInfo.roomId, game, target.id);
+    console.log(`${target.name} was kicked from room ${playerInfo.roomId}`);
+  });
+
+  // Host only, before the game starts: stop (or start again) taking new players
+  socket.on("setRoomLocked", ({ locked } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const check = checkTableControl(game, playerInfo.playerId, "lock the table");
+    if (!check.success) {
+      socket.emit("error", { message: check.error });
+      return;
+    }
+
+    game.locked = !!locked;
+    saveRoom(playerInfo.roomId, game);
+    io.to(playerInfo.roomId).emit("roomLockChanged", {
+      locked: game.locked,
+      gameState: game.getGameState(),
+    });
+  });
+
+  // Host only: seat a bot in an off-chain room
+  socket.on("addBot", ({ strategy } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (game.hostId !== playerInfo.playerId) {
+      socket.emit("error", { message: "Only the host can add bots" });
+      return;
+    }
+
+    // Bots have no wallet to buy in with
+    if (game.blockchainRoomId) {
+      socket.emit("error", { message: "Bots can only join off-chain rooms" });
+      return;
+    }
+
+    if (!getBotStrategy(strategy)) {
+      socket.emit("error", { message: `Unknown bot strategy: ${strategy}` });
+      return;
+    }
+
+    if (game.gameStarted) {
+      socket.emit("error", { message: "Game already in progress" });
+      return;
+    }
+
+    const bot = createBot(strategy, game.players.map((p) => p.name));
+    if (!game.addPlayer(bot)) {
+      socket.emit("error", { message: "Room is full" });
+      return;
+    }
+    saveRoom(playerInfo.roomId, game);
+
+    io.to(playerInfo.roomId).emit("playerJoined", {
+      player: {
+        id: bot.id,
+        name: bot.name,
+        chips: bot.chips,
+        isBot: true,
+      },
+      gameState: game.getGameState(),
+    });
+
+    // A session waiting for players can carry on now
+    if (!nextHandTimers.has(playerInfo.roomId)) {
+      scheduleNextHand(playerInfo.roomId, game);
+    }
+
+    console.log(`${bot.name} (${strategy}) added to room ${playerInfo.roomId}`);
+  });
+
+  // Host only: take a bot off the table
+  socket.on("removeBot", ({ playerId } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (game.hostId !== playerInfo.playerId) {
+      socket.emit("error", { message: "Only the host can remove bots" });
+      return;
+    }
+
+    const bot = game.getPlayer(playerId);
+    if (!bot || !bot.isBot) {
+      socket.emit("error", { message: "No such bot at this table" });
+      return;
+    }
+
+    removeFromRoom(playerInfo.roomId, game, bot.id);
+  });
+
+  // Sit out from the next hand, or sit back in
+  socket.on("sitOut", ({ sittingOut } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = game.setSittingOut(playerInfo.playerId, sittingOut);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    saveRoom(playerInfo.roomId, game);
+    io.to(playerInfo.roomId).emit("sitOutChanged", {
+      playerId: playerInfo.playerId,
+      sittingOut: !!sittingOut,
+      gameState: game.getGameState(),
     });
 
-    // Notify whose turn it is
-    const currentPlayer = game.getCurrentPlayer();
-    io.to(playerInfo.roomId).emit("turnChanged", {
-      currentPlayerId: currentPlayer.id,
-      currentPlayerName: currentPlayer.name,
+    // A player sitting back in may be what the table was waiting for
+    if (!nextHandTimers.has(playerInfo.roomId)) {
+      scheduleNextHand(playerInfo.roomId, game);
+    }
+  });
+
+  // Leave the session with your current stack
+  socket.on("cashOut", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = game.cashOut(playerInfo.playerId);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    playerSockets.delete(socket.id);
+    socket.leave(playerInfo.roomId);
+    socket.emit("cashedOut", { chips: result.chips });
+
+    io.to(playerInfo.roomId).emit("playerCashedOut", {
+      playerId: result.id,
+      playerName: result.name,
+      chips: result.chips,
+      gameState: game.getGameState(),
+    });
+
+    console.log(`${result.name} cashed out of room ${playerInfo.roomId} with ${result.chips}`);
+    saveRoom(playerInfo.roomId, game);
+    closeRoomIfEmpty(playerInfo.roomId, game);
+    if (!nextHandTimers.has(playerInfo.roomId)) {
+      scheduleNextHand(playerInfo.roomId, game);
+    }
+  });
+
+  // Host only: stop dealing and settle the final stacks
+  socket.on("endSession", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    if (game.hostId !== playerInfo.playerId) {
+      socket.emit("error", { message: "Only the host can end the session" });
+      return;
+    }
+
+    if (!game.sessionActive) {
+      socket.emit("error", { message: "No session is running" });
+      return;
+    }
+
+    if (game.tournament) {
+      socket.emit("error", { message: "A tournament runs until one player has all the chips" });
+      return;
+    }
+
+    if (game.gameStarted || showdownTimers.has(playerInfo.roomId)) {
+      socket.emit("error", { message: "Wait for the current hand to finish" });
+      return;
+    }
+
+    endSession(playerInfo.roomId, game, "Ended by the host");
+  });
+
+  // Co-sign the proposed settlement of a blockchain room; it is submitted
+  // as soon as enough players have signed
+  socket.on("signSettlement", async ({ signature } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game || !game.blockchainRoomId) return;
+
+    const result = settlementService.addSettlementSignature(game.blockchainRoomId, signature);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    const proposal = settlementService.getSettlementProposal(game.blockchainRoomId);
+    io.to(playerInfo.roomId).emit("settlementSigned", {
+      signer: result.signer,
+      signers: proposal.signers,
+      signaturesRequired: proposal.signaturesRequired,
     });
+    console.log(`${result.signer} co-signed the settlement of ${game.blockchainRoomId}`);
+
+    if (!result.ready) return;
+
+    const settled = await settlementService.submitSignedSettlement(game.blockchainRoomId);
+    if (settled.success) {
+      clearSettlementTimer(playerInfo.roomId);
+    } else {
+      io.to(playerInfo.roomId).emit("settlementFailed", { error: settled.error });
+    }
+    announceSettlement(playerInfo.roomId, game.blockchainRoomId, settled);
+  });
+
+  // A player disputed the proposal on-chain: it can't be co-signed any more,
+  // so the owner settles straight away instead of waiting out the window
+  socket.on("settlementDisputed", async () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game || !game.blockchainRoomId || !settlementService.getSettlementProposal(game.blockchainRoomId)) return;
+
+    if (!(await settlementService.isSettlementDisputed(game.blockchainRoomId))) {
+      socket.emit("error", { message: "The settlement has not been disputed on-chain" });
+      return;
+    }
 
-    console.log(`Game started in room ${playerInfo.roomId}`);
+    io.to(playerInfo.roomId).emit("settlementDisputed", { playerId: playerInfo.playerId });
+    console.log(`${playerInfo.playerId} disputed the settlement of ${game.blockchainRoomId}`);
+    await settleAsOwner(playerInfo.roomId, game.blockchainRoomId);
   });
 
   // Player sees their cards
@@ -402,12 +1884,7 @@ io.on("connection", (socket) => {
     const player = game.getPlayer(playerInfo.playerId);
     if (!player) return;
 
-    player.seeCards();
-
-    io.to(playerInfo.roomId).emit("playerSawCards", {
-      playerId: player.id,
-      gameState: game.getGameState(),
-    });
+    seePlayerCards(playerInfo.roomId, game, player.id);
 
     // Send cards to player (safety net in case they missed them)
     socket.emit("yourCards", {
@@ -423,66 +1900,110 @@ io.on("connection", (socket) => {
     const game = games.get(playerInfo.roomId);
     if (!game) return;
 
-    const result = game.playerAction(playerInfo.playerId, action, amount);
+    const result = performAction(playerInfo.roomId, game, playerInfo.playerId, action, amount);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+    }
+  });
+
+  // Add the player's own entropy to the next shuffle
+  socket.on("setClientSeed", ({ seed }) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = game.setClientSeed(playerInfo.playerId, seed);
 
     if (!result.success) {
       socket.emit("error", { message: result.error });
       return;
     }
 
-    // Broadcast the action to all players
-    io.to(playerInfo.roomId).emit("actionPerformed", {
+    saveRoom(playerInfo.roomId, game);
+    io.to(playerInfo.roomId).emit("clientSeedSet", {
       playerId: playerInfo.playerId,
-      action,
-      amount,
       gameState: game.getGameState(),
     });
+  });
 
-    // Check for winner
-    const winner = game.checkWinner();
-    if (winner) {
-      const gameResult = game.endGame(winner);
+  // Draw on the time bank to extend the current turn
+  socket.on("useTimeBank", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
 
-      io.to(playerInfo.roomId).emit("gameEnded", {
-        winner: {
-          id: winner.id,
-          name: winner.name,
-        },
-        pot: gameResult.pot,
-        playerChips: gameResult.playerChips, // Include all player chip counts
-        gameState: game.getGameState(),
-      });
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
 
-      console.log(
-        `Game ended in room ${playerInfo.roomId}. Winner: ${winner.name}`
-      );
-    } else {
-      // Notify whose turn it is
-      const currentPlayer = game.getCurrentPlayer();
-      io.to(playerInfo.roomId).emit("turnChanged", {
-        currentPlayerId: currentPlayer.id,
-        currentPlayerName: currentPlayer.name,
-      });
+    const result = game.useTimeBank(playerInfo.playerId);
+
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
     }
+
+    scheduleTurnTimer(playerInfo.roomId, game);
+    saveRoom(playerInfo.roomId, game);
+
+    io.to(playerInfo.roomId).emit("turnExtended", {
+      playerId: playerInfo.playerId,
+      deadline: result.deadline,
+      gameState: game.getGameState(),
+    });
   });
 
   // Request sideshow (compare cards with previous player)
-  // Request sideshow (compare cards with previous player)
-  /*
-  socket.on("requestSideshow", ({ targetPlayerId }) => {
-     // ...
+  socket.on("requestSideshow", () => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = game.requestSideshow(playerInfo.playerId);
+
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+      return;
+    }
+
+    // The turn clock waits while the target decides
+    clearTurnTimer(playerInfo.roomId);
+
+    io.to(playerInfo.roomId).emit("sideshowRequested", {
+      requesterId: result.requester.id,
+      requesterName: result.requester.name,
+      targetId: result.target.id,
+      targetName: result.target.name,
+      amount: result.amount,
+      expiresAt: result.expiresAt,
+      gameState: game.getGameState(),
+    });
+
+    scheduleSideshowTimer(playerInfo.roomId, game);
+    scheduleBotSideshowResponse(playerInfo.roomId, game);
+    saveRoom(playerInfo.roomId, game);
+
+    console.log(
+      `${result.requester.name} asked ${result.target.name} for a sideshow in room ${playerInfo.roomId}`
+    );
   });
-  */
 
   // Accept or reject sideshow
-  // Accept or reject sideshow
-  /*
-  socket.on("sideshowResponse", ({ requesterId, accepted }) => {
-    // ... (existing code)
+  socket.on("sideshowResponse", ({ accepted } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    const game = games.get(playerInfo.roomId);
+    if (!game) return;
+
+    const result = answerSideshow(playerInfo.roomId, game, playerInfo.playerId, !!accepted);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+    }
   });
-  */
 
-  // Show cards (final reveal)
   // Show cards (final reveal)
   socket.on("show", () => {
     const playerInfo = playerSockets.get(socket.id);
@@ -491,115 +2012,426 @@ io.on("connection", (socket) => {
     const game = games.get(playerInfo.roomId);
     if (!game) return;
 
-    const activePlayers = game.getActivePlayers();
+    const result = callShow(playerInfo.roomId, game, playerInfo.playerId);
+    if (!result.success) {
+      socket.emit("error", { message: result.error });
+    }
+  });
+
+  // Take a held seat back from a new socket
+  socket.on("resumeSession", ({ sessionToken } = {}) => {
+    const claims = verifySessionToken(sessionToken, sessionSecret);
+    if (!claims.success) {
+      socket.emit("resumeFailed", { message: claims.error });
+      return;
+    }
+
+    const { roomId, playerId } = claims;
+    const game = games.get(roomId);
+    const player = game && game.getPlayer(playerId);
+    if (!player) {
+      socket.emit("resumeFailed", { message: "Your seat is no longer held" });
+      return;
+    }
+
+    resumeSeat(socket, roomId, game, playerId);
+  });
 
-    if (activePlayers.length !== 2) {
-      socket.emit("error", { message: "Need exactly 2 players for show" });
+  // Watch a room without a seat: public updates only, never anyone's cards,
+  // and no actions (every action needs a seat in playerSockets)
+  socket.on("watchRoom", ({ roomId, password, inviteToken } = {}) => {
+    if (playerSockets.has(socket.id)) {
+      socket.emit("error", { message: "Leave your seat before watching a room" });
       return;
     }
 
-    // Find the winner by comparing all active players
-    let winner = activePlayers[0];
-    for (let i = 1; i < activePlayers.length; i++) {
-      const compareResult = game.compareHands(winner, activePlayers[i]);
-      if (compareResult && compareResult.id === activePlayers[i].id) {
-        winner = activePlayers[i];
+    let invitedTo = null;
+    if (inviteToken) {
+      const invite = verifyInviteToken(inviteToken, sessionSecret);
+      if (!invite.success) {
+        socket.emit("error", { message: invite.error });
+        return;
       }
+      invitedTo = invite.roomId;
+      roomId = roomId || invite.roomId;
     }
 
-    if (winner) {
-      const gameResult = game.endGame(winner);
+    const game = games.get(roomId);
+    if (!game) {
+      socket.emit("error", { message: "Room not found" });
+      return;
+    }
 
-      // Reveal all cards FIRST
-      const allCards = {};
-      game.players.forEach((p) => {
-        allCards[p.id] = game.getPlayerCards(p.id);
-      });
+    const access = checkWatchAccess(game, { password, invitedTo });
+    if (!access.success) {
+      socket.emit("error", { message: access.error });
+      return;
+    }
 
-      // 1. Notify everyone that showdown is happening and reveal cards
-      io.to(playerInfo.roomId).emit("showdownStarted", {
-        allCards,
-        gameState: game.getGameState(),
-      });
+    stopWatching(socket);
+    socket.data.watching = roomId;
+    socket.join([roomId, spectatorRoom(roomId)]);
+    updateSpectatorCount(roomId, game);
 
-      console.log(`Showdown in room ${playerInfo.roomId}. Winner: ${winner.name}`);
-
-      // 2. Wait for 4 seconds to let players see the cards
-      setTimeout(() => {
-        io.to(playerInfo.roomId).emit("gameEnded", {
-          winner: {
-            id: winner.id,
-            name: winner.name,
-          },
-          pot: gameResult.pot,
-          playerChips: gameResult.playerChips, // Include all player chip counts
-          allCards, // Send again just in case
-          reason: "Show",
-          gameState: game.getGameState(),
-        });
-      }, 4000);
+    socket.emit("watchingRoom", {
+      roomId,
+      blockchainRoomId: game.blockchainRoomId || null,
+      turnTimeMs: TURN_TIMEOUT_MS,
+      gameState: game.getGameState(),
+    });
+    sendChatHistory(socket, game);
+    console.log(`Spectator ${socket.id} watching room ${roomId}`);
+  });
+
+  socket.on("unwatchRoom", () => {
+    stopWatching(socket);
+  });
+
+  // Table chat: seated players only, rate-limited and filtered (see chat.js)
+  socket.on("chatMessage", ({ text } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    const game = playerInfo && games.get(playerInfo.roomId);
+    const player = game && game.getPlayer(playerInfo.playerId);
+    if (!player) {
+      socket.emit("error", { message: "Take a seat to chat" });
+      return;
+    }
+
+    const checked = normalizeChatText(text);
+    if (!checked.success) {
+      socket.emit("error", { message: checked.error });
+      return;
+    }
+    if (!chatLimiter.allow(seatKey(playerInfo.roomId, player.id))) {
+      socket.emit("error", { message: "You're sending messages too fast" });
+      return;
+    }
+
+    const message = addChatMessage(game, player, checked.text);
+    saveRoom(playerInfo.roomId, game);
+    emitChat(playerInfo.roomId, game, player.id, "chatMessage", message);
+  });
+
+  // Preset emoji shown over the sender's seat; not kept in the history
+  socket.on("sendReaction", ({ reaction } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    const game = playerInfo && games.get(playerInfo.roomId);
+    const player = game && game.getPlayer(playerInfo.playerId);
+    if (!player) {
+      socket.emit("error", { message: "Take a seat to react" });
+      return;
+    }
+
+    const preset = getReaction(reaction);
+    if (!preset) {
+      socket.emit("error", { message: "Unknown reaction" });
+      return;
+    }
+    if (!reactionLimiter.allow(seatKey(playerInfo.roomId, player.id))) {
+      socket.emit("error", { message: "You're reacting too fast" });
+      return;
+    }
+
+    emitChat(playerInfo.roomId, game, player.id, "reaction", {
+      playerId: player.id,
+      reaction: preset.id,
+      emoji: preset.emoji,
+    });
+  });
+
+  // Hide (or show again) another player's chat and reactions for yourself
+  socket.on("mutePlayer", ({ playerId, muted } = {}) => {
+    const playerInfo = playerSockets.get(socket.id);
+    const game = playerInfo && games.get(playerInfo.roomId);
+    const player = game && game.getPlayer(playerInfo.playerId);
+    if (!player) return;
+
+    if (playerId === player.id || !game.getPlayer(playerId)) {
+      socket.emit("error", { message: "Player not found" });
+      return;
     }
+
+    player.mutedIds = player.mutedIds.filter((id) => id !== playerId);
+    if (muted) player.mutedIds.push(playerId);
+    saveRoom(playerInfo.roomId, game);
+    socket.emit("mutedPlayers", { mutedIds: player.mutedIds });
   });
 
   // Leave room
   socket.on("leaveRoom", () => {
-    handlePlayerDisconnect(socket);
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo) return;
+
+    playerSockets.delete(socket.id);
+    socket.leave(playerInfo.roomId);
+
+    const game = games.get(playerInfo.roomId);
+    if (game) {
+      removeFromRoom(playerInfo.roomId, game, playerInfo.playerId);
+    }
   });
 
-  // Handle disconnect
+  // A dropped connection holds the seat for a while instead of giving it up
   socket.on("disconnect", () => {
     console.log("Client disconnected:", socket.id);
-    handlePlayerDisconnect(socket);
-  });
-
-  function handlePlayerDisconnect(socket) {
+    stopWatching(socket);
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
+    playerSockets.delete(socket.id);
+
     const game = games.get(playerInfo.roomId);
-    if (!game) return;
+    if (game) {
+      holdSeat(playerInfo.roomId, game, playerInfo.playerId);
+    }
+  });
+});
 
-    const player = game.getPlayer(playerInfo.playerId);
-    if (!player) return;
+const PORT = process.env.PORT || 3001;
 
-    game.removePlayer(playerInfo.playerId);
-    playerSockets.delete(socket.id);
+// Check a buy-in on-chain and turn the wallet's room balance into chips.
+// Only one check runs per wallet and room at a time.
+async function verifyOnChainBuyIn(roomId, address, txHash, eventName) {
+  if (!blockchainService.isInitialized()) {
+    return { success: false, error: "Blockchain rooms are unavailable: on-chain verification is not configured" };
+  }
 
-    // Notify other players
-    io.to(playerInfo.roomId).emit("playerLeft", {
-      playerId: playerInfo.playerId,
-      playerName: player.name,
+  const key = seatKey(roomId, address);
+  pendingBuyIns.add(key);
+  try {
+    const result = await blockchainService.verifyBuyIn({ txHash, roomId, player: address, eventName });
+    if (!result.success) return result;
+
+    // One chip per whole token held in the room
+    const chips = Math.floor(Number(formatEther(result.balance)));
+    if (chips < 1) {
+      return { success: false, error: "Your on-chain balance in this room is less than one chip" };
+    }
+    return { ...result, chips };
+  } finally {
+    pendingBuyIns.delete(key);
+  }
+}
+
+// Check a Sit & Go entry fee paid to the tournament contract; every entrant starts
+// with the tournament's stack. Returns the entry fee, table size and payouts (percent by place).
+async function verifyOnChainEntry(roomId, address, txHash, startingChips) {
+  if (!blockchainService.isInitialized()) {
+    return { success: false, error: "Blockchain rooms are unavailable: on-chain verification is not configured" };
+  }
+
+  const key = seatKey(roomId, address);
+  pendingBuyIns.add(key);
+  try {
+    const result = await blockchainService.verifyTournamentEntry({ txHash, tournamentId: roomId, player: address });
+    if (!result.success) return result;
+
+    const { entryFee, maxPlayers, payouts } = result.tournament;
+    return { success: true, buyIn: entryFee, maxPlayers, payouts, chips: startingChips };
+  } finally {
+    pendingBuyIns.delete(key);
+  }
+}
+
+// The signed-in wallet on this socket; a claimed address must agree with it
+function authenticatedWallet(socket, claimed) {
+  const address = socket.data.address;
+  if (!address) {
+    return { success: false, error: "Sign in with your wallet to play blockchain rooms" };
+  }
+  if (claimed && claimed.toLowerCase() !== address.toLowerCase()) {
+    return { success: false, error: "Signed-in wallet does not match the connected wallet" };
+  }
+  return { success: true, address };
+}
+
+// Hand a seat to a socket that proved it owns it (session token or signed-in wallet)
+function resumeSeat(socket, roomId, game, playerId) {
+  const player = game.getPlayer(playerId);
+
+  // One socket per seat: an older one (another tab) is signed out
+  for (const [socketId, info] of playerSockets) {
+    if (socketId !== socket.id && info.roomId === roomId && info.playerId === playerId) {
+      playerSockets.delete(socketId);
+      const previous = io.sockets.sockets.get(socketId);
+      if (previous) {
+        previous.leave(roomId);
+        previous.emit("sessionReplaced", { roomId });
+      }
+    }
+  }
+
+  stopWatching(socket);
+  clearGraceTimer(roomId, playerId);
+  const wasAway = !player.connected;
+  game.setReconnected(playerId);
+  player.socketId = socket.id;
+  playerSockets.set(socket.id, { playerId, roomId });
+  socket.join(roomId);
+  saveRoom(roomId, game);
+
+  // Cards ride along with the state as well as in yourCards: a reloaded page
+  // only starts listening for yourCards once it knows its seat
+  const cards = game.gameStarted && player.inHand ? game.getPlayerCards(playerId) : [];
+  socket.emit("sessionResumed", {
+    roomId,
+    playerId,
+    playerName: player.name,
+    blockchainRoomId: game.blockchainRoomId || null,
+    sessionToken: issueSessionToken({ roomId, playerId }, sessionSecret),
+    turnTimeMs: TURN_TIMEOUT_MS,
+    cards,
+    gameState: game.getGameState(),
+  });
+
+  if (cards.length > 0) {
+    socket.emit("yourCards", { cards });
+  }
+  sendChatHistory(socket, game, player);
+  sendSettlementProposal(socket, game);
+
+  if (wasAway) {
+    io.to(roomId).emit("playerReconnected", {
+      playerId,
       gameState: game.getGameState(),
     });
+  }
+  console.log(`${player.name} resumed their seat in room ${roomId}`);
 
-    // If game is in progress and player leaves, end the game
-    if (game.gameStarted) {
-      const winner = game.checkWinner();
-      if (winner) {
-        const gameResult = game.endGame(winner);
-
-        io.to(playerInfo.roomId).emit("gameEnded", {
-          winner: {
-            id: winner.id,
-            name: winner.name,
-          },
-          pot: gameResult.pot,
-          playerChips: gameResult.playerChips, // Include all player chip counts
-          reason: "Player left",
-          gameState: game.getGameState(),
-        });
+  // The table may have been waiting for this player to deal the next hand
+  if (!nextHandTimers.has(roomId)) {
+    scheduleNextHand(roomId, game);
+  }
+}
+
+function clearGraceTimer(roomId, playerId) {
+  clearTimeout(graceTimers.get(seatKey(roomId, playerId)));
+  graceTimers.delete(seatKey(roomId, playerId));
+}
+
+// Keep a dropped player's seat until the grace period runs out; their turn clock keeps running
+function holdSeat(roomId, game, playerId) {
+  const reconnectDeadline = Date.now() + RECONNECT_GRACE_MS;
+  if (!game.setDisconnected(playerId, reconnectDeadline).success) return;
+  saveRoom(roomId, game);
+
+  clearGraceTimer(roomId, playerId);
+  graceTimers.set(seatKey(roomId, playerId), setTimeout(() => {
+    graceTimers.delete(seatKey(roomId, playerId));
+    if (games.get(roomId) === game) {
+      removeFromRoom(roomId, game, playerId);
+    }
+  }, RECONNECT_GRACE_MS));
+
+  io.to(roomId).emit("playerDisconnected", {
+    playerId,
+    reconnectDeadline,
+    gameState: game.getGameState(),
+  });
+}
+
+// Kicking and locking are for the host of an off-chain room before play begins:
+// in a blockchain room either would strand a buy-in
+function checkTableControl(game, playerId, what) {
+  if (game.hostId !== playerId) {
+    return { success: false, error: `Only the host can ${what}` };
+  }
+  if (game.blockchainRoomId) {
+    return { success: false, error: `You can't ${what} in a blockchain room` };
+  }
+  if (game.sessionActive) {
+    return { success: false, error: `You can only ${what} before the game starts` };
+  }
+  return { success: true };
+}
+
+// Take a player out of the room for good
+function removeFromRoom(roomId, game, playerId) {
+  const player = game.getPlayer(playerId);
+  if (!player) return;
+
+  clearGraceTimer(roomId, playerId);
+  chatLimiter.forget(seatKey(roomId, playerId));
+  reactionLimiter.forget(seatKey(roomId, playerId));
+  const onTurn = game.gameStarted ? game.getCurrentPlayer().id : null;
+  if (game.sessionActive) {
+    // Leaving mid-session packs any live hand and cashes out the rest of the stack;
+    // in a tournament it forfeits the stack and knocks the player out
+    if (game.gameStarted && player.inHand && !player.isFolded) {
+      player.fold();
+    }
+    if (game.tournament) {
+      const forfeit = forfeitTournament(game, playerId);
+      game.removePlayer(playerId);
+      if (forfeit) {
+        io.to(roomId).emit("playersEliminated", { eliminated: [forfeit], gameState: game.getGameState() });
       }
+    } else {
+      game.cashOut(playerId);
     }
+  } else {
+    game.removePlayer(playerId);
+  }
+  saveRoom(roomId, game);
+
+  // Removing a player cancels any sideshow they were part of
+  if (!game.pendingSideshow) {
+    clearTimeout(sideshowTimers.get(roomId));
+    sideshowTimers.delete(roomId);
+  }
 
-    // Delete game if no players left
-    if (game.players.length === 0) {
-      games.delete(playerInfo.roomId);
-      console.log(`Room ${playerInfo.roomId} deleted (no players)`);
+  // Notify other players
+  io.to(roomId).emit("playerLeft", {
+    playerId,
+    playerName: player.name,
+    gameState: game.getGameState(),
+  });
+
+  // If game is in progress and player leaves, end the game
+  if (game.gameStarted) {
+    const winner = game.checkWinner();
+    if (winner) {
+      finishHand(roomId, game, winner, "Player left");
+    } else if (game.getCurrentPlayer().id !== onTurn) {
+      // The turn has passed on, because the leaver was on turn or was answering
+      // a sideshow: restart the clock for the next player
+      advanceGame(roomId, game);
     }
   }
-});
 
-const PORT = process.env.PORT || 3001;
+  closeRoomIfEmpty(roomId, game);
+  if (!nextHandTimers.has(roomId)) {
+    scheduleNextHand(roomId, game);
+  }
+}
+
+// Pick up where each saved room left off: re-arm its timers with fresh deadlines
+function resumeRoom(roomId, game) {
+  if (game.pendingSideshow) {
+    scheduleSideshowTimer(roomId, game);
+    scheduleBotSideshowResponse(roomId, game);
+  } else if (game.gameStarted) {
+    advanceGame(roomId, game);
+  } else if (game.sessionActive) {
+    scheduleNextHand(roomId, game);
+  }
+}
+
+async function restoreRooms() {
+  const snapshots = await storage.loadRooms();
+  for (const snapshot of snapshots) {
+    try {
+      const game = Game.fromJSON(snapshot);
+      games.set(game.roomId, game);
+      // Nobody is connected yet: every seat waits for its player to resume
+      game.players.filter((p) => !p.isBot).forEach((p) => holdSeat(game.roomId, game, p.id));
+      resumeRoom(game.roomId, game);
+    } catch (error) {
+      console.error(`Failed to restore room ${snapshot.roomId}:`, error.message);
+    }
+  }
+  console.log(`♻️  Restored ${games.size} room(s) from storage`);
+}
 
 // Initialize settlement service and start server
 (async () => {
@@ -607,6 +2439,27 @@ const PORT = process.env.PORT || 3001;
 
   // Initialize settlement service
   await settlementService.initialize();
+  if (settlementService.isInitialized()) {
+    setInterval(keepChainRoomsAlive, CHAIN_KEEP_ALIVE_MS);
+  }
+
+  // Reads the chain to check buy-ins before seating players in blockchain rooms
+  if (!(await blockchainService.initialize())) {
+    console.warn("⚠️  On-chain verification unavailable: blockchain rooms are disabled");
+  } else {
+    // Keep the lobby in step with rooms finished or cancelled on-chain
+    setInterval(refreshChainRooms, CHAIN_ROOMS_REFRESH_MS);
+  }
+
+  if (!process.env.SESSION_SECRET) {
+    console.warn("⚠️  SESSION_SECRET not set: players can't resume their seats after a restart");
+  }
+
+  // Bring back the rooms that were open before the restart
+  await restoreRooms();
+  if (blockchainService.initialized) {
+    await refreshChainRooms();
+  }
 
   // Start HTTP server
   httpServer.listen(PORT, () => {
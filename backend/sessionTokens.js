@@ -0,0 +1,95 @@
+// Signed session tokens
+//
+// A token is base64url(claims).base64url(HMAC-SHA256(secret, claims)). Three
+// kinds are handed out, told apart by their `typ` claim so one can never
+// stand in for another:
+//
+// - session: issued when a player creates or joins a room and names their
+//   seat. Presenting it from any socket takes the seat back after a dropped
+//   connection, so the server never has to trust a socket id.
+// - auth: issued after a Sign-In With Ethereum check (see siwe.js) and names
+//   the wallet that signed. Sockets and REST calls present it instead of
+//   claiming an address.
+// - invite: created by a room's host and shared as a /join/<token> link.
+//   It names the room and lets its holder into it even when it is private.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SESSION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+export const AUTH_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+export const INVITE_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+export const MAX_INVITE_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sign = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+function signClaims(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { success, claims } or { success, error }
+function verifyClaims(token, typ, label, secret, now) {
+  if (typeof token !== 'string') {
+    return { success: false, error: `Missing ${label}` };
+  }
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return { success: false, error: `Malformed ${label}` };
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+    return { success: false, error: `Invalid ${label}` };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return { success: false, error: `Malformed ${label}` };
+  }
+
+  if (claims.typ !== typ) {
+    return { success: false, error: `Invalid ${label}` };
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp <= now) {
+    return { success: false, error: `${label[0].toUpperCase()}${label.slice(1)} has expired` };
+  }
+
+  return { success: true, claims };
+}
+
+export function issueSessionToken({ roomId, playerId }, secret, now = Date.now()) {
+  return signClaims({ typ: 'session', roomId, playerId, exp: now + SESSION_TOKEN_TTL_MS }, secret);
+}
+
+// Returns { success, roomId, playerId } or { success, error }
+export function verifySessionToken(token, secret, now = Date.now()) {
+  const result = verifyClaims(token, 'session', 'session token', secret, now);
+  if (!result.success) return result;
+  return { success: true, roomId: result.claims.roomId, playerId: result.claims.playerId };
+}
+
+export function issueAuthToken(address, secret, now = Date.now()) {
+  return signClaims({ typ: 'auth', address, exp: now + AUTH_TOKEN_TTL_MS }, secret);
+}
+
+// Returns { success, address, expiresAt } or { success, error }
+export function verifyAuthToken(token, secret, now = Date.now()) {
+  const result = verifyClaims(token, 'auth', 'auth token', secret, now);
+  if (!result.success) return result;
+  return { success: true, address: result.claims.address, expiresAt: result.claims.exp };
+}
+
+export function issueInviteToken(roomId, secret, now = Date.now(), ttlMs = INVITE_TOKEN_TTL_MS) {
+  return signClaims({ typ: 'invite', roomId, exp: now + ttlMs }, secret);
+}
+
+// Returns { success, roomId, expiresAt } or { success, error }
+export function verifyInviteToken(token, secret, now = Date.now()) {
+  const result = verifyClaims(token, 'invite', 'invite link', secret, now);
+  if (!result.success) return result;
+  return { success: true, roomId: result.claims.roomId, expiresAt: result.claims.exp };
+}
@@ -0,0 +1,143 @@
+// Sign-In With Ethereum (EIP-4361)
+//
+// The client asks for a nonce, signs a SIWE message naming this site and the
+// nonce with its wallet, and sends both back. The server recovers the signer
+// with ethers, checks the message was meant for it, and burns the nonce.
+//
+// frontend/src/lib/siwe.js builds the same message; keep the two in sync.
+
+import { randomBytes } from 'crypto';
+import { getAddress, verifyMessage } from 'ethers';
+
+export const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// Clocks drift: accept messages issued a little "in the future"
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const HEADER = / wants you to sign in with your Ethereum account:$/;
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+export function createSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, address, ''];
+  if (statement) {
+    lines.push(statement, '');
+  }
+  lines.push(`URI: ${uri}`, 'Version: 1', `Chain ID: ${chainId}`, `Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+// Returns the message fields, or null if it isn't a SIWE message
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  if (!HEADER.test(lines[0] || '')) return null;
+
+  const fields = {
+    domain: lines[0].replace(HEADER, ''),
+    address: lines[1],
+    statement: null
+  };
+
+  // An optional statement sits between blank lines before the fields
+  let i = 3;
+  if (lines[2] !== '') return null;
+  if (lines[i] !== undefined && !lines[i].startsWith('URI: ')) {
+    fields.statement = lines[i];
+    if (lines[i + 1] !== '') return null;
+    i += 2;
+  }
+
+  for (; i < lines.length; i++) {
+    if (lines[i] === 'Resources:') break; // Resources are allowed but not used
+    const separator = lines[i].indexOf(': ');
+    const key = FIELDS[lines[i].slice(0, separator)];
+    if (separator === -1 || !key || key in fields) return null;
+    fields[key] = lines[i].slice(separator + 2);
+  }
+
+  if (!fields.uri || fields.version !== '1' || !fields.chainId || !fields.nonce || !fields.issuedAt) {
+    return null;
+  }
+  return fields;
+}
+
+// One-time nonces handed out by GET /api/auth/nonce
+export class NonceStore {
+  constructor(ttlMs = NONCE_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.nonces = new Map(); // nonce -> expiry
+  }
+
+  issue(now = Date.now()) {
+    // Drop stale nonces so unused ones don't pile up
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt <= now) this.nonces.delete(nonce);
+    }
+
+    const nonce = randomBytes(16).toString('hex');
+    this.nonces.set(nonce, now + this.ttlMs);
+    return nonce;
+  }
+
+  // True once per issued nonce, while it is fresh
+  consume(nonce, now = Date.now()) {
+    const expiresAt = this.nonces.get(nonce);
+    this.nonces.delete(nonce);
+    return expiresAt !== undefined && expiresAt > now;
+  }
+}
+
+// Check a signed SIWE message; returns { success, address } or { success, error }
+export function verifySiweMessage(message, signature, { nonces, domains, now = Date.now() }) {
+  const fields = parseSiweMessage(message);
+  if (!fields) {
+    return { success: false, error: 'Not a valid sign-in message' };
+  }
+
+  if (!domains.includes(fields.domain)) {
+    return { success: false, error: `Sign-in message is for ${fields.domain}, not this site` };
+  }
+
+  let address;
+  let signer;
+  try {
+    address = getAddress(fields.address);
+    signer = verifyMessage(message, signature);
+  } catch {
+    return { success: false, error: 'Invalid signature' };
+  }
+  if (signer !== address) {
+    return { success: false, error: 'Signature does not match the address' };
+  }
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (Number.isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) {
+    return { success: false, error: 'Sign-in message has a bad issue time' };
+  }
+  if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) {
+    return { success: false, error: 'Sign-in message has expired' };
+  }
+  if (fields.notBefore && !(Date.parse(fields.notBefore) <= now)) {
+    return { success: false, error: 'Sign-in message is not valid yet' };
+  }
+
+  // Checked last so a rejected message doesn't burn the nonce
+  if (!nonces.consume(fields.nonce, now)) {
+    return { success: false, error: 'Sign-in nonce is unknown or already used' };
+  }
+
+  return { success: true, address };
+}
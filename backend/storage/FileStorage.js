@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageAdapter } from './StorageAdapter.js';
+
+// JSON files on local disk, so the server persists without any database:
+//
+//   <dir>/rooms/<roomId>.json     latest snapshot of each open room
+//   <dir>/hands/<roomId>.jsonl    completed hands, one per line, appended in order
+export class FileStorage extends StorageAdapter {
+  constructor(dir) {
+    super();
+    this.roomsDir = path.join(dir, 'rooms');
+    this.handsDir = path.join(dir, 'hands');
+    this.ready = Promise.all([
+      fs.mkdir(this.roomsDir, { recursive: true }),
+      fs.mkdir(this.handsDir, { recursive: true })
+    ]);
+    this.queues = new Map(); // Pending writes by file, so saves to one file never interleave
+  }
+
+  // Room IDs come from clients; keep them to a single safe file name
+  fileName(roomId) {
+    return encodeURIComponent(String(roomId));
+  }
+
+  roomFile(roomId) {
+    return path.join(this.roomsDir, `${this.fileName(roomId)}.json`);
+  }
+
+  handsFile(roomId) {
+    return path.join(this.handsDir, `${this.fileName(roomId)}.jsonl`);
+  }
+
+  // Run writes to the same file one after another
+  enqueue(file, write) {
+    const previous = this.queues.get(file) || this.ready;
+    const next = previous.catch(() => {}).then(write);
+    this.queues.set(file, next);
+    next.finally(() => {
+      if (this.queues.get(file) === next) {
+        this.queues.delete(file);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  async saveRoom(roomId, snapshot) {
+    const file = this.roomFile(roomId);
+    const data = JSON.stringify(snapshot);
+    // Write then rename, so a crash mid-write never leaves half a snapshot behind
+    return this.enqueue(file, async () => {
+      await fs.writeFile(`${file}.tmp`, data);
+      await fs.rename(`${file}.tmp`, file);
+    });
+  }
+
+  async deleteRoom(roomId) {
+    const file = this.roomFile(roomId);
+    return this.enqueue(file, () => fs.rm(file, { force: true }));
+  }
+
+  async loadRooms() {
+    await this.ready;
+    const files = (await fs.readdir(this.roomsDir)).filter(file => file.endsWith('.json'));
+    const snapshots = [];
+    for (const file of files) {
+      try {
+        snapshots.push(JSON.parse(await fs.readFile(path.join(this.roomsDir, file), 'utf8')));
+      } catch (error) {
+        console.error(`Skipping unreadable room snapshot ${file}:`, error.message);
+      }
+    }
+    return snapshots;
+  }
+
+  async saveHand(hand) {
+    const file = this.handsFile(hand.roomId);
+    return this.enqueue(file, () => fs.appendFile(file, `${JSON.stringify(hand)}\n`));
+  }
+
+  async getHand(handId) {
+    // Hand IDs are `<roomId>-<handNumber>`
+    const separator = String(handId).lastIndexOf('-');
+    if (separator <= 0) {
+      return null;
+    }
+    const hands = await this.listHands(handId.slice(0, separator));
+    return hands.find(hand => hand.handId === handId) || null;
+  }
+
+  async listHands(roomId) {
+    const file = this.handsFile(roomId);
+    await (this.queues.get(file) || this.ready).catch(() => {});
+    try {
+      const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+      return lines.map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,39 @@
+import { StorageAdapter } from './StorageAdapter.js';
+
+// Keeps everything in process memory; nothing survives a restart. Used by tests and STORAGE=memory.
+export class MemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.rooms = new Map();
+    this.hands = new Map();
+  }
+
+  // Copies go in and out, as they would through a real store
+  async saveRoom(roomId, snapshot) {
+    this.rooms.set(roomId, structuredClone(snapshot));
+  }
+
+  async deleteRoom(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  async loadRooms() {
+    return [...this.rooms.values()].map(snapshot => structuredClone(snapshot));
+  }
+
+  async saveHand(hand) {
+    this.hands.set(hand.handId, structuredClone(hand));
+  }
+
+  async getHand(handId) {
+    const hand = this.hands.get(handId);
+    return hand ? structuredClone(hand) : null;
+  }
+
+  async listHands(roomId) {
+    return [...this.hands.values()]
+      .filter(hand => hand.roomId === roomId)
+      .sort((a, b) => a.handNumber - b.handNumber)
+      .map(hand => structuredClone(hand));
+  }
+}
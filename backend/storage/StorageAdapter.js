@@ -0,0 +1,33 @@
+// Interface every storage backend implements.
+//
+// Rooms are stored as Game.toJSON() snapshots keyed by room ID and replaced on every save;
+// hands are immutable records of completed hands keyed by `handId` (`<roomId>-<handNumber>`).
+export class StorageAdapter {
+  // Replace the snapshot of a room
+  async saveRoom(roomId, snapshot) {
+    throw new Error('saveRoom is not implemented');
+  }
+
+  async deleteRoom(roomId) {
+    throw new Error('deleteRoom is not implemented');
+  }
+
+  // Every room snapshot, to rehydrate on boot
+  async loadRooms() {
+    throw new Error('loadRooms is not implemented');
+  }
+
+  async saveHand(hand) {
+    throw new Error('saveHand is not implemented');
+  }
+
+  // Resolves to null when the hand is unknown
+  async getHand(handId) {
+    throw new Error('getHand is not implemented');
+  }
+
+  // A room's completed hands, oldest first
+  async listHands(roomId) {
+    throw new Error('listHands is not implemented');
+  }
+}
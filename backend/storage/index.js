@@ -0,0 +1,24 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileStorage } from './FileStorage.js';
+import { MemoryStorage } from './MemoryStorage.js';
+
+export { StorageAdapter } from './StorageAdapter.js';
+export { FileStorage, MemoryStorage };
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+// STORAGE=file (default) writes under STORAGE_DIR; STORAGE=memory keeps nothing across restarts
+export function createStorage({
+  type = process.env.STORAGE || 'file',
+  dir = process.env.STORAGE_DIR || DEFAULT_DIR
+} = {}) {
+  switch (type) {
+    case 'file':
+      return new FileStorage(dir);
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
@@ -0,0 +1,94 @@
+// Table rules chosen when a room is created. The frontend imports this module too
+// (as @backend/tableRules.js), so it must stay free of Node-only imports.
+
+import { keccak256, toUtf8Bytes } from 'ethers';
+
+// What a player pays to call a Show:
+// 'free' - nothing, 'chaal' - one stake at their blind/seen rate, 'double' - two stakes
+export const SHOW_COST_RULES = ['free', 'chaal', 'double'];
+
+export const DEFAULT_TABLE_RULES = {
+  boot: 10, // Ante collected from every player at the start of a hand
+  maxBlindRounds: null, // Blind bets a player may make before they must see (null = no limit)
+  chaalLimit: null, // Highest seen stake a raise may reach (null = no limit)
+  potLimit: 10 * 1024, // Pot size that forces a showdown (null = no limit)
+  showCost: 'chaal',
+  handPauseMs: 5000, // Break between hands before the next deal
+  spectatorRevealMs: null // Wait after a hand before spectators see every hole card (null = never)
+};
+
+const MAX_BOOT = 1000000;
+const MAX_HAND_PAUSE_MS = 60000;
+const MAX_SPECTATOR_REVEAL_MS = 300000;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Fill in defaults and check every field; returns { success, rules } or { success, error }
+export function normalizeTableRules(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { success: false, error: 'Table rules must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !(key in DEFAULT_TABLE_RULES));
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown table rule: ${unknown.join(', ')}` };
+  }
+
+  const boot = input.boot ?? DEFAULT_TABLE_RULES.boot;
+  // The pot limit follows the boot unless set explicitly
+  const rules = {
+    ...DEFAULT_TABLE_RULES,
+    potLimit: boot * 1024,
+    ...Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined))
+  };
+
+  if (!isPositiveInteger(rules.boot) || rules.boot > MAX_BOOT) {
+    return { success: false, error: `Boot must be a whole number between 1 and ${MAX_BOOT}` };
+  }
+  // Blind players pay half a stake, so the boot has to split evenly
+  if (rules.boot % 2 !== 0) {
+    return { success: false, error: 'Boot must be an even number' };
+  }
+
+  if (rules.maxBlindRounds !== null && !isPositiveInteger(rules.maxBlindRounds)) {
+    return { success: false, error: 'Max blind rounds must be a positive whole number' };
+  }
+
+  if (rules.chaalLimit !== null && (!Number.isInteger(rules.chaalLimit) || rules.chaalLimit < rules.boot)) {
+    return { success: false, error: 'Chaal limit must be a whole number no lower than the boot' };
+  }
+
+  if (rules.potLimit !== null && (!Number.isInteger(rules.potLimit) || rules.potLimit <= rules.boot)) {
+    return { success: false, error: 'Pot limit must be a whole number above the boot' };
+  }
+
+  if (rules.chaalLimit !== null && rules.potLimit !== null && rules.chaalLimit > rules.potLimit) {
+    return { success: false, error: 'Chaal limit cannot be above the pot limit' };
+  }
+
+  if (!SHOW_COST_RULES.includes(rules.showCost)) {
+    return { success: false, error: `Show cost must be one of: ${SHOW_COST_RULES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(rules.handPauseMs) || rules.handPauseMs < 0 || rules.handPauseMs > MAX_HAND_PAUSE_MS) {
+    return { success: false, error: `Pause between hands must be between 0 and ${MAX_HAND_PAUSE_MS} ms` };
+  }
+
+  if (rules.spectatorRevealMs !== null && (!Number.isInteger(rules.spectatorRevealMs) ||
+    rules.spectatorRevealMs < 0 || rules.spectatorRevealMs > MAX_SPECTATOR_REVEAL_MS)) {
+    return { success: false, error: `Spectator reveal delay must be between 0 and ${MAX_SPECTATOR_REVEAL_MS} ms` };
+  }
+
+  return { success: true, rules };
+}
+
+// What a blockchain room's creator commits to on-chain (its rulesHash): the rules
+// with defaults filled in, as JSON with the keys in DEFAULT_TABLE_RULES order, so
+// every way of writing the same rules (and getGameState().rules) hashes the same
+export function tableRulesHash(rules = {}) {
+  const normalized = normalizeTableRules(rules);
+  if (!normalized.success) {
+    throw new Error(normalized.error);
+  }
+  return keccak256(toUtf8Bytes(JSON.stringify(normalized.rules, Object.keys(DEFAULT_TABLE_RULES))));
+}
@@ -0,0 +1,232 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, Card } from '../gameLogic.js';
+import {
+  BOT_STRATEGIES,
+  createBot,
+  decideBotTurn,
+  decideSideshowResponse,
+  estimateWinChance,
+  listBotStrategies,
+  thinkingTime
+} from '../bots.js';
+
+function hand(...codes) {
+  return codes.map(code => {
+    const rank = code.slice(0, -1);
+    const suit = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' }[code.slice(-1)];
+    return new Card(rank, suit);
+  });
+}
+
+// Deterministic stand-in for Math.random
+function seededRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// A human in seat 0 and bots after it; dealer is seat 0, so the first bot acts first
+function setupGame(strategies, { rules, stacks } = {}) {
+  const game = new Game('ROOM01', undefined, undefined, { rules });
+  game.addPlayer(new Player('human', 'Human', 'socket-human', 1000));
+  strategies.forEach((strategy, i) => {
+    const bot = createBot(strategy, game.players.map(p => p.name), stacks?.[i] ?? 1000);
+    game.addPlayer(bot);
+  });
+  game.startGame();
+  return game;
+}
+
+const TRIO = ['As', 'Ah', 'Ad'];
+const HIGH_CARD = ['2s', '7h', '9d'];
+
+describe('Bots', () => {
+  describe('Creating bots', () => {
+    it('creates a regular player flagged as a bot', () => {
+      const bot = createBot('loose', [], 500);
+
+      assert.ok(bot instanceof Player);
+      assert.equal(bot.isBot, true);
+      assert.equal(bot.botStrategy, 'loose');
+      assert.equal(bot.chips, 500);
+      assert.match(bot.id, /^bot-/);
+      assert.match(bot.name, / \(Bot\)$/);
+    });
+
+    it('does not reuse a name already at the table', () => {
+      const first = createBot('tight');
+      const second = createBot('tight', [first.name]);
+
+      assert.notEqual(first.name, second.name);
+    });
+
+    it('rejects an unknown strategy', () => {
+      assert.throws(() => createBot('reckless'), /Unknown bot strategy/);
+    });
+
+    it('lists every strategy', () => {
+      assert.deepEqual(listBotStrategies().map(s => s.id), Object.keys(BOT_STRATEGIES));
+    });
+
+    it('keeps thinking times within range', () => {
+      const random = seededRandom();
+      for (let i = 0; i < 20; i++) {
+        const delay = thinkingTime({ min: 100, max: 200 }, random);
+        assert.ok(delay >= 100 && delay <= 200);
+      }
+    });
+
+    it('never hands the host role to a bot', () => {
+      const game = new Game('ROOM01');
+      game.addPlayer(new Player('host', 'Host', 's-host'));
+      game.addPlayer(createBot('tight'));
+      game.addPlayer(new Player('guest', 'Guest', 's-guest'));
+
+      game.removePlayer('host');
+
+      assert.equal(game.hostId, 'guest');
+    });
+
+    it('shows bots in the game state', () => {
+      const game = setupGame(['bluffer']);
+      const bot = game.getGameState().players[1];
+
+      assert.equal(bot.isBot, true);
+      assert.equal(bot.botStrategy, 'bluffer');
+    });
+  });
+
+  describe('Hand strength', () => {
+    it('rates a trio above a high card', () => {
+      const game = setupGame(['tight']);
+      const bot = game.players[1];
+
+      bot.cards = hand(...TRIO);
+      const trio = estimateWinChance(game, bot, seededRandom());
+      bot.cards = hand(...HIGH_CARD);
+      const highCard = estimateWinChance(game, bot, seededRandom());
+
+      assert.ok(trio > 0.95);
+      assert.ok(highCard < 0.2);
+    });
+
+    it('gets weaker against more opponents', () => {
+      const game = setupGame(['tight', 'tight']);
+      const bot = game.players[1];
+      bot.cards = hand('Ks', 'Qh', '9d');
+
+      assert.ok(estimateWinChance(game, bot, seededRandom(), 2) < estimateWinChance(game, bot, seededRandom(), 1));
+    });
+  });
+
+  describe('Turn decisions', () => {
+    it('a tight bot sees its cards straight away', () => {
+      const game = setupGame(['tight']);
+
+      assert.deepEqual(decideBotTurn(game, game.players[1].id, seededRandom()), { action: 'see' });
+    });
+
+    it('a tight bot packs a weak hand', () => {
+      const game = setupGame(['tight', 'tight']);
+      const bot = game.players[1];
+      bot.cards = hand(...HIGH_CARD);
+      bot.seeCards();
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'pack' });
+    });
+
+    it('a tight bot raises a strong hand', () => {
+      const game = setupGame(['tight', 'tight']);
+      const bot = game.players[1];
+      bot.cards = hand(...TRIO);
+      bot.seeCards();
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'chaal', amount: game.currentBet * 2 });
+    });
+
+    it('a blind-heavy bot keeps playing blind', () => {
+      const game = setupGame(['blind']);
+      const bot = game.players[1];
+      const move = decideBotTurn(game, bot.id, seededRandom());
+
+      assert.equal(move.action, 'chaal');
+      assert.ok(move.amount === game.currentBet / 2 || move.amount === game.currentBet);
+    });
+
+    it('a blind-heavy bot sees once the blind limit is reached', () => {
+      const game = setupGame(['blind'], { rules: { maxBlindRounds: 2 } });
+      const bot = game.players[1];
+      bot.blindRounds = 2;
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'see' });
+    });
+
+    it('checks when everyone else is all-in', () => {
+      const game = setupGame(['loose']);
+      const [human, bot] = game.players;
+      human.isAllIn = true;
+      human.totalBet = bot.totalBet;
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'check' });
+    });
+
+    it('does not raise past the chaal limit', () => {
+      const game = setupGame(['tight', 'tight'], { rules: { chaalLimit: 15 } });
+      const bot = game.players[1];
+      bot.cards = hand(...TRIO);
+      bot.seeCards();
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'chaal', amount: game.currentBet });
+    });
+
+    it('goes all-in when short of the stake', () => {
+      const game = setupGame(['tight', 'tight'], { stacks: [15, 1000] });
+      const bot = game.players[1];
+      bot.cards = hand(...TRIO);
+      bot.seeCards();
+      game.currentBet = 40;
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'chaal', amount: bot.chips });
+    });
+
+    it('shows a decent hand heads-up instead of betting on', () => {
+      const game = setupGame(['tight']);
+      const bot = game.players[1];
+      bot.cards = hand('As', 'Kh', '9d');
+      bot.seeCards();
+
+      assert.deepEqual(decideBotTurn(game, bot.id, seededRandom()), { action: 'show' });
+    });
+
+    it('plays moves the game accepts', () => {
+      const game = setupGame(['loose', 'bluffer', 'blind']);
+      const random = seededRandom(7);
+
+      // Let the bots play around the table until a human is on turn or the hand ends
+      for (let i = 0; i < 50 && game.gameStarted && game.getCurrentPlayer().isBot; i++) {
+        const bot = game.getCurrentPlayer();
+        const move = decideBotTurn(game, bot.id, random);
+        const result = move.action === 'see'
+          ? game.seeCards(bot.id)
+          : move.action === 'show' ? game.show(bot.id) : game.playerAction(bot.id, move.action, move.amount);
+        assert.equal(result.success, true, `${bot.botStrategy} ${move.action}: ${result.error}`);
+      }
+    });
+  });
+
+  describe('Sideshow responses', () => {
+    it('accepts with a strong hand and declines with a weak one', () => {
+      const game = setupGame(['tight']);
+      const bot = game.players[1];
+      bot.seeCards();
+
+      bot.cards = hand(...TRIO);
+      assert.equal(decideSideshowResponse(game, bot.id, seededRandom()), true);
+      bot.cards = hand(...HIGH_CARD);
+      assert.equal(decideSideshowResponse(game, bot.id, seededRandom()), false);
+    });
+  });
+});
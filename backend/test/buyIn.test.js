@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { Interface, Wallet, ZeroHash, encodeBytes32String, keccak256, parseEther, zeroPadValue } from 'ethers';
+import { decodeRoomMetadata, findBuyInEvent } from '../blockchain/service.js';
+
+const { abi } = JSON.parse(readFileSync(new URL('../blockchain/abis/TeenPattiGame.json', import.meta.url), 'utf8'));
+const iface = new Interface(abi);
+
+const GAME = Wallet.createRandom().address;
+const ROOM = zeroPadValue('0xabc123', 32);
+const OTHER_ROOM = zeroPadValue('0xdef456', 32);
+const PLAYER = Wallet.createRandom().address;
+const BUY_IN = parseEther('100');
+
+function log(name, args, address = GAME) {
+  return { address, ...iface.encodeEventLog(name, args) };
+}
+
+function receipt(logs, overrides = {}) {
+  return { status: 1, to: GAME, logs, ...overrides };
+}
+
+const check = (r, overrides = {}) =>
+  findBuyInEvent(r, { iface, gameAddress: GAME, eventName: 'PlayerJoined', roomId: ROOM, player: PLAYER, ...overrides });
+
+describe('Buy-in verification', () => {
+  it('finds the PlayerJoined event for the room and wallet', () => {
+    const result = check(receipt([log('PlayerJoined', [ROOM, PLAYER, BUY_IN])]));
+
+    assert.equal(result.success, true);
+    assert.equal(result.event.args.buyIn, BUY_IN);
+  });
+
+  it('finds RoomCreated for the creator, with the table size', () => {
+    const result = check(
+      receipt([log('RoomCreated', [ROOM, PLAYER, BUY_IN, 4]), log('PlayerJoined', [ROOM, PLAYER, BUY_IN])]),
+      { eventName: 'RoomCreated' }
+    );
+
+    assert.equal(result.success, true);
+    assert.equal(result.event.args.maxPlayers, 4n);
+  });
+
+  it('matches addresses and room IDs regardless of case', () => {
+    const result = check(receipt([log('PlayerJoined', [ROOM, PLAYER, BUY_IN])]), {
+      player: PLAYER.toLowerCase(),
+      roomId: ROOM.toUpperCase().replace('0X', '0x'),
+      gameAddress: GAME.toLowerCase()
+    });
+
+    assert.equal(result.success, true);
+  });
+
+  it('rejects a missing or failed transaction', () => {
+    assert.match(check(null).error, /not found/);
+    assert.match(check(receipt([log('PlayerJoined', [ROOM, PLAYER, BUY_IN])], { status: 0 })).error, /failed/);
+  });
+
+  it('rejects a transaction sent to another contract', () => {
+    const result = check(receipt([log('PlayerJoined', [ROOM, PLAYER, BUY_IN])], { to: Wallet.createRandom().address }));
+
+    assert.match(result.error, /game contract/);
+  });
+
+  it("rejects someone else's buy-in", () => {
+    const result = check(receipt([log('PlayerJoined', [ROOM, Wallet.createRandom().address, BUY_IN])]));
+
+    assert.match(result.error, /no PlayerJoined event/);
+  });
+
+  it('rejects a buy-in to another room', () => {
+    const result = check(receipt([log('PlayerJoined', [OTHER_ROOM, PLAYER, BUY_IN])]));
+
+    assert.match(result.error, /no PlayerJoined event/);
+  });
+
+  it('ignores look-alike events from other contracts', () => {
+    const result = check(receipt([log('PlayerJoined', [ROOM, PLAYER, BUY_IN], Wallet.createRandom().address)]));
+
+    assert.equal(result.success, false);
+  });
+
+  it('does not take a join as a room creation', () => {
+    const result = check(receipt([log('PlayerJoined', [ROOM, PLAYER, BUY_IN])]), { eventName: 'RoomCreated' });
+
+    assert.match(result.error, /no RoomCreated event/);
+  });
+});
+
+describe('Tournament entry verification', () => {
+  const tournament = JSON.parse(readFileSync(new URL('../blockchain/abis/TeenPattiTournament.json', import.meta.url), 'utf8'));
+  const tournamentIface = new Interface(tournament.abi);
+  const TOURNAMENT = Wallet.createRandom().address;
+  const entry = (logs, overrides = {}) => findBuyInEvent(
+    { status: 1, to: TOURNAMENT, logs: logs.map(([name, args]) => ({ address: TOURNAMENT, ...tournamentIface.encodeEventLog(name, args) })) },
+    {
+      iface: tournamentIface,
+      gameAddress: TOURNAMENT,
+      eventName: 'PlayerRegistered',
+      roomId: ROOM,
+      player: PLAYER,
+      idArg: 'tournamentId',
+      contractName: 'tournament',
+      ...overrides
+    }
+  );
+
+  it('finds PlayerRegistered for the tournament and wallet', () => {
+    const result = entry([['PlayerRegistered', [ROOM, PLAYER, BUY_IN]]]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.event.args.entryFee, BUY_IN);
+  });
+
+  it('rejects an entry to another tournament', () => {
+    const result = entry([['PlayerRegistered', [OTHER_ROOM, PLAYER, BUY_IN]]]);
+
+    assert.match(result.error, /no PlayerRegistered event/);
+  });
+
+  it('names the tournament contract when sent elsewhere', () => {
+    const result = entry([['PlayerRegistered', [ROOM, PLAYER, BUY_IN]]], { gameAddress: GAME });
+
+    assert.match(result.error, /not sent to the tournament contract/);
+  });
+});
+
+describe('Room metadata', () => {
+  it('reads the variant and rules hash set at creation', () => {
+    const rulesHash = keccak256('0x1234');
+    const metadata = decodeRoomMetadata({ variant: encodeBytes32String('muflis'), rulesHash });
+
+    assert.deepEqual(metadata, { variant: 'muflis', rulesHash });
+  });
+
+  it('treats empty fields as unset', () => {
+    assert.deepEqual(decodeRoomMetadata({ variant: ZeroHash, rulesHash: ZeroHash }), { variant: null, rulesHash: null });
+  });
+
+  it('does not take a variant that is not a string', () => {
+    assert.equal(decodeRoomMetadata({ variant: '0x' + 'ff'.repeat(32), rulesHash: ZeroHash }).variant, '');
+  });
+});
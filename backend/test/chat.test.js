@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import {
+  CHAT_HISTORY_SIZE,
+  MAX_CHAT_LENGTH,
+  ChatRateLimiter,
+  addChatMessage,
+  chatHistoryFor,
+  filterProfanity,
+  getReaction,
+  normalizeChatText
+} from '../chat.js';
+
+function setupGame() {
+  const game = new Game('ROOM01');
+  game.addPlayer(new Player('p1', 'Asha', 's-p1'));
+  game.addPlayer(new Player('p2', 'Ravi', 's-p2'));
+  return game;
+}
+
+describe('Chat', () => {
+  describe('Messages', () => {
+    it('trims and collapses whitespace', () => {
+      assert.deepEqual(normalizeChatText('  nice   hand \n'), { success: true, text: 'nice hand' });
+    });
+
+    it('rejects empty, overlong or non-text messages', () => {
+      assert.equal(normalizeChatText('   ').error, 'Message is empty');
+      assert.match(normalizeChatText('x'.repeat(MAX_CHAT_LENGTH + 1)).error, /at most 200 characters/);
+      assert.equal(normalizeChatText('x'.repeat(MAX_CHAT_LENGTH)).success, true);
+      assert.equal(normalizeChatText({ text: 'hi' }).success, false);
+    });
+  });
+
+  describe('Profanity filter', () => {
+    it('masks profane words with asterisks of the same length', () => {
+      assert.equal(filterProfanity('what the fuck'), 'what the ****');
+      assert.equal(filterProfanity('Shitty luck, bhenchod'), '****** luck, ********');
+    });
+
+    it('catches common letter swaps', () => {
+      assert.equal(filterProfanity('sh1t'), '****');
+      assert.equal(filterProfanity('b1tch3s'), '*******');
+    });
+
+    it('leaves words that only contain a profane word alone', () => {
+      assert.equal(filterProfanity('Scunthorpe has a class act'), 'Scunthorpe has a class act');
+    });
+  });
+
+  describe('History', () => {
+    it('keeps filtered messages with the room', () => {
+      const game = setupGame();
+      const message = addChatMessage(game, game.getPlayer('p1'), 'oh shit', 1000);
+
+      assert.deepEqual(
+        { ...message, id: undefined },
+        { id: undefined, playerId: 'p1', playerName: 'Asha', text: 'oh ****', sentAt: 1000 }
+      );
+      assert.deepEqual(Game.fromJSON(JSON.parse(JSON.stringify(game))).chatLog, [message]);
+    });
+
+    it('only keeps the most recent messages', () => {
+      const game = setupGame();
+      for (let i = 0; i < CHAT_HISTORY_SIZE + 5; i++) {
+        addChatMessage(game, game.getPlayer('p1'), `message ${i}`);
+      }
+
+      assert.equal(game.chatLog.length, CHAT_HISTORY_SIZE);
+      assert.equal(game.chatLog[0].text, 'message 5');
+    });
+
+    it('leaves out players you muted', () => {
+      const game = setupGame();
+      addChatMessage(game, game.getPlayer('p1'), 'hi');
+      addChatMessage(game, game.getPlayer('p2'), 'hello');
+      game.getPlayer('p1').mutedIds = ['p2'];
+
+      assert.deepEqual(chatHistoryFor(game, game.getPlayer('p1')).map(m => m.text), ['hi']);
+      assert.deepEqual(chatHistoryFor(game).map(m => m.text), ['hi', 'hello']);
+    });
+
+    it('remembers mutes across a restart', () => {
+      const game = setupGame();
+      game.getPlayer('p1').mutedIds = ['p2'];
+
+      assert.deepEqual(Game.fromJSON(JSON.parse(JSON.stringify(game))).getPlayer('p1').mutedIds, ['p2']);
+    });
+  });
+
+  describe('Rate limit', () => {
+    it('allows a burst, then waits for the window to pass', () => {
+      const limiter = new ChatRateLimiter({ limit: 2, windowMs: 1000 });
+
+      assert.equal(limiter.allow('seat', 0), true);
+      assert.equal(limiter.allow('seat', 100), true);
+      assert.equal(limiter.allow('seat', 200), false);
+      assert.equal(limiter.allow('other', 200), true);
+      assert.equal(limiter.allow('seat', 1001), true);
+    });
+
+    it('does not count refused messages', () => {
+      const limiter = new ChatRateLimiter({ limit: 1, windowMs: 1000 });
+      limiter.allow('seat', 0);
+      limiter.allow('seat', 900);
+
+      assert.equal(limiter.allow('seat', 1000), true);
+    });
+  });
+
+  it('only knows the preset reactions', () => {
+    assert.equal(getReaction('fire').emoji, '🔥');
+    assert.equal(getReaction('<script>'), null);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, MAX_CLIENT_SEED_LENGTH } from '../gameLogic.js';
+import { hashServerSeed, createRng, deriveDeck, combineClientSeeds } from '../fairness.js';
+import { verifyHand } from '../verifier.js';
+
+const SERVER_SEED = '0x' + '11'.repeat(32);
+
+function setupGame(count = 3, options) {
+  const game = new Game('ROOM01', undefined, undefined, options);
+  for (let i = 1; i <= count; i++) {
+    game.addPlayer(new Player(`p${i}`, `P${i}`, `socket-p${i}`, 1000));
+  }
+  return game;
+}
+
+const cardsOf = game => Object.fromEntries(
+  game.players.map(p => [p.id, p.cards.map(({ rank, suit }) => ({ rank, suit }))])
+);
+
+describe('Provably fair shuffle', () => {
+  describe('Seeds', () => {
+    it('derives the same deck from the same seeds', () => {
+      assert.deepEqual(deriveDeck(SERVER_SEED, 'a:b', 1), deriveDeck(SERVER_SEED, 'a:b', 1));
+    });
+
+    it('changes the deck when any input changes', () => {
+      const deck = deriveDeck(SERVER_SEED, 'a:b', 1);
+
+      assert.notDeepEqual(deriveDeck(SERVER_SEED, 'a:c', 1), deck);
+      assert.notDeepEqual(deriveDeck(SERVER_SEED, 'a:b', 2), deck);
+      assert.notDeepEqual(deriveDeck('0x' + '22'.repeat(32), 'a:b', 1), deck);
+    });
+
+    it('deals a full deck of distinct cards', () => {
+      const deck = deriveDeck(SERVER_SEED, '', 1);
+
+      assert.equal(deck.length, 52);
+      assert.equal(new Set(deck.map(c => `${c.rank}${c.suit}`)).size, 52);
+    });
+
+    it('keeps random integers inside the range', () => {
+      const random = createRng(SERVER_SEED, 'seed', 1);
+      for (let max = 1; max <= 52; max++) {
+        const value = random(max);
+        assert.ok(value >= 0 && value < max);
+      }
+    });
+
+    it('joins client seeds in seat order', () => {
+      assert.equal(combineClientSeeds(['x', '', 'z']), 'x::z');
+    });
+  });
+
+  describe('Commitment', () => {
+    it('publishes only the hash before the hand', () => {
+      const game = setupGame();
+      const state = game.getGameState();
+
+      assert.equal(state.serverSeedHash, hashServerSeed(game.serverSeed));
+      assert.ok(!JSON.stringify(state).includes(game.serverSeed.slice(2)));
+    });
+
+    it('reveals the committed seed when the hand ends', () => {
+      const game = setupGame();
+      const committed = game.getGameState().serverSeedHash;
+      game.startGame();
+
+      const { fairness } = game.endGame(game.players[0]);
+
+      assert.equal(fairness.serverSeedHash, committed);
+      assert.equal(hashServerSeed(fairness.serverSeed), committed);
+    });
+
+    it('commits to a fresh seed for the next hand', () => {
+      const game = setupGame();
+      game.startGame();
+      const { fairness } = game.endGame(game.players[0]);
+
+      assert.notEqual(game.serverSeedHash, fairness.serverSeedHash);
+      assert.equal(game.getGameState().handNumber, 1);
+    });
+
+    it('has nothing to reveal if no hand was dealt', () => {
+      const game = setupGame();
+
+      assert.equal(game.endGame(game.players[0]).fairness, null);
+    });
+  });
+
+  describe('Client seeds', () => {
+    it('mixes every player seed into the shuffle', () => {
+      const game = setupGame();
+      game.setClientSeed('p1', 'alpha');
+      game.setClientSeed('p3', 'gamma');
+      game.startGame();
+
+      assert.equal(game.handFairness.clientSeed, 'alpha::gamma');
+    });
+
+    it('changes the deal when a player changes their seed', () => {
+      const first = setupGame();
+      const second = setupGame();
+      second.serverSeed = first.serverSeed;
+      second.serverSeedHash = first.serverSeedHash;
+      second.setClientSeed('p2', 'mine');
+
+      first.startGame();
+      second.startGame();
+
+      assert.notDeepEqual(cardsOf(first), cardsOf(second));
+    });
+
+    it('cannot be changed during a hand', () => {
+      const game = setupGame();
+      game.startGame();
+
+      const result = game.setClientSeed('p1', 'late');
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /between hands/);
+    });
+
+    it('rejects seeds that are too long or not strings', () => {
+      const game = setupGame();
+
+      assert.equal(game.setClientSeed('p1', 'x'.repeat(MAX_CLIENT_SEED_LENGTH + 1)).success, false);
+      assert.equal(game.setClientSeed('p1', 42).success, false);
+      assert.equal(game.setClientSeed('nobody', 'x').success, false);
+    });
+  });
+
+  describe('Verifier', () => {
+    it('re-derives the exact deal from the revealed seeds', () => {
+      const game = setupGame(4);
+      game.setClientSeed('p2', 'entropy');
+      game.startGame();
+      const dealt = cardsOf(game);
+
+      const { fairness } = game.endGame(game.players[0]);
+      const result = verifyHand(fairness, dealt);
+
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.hands, dealt);
+    });
+
+    it('re-derives four-card hands in Best of Four', () => {
+      const game = setupGame(3, { variant: 'best-of-four' });
+      game.startGame();
+      const dealt = cardsOf(game);
+
+      const result = verifyHand(game.endGame(game.players[0]).fairness, dealt);
+
+      assert.equal(result.valid, true);
+      assert.ok(Object.values(result.hands).every(cards => cards.length === 4));
+    });
+
+    it('re-derives the joker card', () => {
+      const game = setupGame(3, { variant: 'joker' });
+      game.startGame();
+      const joker = { rank: game.jokerCard.rank, suit: game.jokerCard.suit };
+
+      const result = verifyHand(game.endGame(game.players[0]).fairness, cardsOf(game));
+
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.jokerCard, joker);
+    });
+
+    it('flags a seed that does not match the commitment', () => {
+      const game = setupGame();
+      game.startGame();
+      const { fairness } = game.endGame(game.players[0]);
+
+      const result = verifyHand({ ...fairness, serverSeed: SERVER_SEED });
+
+      assert.equal(result.valid, false);
+      assert.equal(result.hashMatches, false);
+    });
+
+    it('flags cards that differ from the deal', () => {
+      const game = setupGame();
+      game.startGame();
+      const dealt = cardsOf(game);
+      const { fairness } = game.endGame(game.players[0]);
+      dealt.p2 = [dealt.p1[0], ...dealt.p2.slice(1)];
+
+      const result = verifyHand(fairness, dealt);
+
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.mismatches, ['p2']);
+    });
+
+    it('only checks the hands that were shown', () => {
+      const game = setupGame();
+      game.startGame();
+      const { p1 } = cardsOf(game);
+
+      const result = verifyHand(game.endGame(game.players[0]).fairness, { p1, p2: [] });
+
+      assert.equal(result.valid, true);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, Card } from '../gameLogic.js';
+import { formatHandHistory, formatHandHistories, redactHand } from '../handHistory.js';
+
+// Seat players and deal; dealer is seat 0, so seat 1 acts first
+function setupGame(count = 3) {
+  const game = new Game('ROOM01');
+  for (let i = 1; i <= count; i++) {
+    game.addPlayer(new Player(`p${i}`, `P${i}`, `socket-p${i}`, 1000));
+  }
+  game.startGame();
+  return game;
+}
+
+const types = game => game.handLog.map(e => e.type);
+
+// What server.js stores for a finished hand
+function recordHand(game, result, reason = null) {
+  return {
+    handId: `${game.roomId}-${game.handNumber}`,
+    roomId: game.roomId,
+    handNumber: game.handNumber,
+    variant: game.variant.id,
+    rules: game.rules,
+    private: game.isPrivate,
+    endedAt: Date.now(),
+    reason,
+    players: game.players.filter(p => p.inHand).map(p => ({
+      id: p.id,
+      name: p.name,
+      cards: p.cards.map(({ rank, suit }) => ({ rank, suit })),
+      folded: p.isFolded,
+      totalBet: p.totalBet,
+      chips: p.chips
+    })),
+    pot: result.pot,
+    pots: result.pots,
+    winners: result.winners,
+    fairness: result.fairness,
+    events: game.handLog
+  };
+}
+
+describe('Hand history', () => {
+  describe('Event log', () => {
+    it('opens with the deal and the boots', () => {
+      const game = setupGame();
+      const [deal, ...boots] = game.handLog;
+
+      assert.equal(deal.type, 'deal');
+      assert.equal(deal.dealerId, 'p1');
+      assert.deepEqual(deal.players.map(p => [p.seat, p.chips]), [[1, 1000], [2, 1000], [3, 1000]]);
+      assert.deepEqual(boots.map(e => [e.type, e.playerId, e.amount]), [
+        ['boot', 'p1', 10],
+        ['boot', 'p2', 10],
+        ['boot', 'p3', 10]
+      ]);
+    });
+
+    it('records every action in order', () => {
+      const game = setupGame();
+      game.playerAction('p2', 'chaal', 5);
+      game.seeCards('p1');
+      game.playerAction('p3', 'chaal', 10);
+      game.playerAction('p1', 'chaal', 20);
+      game.playerAction('p2', 'pack');
+
+      assert.deepEqual(types(game).slice(4), ['chaal', 'see', 'chaal', 'chaal', 'pack']);
+      assert.deepEqual(game.handLog.map(e => e.seq), game.handLog.map((e, i) => i + 1));
+
+      const [blindChaal, , blindRaise, seenChaal] = game.handLog.slice(4);
+      assert.deepEqual([blindChaal.amount, blindChaal.blind, blindChaal.raise], [5, true, false]);
+      assert.deepEqual([blindRaise.amount, blindRaise.blind, blindRaise.raise], [10, true, true]);
+      assert.deepEqual([seenChaal.amount, seenChaal.blind, seenChaal.pot], [20, false, 65]);
+    });
+
+    it('leaves rejected actions out', () => {
+      const game = setupGame();
+      game.playerAction('p3', 'chaal', 5);
+      game.playerAction('p2', 'chaal', 7);
+
+      assert.deepEqual(types(game), ['deal', 'boot', 'boot', 'boot']);
+    });
+
+    it('records a card look only once', () => {
+      const game = setupGame();
+      game.seeCards('p3');
+      game.playerAction('p2', 'see');
+      game.seeCards('p3');
+
+      assert.deepEqual(types(game).slice(4), ['see', 'see']);
+    });
+
+    it('records sideshows and their outcome', () => {
+      const game = setupGame();
+      game.seeCards('p1');
+      game.seeCards('p2');
+      game.playerAction('p2', 'chaal', 10);
+      game.seeCards('p3');
+      game.requestSideshow('p3');
+      game.respondToSideshow('p2', true);
+
+      const [request, answer] = game.handLog.slice(-2);
+      assert.deepEqual([request.type, request.playerId, request.targetId, request.amount], ['sideshow', 'p3', 'p2', 10]);
+      assert.equal(answer.type, 'sideshowResult');
+      assert.equal(answer.accepted, true);
+      assert.deepEqual([answer.winnerId, answer.loserId].sort(), ['p2', 'p3']);
+    });
+
+    it('records timeouts before the action taken for the player', () => {
+      const game = setupGame();
+      const deadline = game.startTurnClock(0);
+
+      game.handleTurnTimeout(deadline);
+
+      assert.deepEqual(types(game).slice(-2), ['timeout', 'pack']);
+      assert.equal(game.handLog.at(-2).action, 'pack');
+    });
+
+    it('closes with the shown hands and the result', () => {
+      const game = setupGame(2);
+      game.playerAction('p2', 'see');
+      game.show('p2');
+      const result = game.endGame();
+
+      const [show, showdown, end] = game.handLog.slice(-3);
+      assert.deepEqual([show.type, show.amount], ['show', 10]);
+      assert.equal(showdown.type, 'showdown');
+      assert.deepEqual(showdown.hands.map(h => h.playerId), ['p1', 'p2']);
+      assert.deepEqual(showdown.hands[0].cards, game.getPlayerCards('p1').map(({ rank, suit }) => ({ rank, suit })));
+      assert.equal(end.type, 'result');
+      assert.deepEqual(end.winners, result.winners);
+    });
+
+    it('has no showdown when everyone else packed', () => {
+      const game = setupGame(2);
+      game.playerAction('p2', 'pack');
+      game.endGame(game.getPlayer('p1'));
+
+      assert.deepEqual(types(game).slice(-2), ['pack', 'result']);
+    });
+
+    it('records a player leaving mid-hand', () => {
+      const game = setupGame();
+      game.removePlayer('p3');
+
+      const leave = game.handLog.at(-1);
+      assert.deepEqual([leave.type, leave.playerId], ['leave', 'p3']);
+    });
+
+    it('starts afresh every hand', () => {
+      const game = setupGame(2);
+      game.playerAction('p2', 'pack');
+      game.endGame(game.getPlayer('p1'));
+
+      game.startGame();
+
+      assert.deepEqual(types(game), ['deal', 'boot', 'boot']);
+      assert.equal(game.handLog[0].handNumber, 2);
+    });
+
+    it('survives a snapshot', () => {
+      const game = setupGame();
+      game.playerAction('p2', 'chaal', 5);
+
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+      restored.playerAction('p3', 'pack');
+
+      assert.deepEqual(types(restored).slice(4), ['chaal', 'pack']);
+    });
+  });
+
+  describe('Text export', () => {
+    it('reads like a tracker hand history', () => {
+      const game = setupGame(2);
+      game.getPlayer('p1').cards = [new Card('A', 'hearts'), new Card('K', 'hearts'), new Card('Q', 'hearts')];
+      game.getPlayer('p2').cards = [new Card('10', 'clubs'), new Card('10', 'spades'), new Card('2', 'diamonds')];
+      game.playerAction('p2', 'chaal', 10);
+      game.playerAction('p1', 'see');
+      game.show('p1');
+      const lines = formatHandHistory(recordHand(game, game.endGame())).split('\n');
+
+      assert.match(lines[0], /^Teen Patti Hand #ROOM01-1: Classic \(boot 10\) - \d{4}-\d\d-\d\d \d\d:\d\d:\d\d UTC$/);
+      assert.deepEqual(lines.slice(1, lines.indexOf('*** SUMMARY ***') + 3), [
+        "Table 'ROOM01' Seat #1 is the button",
+        'Seat 1: P1 (1000 in chips)',
+        'Seat 2: P2 (1000 in chips)',
+        'P1: posts boot 10',
+        'P2: posts boot 10',
+        '*** BETTING ***',
+        'P2: raises 10 blind',
+        'P1: sees cards',
+        'P1: calls a show for 20',
+        '*** SHOW DOWN ***',
+        'P1: shows [Ah Kh Qh]',
+        'P2: shows [Tc Ts 2d]',
+        '*** SUMMARY ***',
+        'Total pot 50',
+        'P1 collected 50'
+      ]);
+      assert.ok(lines.includes('P2 held [Tc Ts 2d], finished with 980'));
+      assert.ok(lines.some(line => line.startsWith('Server seed: ')));
+    });
+
+    it('names players who left during the hand', () => {
+      const game = setupGame();
+      game.removePlayer('p3');
+      game.playerAction('p2', 'pack');
+      const text = formatHandHistory(recordHand(game, game.endGame(game.getPlayer('p1')), 'Everyone else packed'));
+
+      assert.match(text, /P3: leaves the table/);
+      assert.match(text, /Hand ended: Everyone else packed/);
+    });
+
+    it('separates hands with blank lines', () => {
+      const game = setupGame(2);
+      game.playerAction('p2', 'pack');
+      const first = recordHand(game, game.endGame(game.getPlayer('p1')));
+      game.startGame();
+      game.playerAction('p1', 'pack');
+      const second = recordHand(game, game.endGame(game.getPlayer('p2')));
+
+      const text = formatHandHistories([first, second]);
+
+      assert.equal(text.split('\n\n\n').length, 2);
+      assert.match(text, /Hand #ROOM01-2/);
+    });
+  });
+
+  describe('Redaction', () => {
+    it('hides every hole card and the seeds when nobody showed', () => {
+      const game = setupGame(3);
+      game.playerAction('p2', 'pack');
+      game.playerAction('p3', 'pack');
+      const hand = redactHand(recordHand(game, game.endGame(game.getPlayer('p1'))));
+
+      assert.deepEqual(hand.players.map(p => p.cards), [null, null, null]);
+      assert.equal(hand.fairness, null);
+      assert.deepEqual(hand.winners, [{ id: 'p1', amount: 30 }]);
+    });
+
+    it('keeps the hands shown at a showdown', () => {
+      const game = setupGame(3);
+      game.playerAction('p2', 'pack');
+      game.playerAction('p3', 'see');
+      game.show('p3');
+      const full = recordHand(game, game.endGame());
+      const hand = redactHand(full);
+
+      const cardsOf = id => hand.players.find(p => p.id === id).cards;
+      assert.equal(cardsOf('p2'), null);
+      assert.deepEqual(cardsOf('p1'), full.players.find(p => p.id === 'p1').cards);
+      assert.deepEqual(cardsOf('p3'), full.players.find(p => p.id === 'p3').cards);
+      assert.ok(full.players.every(p => p.cards)); // The stored hand is untouched
+    });
+
+    it('exports hidden hands without their cards', () => {
+      const game = setupGame(2);
+      game.playerAction('p2', 'pack');
+      const text = formatHandHistory(redactHand(recordHand(game, game.endGame(game.getPlayer('p1')))));
+
+      assert.match(text, /P2 packed \[hidden\], finished with/);
+      assert.doesNotMatch(text, /Server seed/);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { createBot } from '../bots.js';
+import { ZeroHash } from 'ethers';
+import { DEFAULT_LOBBY_QUERY, listLobbyRooms, normalizeLobbyQuery, summarizeRoom, toChainRoom } from '../lobby.js';
+import blockchainService from '../blockchain/service.js';
+
+const CHAIN_ROOM = '0x' + 'ab'.repeat(32);
+
+// A room with `seated` players, created `createdAt` ms into the epoch
+function makeRoom(roomId, { seated = 1, maxPlayers = 6, variant, createdAt = 0, buyIn, blockchainRoomId } = {}) {
+  const game = new Game(roomId, 2, maxPlayers, { variant });
+  for (let i = 0; i < seated; i++) {
+    game.addPlayer(new Player(`${roomId}-p${i}`, `P${i}`, `s-${roomId}-${i}`, 1000));
+  }
+  game.createdAt = createdAt;
+  if (buyIn !== undefined) game.buyIn = buyIn;
+  if (blockchainRoomId) game.blockchainRoomId = blockchainRoomId;
+  return game;
+}
+
+const query = (input) => normalizeLobbyQuery(input).query;
+const ids = (rooms) => rooms.map(room => room.roomId);
+
+describe('Lobby', () => {
+  describe('Queries', () => {
+    it('fills in the defaults', () => {
+      assert.deepEqual(normalizeLobbyQuery(), { success: true, query: DEFAULT_LOBBY_QUERY });
+    });
+
+    it('reads query-string values', () => {
+      const result = normalizeLobbyQuery({ variant: 'muflis', type: 'on-chain', status: 'waiting', openSeats: 'true', sort: 'buy-in-asc' });
+
+      assert.deepEqual(result.query, { variant: 'muflis', type: 'on-chain', status: 'waiting', openSeats: true, sort: 'buy-in-asc' });
+    });
+
+    it('treats an empty or "all" variant as any variant', () => {
+      assert.equal(query({ variant: '' }).variant, null);
+      assert.equal(query({ variant: 'all' }).variant, null);
+    });
+
+    it('rejects unknown values', () => {
+      assert.match(normalizeLobbyQuery({ variant: 'holdem' }).error, /Unknown game variant/);
+      assert.match(normalizeLobbyQuery({ sort: 'random' }).error, /sort must be one of/);
+      assert.match(normalizeLobbyQuery({ type: 'both' }).error, /type must be one of/);
+      assert.match(normalizeLobbyQuery({ status: 'done' }).error, /status must be one of/);
+      assert.equal(normalizeLobbyQuery(null).success, false);
+    });
+  });
+
+  describe('Summaries', () => {
+    it('shows buy-in, variant, seats and status', () => {
+      const game = makeRoom('ROOM01', { seated: 2, maxPlayers: 4, variant: 'ak47', buyIn: '100.0', blockchainRoomId: CHAIN_ROOM });
+      game.addPlayer(createBot('tight'));
+
+      const room = summarizeRoom(game);
+
+      assert.equal(room.onChain, true);
+      assert.equal(room.blockchainRoomId, CHAIN_ROOM);
+      assert.deepEqual(room.variant, { id: 'ak47', name: game.variant.name });
+      assert.equal(room.buyIn, '100.0');
+      assert.equal(room.seatsTaken, 3);
+      assert.equal(room.maxPlayers, 4);
+      assert.equal(room.bots, 1);
+      assert.equal(room.status, 'waiting');
+    });
+
+    it('counts a running session as playing, between hands too', () => {
+      const game = makeRoom('ROOM01', { seated: 2 });
+      game.startGame();
+      assert.equal(summarizeRoom(game).status, 'playing');
+
+      game.gameStarted = false;
+      assert.equal(summarizeRoom(game).status, 'playing');
+    });
+
+    it('takes seat counts from the contract', () => {
+      const game = makeRoom('ROOM01', { seated: 1, blockchainRoomId: CHAIN_ROOM });
+      const chainRoom = toChainRoom({ state: 0n, currentPlayers: 3n, maxPlayers: 5n });
+
+      assert.deepEqual(chainRoom, { state: 'waiting', currentPlayers: 3, maxPlayers: 5, variant: null, rulesHash: null });
+      assert.equal(summarizeRoom(game, chainRoom).seatsTaken, 3);
+      assert.equal(summarizeRoom(game, chainRoom).maxPlayers, 5);
+    });
+
+    it('takes the variant and rules hash from the contract', () => {
+      const game = makeRoom('ROOM01', { blockchainRoomId: CHAIN_ROOM });
+      const rulesHash = '0x' + '12'.repeat(32);
+      const room = summarizeRoom(game, toChainRoom({ state: 0n, currentPlayers: 1n, maxPlayers: 6n, variant: 'ak47', rulesHash }));
+
+      assert.equal(room.variant.id, 'ak47');
+      assert.equal(room.rulesHash, rulesHash);
+      assert.equal(summarizeRoom(game).rulesHash, null);
+    });
+  });
+
+  describe('Listing', () => {
+    const rooms = () => [
+      makeRoom('OLD', { createdAt: 1, seated: 5, variant: 'muflis' }),
+      makeRoom('MID', { createdAt: 2, seated: 6, buyIn: '50.0', blockchainRoomId: CHAIN_ROOM }),
+      makeRoom('NEW', { createdAt: 3, seated: 1, buyIn: '10.0', blockchainRoomId: '0x' + 'cd'.repeat(32) })
+    ];
+
+    it('lists the newest rooms first by default', () => {
+      assert.deepEqual(ids(listLobbyRooms(rooms())), ['NEW', 'MID', 'OLD']);
+    });
+
+    it('sorts by buy-in, players and open seats', () => {
+      assert.deepEqual(ids(listLobbyRooms(rooms(), query({ sort: 'oldest' }))), ['OLD', 'MID', 'NEW']);
+      assert.deepEqual(ids(listLobbyRooms(rooms(), query({ sort: 'buy-in-asc' }))), ['OLD', 'NEW', 'MID']);
+      assert.deepEqual(ids(listLobbyRooms(rooms(), query({ sort: 'buy-in-desc' }))), ['MID', 'NEW', 'OLD']);
+      assert.deepEqual(ids(listLobbyRooms(rooms(), query({ sort: 'players' }))), ['MID', 'OLD', 'NEW']);
+      assert.deepEqual(ids(listLobbyRooms(rooms(), query({ sort: 'open-seats' }))), ['NEW', 'OLD', 'MID']);
+    });
+
+    it('filters by variant, type, status and open seats', () => {
+      const [old, mid, recent] = rooms();
+      recent.sessionActive = true;
+      const all = [old, mid, recent];
+
+      assert.deepEqual(ids(listLobbyRooms(all, query({ variant: 'muflis' }))), ['OLD']);
+      assert.deepEqual(ids(listLobbyRooms(all, query({ type: 'on-chain' }))), ['NEW', 'MID']);
+      assert.deepEqual(ids(listLobbyRooms(all, query({ type: 'off-chain' }))), ['OLD']);
+      assert.deepEqual(ids(listLobbyRooms(all, query({ status: 'playing' }))), ['NEW']);
+      assert.deepEqual(ids(listLobbyRooms(all, query({ status: 'waiting' }))), ['MID', 'OLD']);
+      assert.deepEqual(ids(listLobbyRooms(all, query({ openSeats: true }))), ['NEW', 'OLD']);
+    });
+
+    it('drops blockchain rooms the contract has finished or cancelled', async (t) => {
+      // The contract only lists NEW's room as active: MID's has left the list
+      const newRoom = '0x' + 'cd'.repeat(32);
+      const { gameContract } = blockchainService;
+      t.after(() => { blockchainService.gameContract = gameContract; });
+      blockchainService.gameContract = {
+        getActiveRooms: async () => [[newRoom], 0n],
+        getRoomDetails: async () => ({ creator: '0x1', buyIn: 10n, pot: 10n, maxPlayers: 6n, currentPlayers: 1n, state: 0n }),
+        roomMetadata: async () => ({ variant: ZeroHash, rulesHash: ZeroHash })
+      };
+
+      const details = await blockchainService.getActiveRooms([CHAIN_ROOM, newRoom]);
+      const chainRooms = new Map([...details].map(([roomId, room]) => [roomId, toChainRoom(room)]));
+
+      assert.equal(chainRooms.get(CHAIN_ROOM).state, 'finished');
+      assert.deepEqual(ids(listLobbyRooms(rooms(), DEFAULT_LOBBY_QUERY, chainRooms)), ['NEW', 'OLD']);
+    });
+
+    it('lists blockchain rooms newer than the last contract read as the server sees them', () => {
+      const listed = listLobbyRooms(rooms(), DEFAULT_LOBBY_QUERY, new Map());
+
+      assert.deepEqual(ids(listed), ['NEW', 'MID', 'OLD']);
+      assert.equal(listed[0].seatsTaken, 1);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { issueSessionToken, verifySessionToken, SESSION_TOKEN_TTL_MS } from '../sessionTokens.js';
+
+const SECRET = 'test-secret';
+
+// Seat players; dealer is seat 0
+function setupGame(count = 3) {
+  const game = new Game('ROOM01');
+  for (let i = 1; i <= count; i++) {
+    game.addPlayer(new Player(`p${i}`, `P${i}`, `socket-p${i}`, 1000));
+  }
+  return game;
+}
+
+describe('Reconnection', () => {
+  describe('Session tokens', () => {
+    it('names the seat it was issued for', () => {
+      const token = issueSessionToken({ roomId: 'ROOM01', playerId: 'p1' }, SECRET);
+
+      assert.deepEqual(verifySessionToken(token, SECRET), { success: true, roomId: 'ROOM01', playerId: 'p1' });
+    });
+
+    it('rejects a token signed with another secret', () => {
+      const token = issueSessionToken({ roomId: 'ROOM01', playerId: 'p1' }, 'other-secret');
+
+      assert.match(verifySessionToken(token, SECRET).error, /Invalid/);
+    });
+
+    it('rejects a token pointed at another seat', () => {
+      const [, signature] = issueSessionToken({ roomId: 'ROOM01', playerId: 'p1' }, SECRET).split('.');
+      const payload = Buffer.from(JSON.stringify({ roomId: 'ROOM01', playerId: 'p2', exp: Date.now() + 1000 })).toString('base64url');
+
+      assert.match(verifySessionToken(`${payload}.${signature}`, SECRET).error, /Invalid/);
+    });
+
+    it('expires', () => {
+      const token = issueSessionToken({ roomId: 'ROOM01', playerId: 'p1' }, SECRET, 0);
+
+      assert.equal(verifySessionToken(token, SECRET, SESSION_TOKEN_TTL_MS - 1).success, true);
+      assert.match(verifySessionToken(token, SECRET, SESSION_TOKEN_TTL_MS).error, /expired/);
+    });
+
+    it('rejects malformed tokens', () => {
+      for (const token of [undefined, '', 'abc', 'a.b.c', '.sig', 42]) {
+        assert.equal(verifySessionToken(token, SECRET).success, false, String(token));
+      }
+    });
+  });
+
+  describe('Held seats', () => {
+    it('keeps a dropped player at the table until the deadline', () => {
+      const game = setupGame();
+
+      game.setDisconnected('p2', 60000);
+
+      const seat = game.getGameState().players.find(p => p.id === 'p2');
+      assert.equal(seat.connected, false);
+      assert.equal(seat.reconnectDeadline, 60000);
+      assert.equal(game.players.length, 3);
+    });
+
+    it('leaves the hand in play and the turn with the dropped player', () => {
+      const game = setupGame();
+      game.startGame();
+
+      game.setDisconnected('p2', 60000);
+
+      assert.equal(game.getPlayer('p2').inHand, true);
+      assert.equal(game.getCurrentPlayer().id, 'p2');
+      assert.equal(game.playerAction('p2', 'chaal', 5).success, true);
+    });
+
+    it('does not deal a dropped player into the next hand', () => {
+      const game = setupGame();
+      game.setDisconnected('p3', 60000);
+
+      game.startGame();
+
+      assert.deepEqual(game.players.filter(p => p.inHand).map(p => p.id), ['p1', 'p2']);
+    });
+
+    it('waits rather than ending the session while a player is away', () => {
+      const game = setupGame(2);
+      game.setDisconnected('p2', 60000);
+
+      assert.equal(game.canStartGame(), false);
+      assert.equal(game.canContinueSession(), true);
+    });
+
+    it('deals the player in again once they are back', () => {
+      const game = setupGame();
+      game.setDisconnected('p3', 60000);
+
+      game.setReconnected('p3');
+      game.startGame();
+
+      assert.equal(game.getPlayer('p3').inHand, true);
+      assert.equal(game.getPlayer('p3').reconnectDeadline, null);
+    });
+
+    it('survives a snapshot', () => {
+      const game = setupGame();
+      game.setDisconnected('p1', 60000);
+
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+      assert.equal(restored.getPlayer('p1').connected, false);
+      assert.equal(restored.getPlayer('p1').reconnectDeadline, 60000);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { checkRoomAccess, checkRoomPassword, hashRoomPassword, validateRoomPassword } from '../roomAccess.js';
+import {
+  issueInviteToken,
+  verifyInviteToken,
+  issueSessionToken,
+  verifySessionToken,
+  INVITE_TOKEN_TTL_MS
+} from '../sessionTokens.js';
+import { listLobbyRooms } from '../lobby.js';
+
+const SECRET = 'test-secret';
+
+function setupGame({ isPrivate = false, password } = {}) {
+  const game = new Game('ROOM01');
+  game.addPlayer(new Player('host', 'Host', 's-host'));
+  game.isPrivate = isPrivate || !!password;
+  game.passwordHash = password ? hashRoomPassword(password) : null;
+  return game;
+}
+
+describe('Room access', () => {
+  describe('Passwords', () => {
+    it('only matches the password that was hashed', () => {
+      const stored = hashRoomPassword('open sesame');
+
+      assert.equal(checkRoomPassword('open sesame', stored), true);
+      assert.equal(checkRoomPassword('open sesamE', stored), false);
+      assert.equal(checkRoomPassword(undefined, stored), false);
+    });
+
+    it('salts every hash', () => {
+      assert.notEqual(hashRoomPassword('secret'), hashRoomPassword('secret'));
+    });
+
+    it('keeps passwords within length limits', () => {
+      assert.equal(validateRoomPassword('abcd').success, true);
+      assert.match(validateRoomPassword('abc').error, /4 to 64 characters/);
+      assert.equal(validateRoomPassword('x'.repeat(65)).success, false);
+      assert.equal(validateRoomPassword(1234).success, false);
+    });
+  });
+
+  describe('Joining', () => {
+    it('lets anyone into a public room', () => {
+      assert.equal(checkRoomAccess(setupGame()).success, true);
+    });
+
+    it('asks for the password or an invite in a private room', () => {
+      const game = setupGame({ password: 'hunter2' });
+
+      assert.match(checkRoomAccess(game).error, /invite link or the password/);
+      assert.equal(checkRoomAccess(game, { password: 'wrong' }).error, 'Wrong room password');
+      assert.equal(checkRoomAccess(game, { password: 'hunter2' }).success, true);
+      assert.equal(checkRoomAccess(game, { invitedTo: 'ROOM01' }).success, true);
+    });
+
+    it('only takes invites to this room', () => {
+      const game = setupGame({ isPrivate: true });
+
+      assert.match(checkRoomAccess(game, { invitedTo: 'OTHER1' }).error, /need an invite link$/);
+    });
+
+    it('turns everyone away from a locked room, invite or not', () => {
+      const game = setupGame({ password: 'hunter2' });
+      game.locked = true;
+
+      assert.equal(checkRoomAccess(game, { password: 'hunter2' }).error, 'This table is locked');
+      assert.equal(checkRoomAccess(game, { invitedTo: 'ROOM01' }).error, 'This table is locked');
+    });
+
+    it('only seats players in a blockchain room once they buy in on-chain', () => {
+      const game = setupGame();
+      game.blockchainRoomId = '0xabc123';
+
+      assert.match(checkRoomAccess(game).error, /blockchain room/);
+    });
+
+    it('shows privacy in the game state without the hash', () => {
+      const state = setupGame({ password: 'hunter2' }).getGameState();
+
+      assert.equal(state.isPrivate, true);
+      assert.equal(state.hasPassword, true);
+      assert.equal(state.locked, false);
+      assert.equal('passwordHash' in state, false);
+    });
+
+    it('keeps private rooms out of the lobby', () => {
+      const hidden = setupGame({ isPrivate: true });
+      const listed = new Game('PUBLIC');
+
+      assert.deepEqual(listLobbyRooms([hidden, listed]).map(room => room.roomId), ['PUBLIC']);
+    });
+  });
+
+  describe('Invite tokens', () => {
+    it('name their room until they expire', () => {
+      const now = 1_000_000;
+      const token = issueInviteToken('ROOM01', SECRET, now);
+
+      assert.deepEqual(verifyInviteToken(token, SECRET, now), {
+        success: true,
+        roomId: 'ROOM01',
+        expiresAt: now + INVITE_TOKEN_TTL_MS
+      });
+      assert.equal(verifyInviteToken(token, SECRET, now + INVITE_TOKEN_TTL_MS).error, 'Invite link has expired');
+    });
+
+    it('can be made to expire sooner', () => {
+      const token = issueInviteToken('ROOM01', SECRET, 0, 60000);
+
+      assert.equal(verifyInviteToken(token, SECRET, 59999).success, true);
+      assert.equal(verifyInviteToken(token, SECRET, 60000).success, false);
+    });
+
+    it('rejects tampered or foreign tokens', () => {
+      const token = issueInviteToken('ROOM01', SECRET);
+
+      assert.equal(verifyInviteToken(token, 'other-secret').error, 'Invalid invite link');
+      assert.equal(verifyInviteToken(`${token}x`, SECRET).success, false);
+    });
+
+    it('cannot be used as session tokens, or the other way round', () => {
+      const invite = issueInviteToken('ROOM01', SECRET);
+      const session = issueSessionToken({ roomId: 'ROOM01', playerId: 'host' }, SECRET);
+
+      assert.equal(verifySessionToken(invite, SECRET).success, false);
+      assert.equal(verifyInviteToken(session, SECRET).success, false);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+
+// Seat players with the given stacks; dealer is seat 0
+function setupGame(stacks = [1000, 1000, 1000], rules) {
+  const game = new Game('ROOM01', undefined, undefined, { rules });
+  stacks.forEach((chips, i) => game.addPlayer(new Player(`p${i + 1}`, `P${i + 1}`, `socket-p${i + 1}`, chips)));
+  return game;
+}
+
+const dealtIds = game => game.players.filter(p => p.inHand).map(p => p.id);
+
+describe('Sessions', () => {
+  describe('Dealing', () => {
+    it('starts a session with the first hand', () => {
+      const game = setupGame();
+      assert.equal(game.sessionActive, false);
+
+      game.startGame();
+
+      assert.equal(game.sessionActive, true);
+      assert.deepEqual(dealtIds(game), ['p1', 'p2', 'p3']);
+    });
+
+    it('keeps the session going after a hand ends', () => {
+      const game = setupGame();
+      game.startGame();
+      game.endGame(game.players[0]);
+
+      assert.equal(game.sessionActive, true);
+      assert.equal(game.handsPlayed, 1);
+      assert.equal(game.canStartGame(), true);
+    });
+
+    it('moves the dealer button every hand', () => {
+      const game = setupGame();
+      game.startGame();
+      assert.equal(game.getCurrentPlayer().id, 'p2');
+      game.endGame(game.players[0]);
+
+      game.startGame();
+
+      assert.equal(game.dealerIndex, 1);
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+    });
+  });
+
+  describe('Between hands', () => {
+    it('refuses actions until the next hand is dealt', () => {
+      const game = setupGame([1000, 1000]);
+      game.startGame();
+      game.endGame(game.players[0]);
+      const chips = game.players.map(p => p.chips);
+
+      const result = game.playerAction(game.getCurrentPlayer().id, 'chaal');
+
+      assert.equal(result.success, false);
+      assert.deepEqual(game.players.map(p => p.chips), chips);
+      assert.equal(game.pot, 0);
+    });
+
+    it('clears the pot once it is paid out', () => {
+      const game = setupGame([1000, 1000]);
+      game.startGame();
+      game.endGame(game.players[0]);
+
+      assert.equal(game.pot, 0);
+      assert.equal(game.players.reduce((sum, p) => sum + p.chips, 0), 2000);
+    });
+  });
+
+  describe('Skipping players', () => {
+    it('skips players who cannot cover the boot', () => {
+      const game = setupGame([1000, 6, 1000]);
+      game.startGame();
+
+      assert.deepEqual(dealtIds(game), ['p1', 'p3']);
+      assert.equal(game.getPlayer('p2').chips, 6);
+      assert.equal(game.getPlayer('p2').cards.length, 0);
+      assert.equal(game.pot, 20);
+    });
+
+    it('treats skipped players as out of the hand', () => {
+      const game = setupGame([1000, 6, 1000]);
+      game.startGame();
+
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+      assert.deepEqual(game.getActivePlayers().map(p => p.id), ['p1', 'p3']);
+      assert.deepEqual(game.handFairness.playerIds, ['p1', 'p3']);
+    });
+
+    it('needs two players who can cover the boot', () => {
+      const game = setupGame([1000, 6]);
+
+      assert.equal(game.canStartGame(), false);
+      assert.equal(game.canContinueSession(), false);
+    });
+
+    it('keeps the button on a dealt seat', () => {
+      const game = setupGame([6, 1000, 1000]);
+      game.startGame();
+
+      assert.equal(game.dealerIndex, 1);
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+    });
+  });
+
+  describe('Sitting out', () => {
+    it('skips a player from the next deal', () => {
+      const game = setupGame();
+      game.setSittingOut('p2', true);
+
+      game.startGame();
+
+      assert.deepEqual(dealtIds(game), ['p1', 'p3']);
+    });
+
+    it('lets the current hand play out', () => {
+      const game = setupGame();
+      game.startGame();
+
+      game.setSittingOut('p2', true);
+
+      assert.equal(game.getPlayer('p2').inHand, true);
+      assert.equal(game.playerAction('p2', 'chaal', 5).success, true);
+    });
+
+    it('deals the player in again after sitting back in', () => {
+      const game = setupGame();
+      game.setSittingOut('p2', true);
+      game.startGame();
+      game.endGame(game.players[0]);
+
+      game.setSittingOut('p2', false);
+      game.startGame();
+
+      assert.deepEqual(dealtIds(game), ['p1', 'p2', 'p3']);
+    });
+
+    it('does not end the session while the table waits for players to sit back in', () => {
+      const game = setupGame([1000, 1000]);
+      game.setSittingOut('p2', true);
+
+      assert.equal(game.canStartGame(), false);
+      assert.equal(game.canContinueSession(), true);
+    });
+  });
+
+  describe('Cashing out', () => {
+    it('keeps the stack for settlement', () => {
+      const game = setupGame();
+      game.startGame();
+      game.endGame(game.getPlayer('p3'));
+
+      const result = game.cashOut('p3');
+
+      assert.equal(result.success, true);
+      assert.equal(result.chips, 1020);
+      assert.equal(game.getPlayer('p3'), undefined);
+      assert.deepEqual(game.getFinalChips(), [
+        { id: 'p1', chips: 990 },
+        { id: 'p2', chips: 990 },
+        { id: 'p3', chips: 1020 }
+      ]);
+    });
+
+    it('is refused while the player is still in the hand', () => {
+      const game = setupGame();
+      game.startGame();
+
+      assert.equal(game.cashOut('p2').success, false);
+
+      game.playerAction('p2', 'pack');
+      assert.equal(game.cashOut('p2').success, true);
+    });
+
+    it('reports the final stacks when the session ends', () => {
+      const game = setupGame([1000, 1000]);
+      game.startGame();
+      game.endGame(game.getPlayer('p1'));
+      game.cashOut('p2');
+
+      const { handsPlayed, playerChips } = game.endSession();
+
+      assert.equal(game.sessionActive, false);
+      assert.equal(handsPlayed, 1);
+      assert.deepEqual(playerChips, [{ id: 'p1', chips: 1010 }, { id: 'p2', chips: 990 }]);
+    });
+  });
+
+  describe('Seats', () => {
+    it('keeps the dealer on the same seat when an earlier seat leaves', () => {
+      const game = setupGame([1000, 1000, 1000, 1000]);
+      game.dealerIndex = 2;
+
+      game.removePlayer('p1');
+
+      assert.equal(game.players[game.dealerIndex].id, 'p3');
+    });
+
+    it('passes the host on when the host leaves', () => {
+      const game = setupGame();
+      assert.equal(game.hostId, 'p1');
+
+      game.removePlayer('p1');
+
+      assert.equal(game.hostId, 'p2');
+    });
+  });
+});
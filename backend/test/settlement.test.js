@@ -0,0 +1,134 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TypedDataEncoder, Wallet } from 'ethers';
+import settlementService, {
+  SETTLEMENT_TYPES,
+  buildSettlementTypedData,
+  recoverSettlementSigner,
+  tournamentPlacements
+} from '../blockchain/settlementService.js';
+
+const ROOM_ID = '0xabcdef0000000000000000000000000000000000000000000000000000000000';
+const DOMAIN = {
+  name: 'TeenPattiGame',
+  version: '1',
+  chainId: 84532n,
+  verifyingContract: '0x00000000000000000000000000000000000000aa'
+};
+
+function proposalFor(wallets, { finalChips = [600, 300, 100], nonce = 1n } = {}) {
+  return buildSettlementTypedData(DOMAIN, {
+    roomId: ROOM_ID,
+    players: wallets.map(w => w.address),
+    finalChips,
+    nonce
+  });
+}
+
+const sign = (wallet, { domain, types, message }) => wallet.signTypedData(domain, types, message);
+
+describe('Signed settlement', () => {
+  const wallets = [Wallet.createRandom(), Wallet.createRandom(), Wallet.createRandom()];
+
+  afterEach(() => settlementService.proposals.clear());
+
+  it('uses the Settlement type the contract hashes', () => {
+    assert.equal(
+      TypedDataEncoder.from(SETTLEMENT_TYPES).encodeType('Settlement'),
+      'Settlement(bytes32 roomId,address[] players,uint256[] finalChips,uint256 nonce)'
+    );
+  });
+
+  it('builds typed data that survives JSON', () => {
+    const typedData = proposalFor(wallets);
+    const sent = JSON.parse(JSON.stringify(typedData));
+
+    assert.deepEqual(sent, typedData);
+    assert.equal(sent.domain.chainId, '84532');
+    assert.deepEqual(sent.message.finalChips, ['600', '300', '100']);
+  });
+
+  it('recovers who signed the proposal', async () => {
+    const typedData = proposalFor(wallets);
+    const signature = await sign(wallets[1], typedData);
+
+    assert.equal(recoverSettlementSigner(typedData, signature), wallets[1].address);
+    assert.equal(recoverSettlementSigner(typedData, '0x1234'), null);
+  });
+
+  it('does not count a signature over other chips or an older proposal', async () => {
+    const typedData = proposalFor(wallets);
+    const otherChips = await sign(wallets[0], proposalFor(wallets, { finalChips: [100, 300, 600] }));
+    const older = await sign(wallets[0], proposalFor(wallets, { nonce: 0n }));
+
+    assert.notEqual(recoverSettlementSigner(typedData, otherChips), wallets[0].address);
+    assert.notEqual(recoverSettlementSigner(typedData, older), wallets[0].address);
+  });
+
+  it('collects signatures from seated players until the quorum is met', async () => {
+    const typedData = proposalFor(wallets);
+    settlementService.proposals.set(ROOM_ID, {
+      roomId: ROOM_ID,
+      typedData,
+      signatures: new Map(),
+      signaturesRequired: 2,
+      disputeDeadline: 0,
+      submitting: false
+    });
+
+    const outsider = await sign(Wallet.createRandom(), typedData);
+    assert.match(settlementService.addSettlementSignature(ROOM_ID, outsider).error, /does not match/);
+
+    const first = settlementService.addSettlementSignature(ROOM_ID, await sign(wallets[0], typedData));
+    assert.deepEqual(first, { success: true, signer: wallets[0].address, ready: false });
+
+    // Signing twice still counts once
+    settlementService.addSettlementSignature(ROOM_ID, await sign(wallets[0], typedData));
+    const second = settlementService.addSettlementSignature(ROOM_ID, await sign(wallets[2], typedData));
+    assert.equal(second.ready, true);
+    assert.deepEqual(settlementService.getSettlementProposal(ROOM_ID).signers, [
+      wallets[0].address,
+      wallets[2].address
+    ]);
+  });
+
+  it('has nothing to sign before a proposal', () => {
+    assert.equal(settlementService.getSettlementProposal(ROOM_ID), null);
+    assert.match(settlementService.addSettlementSignature(ROOM_ID, '0x').error, /No settlement/);
+  });
+
+  it('pays tournaments by finishing place', () => {
+    assert.deepEqual(
+      tournamentPlacements([
+        { id: 'c', place: 3, share: 0 },
+        { id: 'b', place: 2, share: 35 },
+        { id: 'a', place: 1, share: 65 }
+      ]),
+      ['a', 'b']
+    );
+  });
+
+  it('needs the tournament contract to settle a tournament', async () => {
+    const result = await settlementService.settleTournament(ROOM_ID, [{ id: 'a', place: 1, share: 100 }]);
+
+    assert.match(result.error, /Tournament settlement not initialized/);
+  });
+
+  it('keeps a room alive on-chain', async (t) => {
+    const { initialized, gameContract } = settlementService;
+    t.after(() => Object.assign(settlementService, { initialized, gameContract }));
+    const kept = [];
+    Object.assign(settlementService, {
+      initialized: true,
+      gameContract: {
+        keepAlive: async (roomId) => {
+          kept.push(roomId);
+          return { hash: '0x01', wait: async () => ({}) };
+        }
+      }
+    });
+
+    assert.deepEqual(await settlementService.keepAlive(ROOM_ID), { success: true, txHash: '0x01' });
+    assert.deepEqual(kept, [ROOM_ID]);
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, Card } from '../gameLogic.js';
+
+function hand(...codes) {
+  return codes.map(code => {
+    const rank = code.slice(0, -1);
+    const suit = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' }[code.slice(-1)];
+    return new Card(rank, suit);
+  });
+}
+
+// Seat players with the given stacks and deal; dealer is seat 0
+function setupGame(stacks) {
+  const game = new Game('ROOM01');
+  stacks.forEach((chips, i) => game.addPlayer(new Player(`p${i + 1}`, `P${i + 1}`, `socket-p${i + 1}`, chips)));
+  game.startGame();
+  return game;
+}
+
+// Overwrite contributions so pot layering can be checked in isolation
+function setContributions(game, contributions) {
+  game.pot = 0;
+  game.players.forEach((p, i) => {
+    const { bet, allIn = false, folded = false } = contributions[i];
+    p.totalBet = bet;
+    p.isAllIn = allIn;
+    if (folded) p.fold();
+    game.pot += bet;
+  });
+}
+
+const potSummary = pots => pots.map(pot => ({
+  amount: pot.amount,
+  eligible: pot.eligiblePlayers.map(p => p.id)
+}));
+
+describe('Side pots', () => {
+  describe('calculatePots', () => {
+    it('keeps a single pot when nobody is all-in, even with blind and seen stakes', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      setContributions(game, [{ bet: 30 }, { bet: 60 }, { bet: 60 }]);
+
+      assert.deepEqual(potSummary(game.calculatePots()), [
+        { amount: 150, eligible: ['p1', 'p2', 'p3'] }
+      ]);
+    });
+
+    it('caps an all-in player to a main pot and layers the rest into a side pot', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      setContributions(game, [{ bet: 50, allIn: true }, { bet: 500 }, { bet: 500 }]);
+
+      assert.deepEqual(potSummary(game.calculatePots()), [
+        { amount: 150, eligible: ['p1', 'p2', 'p3'] },
+        { amount: 900, eligible: ['p2', 'p3'] }
+      ]);
+    });
+
+    it('builds one layer per distinct all-in amount', () => {
+      const game = setupGame([1000, 1000, 1000, 1000]);
+      setContributions(game, [
+        { bet: 50, allIn: true },
+        { bet: 200, allIn: true },
+        { bet: 400 },
+        { bet: 400 }
+      ]);
+
+      assert.deepEqual(potSummary(game.calculatePots()), [
+        { amount: 200, eligible: ['p1', 'p2', 'p3', 'p4'] },
+        { amount: 450, eligible: ['p2', 'p3', 'p4'] },
+        { amount: 400, eligible: ['p3', 'p4'] }
+      ]);
+    });
+
+    it('counts folded contributions without making the folder eligible', () => {
+      const game = setupGame([1000, 1000, 1000, 1000]);
+      setContributions(game, [
+        { bet: 50, allIn: true },
+        { bet: 120, folded: true },
+        { bet: 300 },
+        { bet: 300 }
+      ]);
+
+      assert.deepEqual(potSummary(game.calculatePots()), [
+        { amount: 200, eligible: ['p1', 'p3', 'p4'] },
+        { amount: 570, eligible: ['p3', 'p4'] }
+      ]);
+    });
+
+    it('merges a layer nobody left can win into the pot below it', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      // p3 put in more than anyone still in the hand and then packed
+      setContributions(game, [
+        { bet: 50, allIn: true },
+        { bet: 100, allIn: true },
+        { bet: 300, folded: true }
+      ]);
+
+      assert.deepEqual(potSummary(game.calculatePots()), [
+        { amount: 150, eligible: ['p1', 'p2'] },
+        { amount: 300, eligible: ['p2'] }
+      ]);
+    });
+
+    it('adds chips from departed players to the main pot as dead money', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      setContributions(game, [{ bet: 50, allIn: true }, { bet: 200 }, { bet: 200 }]);
+      game.pot += 40;
+
+      const pots = game.calculatePots();
+      assert.equal(pots[0].amount, 190);
+      assert.equal(pots.reduce((sum, pot) => sum + pot.amount, 0), game.pot);
+    });
+  });
+
+  describe('endGame', () => {
+    it('awards each pot to the best hand among its eligible players', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      const [p1, p2, p3] = game.players;
+      setContributions(game, [{ bet: 50, allIn: true }, { bet: 500 }, { bet: 500 }]);
+      p1.cards = hand('As', 'Ah', 'Ad');
+      p2.cards = hand('Ks', 'Kh', '4d');
+      p3.cards = hand('2s', '7h', '9d');
+      const before = { p1: p1.chips, p2: p2.chips, p3: p3.chips };
+
+      const result = game.endGame();
+
+      assert.equal(result.winner, 'p1');
+      assert.equal(result.pot, 1050);
+      assert.deepEqual(result.pots, [
+        {
+          amount: 150,
+          eligiblePlayerIds: ['p1', 'p2', 'p3'],
+          winnerIds: ['p1'],
+          shares: [{ playerId: 'p1', amount: 150 }]
+        },
+        {
+          amount: 900,
+          eligiblePlayerIds: ['p2', 'p3'],
+          winnerIds: ['p2'],
+          shares: [{ playerId: 'p2', amount: 900 }]
+        }
+      ]);
+      assert.equal(p1.chips, before.p1 + 150);
+      assert.equal(p2.chips, before.p2 + 900);
+      assert.equal(p3.chips, before.p3);
+      assert.equal(game.gameStarted, false);
+    });
+
+    it('gives every pot to the given winner when the others packed', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      const [, p2] = game.players;
+      setContributions(game, [{ bet: 50, allIn: true, folded: true }, { bet: 300 }, { bet: 100, folded: true }]);
+      const before = p2.chips;
+
+      const result = game.endGame(p2);
+
+      assert.equal(result.winner, 'p2');
+      assert.ok(result.pots.every(pot => pot.winnerIds.length === 1 && pot.winnerIds[0] === 'p2'));
+      assert.equal(p2.chips, before + 450);
+    });
+
+    it('reports the pots in getGameState', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      setContributions(game, [{ bet: 50, allIn: true }, { bet: 500 }, { bet: 500 }]);
+
+      const state = game.getGameState();
+      assert.deepEqual(state.pots, [
+        { amount: 150, eligiblePlayerIds: ['p1', 'p2', 'p3'] },
+        { amount: 900, eligiblePlayerIds: ['p2', 'p3'] }
+      ]);
+      assert.equal(state.players[0].isAllIn, true);
+    });
+  });
+
+  describe('All-in play', () => {
+    it('marks a short stack all-in and caps their winnings', () => {
+      // p2 has 5 left after the boot, short of a seen chaal
+      const game = setupGame([1000, 15, 1000]);
+      const [p1, p2, p3] = game.players;
+      p1.cards = hand('2s', '7h', '9d');
+      p2.cards = hand('As', 'Ah', 'Ad');
+      p3.cards = hand('Ks', 'Kh', '4d');
+      p2.seeCards();
+      p3.seeCards();
+
+      assert.equal(game.playerAction('p2', 'chaal', 5).success, true);
+      assert.equal(p2.isAllIn, true);
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+
+      game.playerAction('p3', 'chaal', 10);
+      game.playerAction('p1', 'chaal', 5);
+      assert.equal(game.getCurrentPlayer().id, 'p3', 'the all-in player is skipped');
+
+      const result = game.endGame();
+      assert.deepEqual(result.pots[0].winnerIds, ['p2']);
+      assert.equal(result.pots[0].amount, 45);
+      assert.deepEqual(result.pots[1].winnerIds, ['p3']);
+      assert.equal(result.pots[1].amount, 5);
+      assert.equal(p2.chips, 45);
+    });
+
+    it('does not let a blind player be capped when they bet half stakes', () => {
+      const game = setupGame([1000, 1000, 1000]);
+      game.players[2].seeCards();
+
+      game.playerAction('p2', 'chaal', 5);
+      game.playerAction('p3', 'chaal', 10);
+
+      assert.equal(game.calculatePots().length, 1);
+    });
+
+    it('gives the last player with chips one turn before showdown', () => {
+      const game = setupGame([1000, 15, 1000]);
+      game.players[1].seeCards();
+
+      game.playerAction('p2', 'chaal', 5);
+      game.playerAction('p3', 'pack');
+
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+      assert.equal(game.isShowdownDue(), true);
+    });
+
+    it('is due for showdown when every remaining player is all-in', () => {
+      const game = setupGame([10, 10, 10]);
+
+      assert.ok(game.players.every(p => p.isAllIn));
+      assert.equal(game.isShowdownDue(), true);
+    });
+
+    it('is not due for showdown while two players can still bet', () => {
+      const game = setupGame([1000, 1000, 1000]);
+
+      assert.equal(game.isShowdownDue(), false);
+    });
+
+    it('does not throw when a heads-up fold ends the hand', () => {
+      const game = setupGame([1000, 1000]);
+
+      assert.equal(game.playerAction('p2', 'pack').success, true);
+      assert.equal(game.checkWinner().id, 'p1');
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, Card, SIDESHOW_RESPONSE_MS } from '../gameLogic.js';
+
+function hand(...codes) {
+  return codes.map(code => {
+    const rank = code.slice(0, -1);
+    const suit = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' }[code.slice(-1)];
+    return new Card(rank, suit);
+  });
+}
+
+// Three seated players; dealer is seat 0, so seat 1 acts first
+function setupGame() {
+  const game = new Game('ROOM01');
+  ['p1', 'p2', 'p3'].forEach(id => game.addPlayer(new Player(id, id.toUpperCase(), `socket-${id}`, 1000)));
+  game.startGame();
+  return game;
+}
+
+describe('Sideshow', () => {
+  let game;
+  let p1;
+  let p2;
+  let p3;
+
+  beforeEach(() => {
+    game = setupGame();
+    [p1, p2, p3] = game.players;
+    p1.cards = hand('As', 'Ah', 'Ad');
+    p2.cards = hand('2s', '7h', '9d');
+    p3.cards = hand('Ks', 'Kh', '4d');
+    // p2 chaals so that p3 is on turn with p2 as the previous player
+    p2.seeCards();
+    p3.seeCards();
+    game.playerAction('p2', 'chaal', game.currentBet);
+  });
+
+  describe('Eligibility', () => {
+    it('rejects a request when the game has not started', () => {
+      const idle = new Game('IDLE');
+      idle.addPlayer(new Player('a', 'A', 's-a'));
+      assert.equal(idle.requestSideshow('a').error, 'Game not in progress');
+    });
+
+    it('rejects a request out of turn', () => {
+      const result = game.requestSideshow('p1');
+      assert.equal(result.success, false);
+      assert.equal(result.error, 'Not your turn');
+    });
+
+    it('rejects a blind requester', () => {
+      p3.isBlind = true;
+      p3.hasSeenCards = false;
+      assert.match(game.requestSideshow('p3').error, /see your cards/);
+    });
+
+    it('rejects when the previous player is blind', () => {
+      p2.isBlind = true;
+      p2.hasSeenCards = false;
+      assert.match(game.requestSideshow('p3').error, /previous player/);
+    });
+
+    it('targets the previous non-folded player', () => {
+      p2.fold();
+      game.players.push(new Player('p4', 'P4', 'socket-p4', 1000));
+      const p4 = game.players[3];
+      p4.cards = hand('3s', '3h', '5d');
+      p4.isActive = true;
+      p1.seeCards();
+      const result = game.requestSideshow('p3');
+      assert.equal(result.success, true);
+      assert.equal(result.target.id, 'p1');
+    });
+
+    it('requires at least three active players', () => {
+      p1.fold();
+      assert.match(game.requestSideshow('p3').error, /at least 3 active players/);
+    });
+
+    it('requires the requester to afford a chaal', () => {
+      p3.chips = game.currentBet - 1;
+      assert.match(game.requestSideshow('p3').error, /chips to ask for a sideshow/);
+    });
+
+    it('rejects a second request while one is pending', () => {
+      game.requestSideshow('p3');
+      assert.equal(game.requestSideshow('p3').error, 'A sideshow is already pending');
+    });
+  });
+
+  describe('Request', () => {
+    it('charges the cost of a chaal', () => {
+      const chipsBefore = p3.chips;
+      const potBefore = game.pot;
+      const result = game.requestSideshow('p3', 1000);
+
+      assert.equal(result.amount, game.currentBet);
+      assert.equal(p3.chips, chipsBefore - game.currentBet);
+      assert.equal(game.pot, potBefore + game.currentBet);
+      assert.equal(result.expiresAt, 1000 + SIDESHOW_RESPONSE_MS);
+    });
+
+    it('blocks other actions until answered', () => {
+      game.requestSideshow('p3');
+      assert.equal(game.playerAction('p3', 'chaal', game.currentBet).error, 'Waiting for sideshow response');
+    });
+
+    it('is exposed in the public game state', () => {
+      game.requestSideshow('p3', 0);
+      assert.deepEqual(game.getGameState().pendingSideshow, {
+        requesterId: 'p3',
+        targetId: 'p2',
+        expiresAt: SIDESHOW_RESPONSE_MS
+      });
+    });
+  });
+
+  describe('Response', () => {
+    beforeEach(() => {
+      game.requestSideshow('p3', 0);
+    });
+
+    it('fails when nothing is pending', () => {
+      game.respondToSideshow('p2', false);
+      assert.equal(game.respondToSideshow('p2', false).error, 'No sideshow pending');
+    });
+
+    it('only lets the target respond', () => {
+      assert.match(game.respondToSideshow('p1', true).error, /not for you/);
+      assert.notEqual(game.pendingSideshow, null);
+    });
+
+    it('passes the turn on when declined', () => {
+      const result = game.respondToSideshow('p2', false);
+
+      assert.equal(result.accepted, false);
+      assert.equal(p2.isFolded, false);
+      assert.equal(p3.isFolded, false);
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+      assert.equal(game.pendingSideshow, null);
+    });
+
+    it('packs the target when the requester wins', () => {
+      const result = game.respondToSideshow('p2', true);
+
+      assert.equal(result.winnerId, 'p3');
+      assert.equal(result.loserId, 'p2');
+      assert.equal(p2.isFolded, true);
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+    });
+
+    it('packs the requester when the target wins', () => {
+      p2.cards = hand('Qs', 'Qh', 'Qd');
+      const result = game.respondToSideshow('p2', true);
+
+      assert.equal(result.winnerId, 'p2');
+      assert.equal(result.loserId, 'p3');
+      assert.equal(p3.isFolded, true);
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+    });
+
+    it('packs the requester on equal hands', () => {
+      p2.cards = hand('Kc', 'Kd', '4s');
+      const result = game.respondToSideshow('p2', true);
+
+      assert.equal(result.loserId, 'p3');
+      assert.equal(p3.isFolded, true);
+    });
+  });
+
+  describe('Leaving', () => {
+    beforeEach(() => {
+      game.requestSideshow('p3', 0);
+    });
+
+    it('ends the requester\'s turn when the target leaves', () => {
+      game.removePlayer('p2');
+
+      assert.equal(game.pendingSideshow, null);
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+      assert.equal(p3.isFolded, false);
+    });
+
+    it('passes the turn on when the requester leaves', () => {
+      game.removePlayer('p3');
+
+      assert.equal(game.pendingSideshow, null);
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+    });
+
+    it('leaves the sideshow pending when someone else leaves', () => {
+      game.removePlayer('p1');
+
+      assert.notEqual(game.pendingSideshow, null);
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+    });
+  });
+
+  describe('Timeout', () => {
+    it('does nothing before the deadline', () => {
+      game.requestSideshow('p3', 0);
+      assert.equal(game.expireSideshow(SIDESHOW_RESPONSE_MS - 1).success, false);
+      assert.notEqual(game.pendingSideshow, null);
+    });
+
+    it('treats an unanswered request as a decline', () => {
+      game.requestSideshow('p3', 0);
+      const result = game.expireSideshow(SIDESHOW_RESPONSE_MS);
+
+      assert.equal(result.success, true);
+      assert.equal(result.expired, true);
+      assert.equal(result.accepted, false);
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+    });
+
+    it('fails when nothing is pending', () => {
+      assert.equal(game.expireSideshow().success, false);
+    });
+  });
+});
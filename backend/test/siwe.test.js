@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Wallet } from 'ethers';
+import { createSiweMessage, parseSiweMessage, verifySiweMessage, NonceStore, NONCE_TTL_MS } from '../siwe.js';
+import { issueAuthToken, verifyAuthToken, issueSessionToken, verifySessionToken, AUTH_TOKEN_TTL_MS } from '../sessionTokens.js';
+
+const SECRET = 'test-secret';
+const DOMAINS = ['localhost:5173'];
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+function messageFor(wallet, nonce, overrides = {}) {
+  return createSiweMessage({
+    domain: 'localhost:5173',
+    address: wallet.address,
+    statement: 'Sign in to Teen Patti to play with this wallet.',
+    uri: 'http://localhost:5173',
+    chainId: 84532,
+    nonce,
+    issuedAt: new Date(NOW).toISOString(),
+    expirationTime: new Date(NOW + 5 * 60 * 1000).toISOString(),
+    ...overrides
+  });
+}
+
+async function signedIn(overrides) {
+  const wallet = Wallet.createRandom();
+  const nonces = new NonceStore();
+  const nonce = nonces.issue(NOW);
+  const message = messageFor(wallet, nonce, overrides);
+  const signature = await wallet.signMessage(message);
+  return { wallet, nonces, message, signature };
+}
+
+describe('Sign-In With Ethereum', () => {
+  it('parses the message it builds', () => {
+    const wallet = Wallet.createRandom();
+    const fields = parseSiweMessage(messageFor(wallet, 'abc123'));
+
+    assert.equal(fields.domain, 'localhost:5173');
+    assert.equal(fields.address, wallet.address);
+    assert.equal(fields.statement, 'Sign in to Teen Patti to play with this wallet.');
+    assert.equal(fields.chainId, '84532');
+    assert.equal(fields.nonce, 'abc123');
+  });
+
+  it('rejects text that is not a sign-in message', () => {
+    for (const message of [undefined, '', 'hello', 'example.com wants you to sign in with your Ethereum account:\n0xabc']) {
+      assert.equal(parseSiweMessage(message), null, String(message));
+    }
+  });
+
+  it('accepts a message signed by the address it names', async () => {
+    const { wallet, nonces, message, signature } = await signedIn();
+
+    const result = verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW });
+
+    assert.deepEqual(result, { success: true, address: wallet.address });
+  });
+
+  it('rejects a signature from another wallet', async () => {
+    const { nonces, message } = await signedIn();
+    const signature = await Wallet.createRandom().signMessage(message);
+
+    const result = verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW });
+
+    assert.match(result.error, /does not match/);
+  });
+
+  it('only accepts a nonce once', async () => {
+    const { nonces, message, signature } = await signedIn();
+
+    assert.equal(verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW }).success, true);
+    assert.match(verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW }).error, /nonce/);
+  });
+
+  it('rejects a nonce the server never issued', async () => {
+    const wallet = Wallet.createRandom();
+    const message = messageFor(wallet, 'made-up');
+    const signature = await wallet.signMessage(message);
+
+    const result = verifySiweMessage(message, signature, { nonces: new NonceStore(), domains: DOMAINS, now: NOW });
+
+    assert.match(result.error, /nonce/);
+  });
+
+  it('rejects a nonce that sat unused too long', async () => {
+    const { nonces, message, signature } = await signedIn({ expirationTime: undefined });
+
+    const result = verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW + NONCE_TTL_MS });
+
+    assert.match(result.error, /nonce/);
+  });
+
+  it('rejects an expired message without burning the nonce', async () => {
+    const { nonces, message, signature } = await signedIn({ expirationTime: new Date(NOW - 1).toISOString() });
+    const { nonce } = parseSiweMessage(message);
+
+    const result = verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW });
+
+    assert.match(result.error, /expired/);
+    assert.equal(nonces.consume(nonce, NOW), true);
+  });
+
+  it('rejects a message meant for another site', async () => {
+    const { nonces, message, signature } = await signedIn({ domain: 'evil.example' });
+
+    const result = verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW });
+
+    assert.match(result.error, /evil\.example/);
+  });
+
+  it('rejects a message issued in the future', async () => {
+    const { nonces, message, signature } = await signedIn({ issuedAt: new Date(NOW + 10 * 60 * 1000).toISOString() });
+
+    const result = verifySiweMessage(message, signature, { nonces, domains: DOMAINS, now: NOW });
+
+    assert.match(result.error, /issue time/);
+  });
+
+  describe('Auth tokens', () => {
+    it('name the signed-in wallet until they expire', () => {
+      const token = issueAuthToken('0xabc', SECRET, 0);
+
+      assert.deepEqual(verifyAuthToken(token, SECRET, 1), { success: true, address: '0xabc', expiresAt: AUTH_TOKEN_TTL_MS });
+      assert.match(verifyAuthToken(token, SECRET, AUTH_TOKEN_TTL_MS).error, /expired/);
+    });
+
+    it('cannot be used as session tokens, or the other way round', () => {
+      const authToken = issueAuthToken('0xabc', SECRET);
+      const sessionToken = issueSessionToken({ roomId: 'ROOM01', playerId: 'p1' }, SECRET);
+
+      assert.match(verifySessionToken(authToken, SECRET).error, /Invalid/);
+      assert.match(verifyAuthToken(sessionToken, SECRET).error, /Invalid/);
+    });
+  });
+});
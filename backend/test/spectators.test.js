@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { normalizeTableRules } from '../tableRules.js';
+import { checkWatchAccess, hashRoomPassword } from '../roomAccess.js';
+import { summarizeRoom } from '../lobby.js';
+
+function setupGame(rules) {
+  const game = new Game('ROOM01', undefined, undefined, { rules });
+  ['p1', 'p2', 'p3'].forEach((id, i) => game.addPlayer(new Player(id, `P${i + 1}`, `socket-${id}`, 1000)));
+  game.startGame();
+  return game;
+}
+
+describe('Spectators', () => {
+  describe('Game state', () => {
+    it('counts spectators but never carries cards', () => {
+      const game = setupGame();
+      game.spectatorCount = 2;
+      const state = game.getGameState();
+
+      assert.equal(state.spectators, 2);
+      for (const player of state.players) {
+        assert.equal('cards' in player, false);
+        assert.equal(player.cardCount, 3);
+      }
+    });
+
+    it('does not save the spectator count', () => {
+      const game = setupGame();
+      game.spectatorCount = 4;
+
+      assert.equal('spectatorCount' in game.toJSON(), false);
+      assert.equal(Game.fromJSON(JSON.parse(JSON.stringify(game))).spectatorCount, 0);
+    });
+  });
+
+  describe('Cards', () => {
+    it('shows only the hands still in at a showdown', () => {
+      const game = setupGame();
+      game.getPlayer('p2').fold();
+
+      assert.deepEqual(Object.keys(game.getShownCards()), ['p1', 'p3']);
+    });
+
+    it('reveals every dealt hand, folded or not', () => {
+      const game = setupGame();
+      game.getPlayer('p2').fold();
+      const cards = game.getDealtCards();
+
+      assert.deepEqual(Object.keys(cards), ['p1', 'p2', 'p3']);
+      assert.deepEqual(cards.p2, game.getPlayer('p2').cards.map(({ rank, suit }) => ({ rank, suit })));
+    });
+
+    it('copies the cards so a new deal cannot change a pending reveal', () => {
+      const game = setupGame();
+      const cards = game.getDealtCards();
+      game.getPlayer('p1').cards.length = 0;
+
+      assert.equal(cards.p1.length, 3);
+    });
+  });
+
+  describe('Reveal delay', () => {
+    it('is off unless the table sets one', () => {
+      assert.equal(normalizeTableRules().rules.spectatorRevealMs, null);
+      assert.equal(normalizeTableRules({ spectatorRevealMs: 30000 }).rules.spectatorRevealMs, 30000);
+    });
+
+    it('stays within limits', () => {
+      assert.match(normalizeTableRules({ spectatorRevealMs: -1 }).error, /Spectator reveal delay/);
+      assert.equal(normalizeTableRules({ spectatorRevealMs: 300001 }).success, false);
+      assert.equal(normalizeTableRules({ spectatorRevealMs: 1.5 }).success, false);
+    });
+  });
+
+  describe('Watching', () => {
+    it('lets anyone watch a public room, locked or not', () => {
+      const game = setupGame();
+      game.locked = true;
+
+      assert.equal(checkWatchAccess(game).success, true);
+    });
+
+    it('asks spectators of a private room for the password or an invite', () => {
+      const game = setupGame();
+      game.isPrivate = true;
+      game.passwordHash = hashRoomPassword('hunter2');
+
+      assert.equal(checkWatchAccess(game).success, false);
+      assert.equal(checkWatchAccess(game, { password: 'hunter2' }).success, true);
+      assert.equal(checkWatchAccess(game, { invitedTo: 'ROOM01' }).success, true);
+    });
+
+    it('shows the spectator count in the lobby', () => {
+      const game = setupGame();
+      game.spectatorCount = 3;
+
+      assert.equal(summarizeRoom(game).spectators, 3);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, Card } from '../gameLogic.js';
+
+function hand(...codes) {
+  return codes.map(code => {
+    const rank = code.slice(0, -1);
+    const suit = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' }[code.slice(-1)];
+    return new Card(rank, suit);
+  });
+}
+
+// Seat players and deal; dealer is seat 0 unless moved by the test
+function setupGame(count, options) {
+  const game = new Game('ROOM01', undefined, undefined, options);
+  for (let i = 1; i <= count; i++) {
+    game.addPlayer(new Player(`p${i}`, `P${i}`, `socket-p${i}`, 1000));
+  }
+  game.startGame();
+  return game;
+}
+
+// Overwrite contributions and hands so the payout can be checked in isolation
+function setHands(game, seats) {
+  game.pot = 0;
+  game.players.forEach((p, i) => {
+    const { cards, bet, allIn = false, folded = false } = seats[i];
+    p.cards = hand(...cards);
+    p.totalBet = bet;
+    p.isAllIn = allIn;
+    if (folded) p.fold();
+    game.pot += bet;
+  });
+}
+
+const chipsOf = game => Object.fromEntries(game.players.map(p => [p.id, p.chips]));
+
+describe('Split pots', () => {
+  describe('Tied showdown', () => {
+    it('splits an even pot equally between tied hands', () => {
+      const game = setupGame(3);
+      setHands(game, [
+        { cards: ['Ks', 'Qh', '9d'], bet: 100 },
+        { cards: ['Kd', 'Qc', '9s'], bet: 100 },
+        { cards: ['2s', '7h', '5d'], bet: 100 }
+      ]);
+      const before = chipsOf(game);
+
+      const result = game.endGame();
+
+      assert.deepEqual(result.pots[0].winnerIds.sort(), ['p1', 'p2']);
+      assert.equal(game.players[0].chips, before.p1 + 150);
+      assert.equal(game.players[1].chips, before.p2 + 150);
+      assert.equal(game.players[2].chips, before.p3);
+    });
+
+    it('reports every winner with their total share', () => {
+      const game = setupGame(3);
+      setHands(game, [
+        { cards: ['Ks', 'Qh', '9d'], bet: 100 },
+        { cards: ['Kd', 'Qc', '9s'], bet: 100 },
+        { cards: ['2s', '7h', '5d'], bet: 100 }
+      ]);
+
+      const result = game.endGame();
+
+      assert.deepEqual(
+        [...result.winners].sort((a, b) => a.id.localeCompare(b.id)),
+        [{ id: 'p1', amount: 150 }, { id: 'p2', amount: 150 }]
+      );
+      assert.ok(['p1', 'p2'].includes(result.winner));
+    });
+
+    it('keeps a single winner when hands differ', () => {
+      const game = setupGame(2);
+      setHands(game, [
+        { cards: ['As', 'Ah', 'Ad'], bet: 100 },
+        { cards: ['Ks', 'Kh', 'Kd'], bet: 100 }
+      ]);
+
+      const result = game.endGame();
+
+      assert.equal(result.winner, 'p1');
+      assert.deepEqual(result.winners, [{ id: 'p1', amount: 200 }]);
+      assert.deepEqual(result.pots[0].shares, [{ playerId: 'p1', amount: 200 }]);
+    });
+
+    it('splits only the side pot when the tie is between the covering players', () => {
+      const game = setupGame(3);
+      setHands(game, [
+        { cards: ['2s', '7h', '5d'], bet: 50, allIn: true },
+        { cards: ['Ks', 'Qh', '9d'], bet: 200 },
+        { cards: ['Kd', 'Qc', '9s'], bet: 200 }
+      ]);
+
+      const result = game.endGame();
+
+      assert.deepEqual(result.pots.map(pot => pot.winnerIds.length), [2, 2]);
+      assert.equal(result.pots[0].amount, 150);
+      assert.equal(result.pots[1].amount, 300);
+      assert.deepEqual(
+        [...result.winners].sort((a, b) => a.id.localeCompare(b.id)),
+        [{ id: 'p2', amount: 225 }, { id: 'p3', amount: 225 }]
+      );
+    });
+
+    it('never creates or loses chips', () => {
+      const game = setupGame(4);
+      setHands(game, [
+        { cards: ['Ks', 'Qh', '9d'], bet: 37, allIn: true },
+        { cards: ['Kd', 'Qc', '9s'], bet: 101 },
+        { cards: ['Kh', 'Qs', '9c'], bet: 101 },
+        { cards: ['2s', '7h', '5d'], bet: 64, folded: true }
+      ]);
+      const totalBefore = game.players.reduce((sum, p) => sum + p.chips, 0) + game.pot;
+
+      game.endGame();
+
+      const totalAfter = game.players.reduce((sum, p) => sum + p.chips, 0);
+      assert.equal(totalAfter, totalBefore);
+    });
+  });
+
+  describe('Odd chip rule', () => {
+    const oddPot = [
+      { cards: ['Ks', 'Qh', '9d'], bet: 100 },
+      { cards: ['Kd', 'Qc', '9s'], bet: 100 },
+      { cards: ['2s', '7h', '5d'], bet: 101, folded: true }
+    ];
+
+    it('defaults to dealer-left and gives the odd chip to the first winner after the dealer', () => {
+      const game = setupGame(3);
+      setHands(game, oddPot);
+
+      const result = game.endGame();
+
+      assert.equal(game.getGameState().oddChipRule, 'dealer-left');
+      assert.deepEqual(result.pots[0].shares, [
+        { playerId: 'p2', amount: 151 },
+        { playerId: 'p1', amount: 150 }
+      ]);
+    });
+
+    it('follows the dealer button round the table', () => {
+      const game = setupGame(3);
+      game.dealerIndex = 1;
+      setHands(game, [
+        { cards: ['Ks', 'Qh', '9d'], bet: 100 },
+        { cards: ['Kd', 'Qc', '9s'], bet: 100 },
+        { cards: ['Kh', 'Qs', '9c'], bet: 102 }
+      ]);
+
+      const result = game.endGame();
+
+      assert.deepEqual(result.pots[0].shares, [
+        { playerId: 'p3', amount: 101 },
+        { playerId: 'p1', amount: 101 },
+        { playerId: 'p2', amount: 100 }
+      ]);
+    });
+
+    it('gives the odd chip to the lowest seat with lowest-seat', () => {
+      const game = setupGame(3, { oddChipRule: 'lowest-seat' });
+      setHands(game, oddPot);
+
+      const result = game.endGame();
+
+      assert.deepEqual(result.pots[0].shares, [
+        { playerId: 'p1', amount: 151 },
+        { playerId: 'p2', amount: 150 }
+      ]);
+    });
+
+    it('rejects an unknown rule', () => {
+      assert.throws(() => new Game('ROOM01', 2, 6, { oddChipRule: 'random' }), /Unknown odd chip rule/);
+    });
+  });
+
+  describe('Declared winners', () => {
+    it('accepts several winners and splits every pot between them', () => {
+      const game = setupGame(3);
+      const [p1, p2] = game.players;
+      setHands(game, [
+        { cards: ['2s', '7h', '5d'], bet: 100 },
+        { cards: ['3s', '8h', '6d'], bet: 100 },
+        { cards: ['4s', '9h', '7d'], bet: 100, folded: true }
+      ]);
+      const before = chipsOf(game);
+
+      const result = game.endGame([p1, p2]);
+
+      assert.deepEqual(result.pots[0].winnerIds.sort(), ['p1', 'p2']);
+      assert.equal(p1.chips, before.p1 + 150);
+      assert.equal(p2.chips, before.p2 + 150);
+    });
+
+    it('still accepts a single winner', () => {
+      const game = setupGame(2);
+      const [, p2] = game.players;
+      setHands(game, [
+        { cards: ['As', 'Ah', 'Ad'], bet: 100, folded: true },
+        { cards: ['2s', '7h', '5d'], bet: 100 }
+      ]);
+
+      const result = game.endGame(p2);
+
+      assert.equal(result.winner, 'p2');
+      assert.deepEqual(result.winners, [{ id: 'p2', amount: 200 }]);
+    });
+  });
+});
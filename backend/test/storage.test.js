@@ -0,0 +1,163 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Game, Player } from '../gameLogic.js';
+import { FileStorage, MemoryStorage, createStorage } from '../storage/index.js';
+
+// Seat players and deal; dealer is seat 0, so seat 1 acts first
+function setupGame(options) {
+  const game = new Game('ROOM01', undefined, undefined, options);
+  ['p1', 'p2', 'p3'].forEach(id => game.addPlayer(new Player(id, id.toUpperCase(), `socket-${id}`, 1000)));
+  game.startGame();
+  return game;
+}
+
+const hand = (roomId, handNumber) => ({ handId: `${roomId}-${handNumber}`, roomId, handNumber, pot: 30 });
+
+describe('Storage', () => {
+  describe('Game snapshots', () => {
+    it('restores a hand in progress', () => {
+      const game = setupGame();
+      game.playerAction('p2', 'chaal', 5);
+      game.playerAction('p3', 'see');
+
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+      assert.deepEqual(restored.getGameState(), game.getGameState());
+      assert.deepEqual(restored.getPlayerCards('p3'), game.getPlayerCards('p3'));
+      assert.equal(restored.serverSeed, game.serverSeed);
+      assert.ok(restored.getPlayer('p1') instanceof Player);
+    });
+
+    it('plays on exactly like the original', () => {
+      const game = setupGame();
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+      for (const g of [game, restored]) {
+        g.playerAction('p2', 'see');
+        g.playerAction('p2', 'chaal', 10);
+        g.playerAction('p3', 'pack');
+        g.playerAction('p1', 'see');
+      }
+
+      assert.deepEqual(restored.endGame(), game.endGame());
+      assert.equal(restored.deck.cards.length, game.deck.cards.length);
+    });
+
+    it('keeps the variant, rules and joker card', () => {
+      const game = setupGame({ variant: 'joker', rules: { boot: 20, showCost: 'free' } });
+
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+      assert.equal(restored.variant.id, 'joker');
+      assert.equal(restored.minBet, 20);
+      assert.equal(restored.rules.showCost, 'free');
+      assert.deepEqual(restored.jokerCard, game.jokerCard);
+    });
+
+    it('drops socket ids, which do not survive a restart', () => {
+      const snapshot = JSON.parse(JSON.stringify(setupGame()));
+
+      assert.ok(snapshot.players.every(p => p.socketId === null));
+    });
+  });
+
+  describe('MemoryStorage', () => {
+    it('hands out copies', async () => {
+      const storage = new MemoryStorage();
+      const snapshot = { roomId: 'ROOM01', pot: 10 };
+
+      await storage.saveRoom('ROOM01', snapshot);
+      snapshot.pot = 99;
+
+      assert.deepEqual(await storage.loadRooms(), [{ roomId: 'ROOM01', pot: 10 }]);
+    });
+  });
+
+  describe('FileStorage', () => {
+    let dir;
+    let storage;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'teen-patti-'));
+      storage = new FileStorage(dir);
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('saves, replaces and deletes room snapshots', async () => {
+      await storage.saveRoom('ROOM01', { roomId: 'ROOM01', pot: 10 });
+      await storage.saveRoom('ROOM01', { roomId: 'ROOM01', pot: 20 });
+      await storage.saveRoom('0xabc', { roomId: '0xabc', pot: 5 });
+
+      const rooms = await storage.loadRooms();
+      assert.deepEqual(rooms.sort((a, b) => a.pot - b.pot), [
+        { roomId: '0xabc', pot: 5 },
+        { roomId: 'ROOM01', pot: 20 }
+      ]);
+
+      await storage.deleteRoom('ROOM01');
+      assert.deepEqual(await storage.loadRooms(), [{ roomId: '0xabc', pot: 5 }]);
+    });
+
+    it('keeps the last of several saves made without waiting', async () => {
+      const saves = [1, 2, 3, 4, 5].map(pot => storage.saveRoom('ROOM01', { roomId: 'ROOM01', pot }));
+      await Promise.all(saves);
+
+      assert.deepEqual(await storage.loadRooms(), [{ roomId: 'ROOM01', pot: 5 }]);
+    });
+
+    it('survives a new instance on the same directory', async () => {
+      const game = setupGame();
+      await storage.saveRoom(game.roomId, game.toJSON());
+
+      const [snapshot] = await new FileStorage(dir).loadRooms();
+
+      assert.deepEqual(Game.fromJSON(snapshot).getGameState(), game.getGameState());
+    });
+
+    it('skips snapshots it cannot read', async () => {
+      await storage.saveRoom('ROOM01', { roomId: 'ROOM01' });
+      await writeFile(path.join(dir, 'rooms', 'BROKEN.json'), '{"roomId":');
+
+      assert.deepEqual(await storage.loadRooms(), [{ roomId: 'ROOM01' }]);
+    });
+
+    it('keeps room ids out of the directory structure', async () => {
+      await storage.saveRoom('../escape', { roomId: '../escape' });
+
+      assert.deepEqual(await storage.loadRooms(), [{ roomId: '../escape' }]);
+    });
+
+    it('stores completed hands by room, in order', async () => {
+      await storage.saveHand(hand('ROOM01', 1));
+      await storage.saveHand(hand('ROOM02', 1));
+      await storage.saveHand(hand('ROOM01', 2));
+
+      assert.deepEqual((await storage.listHands('ROOM01')).map(h => h.handId), ['ROOM01-1', 'ROOM01-2']);
+      assert.deepEqual(await storage.getHand('ROOM02-1'), hand('ROOM02', 1));
+      assert.equal(await storage.getHand('ROOM03-1'), null);
+      assert.deepEqual(await storage.listHands('ROOM03'), []);
+    });
+
+    it('keeps hands after the room is deleted', async () => {
+      await storage.saveRoom('ROOM01', { roomId: 'ROOM01' });
+      await storage.saveHand(hand('ROOM01', 1));
+
+      await storage.deleteRoom('ROOM01');
+
+      assert.equal((await storage.listHands('ROOM01')).length, 1);
+    });
+  });
+
+  describe('createStorage', () => {
+    it('picks the backend from its type', () => {
+      assert.ok(createStorage({ type: 'memory' }) instanceof MemoryStorage);
+      assert.throws(() => createStorage({ type: 'redis' }), /Unknown storage type/);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { normalizeTableRules, tableRulesHash, DEFAULT_TABLE_RULES } from '../tableRules.js';
+
+// Seat players with the given stacks and deal; dealer is seat 0, so seat 1 acts first
+function setupGame(rules, stacks = [1000, 1000, 1000]) {
+  const game = new Game('ROOM01', undefined, undefined, { rules });
+  stacks.forEach((chips, i) => game.addPlayer(new Player(`p${i + 1}`, `P${i + 1}`, `socket-p${i + 1}`, chips)));
+  game.startGame();
+  return game;
+}
+
+describe('Table rules', () => {
+  describe('Validation', () => {
+    it('fills in the defaults', () => {
+      const result = normalizeTableRules();
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.rules, DEFAULT_TABLE_RULES);
+    });
+
+    it('scales the default pot limit with the boot', () => {
+      assert.equal(normalizeTableRules({ boot: 50 }).rules.potLimit, 50 * 1024);
+      assert.equal(normalizeTableRules({ boot: 50, potLimit: null }).rules.potLimit, null);
+    });
+
+    it('rejects unknown rules', () => {
+      const result = normalizeTableRules({ rake: 5 });
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /rake/);
+    });
+
+    it('rejects bad values', () => {
+      const bad = [
+        { boot: 0 },
+        { boot: 15 },
+        { boot: '10' },
+        { maxBlindRounds: 0 },
+        { maxBlindRounds: 1.5 },
+        { chaalLimit: 4 },
+        { potLimit: 10 },
+        { chaalLimit: 400, potLimit: 200 },
+        { showCost: 'triple' },
+        { handPauseMs: -1 }
+      ];
+
+      for (const rules of bad) {
+        assert.equal(normalizeTableRules(rules).success, false, JSON.stringify(rules));
+      }
+    });
+
+    it('refuses to build a game with invalid rules', () => {
+      assert.throws(() => new Game('ROOM01', undefined, undefined, { rules: { boot: -2 } }), /Boot/);
+    });
+
+    it('reports the rules in the game state', () => {
+      const game = setupGame({ boot: 20, showCost: 'free' });
+
+      assert.equal(game.getGameState().rules.boot, 20);
+      assert.equal(game.getGameState().rules.showCost, 'free');
+    });
+  });
+
+  describe('Boot', () => {
+    it('collects the boot from every player', () => {
+      const game = setupGame({ boot: 50 });
+
+      assert.equal(game.pot, 150);
+      assert.equal(game.currentBet, 50);
+      assert.ok(game.players.every(p => p.chips === 950));
+    });
+  });
+
+  describe('Max blind rounds', () => {
+    it('makes a player see after the limit', () => {
+      const game = setupGame({ maxBlindRounds: 1 }, [1000, 1000]);
+
+      assert.equal(game.playerAction('p2', 'chaal', 5).success, true);
+      assert.equal(game.playerAction('p1', 'chaal', 5).success, true);
+
+      const blocked = game.playerAction('p2', 'chaal', 5);
+      assert.equal(blocked.success, false);
+      assert.match(blocked.error, /See your cards/);
+
+      game.playerAction('p2', 'see');
+      assert.equal(game.playerAction('p2', 'chaal', 10).success, true);
+    });
+
+    it('starts counting again every hand', () => {
+      const game = setupGame({ maxBlindRounds: 1 }, [1000, 1000]);
+      game.playerAction('p2', 'chaal', 5);
+      game.endGame(game.players[0]);
+
+      game.startGame();
+
+      assert.equal(game.getPlayer('p2').blindRounds, 0);
+    });
+  });
+
+  describe('Chaal limit', () => {
+    it('rejects raises above the limit', () => {
+      const game = setupGame({ chaalLimit: 10 });
+      game.playerAction('p2', 'see');
+
+      const result = game.playerAction('p2', 'chaal', 20);
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /Chaal limit/);
+      assert.equal(game.playerAction('p2', 'chaal', 10).success, true);
+    });
+
+    it('counts a blind raise at its seen value', () => {
+      const game = setupGame({ chaalLimit: 10 });
+
+      assert.equal(game.playerAction('p2', 'chaal', 10).success, false);
+      assert.equal(game.playerAction('p2', 'chaal', 5).success, true);
+    });
+  });
+
+  describe('Pot limit', () => {
+    it('forces a showdown once the pot reaches the limit', () => {
+      const game = setupGame({ potLimit: 40 }, [1000, 1000]);
+      assert.equal(game.isShowdownDue(), false);
+
+      game.playerAction('p2', 'see');
+      game.playerAction('p2', 'chaal', 20);
+
+      assert.equal(game.pot, 40);
+      assert.equal(game.isShowdownDue(), true);
+      assert.equal(game.playerAction('p1', 'chaal', 10).success, false);
+    });
+
+    it('can be switched off', () => {
+      const game = setupGame({ potLimit: null }, [1000, 1000]);
+      game.pot = 10 * 1024;
+
+      assert.equal(game.isShowdownDue(), false);
+    });
+  });
+
+  describe('Show cost', () => {
+    const headsUp = showCost => {
+      const game = setupGame({ showCost }, [1000, 1000]);
+      game.playerAction('p2', 'see');
+      return game;
+    };
+
+    it('charges one seen stake by default', () => {
+      const game = headsUp('chaal');
+
+      assert.deepEqual(game.show('p2'), { success: true, cost: 10 });
+      assert.equal(game.pot, 30);
+    });
+
+    it('charges half for a blind player', () => {
+      const game = setupGame({ showCost: 'chaal' }, [1000, 1000]);
+
+      assert.equal(game.show('p2').cost, 5);
+    });
+
+    it('can be free or double', () => {
+      assert.equal(headsUp('free').show('p2').cost, 0);
+      assert.equal(headsUp('double').show('p2').cost, 20);
+    });
+
+    it('lets a short stack show all-in', () => {
+      const game = setupGame({ showCost: 'double' }, [1000, 15]);
+      game.playerAction('p2', 'see');
+
+      assert.equal(game.show('p2').cost, 5);
+      assert.equal(game.getPlayer('p2').isAllIn, true);
+    });
+
+    it('needs the turn and exactly two players', () => {
+      const game = setupGame({ showCost: 'free' });
+
+      assert.match(game.show('p3').error, /Not your turn/);
+      assert.match(game.show('p2').error, /exactly 2 players/);
+    });
+  });
+
+  describe('Rules hash', () => {
+    it('commits to the rules, not how they were written', () => {
+      assert.notEqual(tableRulesHash({ boot: 10 }), tableRulesHash({ boot: 20 }));
+      // Defaults filled in or spelled out, in any key order
+      assert.equal(tableRulesHash(), tableRulesHash({}));
+      assert.equal(tableRulesHash({}), tableRulesHash(normalizeTableRules({}).rules));
+      assert.equal(tableRulesHash({ boot: 20, showCost: 'free' }), tableRulesHash({ showCost: 'free', boot: 20 }));
+    });
+
+    it('matches the rules a room reports', () => {
+      const game = new Game('ROOM01', undefined, undefined, { rules: normalizeTableRules({ boot: 20 }).rules });
+
+      assert.equal(tableRulesHash(game.getGameState().rules), tableRulesHash({ boot: 20 }));
+    });
+
+    it('refuses rules the server would refuse', () => {
+      assert.throws(() => tableRulesHash({ boot: 15 }), /even/);
+    });
+  });
+});
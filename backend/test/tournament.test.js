@@ -0,0 +1,200 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player } from '../gameLogic.js';
+import { normalizeTableRules } from '../tableRules.js';
+import {
+  applyBlindLevel,
+  finishTournament,
+  forfeitTournament,
+  isTournamentOver,
+  levelFor,
+  normalizeTournament,
+  prizeAmounts,
+  recordEliminations,
+  startTournament,
+  tournamentTableRules
+} from '../tournament.js';
+
+function setupTournament(settings = {}, players = 4) {
+  const { tournament } = normalizeTournament(settings);
+  const game = new Game('ROOM01', undefined, undefined, {
+    rules: normalizeTableRules(tournamentTableRules(tournament)).rules
+  });
+  game.tournament = tournament;
+  for (let i = 1; i <= players; i++) {
+    game.addPlayer(new Player(`p${i}`, `P${i}`, `socket-p${i}`));
+  }
+  return game;
+}
+
+// End a hand with these stacks left, as if it had been played out
+function bust(game, ...ids) {
+  game.startGame();
+  ids.forEach(id => { game.getPlayer(id).chips = 0; });
+  game.gameStarted = false;
+}
+
+describe('Tournaments', () => {
+  describe('Settings', () => {
+    it('fills in a standard Sit & Go', () => {
+      const { tournament } = normalizeTournament();
+
+      assert.equal(tournament.startingChips, 1500);
+      assert.deepEqual(tournament.payouts, [65, 35]);
+      assert.equal(tournament.levelBy, 'hands');
+    });
+
+    it('takes a preset or a custom payout table', () => {
+      assert.deepEqual(normalizeTournament({ payouts: '50-30-20' }).tournament.payouts, [50, 30, 20]);
+      assert.deepEqual(normalizeTournament({ payouts: [70, 20, 10] }).tournament.payouts, [70, 20, 10]);
+      assert.match(normalizeTournament({ payouts: [60, 30] }).error, /add up to 100/);
+      assert.match(normalizeTournament({ payouts: [30, 70] }).error, /lower place/);
+      assert.equal(normalizeTournament({ payouts: '90-10' }).success, false);
+    });
+
+    it('checks the boot schedule and the stacks it is played with', () => {
+      assert.match(normalizeTournament({ levels: [20, 10] }).error, /keep going up/);
+      assert.match(normalizeTournament({ levels: [10, 25] }).error, /even number/);
+      assert.match(normalizeTournament({ startingChips: 90 }).error, /at least 10 boots/);
+      assert.match(normalizeTournament({ levelBy: 'time', levelEvery: 1000 }).error, /Level length/);
+      assert.match(normalizeTournament({ rebuys: true }).error, /Unknown tournament setting/);
+    });
+  });
+
+  describe('Starting', () => {
+    it('gives everyone the same starting stack', () => {
+      const game = setupTournament({ startingChips: 2000 });
+
+      assert.equal(startTournament(game, 5000).success, true);
+      assert.deepEqual(game.players.map(p => p.chips), [2000, 2000, 2000, 2000]);
+      assert.equal(game.tournament.entrants, 4);
+      assert.equal(game.tournament.startedAt, 5000);
+    });
+
+    it('needs more players than paid places, and only starts once', () => {
+      const short = setupTournament({ payouts: '50-30-20' }, 3);
+      assert.match(startTournament(short).error, /at least 4 players/);
+
+      const game = setupTournament();
+      startTournament(game);
+      assert.match(startTournament(game).error, /already been played/);
+    });
+
+    it('does not let players cash out or sit out', () => {
+      const game = setupTournament();
+      startTournament(game);
+
+      assert.match(game.cashOut('p1').error, /cannot be cashed out/);
+      assert.match(game.setSittingOut('p1', true).error, /sit out/);
+    });
+  });
+
+  describe('Boot levels', () => {
+    it('goes up every so many hands', () => {
+      const game = setupTournament({ levels: [10, 20, 40], levelEvery: 2 });
+      startTournament(game);
+
+      assert.equal(applyBlindLevel(game), null);
+      game.handsPlayed = 2;
+      assert.deepEqual(applyBlindLevel(game), { level: 1, boot: 20 });
+      assert.equal(game.minBet, 20);
+      game.handsPlayed = 50;
+      assert.deepEqual(applyBlindLevel(game), { level: 2, boot: 40 });
+    });
+
+    it('or every so many minutes', () => {
+      const { tournament } = normalizeTournament({ levelBy: 'time', levelEvery: 60000 });
+      tournament.startedAt = 0;
+
+      assert.equal(levelFor(tournament, 0, 59999), 0);
+      assert.equal(levelFor(tournament, 0, 120000), 2);
+    });
+
+    it('scales the pot limit with the boot', () => {
+      const game = setupTournament({ levels: [10, 30], levelEvery: 1 });
+      startTournament(game);
+      game.handsPlayed = 1;
+      applyBlindLevel(game);
+
+      assert.equal(game.rules.potLimit, 30 * 1024);
+      assert.equal(game.rules.chaalLimit, null);
+    });
+
+    it('deals short stacks in all-in for the boot', () => {
+      const game = setupTournament({}, 2);
+      startTournament(game);
+      game.getPlayer('p1').chips = 4;
+      game.startGame();
+
+      assert.equal(game.getPlayer('p1').inHand, true);
+      assert.equal(game.getPlayer('p1').isAllIn, true);
+      assert.equal(game.pot, 14);
+    });
+  });
+
+  describe('Eliminations', () => {
+    it('places busted players from the bottom up', () => {
+      const game = setupTournament();
+      startTournament(game);
+      bust(game, 'p4');
+
+      assert.deepEqual(recordEliminations(game).map(e => [e.id, e.place]), [['p4', 4]]);
+      assert.deepEqual(recordEliminations(game), []);
+      assert.equal(game.getEligiblePlayers().length, 3);
+    });
+
+    it('ranks players knocked out together by the stack they started the hand with', () => {
+      const game = setupTournament();
+      startTournament(game);
+      game.getPlayer('p2').chips = 500;
+      bust(game, 'p2', 'p3');
+
+      assert.deepEqual(recordEliminations(game).map(e => [e.id, e.place]), [['p3', 3], ['p2', 4]]);
+    });
+
+    it('gives a player who leaves the worst place still open', () => {
+      const game = setupTournament();
+      startTournament(game);
+      bust(game, 'p4');
+      recordEliminations(game);
+
+      assert.equal(forfeitTournament(game, 'p1').place, 3);
+      assert.equal(forfeitTournament(game, 'p4'), null);
+    });
+  });
+
+  describe('Standings', () => {
+    it('pays by place, not by chips', () => {
+      const game = setupTournament({ entryFee: 50, payouts: [65, 35] }, 3);
+      startTournament(game);
+      bust(game, 'p2');
+      recordEliminations(game);
+      assert.equal(isTournamentOver(game), false);
+      bust(game, 'p3');
+      recordEliminations(game);
+      assert.equal(isTournamentOver(game), true);
+
+      assert.deepEqual(finishTournament(game), [
+        { id: 'p1', name: 'P1', place: 1, share: 65, prize: 98 },
+        { id: 'p3', name: 'P3', place: 2, share: 35, prize: 52 },
+        { id: 'p2', name: 'P2', place: 3, share: 0, prize: 0 }
+      ]);
+    });
+
+    it('splits the prize pool without losing chips to rounding', () => {
+      assert.deepEqual(prizeAmounts(100, [50, 30, 20]), [50, 30, 20]);
+      assert.deepEqual(prizeAmounts(10, [65, 35]), [7, 3]);
+    });
+
+    it('is saved with the room', () => {
+      const game = setupTournament();
+      startTournament(game);
+      bust(game, 'p4');
+      recordEliminations(game);
+
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+      assert.deepEqual(restored.tournament, game.tournament);
+      assert.equal(restored.getGameState().tournament.eliminated[0].id, 'p4');
+    });
+  });
+});
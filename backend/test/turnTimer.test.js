@@ -0,0 +1,198 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, TURN_TIMEOUT_MS, TIME_BANK_MS } from '../gameLogic.js';
+
+const NOW = 1_000_000;
+
+// Seat players with the given stacks and deal; dealer is seat 0, so seat 1 acts first
+function setupGame(stacks = [1000, 1000, 1000]) {
+  const game = new Game('ROOM01');
+  stacks.forEach((chips, i) => game.addPlayer(new Player(`p${i + 1}`, `P${i + 1}`, `socket-p${i + 1}`, chips)));
+  game.startGame();
+  return game;
+}
+
+describe('Turn timer', () => {
+  let game;
+
+  beforeEach(() => {
+    game = setupGame();
+  });
+
+  describe('Clock', () => {
+    it('has no deadline until the clock is started', () => {
+      assert.equal(game.turnDeadline, null);
+      assert.equal(game.getGameState().turnDeadline, null);
+    });
+
+    it('sets the deadline one turn from now', () => {
+      const deadline = game.startTurnClock(NOW);
+
+      assert.equal(deadline, NOW + TURN_TIMEOUT_MS);
+      assert.equal(game.getGameState().turnDeadline, deadline);
+    });
+
+    it('clears the deadline when the hand ends', () => {
+      game.startTurnClock(NOW);
+      game.endGame(game.players[0]);
+
+      assert.equal(game.turnDeadline, null);
+    });
+
+    it('pauses while a sideshow is pending', () => {
+      game.players.forEach(p => p.seeCards());
+      game.playerAction('p2', 'chaal', game.currentBet);
+      game.startTurnClock(NOW);
+
+      assert.equal(game.requestSideshow('p3', NOW).success, true);
+      assert.equal(game.turnDeadline, null);
+    });
+  });
+
+  describe('Timeout', () => {
+    it('does nothing before the deadline', () => {
+      game.startTurnClock(NOW);
+
+      const result = game.handleTurnTimeout(NOW + TURN_TIMEOUT_MS - 1);
+
+      assert.equal(result.success, false);
+      assert.equal(game.getCurrentPlayer().id, 'p2');
+    });
+
+    it('does nothing when no clock is running', () => {
+      assert.equal(game.handleTurnTimeout(NOW).success, false);
+    });
+
+    it('auto-packs the player on turn and moves on', () => {
+      game.startTurnClock(NOW);
+
+      const result = game.handleTurnTimeout(NOW + TURN_TIMEOUT_MS);
+
+      assert.equal(result.success, true);
+      assert.equal(result.playerId, 'p2');
+      assert.equal(result.action, 'pack');
+      assert.equal(game.getPlayer('p2').isFolded, true);
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+      assert.equal(game.turnDeadline, null);
+    });
+
+    it('does not act while a sideshow is pending', () => {
+      game.players.forEach(p => p.seeCards());
+      game.playerAction('p2', 'chaal', game.currentBet);
+      game.requestSideshow('p3', NOW);
+      game.turnDeadline = NOW;
+
+      assert.equal(game.handleTurnTimeout(NOW + TURN_TIMEOUT_MS).success, false);
+      assert.equal(game.getPlayer('p3').isFolded, false);
+    });
+
+    it('auto-checks when everyone else is all-in and covered', () => {
+      game = setupGame([1000, 1000, 15]);
+      const [p1, p2, p3] = game.players;
+      p3.seeCards();
+      game.playerAction('p2', 'chaal', 5);
+      game.playerAction('p3', 'chaal', 5);
+      assert.equal(p3.isAllIn, true);
+      p2.fold();
+      game.currentPlayerIndex = 0;
+      p1.totalBet = 20;
+
+      assert.equal(game.getTimeoutAction(p1), 'check');
+      game.startTurnClock(NOW);
+      const result = game.handleTurnTimeout(NOW + TURN_TIMEOUT_MS);
+
+      assert.equal(result.success, true);
+      assert.equal(result.action, 'check');
+      assert.equal(p1.isFolded, false);
+    });
+  });
+
+  describe('Check action', () => {
+    it('is rejected while someone can still bet', () => {
+      const result = game.playerAction('p2', 'check');
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /cannot check/);
+    });
+
+    it('is rejected when the all-in player is not yet covered', () => {
+      game = setupGame([1000, 15, 1000]);
+      const [p1, p2, p3] = game.players;
+      p2.seeCards();
+      game.playerAction('p2', 'chaal', 5);
+      p3.fold();
+      game.currentPlayerIndex = 0;
+
+      assert.equal(game.canCheck(p1), false);
+      assert.equal(game.getTimeoutAction(p1), 'pack');
+    });
+  });
+
+  describe('Time bank', () => {
+    it('starts every player with a full bank', () => {
+      assert.ok(game.getGameState().players.every(p => p.timeBank === TIME_BANK_MS));
+    });
+
+    it('extends the current turn by the whole bank once', () => {
+      game.startTurnClock(NOW);
+
+      const result = game.useTimeBank('p2', NOW + 1000);
+
+      assert.equal(result.success, true);
+      assert.equal(result.deadline, NOW + TURN_TIMEOUT_MS + TIME_BANK_MS);
+      assert.equal(game.getPlayer('p2').timeBank, 0);
+      assert.equal(game.handleTurnTimeout(NOW + TURN_TIMEOUT_MS).success, false);
+    });
+
+    it('cannot be used twice', () => {
+      game.startTurnClock(NOW);
+      game.useTimeBank('p2', NOW);
+
+      const result = game.useTimeBank('p2', NOW);
+
+      assert.equal(result.success, false);
+      assert.match(result.error, /time bank/);
+    });
+
+    it('cannot be used out of turn', () => {
+      game.startTurnClock(NOW);
+
+      assert.equal(game.useTimeBank('p3', NOW).success, false);
+      assert.equal(game.getPlayer('p3').timeBank, TIME_BANK_MS);
+    });
+
+    it('is kept from one hand to the next', () => {
+      game.startTurnClock(NOW);
+      game.useTimeBank('p2', NOW);
+      game.endGame(game.players[0]);
+      game.startGame();
+
+      assert.equal(game.getPlayer('p2').timeBank, 0);
+    });
+  });
+
+  describe('Leaving on turn', () => {
+    it('passes the turn to the next player', () => {
+      game.startTurnClock(NOW);
+
+      game.removePlayer('p2');
+
+      assert.equal(game.getCurrentPlayer().id, 'p3');
+      assert.equal(game.turnDeadline, null);
+    });
+
+    it('keeps the turn with the same player when someone earlier leaves', () => {
+      game.removePlayer('p1');
+
+      assert.equal(game.getCurrentPlayer().id, 'p2');
+    });
+
+    it('wraps round when the last seat leaves on turn', () => {
+      game.playerAction('p2', 'chaal', 5);
+
+      game.removePlayer('p3');
+
+      assert.equal(game.getCurrentPlayer().id, 'p1');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, Player, Card } from '../gameLogic.js';
+import { getVariant, listVariants } from '../variants.js';
+
+function hand(...codes) {
+  return codes.map(code => {
+    const rank = code.slice(0, -1);
+    const suit = { h: 'hearts', d: 'diamonds', c: 'clubs', s: 'spades' }[code.slice(-1)];
+    return new Card(rank, suit);
+  });
+}
+
+// 'first', 'second' or 'tie' for two hands under the given variant
+function winnerOf(game, first, second) {
+  const a = new Player('a', 'A', 'socket-a');
+  const b = new Player('b', 'B', 'socket-b');
+  a.cards = hand(...first);
+  b.cards = hand(...second);
+  const winner = game.compareHands(a, b);
+  if (!winner) return 'tie';
+  return winner === a ? 'first' : 'second';
+}
+
+function variantGame(variant) {
+  return new Game('ROOM01', undefined, undefined, { variant });
+}
+
+describe('Variants', () => {
+  describe('Registry', () => {
+    it('defaults to classic', () => {
+      const game = new Game('ROOM01');
+
+      assert.equal(game.variant.id, 'classic');
+      assert.deepEqual(game.getGameState().variant, { id: 'classic', name: 'Classic', cardsPerPlayer: 3 });
+    });
+
+    it('treats lowball as another name for muflis', () => {
+      assert.equal(getVariant('lowball'), getVariant('muflis'));
+      assert.equal(variantGame('lowball').getGameState().variant.id, 'muflis');
+    });
+
+    it('rejects an unknown variant', () => {
+      assert.equal(getVariant('strip'), null);
+      assert.throws(() => variantGame('strip'), /Unknown variant/);
+    });
+
+    it('lists every variant once', () => {
+      assert.deepEqual(
+        listVariants().map(v => v.id),
+        ['classic', 'muflis', 'ak47', 'joker', '999', 'best-of-four']
+      );
+    });
+  });
+
+  describe('Classic', () => {
+    const game = variantGame('classic');
+
+    it('ranks a trio above a pure sequence', () => {
+      assert.equal(winnerOf(game, ['2s', '2h', '2d'], ['As', 'Ks', 'Qs']), 'first');
+    });
+
+    it('ranks A-2-3 as the lowest sequence', () => {
+      assert.equal(winnerOf(game, ['As', '2h', '3d'], ['2s', '3h', '4d']), 'second');
+    });
+
+    it('ties identical ranks in different suits', () => {
+      assert.equal(winnerOf(game, ['Ks', 'Qh', '9d'], ['Kd', 'Qc', '9s']), 'tie');
+    });
+  });
+
+  describe('Muflis', () => {
+    const game = variantGame('muflis');
+
+    it('ranks high card above a pair', () => {
+      assert.equal(winnerOf(game, ['2s', '7h', '9d'], ['Ks', 'Kh', '4d']), 'first');
+    });
+
+    it('ranks a trio lowest of all', () => {
+      assert.equal(winnerOf(game, ['2s', '2h', '2d'], ['Ks', 'Qh', '9d']), 'second');
+    });
+
+    it('prefers the lower high card', () => {
+      assert.equal(winnerOf(game, ['2s', '3h', '5d'], ['2d', '3c', '6s']), 'first');
+    });
+
+    it('ranks a colour below a plain high card', () => {
+      assert.equal(winnerOf(game, ['2s', '5s', '9s'], ['Ks', 'Qh', '9d']), 'second');
+    });
+
+    it('still ties identical hands', () => {
+      assert.equal(winnerOf(game, ['Ks', 'Qh', '9d'], ['Kd', 'Qc', '9s']), 'tie');
+    });
+  });
+
+  describe('AK47', () => {
+    const game = variantGame('ak47');
+
+    it('turns one wild card into a trio with a natural pair', () => {
+      assert.equal(winnerOf(game, ['5s', '5h', 'Kd'], ['Qs', 'Js', '10s']), 'first');
+    });
+
+    it('turns two wild cards into a trio of the third card', () => {
+      assert.deepEqual(game.scoreHand(hand('As', '4h', '9d')), game.evaluateHand(hand('9s', '9h', '9d')));
+    });
+
+    it('makes three wild cards the top trio', () => {
+      assert.equal(winnerOf(game, ['As', 'Kh', '7d'], ['Qs', 'Qh', 'Qd']), 'first');
+    });
+
+    it('uses a single wild card for the best sequence or pair', () => {
+      // 7 completes Q-J-10 of spades as a pure sequence
+      assert.equal(winnerOf(game, ['Qs', 'Js', '7h'], ['Qh', 'Qd', '9c']), 'first');
+    });
+
+    it('scores hands without wild cards as classic', () => {
+      assert.equal(winnerOf(game, ['Qs', 'Qh', '9d'], ['Js', 'Jh', '9c']), 'first');
+    });
+
+    it('ties when wild cards reach the same hand', () => {
+      assert.equal(winnerOf(game, ['9s', '9h', 'Ad'], ['9d', '9c', 'Ks']), 'tie');
+    });
+  });
+
+  describe('Joker', () => {
+    it('turns up a joker card after the deal', () => {
+      const game = variantGame('joker');
+      game.addPlayer(new Player('p1', 'P1', 'socket-p1', 1000));
+      game.addPlayer(new Player('p2', 'P2', 'socket-p2', 1000));
+      game.startGame();
+
+      assert.ok(game.jokerCard);
+      assert.equal(game.getGameState().jokerCard, game.jokerCard);
+      assert.equal(game.deck.cards.length, 52 - 2 * 3 - 1);
+      assert.ok(game.players.every(p => !p.cards.includes(game.jokerCard)));
+    });
+
+    it('makes every card of the joker rank wild', () => {
+      const game = variantGame('joker');
+      game.jokerCard = new Card('5', 'clubs');
+
+      assert.equal(winnerOf(game, ['5s', '8h', '8d'], ['As', 'Ks', 'Qs']), 'first');
+    });
+
+    it('leaves other ranks alone', () => {
+      const game = variantGame('joker');
+      game.jokerCard = new Card('5', 'clubs');
+
+      assert.equal(winnerOf(game, ['As', '8h', '8d'], ['Ks', 'Kh', '2d']), 'second');
+    });
+
+    it('scores as classic before a joker is turned up', () => {
+      const game = variantGame('joker');
+
+      assert.equal(winnerOf(game, ['5s', '8h', '8d'], ['As', 'Ks', 'Qs']), 'second');
+    });
+
+    it('clears the joker at the start of each hand', () => {
+      const game = variantGame('joker');
+      game.addPlayer(new Player('p1', 'P1', 'socket-p1', 1000));
+      game.addPlayer(new Player('p2', 'P2', 'socket-p2', 1000));
+      game.startGame();
+      game.endGame(game.players[0]);
+      game.startGame();
+
+      assert.equal(game.deck.cards.length, 52 - 2 * 3 - 1);
+    });
+  });
+
+  describe('999', () => {
+    const game = variantGame('999');
+
+    it('makes three nines the best hand', () => {
+      assert.equal(winnerOf(game, ['9s', '9h', '9d'], ['As', 'Ah', 'Ad']), 'first');
+    });
+
+    it('counts pictures and tens as zero', () => {
+      assert.deepEqual(game.scoreHand(hand('Ks', '10h', '9d')), { rank: 0, values: [900] });
+    });
+
+    it('counts an ace as one', () => {
+      assert.deepEqual(game.scoreHand(hand('As', '8h', '2d')), { rank: 0, values: [821] });
+    });
+
+    it('prefers the number closer to 999', () => {
+      assert.equal(winnerOf(game, ['9s', '8h', '7d'], ['9d', '8c', '6s']), 'first');
+    });
+
+    it('ignores suits and ties equal numbers', () => {
+      assert.equal(winnerOf(game, ['Ks', '9h', '9d'], ['Qc', '9s', '9c']), 'tie');
+    });
+  });
+
+  describe('Best of Four', () => {
+    const game = variantGame('best-of-four');
+
+    it('deals four cards to each player', () => {
+      const table = variantGame('best-of-four');
+      table.addPlayer(new Player('p1', 'P1', 'socket-p1', 1000));
+      table.addPlayer(new Player('p2', 'P2', 'socket-p2', 1000));
+      table.startGame();
+
+      assert.ok(table.players.every(p => p.cards.length === 4));
+      assert.equal(table.getGameState().variant.cardsPerPlayer, 4);
+    });
+
+    it('scores the best three of the four cards', () => {
+      assert.deepEqual(
+        game.scoreHand(hand('2s', 'Qh', 'Qd', 'Qc')),
+        game.evaluateHand(hand('Qh', 'Qd', 'Qc'))
+      );
+    });
+
+    it('finds a sequence hidden among four cards', () => {
+      assert.equal(winnerOf(game, ['9s', '2h', '10d', 'Jc'], ['As', 'Ah', '3d', '5c']), 'first');
+    });
+
+    it('ties when the best three match', () => {
+      assert.equal(winnerOf(game, ['Ks', 'Qh', '9d', '2c'], ['Kd', 'Qc', '9s', '3h']), 'tie');
+    });
+  });
+});
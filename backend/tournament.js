@@ -0,0 +1,299 @@
+// Sit & Go tournaments
+//
+// A tournament is a session played down to the last stack. Everyone pays the
+// same entry fee and starts with the same chips, and the boot climbs through a
+// schedule of levels every so many hands or minutes. Players are knocked out
+// when they run out of chips (or leave) and finish in reverse order of
+// elimination. The prize pool is split by finishing place using the payout
+// table, never by chips. Every hand is still an ordinary Game hand; the
+// tournament state lives on game.tournament so it is saved with the room.
+
+import { normalizeTableRules } from './tableRules.js';
+
+// Percent of the prize pool paid to 1st, 2nd, 3rd...
+export const PAYOUT_TABLES = {
+  'winner-takes-all': [100],
+  '65-35': [65, 35],
+  '50-30-20': [50, 30, 20]
+};
+
+// The boot goes up every `levelEvery` hands, or every `levelEvery` ms
+export const LEVEL_BY = ['hands', 'time'];
+
+export const DEFAULT_TOURNAMENT = {
+  entryFee: 100,
+  startingChips: 1500,
+  levels: [10, 20, 30, 50, 80, 120, 200, 300, 500, 800], // Boot at each level
+  levelBy: 'hands',
+  levelEvery: 10,
+  payouts: '65-35' // A PAYOUT_TABLES id or a list of percentages
+};
+
+const MAX_ENTRY_FEE = 1000000;
+const MAX_STARTING_CHIPS = 10000000;
+const MAX_LEVELS = 20;
+const MAX_PAID_PLACES = 5;
+const MAX_LEVEL_HANDS = 100;
+const MIN_LEVEL_MS = 60000;
+const MAX_LEVEL_MS = 3600000;
+// A starting stack has to last a while at the first level
+const MIN_STARTING_BOOTS = 10;
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+function normalizePayouts(payouts) {
+  if (typeof payouts === 'string') {
+    return PAYOUT_TABLES[payouts]
+      ? { success: true, payouts: [...PAYOUT_TABLES[payouts]] }
+      : { success: false, error: `Payout table must be one of: ${Object.keys(PAYOUT_TABLES).join(', ')}` };
+  }
+  if (!Array.isArray(payouts) || payouts.length === 0 || payouts.length > MAX_PAID_PLACES ||
+    !payouts.every(isPositiveInteger)) {
+    return { success: false, error: `Payouts must be 1 to ${MAX_PAID_PLACES} whole percentages` };
+  }
+  if (payouts.some((share, i) => i > 0 && share > payouts[i - 1])) {
+    return { success: false, error: 'A lower place cannot be paid more than a higher one' };
+  }
+  if (payouts.reduce((sum, share) => sum + share, 0) !== 100) {
+    return { success: false, error: 'Payouts must add up to 100%' };
+  }
+  return { success: true, payouts: [...payouts] };
+}
+
+/**
+ * Fill in defaults and check a tournament setup.
+ * @returns {{success: boolean, tournament?: object, error?: string}}
+ */
+export function normalizeTournament(input = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { success: false, error: 'Tournament settings must be an object' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !(key in DEFAULT_TOURNAMENT));
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown tournament setting: ${unknown.join(', ')}` };
+  }
+
+  const settings = {
+    ...DEFAULT_TOURNAMENT,
+    ...Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined))
+  };
+
+  if (!isPositiveInteger(settings.entryFee) || settings.entryFee > MAX_ENTRY_FEE) {
+    return { success: false, error: `Entry fee must be a whole number between 1 and ${MAX_ENTRY_FEE}` };
+  }
+
+  const { levels } = settings;
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_LEVELS) {
+    return { success: false, error: `Boot schedule must have 1 to ${MAX_LEVELS} levels` };
+  }
+  // Each level has to be a boot the table rules would accept
+  for (const boot of levels) {
+    const check = normalizeTableRules({ boot });
+    if (!check.success) {
+      return { success: false, error: `Boot schedule: ${check.error}` };
+    }
+  }
+  if (levels.some((boot, i) => i > 0 && boot <= levels[i - 1])) {
+    return { success: false, error: 'Boot schedule must keep going up' };
+  }
+
+  if (!isPositiveInteger(settings.startingChips) || settings.startingChips > MAX_STARTING_CHIPS) {
+    return { success: false, error: `Starting chips must be a whole number between 1 and ${MAX_STARTING_CHIPS}` };
+  }
+  if (settings.startingChips < levels[0] * MIN_STARTING_BOOTS) {
+    return { success: false, error: `Starting chips must cover at least ${MIN_STARTING_BOOTS} boots` };
+  }
+
+  if (!LEVEL_BY.includes(settings.levelBy)) {
+    return { success: false, error: `Levels must go up by one of: ${LEVEL_BY.join(', ')}` };
+  }
+  if (settings.levelBy === 'hands' &&
+    (!isPositiveInteger(settings.levelEvery) || settings.levelEvery > MAX_LEVEL_HANDS)) {
+    return { success: false, error: `Hands per level must be between 1 and ${MAX_LEVEL_HANDS}` };
+  }
+  if (settings.levelBy === 'time' && (!Number.isInteger(settings.levelEvery) ||
+    settings.levelEvery < MIN_LEVEL_MS || settings.levelEvery > MAX_LEVEL_MS)) {
+    return { success: false, error: `Level length must be between ${MIN_LEVEL_MS} and ${MAX_LEVEL_MS} ms` };
+  }
+
+  const payouts = normalizePayouts(settings.payouts);
+  if (!payouts.success) {
+    return payouts;
+  }
+
+  return {
+    success: true,
+    tournament: {
+      ...settings,
+      levels: [...levels],
+      payouts: payouts.payouts,
+      level: 0,
+      startedAt: null,
+      startHand: 0, // handsPlayed when the first hand was dealt
+      limits: null, // Chaal and pot limits at the first level, scaled up with the boot
+      entrants: 0,
+      eliminated: [], // { id, name, place, handNumber, forfeited }
+      standings: null // Set once the tournament is over
+    }
+  };
+}
+
+// Hand in the tournament's table rules: the first level sets the boot
+export function tournamentTableRules(tournament, rules = {}) {
+  return { ...rules, boot: tournament.levels[0] };
+}
+
+/**
+ * Seat everyone with the starting stack and start the clock. Everyone seated
+ * plays; there is no late registration.
+ * @returns {{success: boolean, error?: string}}
+ */
+export function startTournament(game, now = Date.now()) {
+  const tournament = game.tournament;
+  if (tournament.startedAt !== null) {
+    return { success: false, error: 'This tournament has already been played' };
+  }
+  const needed = Math.max(game.minPlayers, tournament.payouts.length + 1);
+  if (game.players.length < needed) {
+    return { success: false, error: `This tournament needs at least ${needed} players` };
+  }
+  if (game.players.some(p => !p.connected)) {
+    return { success: false, error: 'Wait for everyone to be back at the table' };
+  }
+
+  game.players.forEach(player => {
+    player.chips = tournament.startingChips;
+    player.sittingOut = false;
+  });
+  tournament.entrants = game.players.length;
+  tournament.startedAt = now;
+  tournament.startHand = game.handsPlayed;
+  tournament.level = 0;
+  tournament.limits = { chaalLimit: game.rules.chaalLimit, potLimit: game.rules.potLimit };
+  return { success: true };
+}
+
+// Level reached after this many tournament hands, or this long since the start
+export function levelFor(tournament, handsPlayed, now = Date.now()) {
+  const elapsed = tournament.levelBy === 'hands'
+    ? handsPlayed - tournament.startHand
+    : now - tournament.startedAt;
+  return Math.min(tournament.levels.length - 1, Math.floor(elapsed / tournament.levelEvery));
+}
+
+const scaleLimit = (limit, boot, firstBoot) => (limit === null ? null : Math.round(limit * boot / firstBoot));
+
+/**
+ * Move the table to the current level before a deal.
+ * @returns {{level: number, boot: number}|null} The new level, or null if it hasn't changed
+ */
+export function applyBlindLevel(game, now = Date.now()) {
+  const tournament = game.tournament;
+  const level = levelFor(tournament, game.handsPlayed, now);
+  if (level === tournament.level) {
+    return null;
+  }
+
+  const boot = tournament.levels[level];
+  const firstBoot = tournament.levels[0];
+  tournament.level = level;
+  game.rules = {
+    ...game.rules,
+    boot,
+    chaalLimit: scaleLimit(tournament.limits.chaalLimit, boot, firstBoot),
+    potLimit: scaleLimit(tournament.limits.potLimit, boot, firstBoot)
+  };
+  game.minBet = boot;
+  return { level, boot };
+}
+
+const eliminatedIds = tournament => new Set(tournament.eliminated.map(entry => entry.id));
+
+// Seated players still in the tournament, including anyone all-in on the current hand
+function stillIn(game) {
+  const out = eliminatedIds(game.tournament);
+  return game.players.filter(p => !out.has(p.id));
+}
+
+/**
+ * Knock out everyone the last hand left without chips. Players busted in the
+ * same hand are placed by the stack they started it with.
+ * @returns {Array} The new eliminations
+ */
+export function recordEliminations(game) {
+  const tournament = game.tournament;
+  const busted = stillIn(game).filter(p => p.chips === 0);
+  if (busted.length === 0) {
+    return [];
+  }
+
+  const deal = game.handLog.find(event => event.type === 'deal');
+  const startingStack = id => deal?.players.find(p => p.id === id)?.chips ?? 0;
+  busted.sort((a, b) => startingStack(b.id) - startingStack(a.id));
+
+  const survivors = stillIn(game).length - busted.length;
+  const entries = busted.map((player, i) => ({
+    id: player.id,
+    name: player.name,
+    place: survivors + i + 1,
+    handNumber: game.handNumber,
+    forfeited: false
+  }));
+  tournament.eliminated.push(...entries);
+  return entries;
+}
+
+// A player leaving a running tournament takes the worst place still open
+export function forfeitTournament(game, playerId) {
+  const tournament = game.tournament;
+  const player = game.getPlayer(playerId);
+  if (!player || eliminatedIds(tournament).has(playerId)) {
+    return null;
+  }
+
+  const entry = {
+    id: player.id,
+    name: player.name,
+    place: stillIn(game).length,
+    handNumber: game.handNumber,
+    forfeited: true
+  };
+  tournament.eliminated.push(entry);
+  return entry;
+}
+
+// Between hands: over once at most one player has chips left
+export function isTournamentOver(game) {
+  return stillIn(game).filter(p => p.chips > 0).length <= 1;
+}
+
+// The entry fees, split by place; rounding leftovers go to the winner
+export function prizeAmounts(prizePool, payouts) {
+  const amounts = payouts.map(share => Math.floor(prizePool * share / 100));
+  amounts[0] += prizePool - amounts.reduce((sum, amount) => sum + amount, 0);
+  return amounts;
+}
+
+/**
+ * Crown the last player standing and fix the final standings.
+ * @returns {Array} Standings by place: { id, name, place, share, prize }
+ */
+export function finishTournament(game) {
+  const tournament = game.tournament;
+  const winners = stillIn(game)
+    .filter(p => p.chips > 0)
+    .map(p => ({ id: p.id, name: p.name, place: 1 }));
+  const placed = [...winners, ...tournament.eliminated].sort((a, b) => a.place - b.place);
+
+  const prizes = prizeAmounts(tournament.entryFee * tournament.entrants, tournament.payouts);
+  // Places are counted again in case the last players all left
+  tournament.standings = placed.map(({ id, name }, i) => ({
+    id,
+    name,
+    place: i + 1,
+    share: tournament.payouts[i] || 0,
+    prize: prizes[i] || 0
+  }));
+  return tournament.standings;
+}
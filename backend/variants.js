@@ -0,0 +1,165 @@
+// Teen Patti variants
+//
+// Every variant scores a hand as { rank, values }; a higher score wins (see compareScores).
+// Classic scoring lives in Game.evaluateHand, variants build on top of it.
+
+import { Card, RANKS, SUITS } from './gameLogic.js';
+
+// Positive if score a beats score b, negative if b wins, 0 on a tie
+export function compareScores(a, b) {
+  if (a.rank !== b.rank) {
+    return a.rank - b.rank;
+  }
+  for (let i = 0; i < Math.max(a.values.length, b.values.length); i++) {
+    const diff = (a.values[i] ?? -Infinity) - (b.values[i] ?? -Infinity);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+function bestScore(scores) {
+  return scores.reduce((best, score) => (compareScores(score, best) > 0 ? score : best));
+}
+
+// Every 3-card combination of a larger hand
+function threeCardCombinations(cards) {
+  const combos = [];
+  for (let i = 0; i < cards.length - 2; i++) {
+    for (let j = i + 1; j < cards.length - 1; j++) {
+      for (let k = j + 1; k < cards.length; k++) {
+        combos.push([cards[i], cards[j], cards[k]]);
+      }
+    }
+  }
+  return combos;
+}
+
+// Built on first use: gameLogic.js imports this module, so its exports aren't ready at load time
+let allCards = null;
+function everyCard() {
+  if (!allCards) {
+    allCards = SUITS.flatMap(suit => RANKS.map(rank => new Card(rank, suit)));
+  }
+  return allCards;
+}
+
+// Best classic score when wild cards may stand in for any card
+function scoreWithWilds(cards, isWild, game) {
+  const wilds = cards.filter(isWild);
+  const naturals = cards.filter(card => !isWild(card));
+
+  if (wilds.length === 0) {
+    return game.evaluateHand(cards);
+  }
+
+  // Three wilds make the top trio
+  if (naturals.length === 0) {
+    return game.evaluateHand([new Card('A', 'spades'), new Card('A', 'hearts'), new Card('A', 'diamonds')]);
+  }
+
+  // Two wilds always complete a trio of the natural card
+  if (wilds.length === 2) {
+    return game.evaluateHand([naturals[0], naturals[0], naturals[0]]);
+  }
+
+  return bestScore(everyCard().map(card => game.evaluateHand([...naturals, card])));
+}
+
+// Digit each card adds in 999: A = 1, number cards at face value, 10 and pictures = 0
+function pointValue(card) {
+  if (card.rank === 'A') return 1;
+  const value = parseInt(card.rank, 10);
+  return value >= 2 && value <= 9 ? value : 0;
+}
+
+const classic = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'Standard Teen Patti rankings',
+  cardsPerPlayer: 3,
+  scoreHand(cards, game) {
+    return game.evaluateHand(cards);
+  }
+};
+
+const muflis = {
+  id: 'muflis',
+  name: 'Muflis',
+  description: 'Lowest hand wins: rankings are reversed',
+  cardsPerPlayer: 3,
+  scoreHand(cards, game) {
+    const score = game.evaluateHand(cards);
+    return { rank: -score.rank, values: score.values.map(v => -v) };
+  }
+};
+
+const ak47 = {
+  id: 'ak47',
+  name: 'AK47',
+  description: 'Every A, K, 4 and 7 is wild',
+  cardsPerPlayer: 3,
+  scoreHand(cards, game) {
+    return scoreWithWilds(cards, card => ['A', 'K', '4', '7'].includes(card.rank), game);
+  }
+};
+
+const joker = {
+  id: 'joker',
+  name: 'Joker',
+  description: 'A card is turned face up after the deal; every card of its rank is wild',
+  cardsPerPlayer: 3,
+  onDeal(game) {
+    game.jokerCard = game.deck.deal();
+  },
+  scoreHand(cards, game) {
+    const jokerRank = game.jokerCard ? game.jokerCard.rank : null;
+    return scoreWithWilds(cards, card => card.rank === jokerRank, game);
+  }
+};
+
+const nineNineNine = {
+  id: '999',
+  name: '999',
+  description: 'Arrange your cards into the number closest to 999 (A = 1, 10 and pictures = 0)',
+  cardsPerPlayer: 3,
+  scoreHand(cards) {
+    const digits = cards.map(pointValue).sort((a, b) => b - a);
+    return { rank: 0, values: [Number(digits.join(''))] };
+  }
+};
+
+const bestOfFour = {
+  id: 'best-of-four',
+  name: 'Best of Four',
+  description: 'Four cards are dealt; your best three count',
+  cardsPerPlayer: 4,
+  scoreHand(cards, game) {
+    return bestScore(threeCardCombinations(cards).map(combo => game.evaluateHand(combo)));
+  }
+};
+
+const VARIANTS = new Map(
+  [classic, muflis, ak47, joker, nineNineNine, bestOfFour].map(variant => [variant.id, variant])
+);
+
+// Other names players use for the same game
+const ALIASES = {
+  lowball: 'muflis'
+};
+
+export const VARIANT_IDS = [...VARIANTS.keys(), ...Object.keys(ALIASES)];
+
+export function getVariant(id = 'classic') {
+  return VARIANTS.get(ALIASES[id] || id) || null;
+}
+
+export function listVariants() {
+  return [...VARIANTS.values()].map(({ id, name, description, cardsPerPlayer }) => ({
+    id,
+    name,
+    description,
+    cardsPerPlayer
+  }));
+}
@@ -0,0 +1,37 @@
+// Standalone hand verifier
+//
+// Re-derives a hand's deal from the seeds revealed in `gameEnded.fairness` and
+// checks it against the committed hash and the cards that were shown.
+//
+//   node verifier.js hand.json
+//
+// where hand.json is { "fairness": {...}, "allCards": {...} } as sent in gameEnded.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { verifyHand } from './fairness.js';
+
+export { verifyHand };
+
+// CLI entry point
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node verifier.js <hand.json>');
+    process.exit(1);
+  }
+
+  const { fairness, allCards } = JSON.parse(readFileSync(file, 'utf8'));
+  const result = verifyHand(fairness, allCards);
+
+  console.log(`Seed hash ${result.hashMatches ? 'matches' : 'DOES NOT match'} the commitment`);
+  for (const [id, cards] of Object.entries(result.hands)) {
+    const flag = result.mismatches.includes(id) ? '  <-- differs from the cards shown' : '';
+    console.log(`${id}: ${cards.map(c => `${c.rank}${c.suit[0]}`).join(' ')}${flag}`);
+  }
+  if (result.jokerCard) {
+    console.log(`Joker: ${result.jokerCard.rank}${result.jokerCard.suit[0]}`);
+  }
+  console.log(result.valid ? 'Hand verified' : 'Verification FAILED');
+  process.exit(result.valid ? 0 : 1);
+}
@@ -5,6 +5,7 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title TeenPattiGame
@@ -28,23 +29,64 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         address winner;
         uint256 createdAt;
         uint256 finishedAt;
+        uint256 lastActivityAt; // Last sign of a live game (see handleTimeout)
+        bool closed;
         mapping(address => uint256) playerBalances;
+        mapping(address => uint256) playerBets;
         mapping(address => bool) hasJoined;
     }
     
+    // What a room plays, fixed at creation so clients can show it before joining
+    struct RoomMetadata {
+        bytes32 variant;
+        bytes32 rulesHash;
+    }
+    
     // State variables
     mapping(bytes32 => Room) public rooms;
+    mapping(bytes32 => RoomMetadata) public roomMetadata;
     mapping(address => bytes32[]) public playerRooms;
     bytes32[] public activeRoomIds;
     
+    // Waiting and active rooms by short code: the first 3 bytes of the room ID,
+    // typed as 6 hex characters
+    mapping(bytes3 => bytes32) public roomIdByCode;
+    uint256 private constant MAX_ROOM_ID_ATTEMPTS = 16;
+    
+    // Position + 1 of a room in activeRoomIds and in each player's playerRooms (0 = not listed)
+    mapping(bytes32 => uint256) private activeRoomIndex;
+    mapping(address => mapping(bytes32 => uint256)) private playerRoomIndex;
+    
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    
     // Platform rake (in basis points, 100 = 1%)
     uint256 public rakeFee = 500; // 5%
     address public treasury;
     uint256 public totalRakeCollected;
     
-    // Timeout settings
+    // Timeout settings: how long an active room may go without activity
     uint256 public constant GAME_TIMEOUT = 1 hours;
     
+    // Player-signed settlement (EIP-712)
+    struct SettlementProposal {
+        address[] players;
+        uint256[] finalChips;
+        uint256 nonce;
+        uint256 proposedAt;
+        bool disputed;
+    }
+    
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant SETTLEMENT_TYPEHASH =
+        keccak256("Settlement(bytes32 roomId,address[] players,uint256[] finalChips,uint256 nonce)");
+    uint256 public constant DISPUTE_WINDOW = 1 hours;
+    uint256 private constant BPS = 10000;
+    
+    // Share of seated players (basis points) who must co-sign; 0 = owner-only settlement
+    mapping(bytes32 => uint256) public settlementQuorum;
+    mapping(bytes32 => SettlementProposal) private settlementProposals;
+    
     // Events
     event RoomCreated(bytes32 indexed roomId, address indexed creator, uint256 buyIn, uint256 maxPlayers);
     event PlayerJoined(bytes32 indexed roomId, address indexed player, uint256 buyIn);
@@ -54,9 +96,21 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     event WinnerDeclared(bytes32 indexed roomId, address indexed winner, uint256 amount, uint256 rake);
     event CashGameSettled(bytes32 indexed roomId, address[] players, uint256[] payouts, uint256 rake);
     event RoomClosed(bytes32 indexed roomId);
+    event RoomMetadataSet(bytes32 indexed roomId, bytes32 variant, bytes32 rulesHash);
     event RakeFeeUpdated(uint256 newRakeFee);
     event TreasuryUpdated(address indexed newTreasury);
     event EmergencyWithdraw(bytes32 indexed roomId, address indexed player, uint256 amount);
+    event TimeoutRefund(bytes32 indexed roomId, address indexed player, uint256 amount);
+    event SignedSettlementRequired(bytes32 indexed roomId, uint256 quorumBps);
+    event SettlementProposed(
+        bytes32 indexed roomId,
+        uint256 nonce,
+        address[] players,
+        uint256[] finalChips,
+        uint256 disputeDeadline
+    );
+    event SettlementDisputed(bytes32 indexed roomId, address indexed player, uint256 nonce);
+    event SettlementCoSigned(bytes32 indexed roomId, uint256 nonce, address[] signers);
     
     constructor(address _token, address _treasury) Ownable(msg.sender) {
         require(_token != address(0), "Invalid token address");
@@ -68,15 +122,50 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     
     /**
      * @dev Create a new game room
+     * @param _variant Game variant, as a bytes32 string
+     * @param _rulesHash Hash of the table rules the room plays by
      */
-    function createRoom(uint256 _buyIn, uint256 _maxPlayers) external nonReentrant whenNotPaused returns (bytes32) {
+    function createRoom(
+        uint256 _buyIn,
+        uint256 _maxPlayers,
+        bytes32 _variant,
+        bytes32 _rulesHash
+    ) external nonReentrant whenNotPaused returns (bytes32) {
+        return _createRoom(_buyIn, _maxPlayers, _variant, _rulesHash);
+    }
+    
+    /**
+     * @dev Create a room whose payouts need the players' co-signatures
+     * @param _quorumBps Share of seated players who must sign, in basis points
+     * (10000 = everyone, 5001 = a majority)
+     */
+    function createRoomWithSignedSettlement(
+        uint256 _buyIn,
+        uint256 _maxPlayers,
+        bytes32 _variant,
+        bytes32 _rulesHash,
+        uint256 _quorumBps
+    ) external nonReentrant whenNotPaused returns (bytes32) {
+        require(_quorumBps > BPS / 2 && _quorumBps <= BPS, "Quorum must be a majority");
+        
+        bytes32 roomId = _createRoom(_buyIn, _maxPlayers, _variant, _rulesHash);
+        settlementQuorum[roomId] = _quorumBps;
+        
+        emit SignedSettlementRequired(roomId, _quorumBps);
+        return roomId;
+    }
+    
+    function _createRoom(
+        uint256 _buyIn,
+        uint256 _maxPlayers,
+        bytes32 _variant,
+        bytes32 _rulesHash
+    ) private returns (bytes32) {
         require(_buyIn > 0, "Buy-in must be positive");
         require(_maxPlayers >= 2 && _maxPlayers <= 6, "Invalid max players");
         require(token.balanceOf(msg.sender) >= _buyIn, "Insufficient token balance");
         
-        // Generate unique room ID (first 3 bytes of hash = 6 hex chars)
-        bytes32 fullHash = keccak256(abi.encodePacked(msg.sender, block.timestamp, block.prevrandao));
-        bytes32 roomId = bytes32(uint256(fullHash) & 0xFFFFFF00000000000000000000000000000000000000000000000000000000);
+        bytes32 roomId = _newRoomId();
         
         Room storage room = rooms[roomId];
         room.roomId = roomId;
@@ -85,6 +174,7 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         room.maxPlayers = _maxPlayers;
         room.state = GameState.WAITING;
         room.createdAt = block.timestamp;
+        roomMetadata[roomId] = RoomMetadata(_variant, _rulesHash);
         
         // Transfer buy-in from creator
         require(token.transferFrom(msg.sender, address(this), _buyIn), "Token transfer failed");
@@ -97,14 +187,33 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         
         // Track room
         activeRoomIds.push(roomId);
-        playerRooms[msg.sender].push(roomId);
+        activeRoomIndex[roomId] = activeRoomIds.length;
+        roomIdByCode[bytes3(roomId)] = roomId;
+        _addPlayerRoom(msg.sender, roomId);
         
         emit RoomCreated(roomId, msg.sender, _buyIn, _maxPlayers);
+        emit RoomMetadataSet(roomId, _variant, _rulesHash);
         emit PlayerJoined(roomId, msg.sender, _buyIn);
         
         return roomId;
     }
     
+    /**
+     * @dev Pick a room ID that has never been used and whose short code no
+     * waiting or active room holds. The same sender creating two rooms in one
+     * block hashes the same inputs, and 3-byte codes collide long before full
+     * IDs do, so the salt moves on until both are free.
+     */
+    function _newRoomId() private view returns (bytes32) {
+        for (uint256 salt = 0; salt < MAX_ROOM_ID_ATTEMPTS; salt++) {
+            bytes32 roomId = keccak256(abi.encodePacked(msg.sender, block.timestamp, block.prevrandao, salt));
+            if (rooms[roomId].creator == address(0) && roomIdByCode[bytes3(roomId)] == bytes32(0)) {
+                return roomId;
+            }
+        }
+        revert("No free room ID");
+    }
+    
     /**
      * @dev Join an existing room
      */
@@ -126,7 +235,7 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         room.hasJoined[msg.sender] = true;
         room.pot += room.buyIn;
         
-        playerRooms[msg.sender].push(_roomId);
+        _addPlayerRoom(msg.sender, _roomId);
         
         emit PlayerJoined(_roomId, msg.sender, room.buyIn);
     }
@@ -156,6 +265,7 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
                 break;
             }
         }
+        _removePlayerRoom(msg.sender, _roomId);
         
         // Transfer refund
         require(token.transfer(msg.sender, refund), "Refund transfer failed");
@@ -165,6 +275,7 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         // Cancel room if no players left
         if (room.players.length == 0) {
             room.state = GameState.CANCELLED;
+            _removeActiveRoom(_roomId);
             emit RoomClosed(_roomId);
         }
     }
@@ -181,12 +292,14 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         require(room.players.length >= 2, "Need at least 2 players");
         
         room.state = GameState.ACTIVE;
+        room.lastActivityAt = block.timestamp;
         
         emit GameStarted(_roomId, room.pot, room.players.length);
     }
     
     /**
-     * @dev Place a bet (deducted from player's balance in room)
+     * @dev Place a bet (deducted from player's balance in room). The tokens are
+     * already escrowed in the pot, so only the player's stake moves.
      */
     function placeBet(bytes32 _roomId, address _player, uint256 _amount) external nonReentrant {
         Room storage room = rooms[_roomId];
@@ -197,7 +310,8 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         require(room.playerBalances[_player] >= _amount, "Insufficient player balance");
         
         room.playerBalances[_player] -= _amount;
-        room.pot += _amount;
+        room.playerBets[_player] += _amount;
+        room.lastActivityAt = block.timestamp;
         
         emit BetPlaced(_roomId, _player, _amount);
     }
@@ -224,6 +338,7 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         room.winner = _winner;
         room.finishedAt = block.timestamp;
         room.pot = 0;
+        _removeActiveRoom(_roomId);
         
         // Transfer winnings to winner
         require(token.transfer(_winner, winnerAmount), "Winner transfer failed");
@@ -239,21 +354,179 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     
     /**
      * @dev Settle cash game with proportional payouts based on final chips
-     * @notice Only owner (backend) can call this with verified chip counts
+     * @notice Only owner (backend) can call this with verified chip counts. Rooms
+     * with signed settlement only fall back to this once a proposal was disputed
+     * or its dispute window ran out without enough co-signatures. An undisputed
+     * proposal must be paid out as proposed; a disputed one is the owner's to
+     * arbitrate, so the owner may settle it with corrected chips.
      */
     function settleCashGame(
         bytes32 _roomId,
         address[] memory _players,
         uint256[] memory _finalChips
     ) external onlyOwner nonReentrant {
+        if (settlementQuorum[_roomId] > 0) {
+            SettlementProposal storage proposal = settlementProposals[_roomId];
+            require(proposal.proposedAt > 0, "Propose a settlement first");
+            require(
+                proposal.disputed || block.timestamp >= proposal.proposedAt + DISPUTE_WINDOW,
+                "Players must co-sign the settlement"
+            );
+            if (!proposal.disputed) {
+                require(
+                    keccak256(abi.encodePacked(_players)) == keccak256(abi.encodePacked(proposal.players)) &&
+                    keccak256(abi.encodePacked(_finalChips)) == keccak256(abi.encodePacked(proposal.finalChips)),
+                    "Settlement must match the proposal"
+                );
+            }
+        }
+        
+        _settleCashGame(_roomId, _players, _finalChips);
+    }
+    
+    /**
+     * @dev Propose final chips for players to co-sign as an EIP-712 Settlement
+     * message (only owner). A new proposal replaces the last one and restarts
+     * the dispute window; signatures on the old one no longer count.
+     */
+    function proposeSettlement(
+        bytes32 _roomId,
+        address[] calldata _players,
+        uint256[] calldata _finalChips
+    ) external onlyOwner {
+        require(settlementQuorum[_roomId] > 0, "Room does not use signed settlement");
+        _validateSettlement(rooms[_roomId], _players, _finalChips);
+        
+        SettlementProposal storage proposal = settlementProposals[_roomId];
+        proposal.players = _players;
+        proposal.finalChips = _finalChips;
+        proposal.nonce += 1;
+        proposal.proposedAt = block.timestamp;
+        proposal.disputed = false;
+        rooms[_roomId].lastActivityAt = block.timestamp;
+        
+        emit SettlementProposed(_roomId, proposal.nonce, _players, _finalChips, block.timestamp + DISPUTE_WINDOW);
+    }
+    
+    /**
+     * @dev Pay out the current proposal once enough seated players have signed it.
+     * Anyone can submit the signatures.
+     */
+    function settleWithSignatures(bytes32 _roomId, bytes[] calldata _signatures) external nonReentrant {
+        Room storage room = rooms[_roomId];
+        SettlementProposal storage proposal = settlementProposals[_roomId];
+        
+        require(proposal.proposedAt > 0, "No settlement proposed");
+        require(!proposal.disputed, "Settlement is disputed");
+        require(_signatures.length >= signaturesRequired(_roomId), "Not enough signatures");
+        
+        bytes32 digest = settlementDigest(_roomId);
+        address[] memory signers = new address[](_signatures.length);
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            address signer = ECDSA.recover(digest, _signatures[i]);
+            require(room.hasJoined[signer], "Signer not in room");
+            for (uint256 j = 0; j < i; j++) {
+                require(signers[j] != signer, "Duplicate signature");
+            }
+            signers[i] = signer;
+        }
+        
+        emit SettlementCoSigned(_roomId, proposal.nonce, signers);
+        _settleCashGame(_roomId, proposal.players, proposal.finalChips);
+    }
+    
+    /**
+     * @dev Object to the current proposal (seated players, within the dispute
+     * window). It can no longer be co-signed and settlement falls back to the owner.
+     */
+    function disputeSettlement(bytes32 _roomId) external {
         Room storage room = rooms[_roomId];
+        SettlementProposal storage proposal = settlementProposals[_roomId];
         
+        require(room.hasJoined[msg.sender], "Not in this room");
+        require(room.state == GameState.ACTIVE, "Game not active");
+        require(proposal.proposedAt > 0, "No settlement proposed");
+        require(block.timestamp < proposal.proposedAt + DISPUTE_WINDOW, "Dispute window closed");
+        require(!proposal.disputed, "Already disputed");
+        
+        proposal.disputed = true;
+        room.lastActivityAt = block.timestamp;
+        
+        emit SettlementDisputed(_roomId, msg.sender, proposal.nonce);
+    }
+    
+    /**
+     * @dev Co-signatures needed for the current proposal: the room's quorum of
+     * players still seated, rounded up
+     */
+    function signaturesRequired(bytes32 _roomId) public view returns (uint256) {
+        Room storage room = rooms[_roomId];
+        uint256 seated = 0;
+        for (uint256 i = 0; i < room.players.length; i++) {
+            if (room.hasJoined[room.players[i]]) {
+                seated++;
+            }
+        }
+        return (seated * settlementQuorum[_roomId] + BPS - 1) / BPS;
+    }
+    
+    /**
+     * @dev EIP-712 domain separator for settlement signatures
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("TeenPattiGame")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 digest of the current proposal, as players sign it
+     */
+    function settlementDigest(bytes32 _roomId) public view returns (bytes32) {
+        SettlementProposal storage proposal = settlementProposals[_roomId];
+        bytes32 structHash = keccak256(abi.encode(
+            SETTLEMENT_TYPEHASH,
+            _roomId,
+            keccak256(abi.encodePacked(proposal.players)),
+            keccak256(abi.encodePacked(proposal.finalChips)),
+            proposal.nonce
+        ));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+    
+    /**
+     * @dev Get the current settlement proposal
+     */
+    function getSettlementProposal(bytes32 _roomId) external view returns (
+        address[] memory players,
+        uint256[] memory finalChips,
+        uint256 nonce,
+        uint256 disputeDeadline,
+        bool disputed
+    ) {
+        SettlementProposal storage proposal = settlementProposals[_roomId];
+        return (
+            proposal.players,
+            proposal.finalChips,
+            proposal.nonce,
+            proposal.proposedAt > 0 ? proposal.proposedAt + DISPUTE_WINDOW : 0,
+            proposal.disputed
+        );
+    }
+    
+    function _validateSettlement(
+        Room storage room,
+        address[] memory _players,
+        uint256[] memory _finalChips
+    ) private view {
         require(room.state == GameState.ACTIVE, "Game not active");
         require(_players.length == _finalChips.length, "Array length mismatch");
         require(_players.length > 0, "No players provided");
-        
-        uint256 pot = room.pot;
-        require(pot > 0, "No pot to distribute");
+        require(room.pot > 0, "No pot to distribute");
         
         // Calculate total chips
         uint256 totalChips = 0;
@@ -266,6 +539,21 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         for (uint256 i = 0; i < _players.length; i++) {
             require(room.hasJoined[_players[i]], "Player not in room");
         }
+    }
+    
+    function _settleCashGame(
+        bytes32 _roomId,
+        address[] memory _players,
+        uint256[] memory _finalChips
+    ) private {
+        Room storage room = rooms[_roomId];
+        _validateSettlement(room, _players, _finalChips);
+        
+        uint256 pot = room.pot;
+        uint256 totalChips = 0;
+        for (uint256 i = 0; i < _finalChips.length; i++) {
+            totalChips += _finalChips[i];
+        }
         
         // Calculate rake
         uint256 rake = (pot * rakeFee) / 10000;
@@ -313,31 +601,87 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         room.winner = topPlayer; // Player with most chips
         room.finishedAt = block.timestamp;
         room.pot = 0;
+        _removeActiveRoom(_roomId);
         
         emit CashGameSettled(_roomId, _players, payouts, rake);
     }
     
     /**
-     * @dev Handle game timeout (refund all players)
+     * @dev Record that a session is still being played (only owner). Hands are
+     * played off-chain, so the backend calls this while a room is in play to
+     * keep it from timing out.
+     */
+    function keepAlive(bytes32 _roomId) external onlyOwner {
+        Room storage room = rooms[_roomId];
+        
+        require(room.state == GameState.ACTIVE, "Game not active");
+        room.lastActivityAt = block.timestamp;
+    }
+    
+    /**
+     * @dev Handle game timeout, once an active room has gone GAME_TIMEOUT without
+     * activity (start, bets, keepAlive, settlement proposals or disputes).
+     * An undisputed settlement proposal is paid out as proposed, as the owner
+     * would have to. Otherwise players still seated get back their remaining
+     * stake plus the bets they placed, and split whatever leavers forfeited
+     * (emergency withdraw penalties and their bets) evenly. Rounding dust goes
+     * to the last player refunded; if nobody is seated it all goes to treasury.
      */
     function handleTimeout(bytes32 _roomId) external nonReentrant {
         Room storage room = rooms[_roomId];
         
         require(room.state == GameState.ACTIVE, "Game not active");
-        require(block.timestamp >= room.createdAt + GAME_TIMEOUT, "Timeout not reached");
+        require(block.timestamp >= room.lastActivityAt + GAME_TIMEOUT, "Timeout not reached");
+        
+        SettlementProposal storage proposal = settlementProposals[_roomId];
+        if (proposal.proposedAt > 0 && !proposal.disputed) {
+            require(block.timestamp >= proposal.proposedAt + DISPUTE_WINDOW, "Dispute window open");
+            _settleCashGame(_roomId, proposal.players, proposal.finalChips);
+            return;
+        }
         
-        // Refund all players their initial buy-in
+        uint256 pot = room.pot;
+        uint256 owed = 0;
+        uint256 seated = 0;
+        for (uint256 i = 0; i < room.players.length; i++) {
+            address player = room.players[i];
+            if (room.hasJoined[player]) {
+                owed += room.playerBalances[player] + room.playerBets[player];
+                seated++;
+            }
+        }
+        uint256 share = seated > 0 ? (pot - owed) / seated : 0;
+        
+        room.state = GameState.CANCELLED;
+        room.pot = 0;
+        _removeActiveRoom(_roomId);
+        
+        uint256 paid = 0;
+        address lastRefunded;
         for (uint256 i = 0; i < room.players.length; i++) {
             address player = room.players[i];
-            uint256 refund = room.buyIn; // Refund original buy-in
+            if (!room.hasJoined[player]) {
+                continue;
+            }
+            
+            uint256 refund = room.playerBalances[player] + room.playerBets[player] + share;
+            room.playerBalances[player] = 0;
+            room.playerBets[player] = 0;
+            paid += refund;
+            lastRefunded = player;
             
             if (refund > 0) {
                 require(token.transfer(player, refund), "Refund transfer failed");
             }
+            emit TimeoutRefund(_roomId, player, refund);
         }
         
-        room.state = GameState.CANCELLED;
-        room.pot = 0;
+        uint256 remainder = pot - paid;
+        if (remainder > 0) {
+            address recipient = lastRefunded != address(0) ? lastRefunded : treasury;
+            require(token.transfer(recipient, remainder), "Refund transfer failed");
+            emit TimeoutRefund(_roomId, recipient, remainder);
+        }
         
         emit RoomClosed(_roomId);
     }
@@ -360,24 +704,32 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
         
         room.playerBalances[msg.sender] = 0;
         room.hasJoined[msg.sender] = false;
+        _removePlayerRoom(msg.sender, _roomId);
+        
+        // Penalty (and any bets already placed) stays in the pot
+        room.pot -= withdrawAmount;
         
         // Transfer to player
         require(token.transfer(msg.sender, withdrawAmount), "Withdraw transfer failed");
         
-        // Penalty goes to pot
-        room.pot += penalty;
-        
         emit EmergencyWithdraw(_roomId, msg.sender, withdrawAmount);
     }
     
     /**
-     * @dev Close finished room (cleanup)
+     * @dev Close finished room (cleanup). Finished and cancelled rooms already
+     * left activeRoomIds; this drops the room from its players' room lists.
      */
     function closeRoom(bytes32 _roomId) external {
         Room storage room = rooms[_roomId];
         
         require(room.state == GameState.FINISHED || room.state == GameState.CANCELLED, "Game not finished");
         require(msg.sender == room.creator || msg.sender == owner(), "Not authorized");
+        require(!room.closed, "Room already closed");
+        
+        room.closed = true;
+        for (uint256 i = 0; i < room.players.length; i++) {
+            _removePlayerRoom(room.players[i], _roomId);
+        }
         
         emit RoomClosed(_roomId);
     }
@@ -421,17 +773,122 @@ contract TeenPattiGame is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Get player's active rooms
+     * @dev Get what a player has bet in room
      */
-    function getPlayerRooms(address _player) external view returns (bytes32[] memory) {
-        return playerRooms[_player];
+    function getPlayerBets(bytes32 _roomId, address _player) external view returns (uint256) {
+        return rooms[_roomId].playerBets[_player];
     }
     
     /**
-     * @dev Get all active room IDs
+     * @dev Number of waiting and active rooms
      */
-    function getActiveRooms() external view returns (bytes32[] memory) {
-        return activeRoomIds;
+    function getActiveRoomCount() external view returns (uint256) {
+        return activeRoomIds.length;
+    }
+    
+    /**
+     * @dev Page through waiting and active rooms
+     * @return roomIds Up to _limit rooms from _offset
+     * @return nextOffset Where the next page starts (0 once the list is done)
+     */
+    function getActiveRooms(uint256 _offset, uint256 _limit) external view returns (
+        bytes32[] memory roomIds,
+        uint256 nextOffset
+    ) {
+        return _roomsPage(activeRoomIds, _offset, _limit, false);
+    }
+    
+    /**
+     * @dev Page through rooms still accepting players. Each call scans _limit
+     * active rooms, so a page can come back short before the list is done.
+     */
+    function getWaitingRooms(uint256 _offset, uint256 _limit) external view returns (
+        bytes32[] memory roomIds,
+        uint256 nextOffset
+    ) {
+        return _roomsPage(activeRoomIds, _offset, _limit, true);
+    }
+    
+    /**
+     * @dev Number of rooms a player is listed in (open, or finished but not closed)
+     */
+    function getPlayerRoomCount(address _player) external view returns (uint256) {
+        return playerRooms[_player].length;
+    }
+    
+    /**
+     * @dev Page through a player's waiting and active rooms, scanning _limit
+     * of their rooms per call
+     */
+    function getPlayerRooms(address _player, uint256 _offset, uint256 _limit) external view returns (
+        bytes32[] memory roomIds,
+        uint256 nextOffset
+    ) {
+        return _roomsPage(playerRooms[_player], _offset, _limit, false);
+    }
+    
+    function _roomsPage(
+        bytes32[] storage _list,
+        uint256 _offset,
+        uint256 _limit,
+        bool _waitingOnly
+    ) private view returns (bytes32[] memory roomIds, uint256 nextOffset) {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+        
+        uint256 end = _offset + _limit;
+        if (end > _list.length) {
+            end = _list.length;
+        }
+        
+        bytes32[] memory matches = new bytes32[](end > _offset ? end - _offset : 0);
+        uint256 count = 0;
+        for (uint256 i = _offset; i < end; i++) {
+            GameState state = rooms[_list[i]].state;
+            if (state == GameState.WAITING || (!_waitingOnly && state == GameState.ACTIVE)) {
+                matches[count++] = _list[i];
+            }
+        }
+        
+        roomIds = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            roomIds[i] = matches[i];
+        }
+        nextOffset = end < _list.length ? end : 0;
+    }
+    
+    function _addPlayerRoom(address _player, bytes32 _roomId) private {
+        playerRooms[_player].push(_roomId);
+        playerRoomIndex[_player][_roomId] = playerRooms[_player].length;
+    }
+    
+    function _removePlayerRoom(address _player, bytes32 _roomId) private {
+        uint256 index = playerRoomIndex[_player][_roomId];
+        if (index == 0) {
+            return;
+        }
+        
+        bytes32[] storage list = playerRooms[_player];
+        bytes32 moved = list[list.length - 1];
+        list[index - 1] = moved;
+        playerRoomIndex[_player][moved] = index;
+        list.pop();
+        delete playerRoomIndex[_player][_roomId];
+    }
+    
+    function _removeActiveRoom(bytes32 _roomId) private {
+        uint256 index = activeRoomIndex[_roomId];
+        if (index == 0) {
+            return;
+        }
+        
+        bytes32 moved = activeRoomIds[activeRoomIds.length - 1];
+        activeRoomIds[index - 1] = moved;
+        activeRoomIndex[moved] = index;
+        activeRoomIds.pop();
+        delete activeRoomIndex[_roomId];
+        
+        // The code can go to a new room
+        delete roomIdByCode[bytes3(_roomId)];
     }
     
     /**
@@ -0,0 +1,355 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title TeenPattiTournament
+ * @dev Escrows Sit & Go entry fees and pays the prize pool by finishing place.
+ * The payout schedule (basis points per place) and the rake are fixed when the
+ * tournament is created; the backend reports the finishing order once it is over.
+ * Tournaments that don't fill by the registration deadline, or never report a
+ * result, refund every entry fee in full.
+ */
+contract TeenPattiTournament is Ownable, ReentrancyGuard, Pausable {
+    IERC20 public token;
+
+    enum TournamentState { REGISTERING, RUNNING, FINISHED, CANCELLED }
+
+    struct Tournament {
+        address creator;
+        uint256 entryFee;
+        uint256 minPlayers;
+        uint256 maxPlayers;
+        uint256[] payoutBps; // Share of the prize pool for 1st, 2nd, 3rd... (sums to 10000)
+        uint256 rakeBps; // Rake at creation; later rake changes don't apply
+        uint256 prizePool;
+        uint256 registrationDeadline;
+        uint256 startedAt;
+        TournamentState state;
+        address[] players;
+        mapping(address => bool) isRegistered;
+    }
+
+    mapping(bytes32 => Tournament) private tournaments;
+    uint256 public tournamentCount;
+
+    uint256 public constant BPS = 10000;
+    uint256 public constant MAX_PLAYERS = 6;
+    uint256 public constant MAX_REGISTRATION_PERIOD = 7 days;
+    // A running tournament with no result after this long can be refunded by anyone
+    uint256 public constant SETTLEMENT_TIMEOUT = 1 days;
+
+    // Platform rake (in basis points, 100 = 1%)
+    uint256 public rakeFee = 500; // 5%
+    address public treasury;
+    uint256 public totalRakeCollected;
+
+    // Events
+    event TournamentCreated(
+        bytes32 indexed tournamentId,
+        address indexed creator,
+        uint256 entryFee,
+        uint256 minPlayers,
+        uint256 maxPlayers,
+        uint256[] payoutBps,
+        uint256 registrationDeadline
+    );
+    event PlayerRegistered(bytes32 indexed tournamentId, address indexed player, uint256 entryFee);
+    event PlayerUnregistered(bytes32 indexed tournamentId, address indexed player, uint256 refund);
+    event TournamentStarted(bytes32 indexed tournamentId, uint256 prizePool, uint256 playerCount);
+    event TournamentSettled(bytes32 indexed tournamentId, address[] placements, uint256[] payouts, uint256 rake);
+    event TournamentCancelled(bytes32 indexed tournamentId, uint256 refundPerPlayer, uint256 playerCount);
+    event RakeFeeUpdated(uint256 newRakeFee);
+    event TreasuryUpdated(address indexed newTreasury);
+
+    constructor(address _token, address _treasury) Ownable(msg.sender) {
+        require(_token != address(0), "Invalid token address");
+        require(_treasury != address(0), "Invalid treasury address");
+
+        token = IERC20(_token);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Create a tournament and register the creator
+     * @param _payoutBps Prize shares by place in basis points, highest first; fewer places than minimum players
+     * @param _registrationPeriod Seconds players have to register before an underfilled tournament can be refunded
+     */
+    function createTournament(
+        uint256 _entryFee,
+        uint256 _minPlayers,
+        uint256 _maxPlayers,
+        uint256[] calldata _payoutBps,
+        uint256 _registrationPeriod
+    ) external nonReentrant whenNotPaused returns (bytes32) {
+        require(_entryFee > 0, "Entry fee must be positive");
+        require(_minPlayers >= 2 && _minPlayers <= _maxPlayers && _maxPlayers <= MAX_PLAYERS, "Invalid player limits");
+        require(_payoutBps.length > 0 && _payoutBps.length < _minPlayers, "Paid places must be fewer than min players");
+        require(_registrationPeriod > 0 && _registrationPeriod <= MAX_REGISTRATION_PERIOD, "Invalid registration period");
+
+        uint256 totalBps = 0;
+        for (uint256 i = 0; i < _payoutBps.length; i++) {
+            require(_payoutBps[i] > 0, "Every paid place needs a share");
+            require(i == 0 || _payoutBps[i] <= _payoutBps[i - 1], "Payouts must not increase by place");
+            totalBps += _payoutBps[i];
+        }
+        require(totalBps == BPS, "Payouts must add up to 100%");
+
+        // Sequential ids can't collide, unlike hashes of sender and time
+        tournamentCount++;
+        bytes32 tournamentId = keccak256(abi.encode(block.chainid, address(this), tournamentCount));
+
+        Tournament storage t = tournaments[tournamentId];
+        t.creator = msg.sender;
+        t.entryFee = _entryFee;
+        t.minPlayers = _minPlayers;
+        t.maxPlayers = _maxPlayers;
+        t.payoutBps = _payoutBps;
+        t.rakeBps = rakeFee;
+        t.registrationDeadline = block.timestamp + _registrationPeriod;
+        t.state = TournamentState.REGISTERING;
+
+        emit TournamentCreated(
+            tournamentId,
+            msg.sender,
+            _entryFee,
+            _minPlayers,
+            _maxPlayers,
+            _payoutBps,
+            t.registrationDeadline
+        );
+
+        _register(tournamentId, t);
+        return tournamentId;
+    }
+
+    /**
+     * @dev Pay the entry fee and take a seat
+     */
+    function register(bytes32 _tournamentId) external nonReentrant whenNotPaused {
+        Tournament storage t = tournaments[_tournamentId];
+
+        require(t.creator != address(0), "Tournament does not exist");
+        require(t.state == TournamentState.REGISTERING, "Registration is closed");
+        require(block.timestamp < t.registrationDeadline, "Registration deadline passed");
+        require(!t.isRegistered[msg.sender], "Already registered");
+        require(t.players.length < t.maxPlayers, "Tournament is full");
+
+        _register(_tournamentId, t);
+    }
+
+    function _register(bytes32 _tournamentId, Tournament storage t) private {
+        require(token.transferFrom(msg.sender, address(this), t.entryFee), "Token transfer failed");
+
+        t.players.push(msg.sender);
+        t.isRegistered[msg.sender] = true;
+        t.prizePool += t.entryFee;
+
+        emit PlayerRegistered(_tournamentId, msg.sender, t.entryFee);
+    }
+
+    /**
+     * @dev Withdraw from a tournament that hasn't started and get the entry fee back
+     */
+    function unregister(bytes32 _tournamentId) external nonReentrant {
+        Tournament storage t = tournaments[_tournamentId];
+
+        require(t.isRegistered[msg.sender], "Not registered");
+        require(t.state == TournamentState.REGISTERING, "Tournament already started");
+
+        t.isRegistered[msg.sender] = false;
+        t.prizePool -= t.entryFee;
+        for (uint256 i = 0; i < t.players.length; i++) {
+            if (t.players[i] == msg.sender) {
+                t.players[i] = t.players[t.players.length - 1];
+                t.players.pop();
+                break;
+            }
+        }
+
+        require(token.transfer(msg.sender, t.entryFee), "Refund transfer failed");
+
+        emit PlayerUnregistered(_tournamentId, msg.sender, t.entryFee);
+
+        // The last player out cancels it
+        if (t.players.length == 0) {
+            t.state = TournamentState.CANCELLED;
+            emit TournamentCancelled(_tournamentId, t.entryFee, 0);
+        }
+    }
+
+    /**
+     * @dev Close registration and start play (creator or backend)
+     */
+    function startTournament(bytes32 _tournamentId) external nonReentrant {
+        Tournament storage t = tournaments[_tournamentId];
+
+        require(t.creator != address(0), "Tournament does not exist");
+        require(msg.sender == t.creator || msg.sender == owner(), "Not authorized");
+        require(t.state == TournamentState.REGISTERING, "Tournament already started");
+        require(t.players.length >= t.minPlayers, "Not enough players registered");
+
+        t.state = TournamentState.RUNNING;
+        t.startedAt = block.timestamp;
+
+        emit TournamentStarted(_tournamentId, t.prizePool, t.players.length);
+    }
+
+    /**
+     * @dev Pay out by finishing place
+     * @notice Only owner (backend) can report the result
+     * @param _placements Paid finishers in order: 1st, 2nd, ... (one per paid place)
+     */
+    function settleTournament(bytes32 _tournamentId, address[] calldata _placements) external onlyOwner nonReentrant {
+        Tournament storage t = tournaments[_tournamentId];
+
+        require(t.state == TournamentState.RUNNING, "Tournament not running");
+        require(_placements.length == t.payoutBps.length, "One player per paid place");
+
+        for (uint256 i = 0; i < _placements.length; i++) {
+            require(t.isRegistered[_placements[i]], "Player not registered");
+            for (uint256 j = 0; j < i; j++) {
+                require(_placements[j] != _placements[i], "Player placed twice");
+            }
+        }
+
+        uint256 pool = t.prizePool;
+        uint256 rake = (pool * t.rakeBps) / BPS;
+        uint256 distributable = pool - rake;
+
+        t.state = TournamentState.FINISHED;
+        t.prizePool = 0;
+
+        uint256[] memory payouts = new uint256[](_placements.length);
+        uint256 totalDistributed = 0;
+        for (uint256 i = 0; i < _placements.length; i++) {
+            payouts[i] = (distributable * t.payoutBps[i]) / BPS;
+            totalDistributed += payouts[i];
+        }
+        // Rounding dust goes to the winner
+        payouts[0] += distributable - totalDistributed;
+
+        for (uint256 i = 0; i < _placements.length; i++) {
+            require(token.transfer(_placements[i], payouts[i]), "Prize transfer failed");
+        }
+
+        if (rake > 0) {
+            require(token.transfer(treasury, rake), "Rake transfer failed");
+            totalRakeCollected += rake;
+        }
+
+        emit TournamentSettled(_tournamentId, _placements, payouts, rake);
+    }
+
+    /**
+     * @dev Refund every entry fee in full, with no rake: anyone may cancel a tournament
+     * that is still short of players at the registration deadline, or one that has run
+     * past the settlement timeout. The owner may cancel any unsettled tournament.
+     */
+    function cancelTournament(bytes32 _tournamentId) external nonReentrant {
+        Tournament storage t = tournaments[_tournamentId];
+
+        require(t.creator != address(0), "Tournament does not exist");
+        require(t.state == TournamentState.REGISTERING || t.state == TournamentState.RUNNING, "Tournament is over");
+
+        if (msg.sender != owner()) {
+            if (t.state == TournamentState.REGISTERING) {
+                require(block.timestamp >= t.registrationDeadline, "Registration still open");
+                require(t.players.length < t.minPlayers, "Enough players registered");
+            } else {
+                require(block.timestamp >= t.startedAt + SETTLEMENT_TIMEOUT, "Settlement timeout not reached");
+            }
+        }
+
+        t.state = TournamentState.CANCELLED;
+        t.prizePool = 0;
+
+        for (uint256 i = 0; i < t.players.length; i++) {
+            require(token.transfer(t.players[i], t.entryFee), "Refund transfer failed");
+        }
+
+        emit TournamentCancelled(_tournamentId, t.entryFee, t.players.length);
+    }
+
+    /**
+     * @dev Get tournament details
+     */
+    function getTournament(bytes32 _tournamentId) external view returns (
+        address creator,
+        uint256 entryFee,
+        uint256 minPlayers,
+        uint256 maxPlayers,
+        uint256 playerCount,
+        uint256 prizePool,
+        uint256 rakeBps,
+        uint256 registrationDeadline,
+        TournamentState state
+    ) {
+        Tournament storage t = tournaments[_tournamentId];
+        return (
+            t.creator,
+            t.entryFee,
+            t.minPlayers,
+            t.maxPlayers,
+            t.players.length,
+            t.prizePool,
+            t.rakeBps,
+            t.registrationDeadline,
+            t.state
+        );
+    }
+
+    /**
+     * @dev Get the payout schedule in basis points, by place
+     */
+    function getPayoutSchedule(bytes32 _tournamentId) external view returns (uint256[] memory) {
+        return tournaments[_tournamentId].payoutBps;
+    }
+
+    /**
+     * @dev Get registered players
+     */
+    function getPlayers(bytes32 _tournamentId) external view returns (address[] memory) {
+        return tournaments[_tournamentId].players;
+    }
+
+    function isRegistered(bytes32 _tournamentId, address _player) external view returns (bool) {
+        return tournaments[_tournamentId].isRegistered[_player];
+    }
+
+    /**
+     * @dev Update rake fee for new tournaments (only owner)
+     */
+    function updateRakeFee(uint256 _newRakeFee) external onlyOwner {
+        require(_newRakeFee <= 1000, "Rake fee too high"); // Max 10%
+        rakeFee = _newRakeFee;
+        emit RakeFeeUpdated(_newRakeFee);
+    }
+
+    /**
+     * @dev Update treasury address (only owner)
+     */
+    function updateTreasury(address _newTreasury) external onlyOwner {
+        require(_newTreasury != address(0), "Invalid treasury address");
+        treasury = _newTreasury;
+        emit TreasuryUpdated(_newTreasury);
+    }
+
+    /**
+     * @dev Pause new tournaments and registrations (only owner); refunds still work
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause contract (only owner)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
@@ -31,6 +31,14 @@ async function main() {
   const gameAddress = await game.getAddress();
   console.log("✅ TeenPattiGame deployed to:", gameAddress);
   
+  // Deploy TeenPattiTournament
+  console.log("\n📝 Deploying TeenPattiTournament...");
+  const TeenPattiTournament = await hre.ethers.getContractFactory("TeenPattiTournament");
+  const tournament = await TeenPattiTournament.deploy(tokenAddress, treasuryAddress);
+  await tournament.waitForDeployment();
+  const tournamentAddress = await tournament.getAddress();
+  console.log("✅ TeenPattiTournament deployed to:", tournamentAddress);
+  
   // Save deployment addresses
   const deploymentInfo = {
     network: hre.network.name,
@@ -39,7 +47,8 @@ async function main() {
     treasury: treasuryAddress,
     contracts: {
       TeenPattiToken: tokenAddress,
-      TeenPattiGame: gameAddress
+      TeenPattiGame: gameAddress,
+      TeenPattiTournament: tournamentAddress
     },
     timestamp: new Date().toISOString()
   };
@@ -71,6 +80,7 @@ async function main() {
   
   const tokenArtifact = await hre.artifacts.readArtifact("TeenPattiToken");
   const gameArtifact = await hre.artifacts.readArtifact("TeenPattiGame");
+  const tournamentArtifact = await hre.artifacts.readArtifact("TeenPattiTournament");
   
   fs.writeFileSync(
     path.join(backendAbiDir, "TeenPattiToken.json"),
@@ -82,6 +92,11 @@ async function main() {
     JSON.stringify(gameArtifact, null, 2)
   );
   
+  fs.writeFileSync(
+    path.join(backendAbiDir, "TeenPattiTournament.json"),
+    JSON.stringify(tournamentArtifact, null, 2)
+  );
+  
   console.log("✅ ABIs copied to backend");
   
   // Copy ABIs to frontend
@@ -101,13 +116,19 @@ async function main() {
     JSON.stringify(gameArtifact, null, 2)
   );
   
+  fs.writeFileSync(
+    path.join(frontendAbiDir, "TeenPattiTournament.json"),
+    JSON.stringify(tournamentArtifact, null, 2)
+  );
+  
   // Save deployment addresses for frontend
   fs.writeFileSync(
     path.join(frontendAbiDir, "addresses.json"),
     JSON.stringify({
       [hre.network.name]: {
         TeenPattiToken: tokenAddress,
-        TeenPattiGame: gameAddress
+        TeenPattiGame: gameAddress,
+        TeenPattiTournament: tournamentAddress
       }
     }, null, 2)
   );
@@ -122,6 +143,7 @@ async function main() {
   console.log("-------------------");
   console.log("TeenPattiToken:", tokenAddress);
   console.log("TeenPattiGame:", gameAddress);
+  console.log("TeenPattiTournament:", tournamentAddress);
   console.log("\nNetwork:", hre.network.name);
   console.log("Treasury:", treasuryAddress);
   console.log("\nNext Steps:");
@@ -136,6 +158,7 @@ async function main() {
     console.log("\n📝 To verify contracts, run:");
     console.log(`npx hardhat verify --network ${hre.network.name} ${tokenAddress} ${treasuryAddress}`);
     console.log(`npx hardhat verify --network ${hre.network.name} ${gameAddress} ${tokenAddress} ${treasuryAddress}`);
+    console.log(`npx hardhat verify --network ${hre.network.name} ${tournamentAddress} ${tokenAddress} ${treasuryAddress}`);
   }
 }
 
@@ -1,7 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time, mine, setPrevRandao } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("TeenPattiGame", function () {
+  const CLASSIC = ethers.encodeBytes32String("classic");
+  const RULES_HASH = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify({ boot: 10 })));
+
   let token;
   let game;
   let owner;
@@ -54,7 +58,7 @@ describe("TeenPattiGame", function () {
       const buyIn = ethers.parseEther("100");
       const maxPlayers = 4;
 
-      const tx = await game.connect(player1).createRoom(buyIn, maxPlayers);
+      const tx = await game.connect(player1).createRoom(buyIn, maxPlayers, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       // Find RoomCreated event
@@ -73,7 +77,7 @@ describe("TeenPattiGame", function () {
       const buyIn = ethers.parseEther("100");
       const balanceBefore = await token.balanceOf(player1.address);
 
-      await game.connect(player1).createRoom(buyIn, 4);
+      await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
 
       const balanceAfter = await token.balanceOf(player1.address);
       expect(balanceAfter).to.equal(balanceBefore - buyIn);
@@ -81,7 +85,7 @@ describe("TeenPattiGame", function () {
 
     it("Should revert if buy-in is zero", async function () {
       await expect(
-        game.connect(player1).createRoom(0, 4)
+        game.connect(player1).createRoom(0, 4, CLASSIC, RULES_HASH)
       ).to.be.revertedWith("Buy-in must be positive");
     });
 
@@ -89,11 +93,11 @@ describe("TeenPattiGame", function () {
       const buyIn = ethers.parseEther("100");
 
       await expect(
-        game.connect(player1).createRoom(buyIn, 1)
+        game.connect(player1).createRoom(buyIn, 1, CLASSIC, RULES_HASH)
       ).to.be.revertedWith("Invalid max players");
 
       await expect(
-        game.connect(player1).createRoom(buyIn, 7)
+        game.connect(player1).createRoom(buyIn, 7, CLASSIC, RULES_HASH)
       ).to.be.revertedWith("Invalid max players");
     });
   });
@@ -103,7 +107,7 @@ describe("TeenPattiGame", function () {
 
     beforeEach(async function () {
       const buyIn = ethers.parseEther("100");
-      const tx = await game.connect(player1).createRoom(buyIn, 4);
+      const tx = await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       // Extract roomId from event
@@ -154,7 +158,7 @@ describe("TeenPattiGame", function () {
     it("Should revert if room is full", async function () {
       // Create room with max 2 players
       const buyIn = ethers.parseEther("100");
-      const tx = await game.connect(player1).createRoom(buyIn, 2);
+      const tx = await game.connect(player1).createRoom(buyIn, 2, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       const event = receipt.logs.find(log => {
@@ -183,7 +187,7 @@ describe("TeenPattiGame", function () {
 
     beforeEach(async function () {
       const buyIn = ethers.parseEther("100");
-      const tx = await game.connect(player1).createRoom(buyIn, 4);
+      const tx = await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       const event = receipt.logs.find(log => {
@@ -214,7 +218,7 @@ describe("TeenPattiGame", function () {
     it("Should revert if not enough players", async function () {
       // Create new room with only 1 player
       const buyIn = ethers.parseEther("100");
-      const tx = await game.connect(player3).createRoom(buyIn, 4);
+      const tx = await game.connect(player3).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       const event = receipt.logs.find(log => {
@@ -239,7 +243,7 @@ describe("TeenPattiGame", function () {
 
     beforeEach(async function () {
       const buyIn = ethers.parseEther("100");
-      const tx = await game.connect(player1).createRoom(buyIn, 4);
+      const tx = await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       const event = receipt.logs.find(log => {
@@ -311,7 +315,7 @@ describe("TeenPattiGame", function () {
       await game.pause();
 
       await expect(
-        game.connect(player1).createRoom(ethers.parseEther("100"), 4)
+        game.connect(player1).createRoom(ethers.parseEther("100"), 4, CLASSIC, RULES_HASH)
       ).to.be.revertedWithCustomError(game, "EnforcedPause");
     });
   });
@@ -321,7 +325,7 @@ describe("TeenPattiGame", function () {
 
     beforeEach(async function () {
       const buyIn = ethers.parseEther("100");
-      const tx = await game.connect(player1).createRoom(buyIn, 4);
+      const tx = await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
       const receipt = await tx.wait();
 
       const event = receipt.logs.find(log => {
@@ -445,4 +449,772 @@ describe("TeenPattiGame", function () {
       expect(details.winner).to.equal(player2.address);
     });
   });
+
+  describe("Signed Settlement", function () {
+    const SETTLEMENT_TYPES = {
+      Settlement: [
+        { name: "roomId", type: "bytes32" },
+        { name: "players", type: "address[]" },
+        { name: "finalChips", type: "uint256[]" },
+        { name: "nonce", type: "uint256" },
+      ],
+    };
+
+    let roomId;
+    let players;
+    const finalChips = [5000, 3000, 2000];
+
+    // Create a started three-player room that needs this share of co-signatures
+    async function createSignedRoom(quorumBps) {
+      const buyIn = ethers.parseEther("100");
+      const tx = await game.connect(player1).createRoomWithSignedSettlement(buyIn, 4, CLASSIC, RULES_HASH, quorumBps);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      const id = game.interface.parseLog(event).args.roomId;
+      await game.connect(player2).joinRoom(id);
+      await game.connect(player3).joinRoom(id);
+      await game.connect(owner).startGame(id);
+      return id;
+    }
+
+    async function sign(signer, chips = finalChips, nonce = 1) {
+      const domain = {
+        name: "TeenPattiGame",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await game.getAddress(),
+      };
+      return signer.signTypedData(domain, SETTLEMENT_TYPES, { roomId, players, finalChips: chips, nonce });
+    }
+
+    beforeEach(async function () {
+      players = [player1.address, player2.address, player3.address];
+      roomId = await createSignedRoom(10000);
+    });
+
+    it("Should record the quorum at creation", async function () {
+      expect(await game.settlementQuorum(roomId)).to.equal(10000);
+      expect(await game.signaturesRequired(roomId)).to.equal(3);
+
+      await expect(
+        game.connect(player1).createRoomWithSignedSettlement(ethers.parseEther("100"), 4, CLASSIC, RULES_HASH, 5000)
+      ).to.be.revertedWith("Quorum must be a majority");
+    });
+
+    it("Should match the digest players sign", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      const signature = await sign(player2);
+
+      const digest = await game.settlementDigest(roomId);
+      expect(ethers.recoverAddress(digest, signature)).to.equal(player2.address);
+    });
+
+    it("Should only let the owner propose, for signed rooms", async function () {
+      await expect(
+        game.connect(player1).proposeSettlement(roomId, players, finalChips)
+      ).to.be.revertedWithCustomError(game, "OwnableUnauthorizedAccount");
+
+      await expect(game.connect(owner).proposeSettlement(roomId, [player1.address], [5000, 3000]))
+        .to.be.revertedWith("Array length mismatch");
+    });
+
+    it("Should pay out once every player has co-signed", async function () {
+      await expect(game.connect(owner).proposeSettlement(roomId, players, finalChips))
+        .to.emit(game, "SettlementProposed");
+      const signatures = [await sign(player1), await sign(player2), await sign(player3)];
+      const balance1Before = await token.balanceOf(player1.address);
+
+      // Anyone can submit the signatures
+      await expect(game.connect(player3).settleWithSignatures(roomId, signatures))
+        .to.emit(game, "CashGameSettled");
+
+      // 300 pot, 5% rake, 50% of the rest
+      const balance1After = await token.balanceOf(player1.address);
+      expect(balance1After - balance1Before).to.equal(ethers.parseEther("142.5"));
+    });
+
+    it("Should accept a majority when the room asks for one", async function () {
+      roomId = await createSignedRoom(5001);
+      expect(await game.signaturesRequired(roomId)).to.equal(2);
+
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      const signatures = [await sign(player1), await sign(player3)];
+
+      await expect(game.settleWithSignatures(roomId, signatures))
+        .to.emit(game, "SettlementCoSigned")
+        .withArgs(roomId, 1, [player1.address, player3.address]);
+    });
+
+    it("Should revert without enough distinct seated signers", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      const signature1 = await sign(player1);
+      const signature2 = await sign(player2);
+
+      await expect(game.settleWithSignatures(roomId, [signature1, signature2]))
+        .to.be.revertedWith("Not enough signatures");
+      await expect(game.settleWithSignatures(roomId, [signature1, signature2, signature1]))
+        .to.be.revertedWith("Duplicate signature");
+      await expect(game.settleWithSignatures(roomId, [signature1, signature2, await sign(treasury)]))
+        .to.be.revertedWith("Signer not in room");
+    });
+
+    it("Should reject signatures over different chips or an old proposal", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      const forged = await sign(player3, [2000, 3000, 5000]);
+
+      await expect(
+        game.settleWithSignatures(roomId, [await sign(player1), await sign(player2), forged])
+      ).to.be.revertedWith("Signer not in room");
+
+      const stale = [await sign(player1), await sign(player2), await sign(player3)];
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      await expect(game.settleWithSignatures(roomId, stale))
+        .to.be.revertedWith("Signer not in room");
+    });
+
+    it("Should not let the owner settle alone during the dispute window", async function () {
+      await expect(
+        game.connect(owner).settleCashGame(roomId, players, finalChips)
+      ).to.be.revertedWith("Propose a settlement first");
+
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      await expect(
+        game.connect(owner).settleCashGame(roomId, players, finalChips)
+      ).to.be.revertedWith("Players must co-sign the settlement");
+    });
+
+    it("Should fall back to the owner once the dispute window runs out", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      await time.increase(3600);
+
+      await expect(game.connect(owner).settleCashGame(roomId, players, finalChips))
+        .to.emit(game, "CashGameSettled");
+    });
+
+    it("Should hold the owner to an undisputed proposal's chips", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      await time.increase(3600);
+
+      await expect(
+        game.connect(owner).settleCashGame(roomId, players, [4000, 3000, 3000])
+      ).to.be.revertedWith("Settlement must match the proposal");
+      await expect(
+        game.connect(owner).settleCashGame(roomId, [player2.address, player1.address, player3.address], finalChips)
+      ).to.be.revertedWith("Settlement must match the proposal");
+
+      await expect(game.connect(owner).settleCashGame(roomId, players, finalChips))
+        .to.emit(game, "CashGameSettled");
+    });
+
+    it("Should fall back to the owner as soon as a player disputes", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+
+      await expect(game.connect(player3).disputeSettlement(roomId))
+        .to.emit(game, "SettlementDisputed")
+        .withArgs(roomId, player3.address, 1);
+      expect((await game.getSettlementProposal(roomId)).disputed).to.equal(true);
+
+      const signatures = [await sign(player1), await sign(player2), await sign(player3)];
+      await expect(game.settleWithSignatures(roomId, signatures))
+        .to.be.revertedWith("Settlement is disputed");
+
+      // A disputed proposal is the owner's to arbitrate, with corrected chips if need be
+      await expect(game.connect(owner).settleCashGame(roomId, players, [4000, 3000, 3000]))
+        .to.emit(game, "CashGameSettled");
+    });
+
+    it("Should only take disputes from seated players within the window", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+
+      await expect(game.connect(treasury).disputeSettlement(roomId))
+        .to.be.revertedWith("Not in this room");
+
+      await time.increase(3600);
+      await expect(game.connect(player1).disputeSettlement(roomId))
+        .to.be.revertedWith("Dispute window closed");
+    });
+
+    it("Should not let a player cancel a proposed settlement by timing out", async function () {
+      // Propose after the room is an hour old
+      await time.increase(3600);
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+
+      await expect(game.connect(player3).handleTimeout(roomId)).to.be.revertedWith("Timeout not reached");
+
+      // Left unsigned and unsettled, the proposal is paid out as proposed, not refunded
+      await time.increase(3600);
+      const before = await token.balanceOf(player1.address);
+      await expect(game.connect(player3).handleTimeout(roomId))
+        .to.emit(game, "CashGameSettled")
+        .and.not.to.emit(game, "TimeoutRefund");
+
+      const pot = ethers.parseEther("300");
+      const payout = (pot - pot * 500n / 10000n) * 5000n / 10000n;
+      expect(await token.balanceOf(player1.address) - before).to.equal(payout);
+    });
+
+    it("Should refund on timeout once a disputed proposal is left unsettled", async function () {
+      await game.connect(owner).proposeSettlement(roomId, players, finalChips);
+      await time.increase(1800);
+      await game.connect(player3).disputeSettlement(roomId);
+
+      await time.increase(1800);
+      await expect(game.handleTimeout(roomId)).to.be.revertedWith("Timeout not reached");
+
+      await time.increase(1800);
+      await expect(game.handleTimeout(roomId)).to.emit(game, "TimeoutRefund");
+    });
+
+    it("Should leave owner-only rooms as they were", async function () {
+      const tx = await game.connect(player1).createRoom(ethers.parseEther("100"), 4, CLASSIC, RULES_HASH);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+      const plainRoomId = game.interface.parseLog(event).args.roomId;
+
+      await expect(
+        game.connect(owner).proposeSettlement(plainRoomId, players, finalChips)
+      ).to.be.revertedWith("Room does not use signed settlement");
+    });
+  });
+
+  describe("Timeouts and Escrow", function () {
+    const buyIn = ethers.parseEther("100");
+    let roomId;
+
+    // Create a started room with player1, player2 and player3 seated
+    async function createStartedRoom(creator = player1, others = [player2, player3]) {
+      const tx = await game.connect(creator).createRoom(buyIn, 4, CLASSIC, RULES_HASH);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      const id = game.interface.parseLog(event).args.roomId;
+      for (const player of others) {
+        await game.connect(player).joinRoom(id);
+      }
+      await game.connect(owner).startGame(id);
+      return id;
+    }
+
+    // The contract must hold every room's pot, and each pot must cover the
+    // stakes and bets of the players still seated in it
+    async function expectEscrowCovered(roomIds) {
+      let totalPot = 0n;
+      for (const id of roomIds) {
+        const details = await game.getRoomDetails(id);
+        let owed = 0n;
+        for (const player of [player1, player2, player3]) {
+          owed += await game.getPlayerBalance(id, player.address);
+          owed += await game.getPlayerBets(id, player.address);
+        }
+        expect(details.pot).to.be.gte(owed);
+        totalPot += details.pot;
+      }
+      expect(await token.balanceOf(await game.getAddress())).to.be.gte(totalPot);
+    }
+
+    beforeEach(async function () {
+      roomId = await createStartedRoom();
+    });
+
+    it("Should keep the pot backed through bets and emergency withdrawals", async function () {
+      await expectEscrowCovered([roomId]);
+
+      await game.connect(owner).placeBet(roomId, player1.address, ethers.parseEther("30"));
+      await game.connect(owner).placeBet(roomId, player2.address, ethers.parseEther("10"));
+      await expectEscrowCovered([roomId]);
+
+      await game.connect(player2).emergencyWithdraw(roomId);
+      await expectEscrowCovered([roomId]);
+
+      const details = await game.getRoomDetails(roomId);
+      expect(details.pot).to.equal(await token.balanceOf(await game.getAddress()));
+    });
+
+    it("Should refund stakes and bets to seated players on timeout", async function () {
+      await game.connect(owner).placeBet(roomId, player1.address, ethers.parseEther("40"));
+      await time.increase(3600);
+
+      const before = await token.balanceOf(player1.address);
+      await expect(game.handleTimeout(roomId))
+        .to.emit(game, "TimeoutRefund")
+        .withArgs(roomId, player1.address, buyIn);
+
+      expect(await token.balanceOf(player1.address) - before).to.equal(buyIn);
+      expect(await game.getPlayerBets(roomId, player1.address)).to.equal(0);
+      expect(await token.balanceOf(await game.getAddress())).to.equal(0);
+    });
+
+    it("Should not refund a player who already withdrew", async function () {
+      await game.connect(player3).emergencyWithdraw(roomId);
+      await time.increase(3600);
+
+      const before = await token.balanceOf(player3.address);
+      await game.handleTimeout(roomId);
+
+      expect(await token.balanceOf(player3.address)).to.equal(before);
+      expect(await token.balanceOf(await game.getAddress())).to.equal(0);
+    });
+
+    it("Should split penalties and forfeited bets evenly among seated players", async function () {
+      await game.connect(owner).placeBet(roomId, player3.address, ethers.parseEther("20"));
+      await game.connect(player3).emergencyWithdraw(roomId);
+      await time.increase(3600);
+
+      // player3 forfeits their 20 bet and 8 of the 80 left behind
+      const before1 = await token.balanceOf(player1.address);
+      const before2 = await token.balanceOf(player2.address);
+      await game.handleTimeout(roomId);
+
+      expect(await token.balanceOf(player1.address) - before1).to.equal(buyIn + ethers.parseEther("14"));
+      expect(await token.balanceOf(player2.address) - before2).to.equal(buyIn + ethers.parseEther("14"));
+      expect(await token.balanceOf(await game.getAddress())).to.equal(0);
+    });
+
+    it("Should give rounding dust to the last refunded player", async function () {
+      // A 2 wei bet leaves player3 forfeiting an odd amount, so the split leaves dust
+      await game.connect(owner).placeBet(roomId, player3.address, 2n);
+      await game.connect(player3).emergencyWithdraw(roomId);
+      await time.increase(3600);
+
+      const forfeited = (buyIn - 2n) / 10n + 2n;
+      const before1 = await token.balanceOf(player1.address);
+      const before2 = await token.balanceOf(player2.address);
+      await game.handleTimeout(roomId);
+
+      const refund1 = await token.balanceOf(player1.address) - before1;
+      const refund2 = await token.balanceOf(player2.address) - before2;
+      expect(refund1 + refund2).to.equal(2n * buyIn + forfeited);
+      expect(forfeited % 2n).to.equal(1n);
+      expect(refund2 - refund1).to.equal(1n);
+      expect(await token.balanceOf(await game.getAddress())).to.equal(0);
+    });
+
+    it("Should send forfeited funds to treasury when everyone withdrew", async function () {
+      for (const player of [player1, player2, player3]) {
+        await game.connect(player).emergencyWithdraw(roomId);
+      }
+      await time.increase(3600);
+
+      const before = await token.balanceOf(treasury.address);
+      await game.handleTimeout(roomId);
+
+      expect(await token.balanceOf(treasury.address) - before).to.equal(ethers.parseEther("30"));
+      expect(await token.balanceOf(await game.getAddress())).to.equal(0);
+      expect((await game.getRoomDetails(roomId)).state).to.equal(3); // CANCELLED
+    });
+
+    it("Should keep other rooms covered when one times out", async function () {
+      const otherRoomId = await createStartedRoom(player2, [player1]);
+      await game.connect(owner).placeBet(otherRoomId, player1.address, ethers.parseEther("50"));
+      await game.connect(player1).emergencyWithdraw(roomId);
+      await expectEscrowCovered([roomId, otherRoomId]);
+
+      await time.increase(3600);
+      await game.handleTimeout(roomId);
+      await expectEscrowCovered([otherRoomId]);
+
+      const details = await game.getRoomDetails(otherRoomId);
+      expect(await token.balanceOf(await game.getAddress())).to.equal(details.pot);
+    });
+
+    it("Should pay out no more than the pot on settlement after a withdrawal", async function () {
+      await game.connect(owner).placeBet(roomId, player1.address, ethers.parseEther("50"));
+      await game.connect(player3).emergencyWithdraw(roomId);
+
+      const held = await token.balanceOf(await game.getAddress());
+      expect((await game.getRoomDetails(roomId)).pot).to.equal(held);
+
+      await game.connect(owner).settleCashGame(roomId, [player1.address, player2.address], [100, 200]);
+      expect(await token.balanceOf(await game.getAddress())).to.equal(0);
+    });
+
+    it("Should not time out before the deadline", async function () {
+      await expect(game.handleTimeout(roomId)).to.be.revertedWith("Timeout not reached");
+    });
+
+    it("Should time out from the last activity, not room creation", async function () {
+      // A session still being played an hour after the room was created
+      await time.increase(3000);
+      await game.connect(owner).keepAlive(roomId);
+      await time.increase(3000);
+
+      await expect(game.connect(player2).handleTimeout(roomId)).to.be.revertedWith("Timeout not reached");
+
+      await time.increase(600);
+      await expect(game.connect(player2).handleTimeout(roomId)).to.emit(game, "TimeoutRefund");
+    });
+
+    it("Should only take keep-alives from the owner for active rooms", async function () {
+      await expect(
+        game.connect(player1).keepAlive(roomId)
+      ).to.be.revertedWithCustomError(game, "OwnableUnauthorizedAccount");
+
+      await time.increase(3600);
+      await game.handleTimeout(roomId);
+      await expect(game.connect(owner).keepAlive(roomId)).to.be.revertedWith("Game not active");
+    });
+  });
+
+  describe("Room Lifecycle", function () {
+    const buyIn = ethers.parseEther("100");
+
+    async function createRoom(creator, variant = CLASSIC) {
+      const tx = await game.connect(creator).createRoom(buyIn, 4, variant, RULES_HASH);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      return game.interface.parseLog(event).args.roomId;
+    }
+
+    async function createStartedRoom(creator, other) {
+      const id = await createRoom(creator);
+      await game.connect(other).joinRoom(id);
+      await game.connect(owner).startGame(id);
+      return id;
+    }
+
+    async function allActiveRooms() {
+      const ids = [];
+      let offset = 0n;
+      do {
+        const [page, next] = await game.getActiveRooms(offset, 2);
+        ids.push(...page);
+        offset = next;
+      } while (offset !== 0n);
+      return ids;
+    }
+
+    it("Should drop settled rooms from the active list", async function () {
+      const settled = await createStartedRoom(player1, player2);
+      const waiting = await createRoom(player3);
+
+      await game.connect(owner).settleCashGame(settled, [player1.address, player2.address], [1, 1]);
+
+      expect(await game.getActiveRoomCount()).to.equal(1);
+      expect(await allActiveRooms()).to.deep.equal([waiting]);
+    });
+
+    it("Should drop won, timed out and abandoned rooms from the active list", async function () {
+      const won = await createStartedRoom(player1, player2);
+      const timedOut = await createStartedRoom(player2, player3);
+      const abandoned = await createRoom(player3);
+      const open = await createRoom(player1);
+
+      await game.declareWinner(won, player1.address);
+      await time.increase(3600);
+      await game.handleTimeout(timedOut);
+      await game.connect(player3).leaveRoom(abandoned);
+
+      expect(await allActiveRooms()).to.deep.equal([open]);
+    });
+
+    it("Should page through active rooms", async function () {
+      const ids = [];
+      for (const creator of [player1, player2, player3, player1, player2]) {
+        ids.push(await createRoom(creator));
+      }
+
+      const [first, next] = await game.getActiveRooms(0, 3);
+      expect(first).to.deep.equal(ids.slice(0, 3));
+      expect(next).to.equal(3);
+
+      const [last, end] = await game.getActiveRooms(next, 3);
+      expect(last).to.deep.equal(ids.slice(3));
+      expect(end).to.equal(0);
+
+      const [empty] = await game.getActiveRooms(10, 3);
+      expect(empty).to.deep.equal([]);
+    });
+
+    it("Should reject oversized pages", async function () {
+      await expect(game.getActiveRooms(0, 0)).to.be.revertedWith("Invalid page size");
+      await expect(game.getActiveRooms(0, 101)).to.be.revertedWith("Invalid page size");
+    });
+
+    it("Should filter waiting rooms", async function () {
+      const started = await createStartedRoom(player1, player2);
+      const waiting = await createRoom(player3);
+
+      const [rooms, next] = await game.getWaitingRooms(0, 10);
+      expect(rooms).to.deep.equal([waiting]);
+      expect(rooms).to.not.include(started);
+      expect(next).to.equal(0);
+    });
+
+    it("Should list a player's open rooms until they leave or the room closes", async function () {
+      const left = await createRoom(player1);
+      const finished = await createStartedRoom(player2, player1);
+      const withdrawn = await createStartedRoom(player3, player1);
+
+      expect(await game.getPlayerRoomCount(player1.address)).to.equal(3);
+
+      await game.connect(player1).leaveRoom(left);
+      await game.connect(player1).emergencyWithdraw(withdrawn);
+      await game.declareWinner(finished, player2.address);
+
+      // Finished rooms stay listed until closed, but are no longer open
+      expect(await game.getPlayerRoomCount(player1.address)).to.equal(1);
+      const [open] = await game.getPlayerRooms(player1.address, 0, 10);
+      expect(open).to.deep.equal([]);
+
+      await game.connect(player2).closeRoom(finished);
+      expect(await game.getPlayerRoomCount(player1.address)).to.equal(0);
+      expect(await game.getPlayerRoomCount(player2.address)).to.equal(0);
+    });
+
+    it("Should only close a room once", async function () {
+      const id = await createStartedRoom(player1, player2);
+      await expect(game.connect(player1).closeRoom(id)).to.be.revertedWith("Game not finished");
+
+      await game.declareWinner(id, player1.address);
+      await expect(game.connect(player3).closeRoom(id)).to.be.revertedWith("Not authorized");
+      await expect(game.connect(player1).closeRoom(id)).to.emit(game, "RoomClosed").withArgs(id);
+      await expect(game.connect(owner).closeRoom(id)).to.be.revertedWith("Room already closed");
+    });
+
+    it("Should record room metadata at creation", async function () {
+      const variant = ethers.encodeBytes32String("muflis");
+      const id = await createRoom(player1, variant);
+
+      const [event] = await game.queryFilter(game.filters.RoomMetadataSet(id));
+      expect(event.args.variant).to.equal(variant);
+      expect(event.args.rulesHash).to.equal(RULES_HASH);
+      const metadata = await game.roomMetadata(id);
+      expect(metadata.variant).to.equal(variant);
+      expect(metadata.rulesHash).to.equal(RULES_HASH);
+
+      // Later joins leave it as created
+      await game.connect(player2).joinRoom(id);
+      expect((await game.roomMetadata(id)).variant).to.equal(variant);
+    });
+  });
+
+  describe("Gas Benchmarks", function () {
+    const buyIn = ethers.parseEther("100");
+    // Roughly 25% above what these cost today
+    const GAS_BUDGET = {
+      joinRoom: 250000,
+      settleCashGame: 350000,
+      closeRoom: 175000,
+      handleTimeout: 300000,
+      getActiveRooms: 250000,
+    };
+    const gasUsed = {};
+    let seats;
+    let roomId;
+
+    async function measure(label, txPromise) {
+      const receipt = await (await txPromise).wait();
+      gasUsed[label] = receipt.gasUsed;
+      expect(receipt.gasUsed).to.be.lt(GAS_BUDGET[label]);
+    }
+
+    beforeEach(async function () {
+      // Six seats: the most a room takes
+      seats = (await ethers.getSigners()).slice(5, 11);
+      for (const seat of seats) {
+        await token.mint(seat.address, buyIn);
+        await token.connect(seat).approve(await game.getAddress(), buyIn);
+      }
+
+      const tx = await game.connect(seats[0]).createRoom(buyIn, 6, CLASSIC, RULES_HASH);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+      roomId = game.interface.parseLog(event).args.roomId;
+
+      for (const seat of seats.slice(1, 5)) {
+        await game.connect(seat).joinRoom(roomId);
+      }
+    });
+
+    after(function () {
+      console.log("      Gas used with six players:", Object.entries(gasUsed).map(([label, gas]) => `${label} ${gas}`).join(", "));
+    });
+
+    it("Should join the last seat cheaply", async function () {
+      await measure("joinRoom", game.connect(seats[5]).joinRoom(roomId));
+    });
+
+    it("Should settle a full room within budget", async function () {
+      await game.connect(seats[5]).joinRoom(roomId);
+      await game.connect(owner).startGame(roomId);
+
+      const addresses = seats.map(seat => seat.address);
+      const chips = [600, 500, 400, 300, 200, 0];
+      await measure("settleCashGame", game.connect(owner).settleCashGame(roomId, addresses, chips));
+      await measure("closeRoom", game.connect(owner).closeRoom(roomId));
+    });
+
+    it("Should time out a full room within budget", async function () {
+      await game.connect(seats[5]).joinRoom(roomId);
+      await game.connect(owner).startGame(roomId);
+      await game.connect(seats[2]).emergencyWithdraw(roomId);
+      await time.increase(3600);
+
+      await measure("handleTimeout", game.handleTimeout(roomId));
+    });
+
+    it("Should read a page of rooms within budget", async function () {
+      for (const seat of seats) {
+        for (let i = 0; i < 5; i++) {
+          await token.mint(seat.address, buyIn);
+          await token.connect(seat).approve(await game.getAddress(), buyIn);
+          await game.connect(seat).createRoom(buyIn, 6, CLASSIC, RULES_HASH);
+        }
+      }
+
+      const gas = await game.getActiveRooms.estimateGas(0, 100);
+      gasUsed.getActiveRooms = gas;
+      expect(await game.getActiveRoomCount()).to.equal(31);
+      expect(gas).to.be.lt(GAS_BUDGET.getActiveRooms);
+    });
+  });
+
+  describe("Room IDs", function () {
+    const buyIn = ethers.parseEther("1");
+    const PREV_RANDAO = 12345;
+
+    // The ID createRoom tries for a creator with the given salt
+    const roomIdFor = (creator, timestamp, salt) =>
+      ethers.solidityPackedKeccak256(
+        ["address", "uint256", "uint256", "uint256"],
+        [creator.address, timestamp, PREV_RANDAO, salt]
+      );
+
+    const codeOf = (roomId) => roomId.slice(0, 8);
+
+    async function roomIdFrom(tx) {
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return game.interface.parseLog(log).name === "RoomCreated";
+        } catch {
+          return false;
+        }
+      });
+      return game.interface.parseLog(event).args.roomId;
+    }
+
+    // Enough for a creator's 16th room in one block, which tries every salt
+    const CREATE_GAS_LIMIT = 600000;
+
+    // Send createRoom calls from one creator and mine them into a single block
+    async function createInOneBlock(creator, count) {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const txs = [];
+        for (let i = 0; i < count; i++) {
+          txs.push(await game.connect(creator).createRoom(buyIn, 4, CLASSIC, RULES_HASH, { gasLimit: CREATE_GAS_LIMIT }));
+        }
+        await setPrevRandao(PREV_RANDAO);
+        await mine();
+        return txs;
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    }
+
+    it("Should give each room a full ID and a short code lookup", async function () {
+      const roomId = await roomIdFrom(await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH));
+
+      // Nothing is masked off any more
+      expect(BigInt(roomId) & ((1n << 232n) - 1n)).to.not.equal(0n);
+      expect(await game.roomIdByCode(codeOf(roomId))).to.equal(roomId);
+    });
+
+    it("Should not overwrite a room created in the same block", async function () {
+      const [first, second] = await createInOneBlock(player1, 2);
+      const firstId = await roomIdFrom(first);
+      const secondId = await roomIdFrom(second);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      expect(firstId).to.equal(roomIdFor(player1, timestamp, 0));
+      expect(secondId).to.equal(roomIdFor(player1, timestamp, 1));
+      expect((await game.getRoomDetails(firstId)).pot).to.equal(buyIn);
+      expect((await game.getRoomDetails(secondId)).pot).to.equal(buyIn);
+      expect(await game.getActiveRoomCount()).to.equal(2);
+    });
+
+    it("Should skip a short code a live room holds", async function () {
+      // Search block timestamps for two first-choice IDs that share a code
+      const seen = new Map();
+      let timestamps;
+      for (let t = (await time.latest()) + 10; !timestamps; t++) {
+        const code = codeOf(roomIdFor(player1, t, 0));
+        if (seen.has(code)) {
+          timestamps = [seen.get(code), t];
+        }
+        seen.set(code, t);
+      }
+
+      await setPrevRandao(PREV_RANDAO);
+      await time.setNextBlockTimestamp(timestamps[0]);
+      const firstId = await roomIdFrom(await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH));
+      expect(firstId).to.equal(roomIdFor(player1, timestamps[0], 0));
+
+      await setPrevRandao(PREV_RANDAO);
+      await time.setNextBlockTimestamp(timestamps[1]);
+      const secondId = await roomIdFrom(await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH));
+      expect(codeOf(roomIdFor(player1, timestamps[1], 0))).to.equal(codeOf(firstId));
+      expect(secondId).to.equal(roomIdFor(player1, timestamps[1], 1));
+
+      expect(await game.roomIdByCode(codeOf(firstId))).to.equal(firstId);
+      expect(await game.roomIdByCode(codeOf(secondId))).to.equal(secondId);
+    });
+
+    it("Should give up once every salt is taken", async function () {
+      const txs = await createInOneBlock(player1, 17);
+
+      for (const tx of txs.slice(0, 16)) {
+        expect((await tx.wait()).status).to.equal(1);
+      }
+      // Reverted rather than running out of gas
+      const { receipt } = await txs[16].wait().catch(error => error);
+      expect(receipt.status).to.equal(0);
+      expect(receipt.gasUsed).to.be.lt(CREATE_GAS_LIMIT);
+      expect(await game.getActiveRoomCount()).to.equal(16);
+    });
+
+    it("Should free the code when the room ends", async function () {
+      const roomId = await roomIdFrom(await game.connect(player1).createRoom(buyIn, 4, CLASSIC, RULES_HASH));
+      await game.connect(player1).leaveRoom(roomId);
+
+      expect(await game.roomIdByCode(codeOf(roomId))).to.equal(ethers.ZeroHash);
+      expect((await game.getRoomDetails(roomId)).creator).to.equal(player1.address);
+    });
+  });
 });
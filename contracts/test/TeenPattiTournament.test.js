@@ -0,0 +1,416 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TeenPattiTournament", function () {
+  const ENTRY_FEE = ethers.parseEther("100");
+  const REGISTRATION_PERIOD = 3600;
+
+  let token;
+  let tournament;
+  let owner;
+  let treasury;
+  let players;
+
+  beforeEach(async function () {
+    let signers;
+    [owner, treasury, ...signers] = await ethers.getSigners();
+    players = signers.slice(0, 6);
+
+    const TeenPattiToken = await ethers.getContractFactory("TeenPattiToken");
+    token = await TeenPattiToken.deploy(treasury.address);
+    await token.waitForDeployment();
+
+    const TeenPattiTournament = await ethers.getContractFactory("TeenPattiTournament");
+    tournament = await TeenPattiTournament.deploy(await token.getAddress(), treasury.address);
+    await tournament.waitForDeployment();
+
+    const tokenAmount = ethers.parseEther("10000");
+    for (const player of players) {
+      await token.mint(player.address, tokenAmount);
+      await token.connect(player).approve(await tournament.getAddress(), tokenAmount);
+    }
+  });
+
+  // Create a tournament as players[0] and register `count` players in all
+  async function createTournament({
+    payoutBps = [6500, 3500],
+    minPlayers = 3,
+    maxPlayers = 6,
+    entryFee = ENTRY_FEE,
+    count = minPlayers,
+  } = {}) {
+    const tx = await tournament
+      .connect(players[0])
+      .createTournament(entryFee, minPlayers, maxPlayers, payoutBps, REGISTRATION_PERIOD);
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return tournament.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((e) => e && e.name === "TournamentCreated");
+    const tournamentId = event.args.tournamentId;
+
+    for (let i = 1; i < count; i++) {
+      await tournament.connect(players[i]).register(tournamentId);
+    }
+    return tournamentId;
+  }
+
+  async function balances(addresses) {
+    return Promise.all(addresses.map((address) => token.balanceOf(address)));
+  }
+
+  describe("Deployment", function () {
+    it("Should set the token, treasury and default rake", async function () {
+      expect(await tournament.token()).to.equal(await token.getAddress());
+      expect(await tournament.treasury()).to.equal(treasury.address);
+      expect(await tournament.rakeFee()).to.equal(500);
+    });
+  });
+
+  describe("Creation", function () {
+    it("Should escrow the creator's entry fee and store the schedule", async function () {
+      const before = await token.balanceOf(players[0].address);
+      const id = await createTournament({ payoutBps: [5000, 3000, 2000], minPlayers: 4, count: 1 });
+
+      expect(await token.balanceOf(players[0].address)).to.equal(before - ENTRY_FEE);
+      expect(await tournament.getPayoutSchedule(id)).to.deep.equal([5000n, 3000n, 2000n]);
+
+      const details = await tournament.getTournament(id);
+      expect(details.creator).to.equal(players[0].address);
+      expect(details.playerCount).to.equal(1);
+      expect(details.prizePool).to.equal(ENTRY_FEE);
+      expect(details.rakeBps).to.equal(500);
+      expect(details.state).to.equal(0); // REGISTERING
+    });
+
+    it("Should give every tournament its own id", async function () {
+      const first = await createTournament({ count: 1 });
+      const second = await createTournament({ count: 1 });
+
+      expect(first).to.not.equal(second);
+      expect(await tournament.tournamentCount()).to.equal(2);
+    });
+
+    it("Should reject payout schedules that don't add up to 100%", async function () {
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 3, 6, [6000, 3000], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Payouts must add up to 100%");
+    });
+
+    it("Should reject schedules that pay a lower place more", async function () {
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 3, 6, [3500, 6500], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Payouts must not increase by place");
+    });
+
+    it("Should reject unpaid places in the schedule", async function () {
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 4, 6, [10000, 0], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Every paid place needs a share");
+    });
+
+    it("Should need more minimum players than paid places", async function () {
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 3, 6, [5000, 3000, 2000], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Paid places must be fewer than min players");
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 3, 6, [], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Paid places must be fewer than min players");
+    });
+
+    it("Should reject invalid player limits, fees and registration periods", async function () {
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 4, 3, [10000], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Invalid player limits");
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 2, 7, [10000], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Invalid player limits");
+      await expect(
+        tournament.connect(players[0]).createTournament(0, 2, 6, [10000], REGISTRATION_PERIOD)
+      ).to.be.revertedWith("Entry fee must be positive");
+      await expect(
+        tournament.connect(players[0]).createTournament(ENTRY_FEE, 2, 6, [10000], 8 * 24 * 3600)
+      ).to.be.revertedWith("Invalid registration period");
+    });
+  });
+
+  describe("Registration", function () {
+    it("Should take the entry fee into the prize pool", async function () {
+      const id = await createTournament({ count: 3 });
+
+      const details = await tournament.getTournament(id);
+      expect(details.playerCount).to.equal(3);
+      expect(details.prizePool).to.equal(ENTRY_FEE * 3n);
+      expect(await tournament.isRegistered(id, players[2].address)).to.equal(true);
+    });
+
+    it("Should not register anyone twice", async function () {
+      const id = await createTournament({ count: 2 });
+
+      await expect(tournament.connect(players[1]).register(id)).to.be.revertedWith("Already registered");
+    });
+
+    it("Should stop at the maximum", async function () {
+      const id = await createTournament({ minPlayers: 2, maxPlayers: 3, payoutBps: [10000], count: 3 });
+
+      await expect(tournament.connect(players[3]).register(id)).to.be.revertedWith("Tournament is full");
+    });
+
+    it("Should close at the registration deadline", async function () {
+      const id = await createTournament({ count: 1 });
+      await time.increase(REGISTRATION_PERIOD);
+
+      await expect(tournament.connect(players[1]).register(id)).to.be.revertedWith("Registration deadline passed");
+    });
+
+    it("Should refund players who unregister before the start", async function () {
+      const id = await createTournament({ count: 2 });
+      const before = await token.balanceOf(players[1].address);
+
+      await expect(tournament.connect(players[1]).unregister(id))
+        .to.emit(tournament, "PlayerUnregistered")
+        .withArgs(id, players[1].address, ENTRY_FEE);
+
+      expect(await token.balanceOf(players[1].address)).to.equal(before + ENTRY_FEE);
+      expect((await tournament.getTournament(id)).prizePool).to.equal(ENTRY_FEE);
+    });
+
+    it("Should cancel once the last player unregisters", async function () {
+      const id = await createTournament({ count: 1 });
+      await tournament.connect(players[0]).unregister(id);
+
+      expect((await tournament.getTournament(id)).state).to.equal(3); // CANCELLED
+      await expect(tournament.connect(players[1]).register(id)).to.be.revertedWith("Registration is closed");
+    });
+  });
+
+  describe("Starting", function () {
+    it("Should need the minimum number of players", async function () {
+      const id = await createTournament({ count: 2 });
+
+      await expect(tournament.connect(players[0]).startTournament(id)).to.be.revertedWith(
+        "Not enough players registered"
+      );
+    });
+
+    it("Should only let the creator or the backend start", async function () {
+      const id = await createTournament({ count: 3 });
+
+      await expect(tournament.connect(players[1]).startTournament(id)).to.be.revertedWith("Not authorized");
+      await expect(tournament.connect(owner).startTournament(id))
+        .to.emit(tournament, "TournamentStarted")
+        .withArgs(id, ENTRY_FEE * 3n, 3);
+    });
+
+    it("Should close registration and refunds on start", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+
+      await expect(tournament.connect(players[3]).register(id)).to.be.revertedWith("Registration is closed");
+      await expect(tournament.connect(players[1]).unregister(id)).to.be.revertedWith("Tournament already started");
+    });
+  });
+
+  describe("Settlement", function () {
+    // Prize pool minus the 5% rake
+    const distributable = (entrants) => (ENTRY_FEE * BigInt(entrants) * 9500n) / 10000n;
+
+    it("Should pay winner-takes-all", async function () {
+      const id = await createTournament({ payoutBps: [10000], minPlayers: 2, count: 4 });
+      await tournament.connect(players[0]).startTournament(id);
+      const [before] = await balances([players[2].address]);
+
+      await tournament.connect(owner).settleTournament(id, [players[2].address]);
+
+      const [after] = await balances([players[2].address]);
+      expect(after - before).to.equal(distributable(4));
+    });
+
+    it("Should pay 65/35", async function () {
+      const id = await createTournament({ payoutBps: [6500, 3500], count: 4 });
+      await tournament.connect(players[0]).startTournament(id);
+      const placements = [players[3].address, players[1].address];
+      const before = await balances(placements);
+
+      await tournament.connect(owner).settleTournament(id, placements);
+
+      const after = await balances(placements);
+      expect(after[0] - before[0]).to.equal((distributable(4) * 6500n) / 10000n);
+      expect(after[1] - before[1]).to.equal((distributable(4) * 3500n) / 10000n);
+    });
+
+    it("Should pay 50/30/20", async function () {
+      const id = await createTournament({ payoutBps: [5000, 3000, 2000], minPlayers: 4, count: 6 });
+      await tournament.connect(players[0]).startTournament(id);
+      const placements = [players[5].address, players[0].address, players[4].address];
+      const before = await balances(placements);
+
+      const tx = tournament.connect(owner).settleTournament(id, placements);
+      const payouts = [5000n, 3000n, 2000n].map((bps) => (distributable(6) * bps) / 10000n);
+      await expect(tx)
+        .to.emit(tournament, "TournamentSettled")
+        .withArgs(id, placements, payouts, ENTRY_FEE * 6n - distributable(6));
+
+      const after = await balances(placements);
+      expect(after.map((balance, i) => balance - before[i])).to.deep.equal(payouts);
+      expect((await tournament.getTournament(id)).state).to.equal(2); // FINISHED
+    });
+
+    it("Should send the rake to the treasury", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+      const treasuryBefore = await token.balanceOf(treasury.address);
+
+      await tournament.connect(owner).settleTournament(id, [players[0].address, players[1].address]);
+
+      const rake = (ENTRY_FEE * 3n * 500n) / 10000n;
+      expect(await token.balanceOf(treasury.address)).to.equal(treasuryBefore + rake);
+      expect(await tournament.totalRakeCollected()).to.equal(rake);
+      expect(await token.balanceOf(await tournament.getAddress())).to.equal(0);
+    });
+
+    it("Should give rounding dust to the winner", async function () {
+      // 3 wei entry fees: 9 wei pool, no rake at this size, 65/35 leaves 1 wei over
+      const id = await createTournament({ entryFee: 3n, count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+      const placements = [players[1].address, players[2].address];
+
+      await expect(tournament.connect(owner).settleTournament(id, placements))
+        .to.emit(tournament, "TournamentSettled")
+        .withArgs(id, placements, [6n, 3n], 0n);
+      expect(await token.balanceOf(await tournament.getAddress())).to.equal(0);
+    });
+
+    it("Should keep the rake set at creation", async function () {
+      const id = await createTournament({ payoutBps: [10000], minPlayers: 2, count: 2 });
+      await tournament.connect(owner).updateRakeFee(1000);
+      await tournament.connect(players[0]).startTournament(id);
+      const before = await token.balanceOf(players[0].address);
+
+      await tournament.connect(owner).settleTournament(id, [players[0].address]);
+
+      expect((await token.balanceOf(players[0].address)) - before).to.equal(distributable(2));
+    });
+
+    it("Should only take results from the backend", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+
+      await expect(
+        tournament.connect(players[0]).settleTournament(id, [players[0].address, players[1].address])
+      ).to.be.revertedWithCustomError(tournament, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should need exactly one registered player per paid place", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+
+      await expect(tournament.connect(owner).settleTournament(id, [players[0].address])).to.be.revertedWith(
+        "One player per paid place"
+      );
+      await expect(
+        tournament.connect(owner).settleTournament(id, [players[0].address, players[0].address])
+      ).to.be.revertedWith("Player placed twice");
+      await expect(
+        tournament.connect(owner).settleTournament(id, [players[0].address, players[5].address])
+      ).to.be.revertedWith("Player not registered");
+    });
+
+    it("Should only settle a running tournament, once", async function () {
+      const id = await createTournament({ count: 3 });
+      const placements = [players[0].address, players[1].address];
+
+      await expect(tournament.connect(owner).settleTournament(id, placements)).to.be.revertedWith(
+        "Tournament not running"
+      );
+      await tournament.connect(players[0]).startTournament(id);
+      await tournament.connect(owner).settleTournament(id, placements);
+      await expect(tournament.connect(owner).settleTournament(id, placements)).to.be.revertedWith(
+        "Tournament not running"
+      );
+    });
+  });
+
+  describe("Refunds", function () {
+    it("Should refund everyone in full when too few register by the deadline", async function () {
+      const id = await createTournament({ minPlayers: 4, payoutBps: [6500, 3500], count: 3 });
+      const registered = players.slice(0, 3).map((p) => p.address);
+      const before = await balances(registered);
+      await time.increase(REGISTRATION_PERIOD);
+
+      // Anyone can trigger it, and no rake is taken
+      await expect(tournament.connect(players[5]).cancelTournament(id))
+        .to.emit(tournament, "TournamentCancelled")
+        .withArgs(id, ENTRY_FEE, 3);
+
+      const after = await balances(registered);
+      expect(after.map((balance, i) => balance - before[i])).to.deep.equal([ENTRY_FEE, ENTRY_FEE, ENTRY_FEE]);
+      expect(await tournament.totalRakeCollected()).to.equal(0);
+      expect((await tournament.getTournament(id)).state).to.equal(3); // CANCELLED
+    });
+
+    it("Should not refund before the deadline or once enough players registered", async function () {
+      const short = await createTournament({ minPlayers: 4, count: 3 });
+      await expect(tournament.connect(players[5]).cancelTournament(short)).to.be.revertedWith(
+        "Registration still open"
+      );
+
+      const full = await createTournament({ count: 3 });
+      await time.increase(REGISTRATION_PERIOD);
+      await expect(tournament.connect(players[5]).cancelTournament(full)).to.be.revertedWith(
+        "Enough players registered"
+      );
+    });
+
+    it("Should refund a running tournament nobody settled in time", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+
+      await expect(tournament.connect(players[1]).cancelTournament(id)).to.be.revertedWith(
+        "Settlement timeout not reached"
+      );
+      await time.increase(24 * 3600);
+      await tournament.connect(players[1]).cancelTournament(id);
+
+      expect(await token.balanceOf(await tournament.getAddress())).to.equal(0);
+    });
+
+    it("Should let the backend cancel at any time before settlement", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+
+      await tournament.connect(owner).cancelTournament(id);
+
+      await expect(
+        tournament.connect(owner).settleTournament(id, [players[0].address, players[1].address])
+      ).to.be.revertedWith("Tournament not running");
+    });
+
+    it("Should not refund a settled tournament", async function () {
+      const id = await createTournament({ count: 3 });
+      await tournament.connect(players[0]).startTournament(id);
+      await tournament.connect(owner).settleTournament(id, [players[0].address, players[1].address]);
+
+      await expect(tournament.connect(owner).cancelTournament(id)).to.be.revertedWith("Tournament is over");
+    });
+
+    it("Should still refund while paused", async function () {
+      const id = await createTournament({ minPlayers: 4, count: 3 });
+      await tournament.connect(owner).pause();
+      await time.increase(REGISTRATION_PERIOD);
+
+      await expect(tournament.connect(players[3]).register(id)).to.be.revertedWithCustomError(
+        tournament,
+        "EnforcedPause"
+      );
+      await tournament.connect(players[0]).cancelTournament(id);
+      expect(await token.balanceOf(await tournament.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -8,6 +8,7 @@ import { NetworkSwitcher } from './components/NetworkSwitcher';
 import { config } from './config/wagmi';
 import Home from './pages/Home';
 import GameRoom from './pages/GameRoom';
+import HandReplay from './pages/HandReplay';
 
 const queryClient = new QueryClient();
 
@@ -22,7 +23,9 @@ function App() {
           <Router>
             <Routes>
               <Route path="/" element={<Home socket={socket} />} />
+              <Route path="/join/:inviteToken" element={<Home socket={socket} />} />
               <Route path="/room/:roomId" element={<GameRoom socket={socket} />} />
+              <Route path="/replay/:handId" element={<HandReplay />} />
             </Routes>
           </Router>
         </WalletProvider>
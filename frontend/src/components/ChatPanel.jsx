@@ -0,0 +1,141 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MessageCircle, Send, X, VolumeX, Volume2 } from 'lucide-react';
+
+// Must match CHAT_REACTIONS and MAX_CHAT_LENGTH in backend/chat.js
+export const REACTIONS = [
+  { id: 'thumbs-up', emoji: '👍' },
+  { id: 'laugh', emoji: '😂' },
+  { id: 'shocked', emoji: '😮' },
+  { id: 'cry', emoji: '😢' },
+  { id: 'angry', emoji: '😡' },
+  { id: 'fire', emoji: '🔥' },
+  { id: 'party', emoji: '🎉' },
+  { id: 'pray', emoji: '🙏' },
+];
+const MAX_CHAT_LENGTH = 200;
+
+// Table chat with quick reactions; spectators can read but not write
+export default function ChatPanel({ socket, messages, mutedIds, players, playerId, canChat }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [seen, setSeen] = useState(0); // Messages already read, for the unread badge
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setSeen(messages.length);
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [open, messages.length]);
+
+  const unread = Math.max(0, messages.length - seen);
+  const others = players.filter((p) => p.id !== playerId && !p.isBot);
+
+  function handleSend(e) {
+    e.preventDefault();
+    if (!text.trim()) return;
+    socket.emit('chatMessage', { text });
+    setText('');
+  }
+
+  function toggleMute(otherId) {
+    socket.emit('mutePlayer', { playerId: otherId, muted: !mutedIds.includes(otherId) });
+  }
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="fixed bottom-4 left-4 z-40 h-12 w-12 rounded-full bg-black/60 hover:bg-black/80 border border-white/10 text-white flex items-center justify-center shadow-xl"
+        title="Table chat"
+      >
+        <MessageCircle className="w-5 h-5" />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[20px] h-5 px-1 rounded-full bg-red-600 text-[10px] font-bold flex items-center justify-center">
+            {unread}
+          </span>
+        )}
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 w-80 max-w-[calc(100vw-2rem)] bg-black/80 backdrop-blur-md border border-white/10 rounded-2xl shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-2 border-b border-white/10">
+        <span className="text-white text-sm font-bold flex items-center gap-2">
+          <MessageCircle className="w-4 h-4" />
+          Table Chat
+        </span>
+        <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-white">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div ref={listRef} className="h-56 overflow-y-auto px-4 py-2 space-y-1.5">
+        {messages.length === 0 ? (
+          <p className="text-gray-500 text-xs text-center mt-4">No messages yet</p>
+        ) : (
+          messages.map((m) => (
+            <p key={m.id} className="text-sm break-words">
+              <span className={m.playerId === playerId ? 'text-yellow-400 font-semibold' : 'text-cyan-300 font-semibold'}>
+                {m.playerName}:
+              </span>{' '}
+              <span className="text-gray-200">{m.text}</span>
+            </p>
+          ))
+        )}
+      </div>
+
+      {/* Per-player mute */}
+      {canChat && others.length > 0 && (
+        <div className="flex flex-wrap gap-1 px-4 py-2 border-t border-white/10">
+          {others.map((p) => {
+            const muted = mutedIds.includes(p.id);
+            return (
+              <button
+                key={p.id}
+                onClick={() => toggleMute(p.id)}
+                title={muted ? `Unmute ${p.name}` : `Mute ${p.name}`}
+                className={`px-2 py-0.5 rounded-full text-[11px] flex items-center gap-1 border ${muted ? 'border-red-500/40 text-red-300 bg-red-500/10' : 'border-white/10 text-gray-300 bg-white/5'}`}
+              >
+                {muted ? <VolumeX className="w-3 h-3" /> : <Volume2 className="w-3 h-3" />}
+                {p.name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {canChat ? (
+        <>
+          <div className="flex justify-between px-3 py-1 border-t border-white/10">
+            {REACTIONS.map((r) => (
+              <button
+                key={r.id}
+                onClick={() => socket.emit('sendReaction', { reaction: r.id })}
+                className="text-xl hover:scale-125 transition-transform"
+              >
+                {r.emoji}
+              </button>
+            ))}
+          </div>
+          <form onSubmit={handleSend} className="flex items-center gap-2 p-3 border-t border-white/10">
+            <input
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              maxLength={MAX_CHAT_LENGTH}
+              placeholder="Say something..."
+              className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button type="submit" className="h-9 w-9 rounded-lg bg-blue-600 hover:bg-blue-500 text-white flex items-center justify-center">
+              <Send className="w-4 h-4" />
+            </button>
+          </form>
+        </>
+      ) : (
+        <p className="text-gray-500 text-xs text-center p-3 border-t border-white/10">Take a seat to chat</p>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { ethers } from 'ethers';
-import { X, Loader2, Users, Coins } from 'lucide-react';
+import { X, Loader2, Users, Coins, Sparkles, Scale, PenLine } from 'lucide-react';
 import Button from './Button';
 import Input from './Input';
 import { useContracts } from '@/hooks/useContracts';
@@ -8,11 +8,83 @@ import { useWallet } from '@/hooks/useWallet';
 import { useAccount, useReadContract } from 'wagmi';
 import TokenABI from '@/contracts/TeenPattiToken.json';
 import addresses from '@/contracts/addresses.json';
+import { saveSessionToken } from '@/lib/session';
+import { normalizeTableRules } from '@backend/tableRules.js';
+import TournamentOptions, { DEFAULT_TOURNAMENT_OPTIONS, PAYOUT_TABLES, buildTournament } from './TournamentOptions';
+
+// Must match the ids in backend/variants.js
+const VARIANTS = [
+  { id: 'classic', name: 'Classic', description: 'Standard Teen Patti rankings' },
+  { id: 'muflis', name: 'Muflis (Lowball)', description: 'Lowest hand wins: rankings are reversed' },
+  { id: 'ak47', name: 'AK47', description: 'Every A, K, 4 and 7 is wild' },
+  { id: 'joker', name: 'Joker', description: 'A face-up card is dealt; every card of its rank is wild' },
+  { id: '999', name: '999', description: 'Make the number closest to 999 (A = 1, 10 and pictures = 0)' },
+  { id: 'best-of-four', name: 'Best of Four', description: 'Four cards are dealt; your best three count' },
+];
+
+// Must match SHOW_COST_RULES in backend/tableRules.js
+const SHOW_COSTS = [
+  { id: 'chaal', name: 'One chaal' },
+  { id: 'double', name: 'Double chaal' },
+  { id: 'free', name: 'Free' },
+];
+
+const HAND_PAUSES = [3000, 5000, 10000, 15000];
+
+// Who has to agree to the final stacks before the contract pays out (basis points of seated players)
+const SETTLEMENT_QUORUMS = [
+  { value: '0', name: 'The server settles', description: 'Payouts are sent as soon as the session ends' },
+  { value: '5001', name: 'A majority of players co-sign', description: 'Players review and sign the final stacks; unsigned or disputed settlements fall back to the server after an hour' },
+  { value: '10000', name: 'Every player co-signs', description: 'Players review and sign the final stacks; unsigned or disputed settlements fall back to the server after an hour' },
+];
+
+// How long after a hand spectators wait to see every hole card ('' = never)
+const SPECTATOR_REVEALS = [
+  { value: '', name: 'Never' },
+  { value: '0', name: 'Right after the hand' },
+  { value: '30000', name: '30 seconds after the hand' },
+  { value: '120000', name: '2 minutes after the hand' },
+];
+
+// Blank optional fields mean "no limit"; the backend fills in defaults and validates the rest
+function buildRules({ boot, maxBlindRounds, chaalLimit, potLimit, showCost, handPauseMs, spectatorRevealMs }) {
+  const optional = (value) => (value === '' ? null : Number(value));
+  const rules = {
+    boot: Number(boot),
+    maxBlindRounds: optional(maxBlindRounds),
+    chaalLimit: optional(chaalLimit),
+    showCost,
+    handPauseMs: Number(handPauseMs),
+    spectatorRevealMs: optional(spectatorRevealMs),
+  };
+  if (potLimit !== '') {
+    rules.potLimit = Number(potLimit);
+  }
+
+  if (!Number.isInteger(rules.boot) || rules.boot <= 0 || rules.boot % 2 !== 0) {
+    return { error: 'Boot must be a positive even number' };
+  }
+  if (rules.maxBlindRounds !== null && (!Number.isInteger(rules.maxBlindRounds) || rules.maxBlindRounds <= 0)) {
+    return { error: 'Max blind rounds must be a positive whole number' };
+  }
+  if (rules.chaalLimit !== null && rules.chaalLimit < rules.boot) {
+    return { error: 'Chaal limit cannot be lower than the boot' };
+  }
+  if (rules.potLimit !== undefined && rules.potLimit <= rules.boot) {
+    return { error: 'Pot limit must be above the boot' };
+  }
+  // Anything else the server would refuse
+  const normalized = normalizeTableRules(rules);
+  if (!normalized.success) {
+    return { error: normalized.error };
+  }
+  return { rules };
+}
 
 export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket }) {
-  const { account } = useWallet();
+  const { account, isSignedIn, signIn } = useWallet();
   const { address: walletAddress } = useAccount();
-  const { createRoom, approveTokens, gameContract, tokenContract, contractAddresses } = useContracts();
+  const { createRoom, createTournament, approveTokens, gameContract, tokenContract, contractAddresses } = useContracts();
 
   // Get token balance
   const { data: balance } = useReadContract({
@@ -27,13 +99,27 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
 
   const [buyIn, setBuyIn] = useState('1000');
   const [maxPlayers, setMaxPlayers] = useState('4');
+  const [variant, setVariant] = useState('classic');
+  const [tableRules, setTableRules] = useState({
+    boot: '10',
+    maxBlindRounds: '',
+    chaalLimit: '',
+    potLimit: '',
+    showCost: 'chaal',
+    handPauseMs: '5000',
+    spectatorRevealMs: '',
+  });
+  const [tournament, setTournament] = useState(DEFAULT_TOURNAMENT_OPTIONS);
+  const [settlementQuorum, setSettlementQuorum] = useState('0');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
-  const [step, setStep] = useState('input'); // input, approving, creating
+  const [step, setStep] = useState('input'); // input, signing, approving, creating
 
   if (!isOpen) return null;
 
+  const setRule = (key) => (e) => setTableRules((prev) => ({ ...prev, [key]: e.target.value }));
+
   async function handleCreate() {
     if (!account) {
       setError('Please connect your wallet');
@@ -55,21 +141,37 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
       return;
     }
 
+    // Check the rules before any tokens are locked on-chain
+    const { rules, error: rulesError } = buildRules(tableRules);
+    if (rulesError) {
+      setError(rulesError);
+      return;
+    }
+
     setLoading(true);
     setError('');
 
     try {
+      // Step 0: Sign in, so the server seats this wallet and no one else
+      if (!isSignedIn) {
+        setStep('signing');
+        await signIn();
+      }
+
       const buyInAmount = ethers.parseEther(buyIn);
       const players = parseInt(maxPlayers);
 
+      // A Sit & Go's entry fees are escrowed by the tournament contract, not the game contract
+      const escrow = tournament.enabled ? contractAddresses.TeenPattiTournament : contractAddresses.TeenPattiGame;
+      if (!escrow) {
+        throw new Error('Sit & Go tournaments are not available on this network');
+      }
+
       // Step 1: Approve tokens
       setStep('approving');
       console.log('Approving tokens...');
 
-      const approveResult = await approveTokens(
-        contractAddresses.TeenPattiGame,
-        buyInAmount
-      );
+      const approveResult = await approveTokens(escrow, buyInAmount);
 
       if (!approveResult.success) {
         throw new Error(approveResult.error || 'Failed to approve tokens');
@@ -82,7 +184,17 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
       setMessage('Tokens approved! Creating room...');
       console.log('Creating room on blockchain...');
 
-      const createResult = await createRoom(buyInAmount, players);
+      const createResult = tournament.enabled
+        ? await createTournament(
+          buyInAmount,
+          players,
+          PAYOUT_TABLES.find((t) => t.id === tournament.payouts).shares
+        )
+        : await createRoom(buyInAmount, players, {
+          variant,
+          rules,
+          quorumBps: Number(settlementQuorum),
+        });
 
       if (!createResult.success) {
         throw new Error(createResult.error || 'Failed to create room');
@@ -95,22 +207,20 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
 
       // Step 3: Notify backend via Socket.IO
       if (socket) {
-        // Convert balance to number (in tokens, not wei)
-        const tokenBalance = balance ? parseFloat(ethers.formatEther(balance)) : 0;
-
+        // The server reads the buy-in, table size and chips from this transaction, and
+        // checks the variant and rules against the ones the room was created with
         socket.emit('createRoomWithBlockchain', {
           blockchainRoomId: blockchainRoomId.toString(),
-          buyIn: buyIn,
-          maxPlayers: players,
           creator: account,
           txHash: createResult.txHash,
-          tokenBalance: tokenBalance,
-          // Provide numeric buy-in in tokens so backend initializes off-chain chips correctly
-          buyInTokens: Number(buyIn)
+          variant,
+          rules,
+          tournament: buildTournament(tournament, { withEntryFee: false }),
         });
 
         // Wait for backend confirmation
-        socket.once('roomCreated', ({ roomId }) => {
+        socket.once('roomCreated', ({ roomId, sessionToken }) => {
+          saveSessionToken(roomId, sessionToken);
           setLoading(false);
           setStep('input');
           onSuccess(roomId, blockchainRoomId);
@@ -154,7 +264,7 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
 
   return (
     <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
-      <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl shadow-2xl max-w-md w-full border border-gray-700">
+      <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl shadow-2xl max-w-md w-full border border-gray-700 max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-700">
           <h2 className="text-2xl font-bold text-white">Create Game Room</h2>
@@ -211,12 +321,158 @@ export default function CreateRoomModal({ isOpen, onClose, onSuccess, socket })
             </select>
           </div>
 
+          {/* Settlement */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-300 flex items-center gap-2">
+              <PenLine className="w-4 h-4" />
+              Settlement
+            </label>
+            <select
+              value={settlementQuorum}
+              onChange={(e) => setSettlementQuorum(e.target.value)}
+              disabled={loading}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {SETTLEMENT_QUORUMS.map((q) => (
+                <option key={q.value} value={q.value}>{q.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-400">
+              {SETTLEMENT_QUORUMS.find((q) => q.value === settlementQuorum)?.description}
+            </p>
+          </div>
+
+          {/* Variant */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-300 flex items-center gap-2">
+              <Sparkles className="w-4 h-4" />
+              Game Variant
+            </label>
+            <select
+              value={variant}
+              onChange={(e) => setVariant(e.target.value)}
+              disabled={loading}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {VARIANTS.map((v) => (
+                <option key={v.id} value={v.id}>{v.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-400">
+              {VARIANTS.find((v) => v.id === variant)?.description}
+            </p>
+          </div>
+
+          {/* Table Rules */}
+          <div className="space-y-3">
+            <label className="text-sm font-medium text-gray-300 flex items-center gap-2">
+              <Scale className="w-4 h-4" />
+              Table Rules
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <p className="text-xs text-gray-400">Boot</p>
+                <Input
+                  type="number"
+                  value={tableRules.boot}
+                  onChange={setRule('boot')}
+                  min="2"
+                  step="2"
+                  disabled={loading}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+              </div>
+              <div className="space-y-1">
+                <p className="text-xs text-gray-400">Max blind rounds</p>
+                <Input
+                  type="number"
+                  value={tableRules.maxBlindRounds}
+                  onChange={setRule('maxBlindRounds')}
+                  placeholder="No limit"
+                  min="1"
+                  disabled={loading}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+              </div>
+              <div className="space-y-1">
+                <p className="text-xs text-gray-400">Chaal limit</p>
+                <Input
+                  type="number"
+                  value={tableRules.chaalLimit}
+                  onChange={setRule('chaalLimit')}
+                  placeholder="No limit"
+                  disabled={loading}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+              </div>
+              <div className="space-y-1">
+                <p className="text-xs text-gray-400">Pot limit</p>
+                <Input
+                  type="number"
+                  value={tableRules.potLimit}
+                  onChange={setRule('potLimit')}
+                  placeholder={String((Number(tableRules.boot) || 0) * 1024)}
+                  disabled={loading}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+              </div>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Show cost</p>
+              <select
+                value={tableRules.showCost}
+                onChange={setRule('showCost')}
+                disabled={loading}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {SHOW_COSTS.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Pause between hands</p>
+              <select
+                value={tableRules.handPauseMs}
+                onChange={setRule('handPauseMs')}
+                disabled={loading}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {HAND_PAUSES.map((ms) => (
+                  <option key={ms} value={ms}>{ms / 1000} seconds</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Spectators see every hand</p>
+              <select
+                value={tableRules.spectatorRevealMs}
+                onChange={setRule('spectatorRevealMs')}
+                disabled={loading}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {SPECTATOR_REVEALS.map((r) => (
+                  <option key={r.value} value={r.value}>{r.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Sit & Go: the buy-in is the entry fee */}
+          <TournamentOptions
+            value={tournament}
+            onChange={setTournament}
+            disabled={loading}
+            showEntryFee={false}
+          />
+
           {/* Transaction Info */}
           {loading && (
             <div className="bg-blue-600/20 border border-blue-600/30 rounded-lg p-4">
               <div className="flex items-center gap-3">
                 <Loader2 className="w-5 h-5 text-blue-400 animate-spin" />
                 <div className="text-sm text-blue-200">
+                  {step === 'signing' && 'Sign the message in your wallet...'}
                   {step === 'approving' && 'Approving tokens...'}
                   {step === 'creating' && 'Creating room on blockchain...'}
                 </div>
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
-import { X, Loader2, Users, Coins, Info } from 'lucide-react';
+import { X, Loader2, Users, Coins, Info, Scale, Lock } from 'lucide-react';
 import Button from './Button';
 import Input from './Input';
 import { useContracts } from '@/hooks/useContracts';
@@ -8,11 +8,15 @@ import { useWallet } from '@/hooks/useWallet';
 import { useAccount, useReadContract } from 'wagmi';
 import TokenABI from '@/contracts/TeenPattiToken.json';
 import addresses from '@/contracts/addresses.json';
+import { fetchRoom, fetchInvite } from '@/lib/api';
+import { saveSessionToken } from '@/lib/session';
 
-export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, roomId: initialRoomId }) {
-  const { account } = useWallet();
+const SHOW_COST_LABELS = { free: 'Free', chaal: 'One chaal', double: 'Double chaal' };
+
+export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, roomId: initialRoomId, inviteToken }) {
+  const { account, isSignedIn, signIn } = useWallet();
   const { address: walletAddress } = useAccount();
-  const { joinRoom, approveTokens, getRoomDetails, contractAddresses } = useContracts();
+  const { joinRoom, registerTournament, approveTokens, getRoomDetails, getTournamentDetails, expandRoomId, contractAddresses } = useContracts();
 
   // Get token balance
   const { data: balance } = useReadContract({
@@ -27,10 +31,14 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
 
   const [blockchainRoomId, setBlockchainRoomId] = useState('');
   const [roomDetails, setRoomDetails] = useState(null);
+  const [table, setTable] = useState(null);
+  const [offChainRoom, setOffChainRoom] = useState(null); // Server summary of an off-chain room
+  const [playerName, setPlayerName] = useState('');
+  const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [loadingDetails, setLoadingDetails] = useState(false);
   const [error, setError] = useState('');
-  const [step, setStep] = useState('input'); // input, approving, joining
+  const [step, setStep] = useState('input'); // input, signing, approving, joining
 
   useEffect(() => {
     if (initialRoomId) {
@@ -44,14 +52,67 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
     }
   }, [blockchainRoomId]);
 
+  // An invite link opens its room straight away
+  useEffect(() => {
+    if (!inviteToken) return;
+    setError('');
+    fetchInvite(inviteToken)
+      .then(({ room }) => {
+        setBlockchainRoomId(room.roomId);
+        setOffChainRoom(room);
+      })
+      .catch((err) => setError(err.message));
+  }, [inviteToken]);
+
   if (!isOpen) return null;
 
+  // Swap a blockchain room's six-character code for its full ID, which loads its details
+  async function findBlockchainRoom() {
+    const fullRoomId = await expandRoomId(blockchainRoomId).catch(() => null);
+    if (fullRoomId) {
+      setBlockchainRoomId(fullRoomId);
+    }
+    return Boolean(fullRoomId);
+  }
+
   async function fetchRoomDetails() {
     setLoadingDetails(true);
     setError('');
 
+    // Off-chain rooms go by their six-character code, and so can blockchain rooms
+    if (!blockchainRoomId.startsWith('0x')) {
+      try {
+        const room = await fetchRoom(blockchainRoomId.trim().toUpperCase());
+        if (room.blockchainRoomId) {
+          setError('This is a blockchain room: enter its 0x room ID to buy in');
+          return;
+        }
+        setOffChainRoom(room);
+      } catch (err) {
+        if (await findBlockchainRoom()) return;
+        setError(err.message);
+        setOffChainRoom(null);
+      } finally {
+        setLoadingDetails(false);
+      }
+      return;
+    }
+
+    if (blockchainRoomId.length < 66) {
+      if (!(await findBlockchainRoom())) {
+        setError('No open blockchain room with that code');
+        setRoomDetails(null);
+      }
+      setLoadingDetails(false);
+      return;
+    }
+
     try {
-      const details = await getRoomDetails(blockchainRoomId);
+      // No such cash room: it may be a Sit & Go, whose entry fees the tournament contract holds
+      let details = await getRoomDetails(blockchainRoomId);
+      if (!details || details.creator === ethers.ZeroAddress) {
+        details = await getTournamentDetails(blockchainRoomId);
+      }
 
       if (!details) {
         setError('Room not found on blockchain');
@@ -61,13 +122,16 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
 
       console.log(details)
 
-      if (Number(details.state) !== 0) { // 0 = WAITING
+      if (Number(details.state) !== 0) { // 0 = WAITING (REGISTERING for a Sit & Go)
         setError('Room is not accepting players');
         setRoomDetails(null);
         return;
       }
 
       setRoomDetails(details);
+
+      // Table rules live off-chain with the game server
+      setTable(await fetchRoom(blockchainRoomId).catch(() => null));
     } catch (err) {
       console.error('Error fetching room details:', err);
       setError('Failed to fetch room details');
@@ -77,7 +141,47 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
     }
   }
 
+  function handleJoinOffChain() {
+    const name = playerName.trim();
+    if (!name) {
+      setError('Please enter your name');
+      return;
+    }
+    if (!socket) {
+      setError('Not connected to the server');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const handleError = ({ message }) => {
+      socket.off('roomJoined', handleJoined);
+      setLoading(false);
+      setError(message);
+    };
+
+    function handleJoined({ roomId, playerId, sessionToken }) {
+      socket.off('error', handleError);
+      saveSessionToken(roomId, sessionToken);
+      setLoading(false);
+      onSuccess(roomId, null, { playerId, playerName: name });
+    }
+
+    socket.once('roomJoined', handleJoined);
+    socket.once('error', handleError);
+    // An invite gets past a private room's password
+    socket.emit('joinRoom', inviteToken
+      ? { inviteToken, playerName: name }
+      : { roomId: offChainRoom.roomId, playerName: name, password });
+  }
+
   async function handleJoin() {
+    if (offChainRoom) {
+      handleJoinOffChain();
+      return;
+    }
+
     if (!account) {
       setError('Please connect your wallet');
       return;
@@ -97,6 +201,12 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
     setError('');
 
     try {
+      // Step 0: Sign in, so the server seats this wallet and no one else
+      if (!isSignedIn) {
+        setStep('signing');
+        await signIn();
+      }
+
       const buyInAmount = roomDetails.buyIn;
 
       // Step 1: Approve tokens
@@ -104,7 +214,7 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
       console.log('Approving tokens...');
 
       const approveResult = await approveTokens(
-        contractAddresses.TeenPattiGame,
+        roomDetails.tournament ? contractAddresses.TeenPattiTournament : contractAddresses.TeenPattiGame,
         buyInAmount
       );
 
@@ -118,7 +228,9 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
       setStep('joining');
       console.log('Joining room on blockchain...');
 
-      const joinResult = await joinRoom(blockchainRoomId);
+      const joinResult = roomDetails.tournament
+        ? await registerTournament(blockchainRoomId)
+        : await joinRoom(blockchainRoomId);
 
       if (!joinResult.success) {
         throw new Error(joinResult.error || 'Failed to join room');
@@ -128,24 +240,25 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
 
       // Step 3: Notify backend via Socket.IO
       if (socket) {
-        // Convert balance to number (in tokens, not wei)
-        const tokenBalance = balance ? parseFloat(ethers.formatEther(balance)) : 0;
-
+        // The server checks this transaction on-chain and seats us with our room balance
         socket.emit('joinRoomWithBlockchain', {
           blockchainRoomId: blockchainRoomId,
           player: account,
-          txHash: joinResult.txHash,
-          tokenBalance: tokenBalance,
-          // Use on-chain room buy-in (in token units) as starting chips for off-chain game
-          buyInTokens: Number(ethers.formatEther(roomDetails.buyIn))
+          txHash: joinResult.txHash
         });
 
         // Wait for backend confirmation
-        socket.once('roomJoined', ({ roomId }) => {
+        const handleSeated = ({ roomId, sessionToken }) => {
+          socket.off('roomJoined', handleSeated);
+          socket.off('sessionResumed', handleSeated);
+          saveSessionToken(roomId, sessionToken);
           setLoading(false);
           setStep('input');
           onSuccess(roomId, blockchainRoomId);
-        });
+        };
+        // A wallet already at the table is given its seat back instead
+        socket.on('roomJoined', handleSeated);
+        socket.on('sessionResumed', handleSeated);
 
         socket.once('error', ({ message }) => {
           setLoading(false);
@@ -184,13 +297,16 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
       setStep('input');
       setError('');
       setRoomDetails(null);
+      setTable(null);
+      setOffChainRoom(null);
+      setPassword('');
       onClose();
     }
   }
 
   return (
     <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
-      <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl shadow-2xl max-w-md w-full border border-gray-700">
+      <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl shadow-2xl max-w-md w-full border border-gray-700 max-h-[90vh] overflow-y-auto">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-700">
           <h2 className="text-2xl font-bold text-white">Join Game Room</h2>
@@ -207,16 +323,20 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
 
         {/* Content */}
         <div className="p-6 space-y-6">
-          {/* Room ID Input */}
+          {/* Room ID Input (an invite names the room already) */}
+          {!inviteToken && (
           <div className="space-y-2">
             <label className="text-sm font-medium text-gray-300">
-              Blockchain Room ID
+              Blockchain Room ID or Room Code
             </label>
             <Input
               type="text"
               value={blockchainRoomId}
-              onChange={(e) => setBlockchainRoomId(e.target.value)}
-              placeholder="0x..."
+              onChange={(e) => {
+                setBlockchainRoomId(e.target.value);
+                setOffChainRoom(null);
+              }}
+              placeholder="0x... or ABC123"
               disabled={loading || loadingDetails}
               className="bg-gray-800 border-gray-600 text-white font-mono text-sm"
             />
@@ -240,6 +360,66 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
               )}
             </Button>
           </div>
+          )}
+
+          {/* Off-chain Room */}
+          {offChainRoom && (
+            <div className="space-y-4">
+              <div className="bg-blue-600/10 border border-blue-600/30 rounded-lg p-4 space-y-2">
+                {inviteToken && (
+                  <p className="text-sm text-blue-200">You have been invited to room {offChainRoom.roomId}</p>
+                )}
+                {[
+                  ['Variant', offChainRoom.variant],
+                  ['Players', `${offChainRoom.players} / ${offChainRoom.maxPlayers}`],
+                  ['Boot', offChainRoom.rules.boot],
+                  ['Show cost', SHOW_COST_LABELS[offChainRoom.rules.showCost]],
+                ].map(([label, value]) => (
+                  <div key={label} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-400">{label}:</span>
+                    <span className="text-white font-semibold">{value}</span>
+                  </div>
+                ))}
+                {offChainRoom.isPrivate && (
+                  <p className="text-xs text-purple-300 flex items-center gap-1">
+                    <Lock className="w-3 h-3" />
+                    Private room
+                  </p>
+                )}
+                {offChainRoom.locked && (
+                  <p className="text-xs text-red-300">The host has locked this table</p>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-gray-300">Your Name</label>
+                <Input
+                  value={playerName}
+                  onChange={(e) => setPlayerName(e.target.value)}
+                  placeholder="Enter your name"
+                  maxLength={20}
+                  disabled={loading}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+              </div>
+
+              {offChainRoom.hasPassword && !inviteToken && (
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                    <Lock className="w-4 h-4" />
+                    Room Password
+                  </label>
+                  <Input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    disabled={loading}
+                    className="bg-gray-800 border-gray-600 text-white"
+                  />
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Room Details */}
           {roomDetails && (
@@ -267,12 +447,42 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
             </div>
           )}
 
+          {/* Table Rules */}
+          {roomDetails && (
+            <div className="bg-purple-600/10 border border-purple-600/30 rounded-lg p-4 space-y-2">
+              <p className="text-sm font-medium text-purple-200 flex items-center gap-2">
+                <Scale className="w-4 h-4" />
+                Table Rules
+              </p>
+              {table ? (
+                [
+                  ['Variant', table.variant],
+                  ['Boot', table.rules.boot],
+                  ['Max blind rounds', table.rules.maxBlindRounds ?? 'No limit'],
+                  ['Chaal limit', table.rules.chaalLimit ?? 'No limit'],
+                  ['Pot limit', table.rules.potLimit ?? 'No limit'],
+                  ['Show cost', SHOW_COST_LABELS[table.rules.showCost]],
+                  ['Pause between hands', `${table.rules.handPauseMs / 1000}s`],
+                  ['Spectators see cards', table.rules.spectatorRevealMs === null ? 'Never' : `${table.rules.spectatorRevealMs / 1000}s after each hand`],
+                ].map(([label, value]) => (
+                  <div key={label} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-400">{label}:</span>
+                    <span className="text-white font-semibold">{value}</span>
+                  </div>
+                ))
+              ) : (
+                <p className="text-xs text-gray-400">The game server has not opened this table yet.</p>
+              )}
+            </div>
+          )}
+
           {/* Transaction Info */}
           {loading && (
             <div className="bg-blue-600/20 border border-blue-600/30 rounded-lg p-4">
               <div className="flex items-center gap-3">
                 <Loader2 className="w-5 h-5 text-blue-400 animate-spin" />
                 <div className="text-sm text-blue-200">
+                  {step === 'signing' && 'Sign the message in your wallet...'}
                   {step === 'approving' && 'Approving tokens...'}
                   {step === 'joining' && 'Joining room on blockchain...'}
                 </div>
@@ -291,6 +501,7 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
           )}
 
           {/* Info Box */}
+          {!offChainRoom && (
           <div className="bg-yellow-600/10 border border-yellow-600/30 rounded-lg p-4">
             <p className="text-sm text-yellow-200">
               <strong>Note:</strong> Joining a room requires 2 transactions:
@@ -300,6 +511,7 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
               <li>Join room and lock your buy-in</li>
             </ol>
           </div>
+          )}
 
           {/* Action Buttons */}
           <div className="flex gap-3">
@@ -313,7 +525,7 @@ export default function JoinRoomModal({ isOpen, onClose, onSuccess, socket, room
             </Button>
             <Button
               onClick={handleJoin}
-              disabled={loading || !roomDetails}
+              disabled={loading || (!roomDetails && !offChainRoom)}
               className="flex-1 bg-gradient-to-r from-green-600 to-blue-600 hover:from-green-700 hover:to-blue-700"
             >
               {loading ? (
@@ -0,0 +1,251 @@
+import React, { useEffect, useState } from 'react';
+import { Users, Coins, Bot, Loader2, LayoutList, Link2, Eye, Trophy } from 'lucide-react';
+import Button from './Button';
+import Input from './Input';
+import { fetchVariants } from '@/lib/api';
+import { saveSessionToken } from '@/lib/session';
+
+// Must match LOBBY_SORTS in backend/lobby.js
+const SORTS = [
+  { id: 'newest', name: 'Newest first' },
+  { id: 'oldest', name: 'Oldest first' },
+  { id: 'buy-in-asc', name: 'Buy-in: low to high' },
+  { id: 'buy-in-desc', name: 'Buy-in: high to low' },
+  { id: 'players', name: 'Most players' },
+  { id: 'open-seats', name: 'Most open seats' },
+];
+
+const selectClass =
+  'px-3 py-2 bg-gray-800/80 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Live list of open rooms, pushed by the server over the socket (subscribeLobby)
+export default function LobbyRoomList({ socket, canJoinOnChain, onJoinOnChain, onJoined, onWatch }) {
+  const [filters, setFilters] = useState({ variant: 'all', type: 'all', status: 'all', openSeats: false, sort: 'newest' });
+  const [variants, setVariants] = useState([]);
+  const [rooms, setRooms] = useState(null);
+  const [joiningRoomId, setJoiningRoomId] = useState(null); // Off-chain room we are asking a name for
+  const [playerName, setPlayerName] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchVariants()
+      .then(setVariants)
+      .catch((err) => console.error('Failed to load variants:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const subscribe = () => socket.emit('subscribeLobby', filters);
+    const handleRooms = ({ rooms: listing }) => setRooms(listing);
+
+    socket.on('lobbyRooms', handleRooms);
+    // A reconnected socket starts with no subscriptions
+    socket.on('connect', subscribe);
+    subscribe();
+
+    return () => {
+      socket.off('lobbyRooms', handleRooms);
+      socket.off('connect', subscribe);
+      socket.emit('unsubscribeLobby');
+    };
+  }, [socket, filters]);
+
+  const setFilter = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  function handleJoin(room) {
+    setError('');
+    if (room.onChain) {
+      onJoinOnChain(room.blockchainRoomId);
+      return;
+    }
+    setJoiningRoomId(room.roomId);
+  }
+
+  function handleJoinOffChain() {
+    const name = playerName.trim();
+    if (!name) {
+      setError('Please enter your name');
+      return;
+    }
+
+    setJoining(true);
+    setError('');
+
+    const handleError = ({ message }) => {
+      socket.off('roomJoined', handleJoined);
+      setJoining(false);
+      setError(message);
+    };
+
+    function handleJoined({ roomId, playerId, sessionToken }) {
+      socket.off('error', handleError);
+      saveSessionToken(roomId, sessionToken);
+      setJoining(false);
+      onJoined(roomId, playerId, name);
+    }
+
+    socket.once('roomJoined', handleJoined);
+    socket.once('error', handleError);
+    socket.emit('joinRoom', { roomId: joiningRoomId, playerName: name });
+  }
+
+  return (
+    <div className="relative bg-gradient-to-br from-slate-800/40 to-slate-900/40 backdrop-blur-lg rounded-3xl border border-white/10 shadow-2xl overflow-hidden mb-8 p-8">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-3xl font-bold text-white flex items-center gap-3">
+            <LayoutList className="w-7 h-7 text-yellow-400" />
+            Open Tables
+          </h2>
+          <p className="text-gray-400 text-sm mt-1">Updated live as rooms fill up and start</p>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={filters.variant} onChange={setFilter('variant')} className={selectClass}>
+            <option value="all">All variants</option>
+            {variants.map((v) => (
+              <option key={v.id} value={v.id}>{v.name}</option>
+            ))}
+          </select>
+          <select value={filters.type} onChange={setFilter('type')} className={selectClass}>
+            <option value="all">All tables</option>
+            <option value="on-chain">On-chain</option>
+            <option value="off-chain">Off-chain</option>
+          </select>
+          <select value={filters.status} onChange={setFilter('status')} className={selectClass}>
+            <option value="all">Any status</option>
+            <option value="waiting">Waiting</option>
+            <option value="playing">Playing</option>
+          </select>
+          <select value={filters.sort} onChange={setFilter('sort')} className={selectClass}>
+            {SORTS.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-300 px-2">
+            <input type="checkbox" checked={filters.openSeats} onChange={setFilter('openSeats')} />
+            Open seats
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-600/20 border border-red-500/50 text-red-200 px-4 py-3 rounded-xl mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      {rooms === null ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+        </div>
+      ) : rooms.length === 0 ? (
+        <p className="text-center text-gray-400 py-8">No open tables match. Create one above!</p>
+      ) : (
+        <div className="space-y-3">
+          {rooms.map((room) => {
+            const full = room.seatsTaken >= room.maxPlayers;
+            // The contract only takes buy-ins before the game starts, and a Sit & Go has no late entry
+            const closed = full || room.locked || (room.onChain && room.status === 'playing') || room.tournament?.started;
+            const needsWallet = room.onChain && !canJoinOnChain;
+
+            return (
+              <div
+                key={room.roomId}
+                className="bg-black/30 border border-white/10 rounded-2xl px-5 py-4 flex flex-col md:flex-row md:items-center justify-between gap-3"
+              >
+                <div className="flex flex-wrap items-center gap-x-5 gap-y-2">
+                  <div>
+                    <div className="text-white font-bold">{room.variant.name}</div>
+                    <div className="text-xs text-gray-500 font-mono">
+                      {room.onChain ? `${room.blockchainRoomId.slice(0, 10)}…` : room.roomId}
+                    </div>
+                  </div>
+                  <span className="flex items-center gap-1 text-sm text-gray-300">
+                    <Users className="w-4 h-4" />
+                    {room.seatsTaken}/{room.maxPlayers}
+                  </span>
+                  <span className="flex items-center gap-1 text-sm text-gray-300">
+                    <Coins className="w-4 h-4 text-yellow-500" />
+                    {room.buyIn !== null ? `${Number(room.buyIn)} TPT` : 'Free play'}
+                  </span>
+                  {room.bots > 0 && (
+                    <span className="flex items-center gap-1 text-sm text-cyan-300">
+                      <Bot className="w-4 h-4" />
+                      {room.bots}
+                    </span>
+                  )}
+                  <span className={`px-2 py-0.5 rounded-full text-[10px] font-bold tracking-wider border ${room.status === 'waiting' ? 'bg-yellow-500/10 border-yellow-500/30 text-yellow-300' : 'bg-green-500/10 border-green-500/30 text-green-300'}`}>
+                    {room.status === 'waiting' ? 'WAITING' : 'PLAYING'}
+                  </span>
+                  {room.tournament && (
+                    <span
+                      className="flex items-center gap-1 text-xs text-emerald-300"
+                      title={`${room.tournament.startingChips} chips each, paying ${room.tournament.payouts.join(' / ')}%`}
+                    >
+                      <Trophy className="w-3 h-3" />
+                      Sit &amp; Go{!room.onChain && ` · entry ${room.tournament.entryFee}`}
+                    </span>
+                  )}
+                  {room.spectators > 0 && (
+                    <span className="flex items-center gap-1 text-sm text-gray-400" title="Spectators">
+                      <Eye className="w-4 h-4" />
+                      {room.spectators}
+                    </span>
+                  )}
+                  {room.onChain && (
+                    <span className="flex items-center gap-1 text-xs text-purple-300">
+                      <Link2 className="w-3 h-3" />
+                      On-chain
+                    </span>
+                  )}
+                </div>
+
+                {joiningRoomId === room.roomId ? (
+                  <div className="flex items-center gap-2">
+                    <Input
+                      value={playerName}
+                      onChange={(e) => setPlayerName(e.target.value)}
+                      placeholder="Your name"
+                      maxLength={20}
+                      disabled={joining}
+                      className="bg-gray-800 border-gray-600 text-white w-40"
+                    />
+                    <Button onClick={handleJoinOffChain} disabled={joining} size="sm">
+                      {joining ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Join'}
+                    </Button>
+                    <Button onClick={() => setJoiningRoomId(null)} disabled={joining} variant="ghost" size="sm">
+                      Cancel
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <Button onClick={() => onWatch(room)} variant="ghost" size="sm">
+                      <Eye className="w-4 h-4" />
+                      Watch
+                    </Button>
+                    <Button
+                      onClick={() => handleJoin(room)}
+                      disabled={closed || needsWallet}
+                      variant="secondary"
+                      size="sm"
+                      title={needsWallet ? 'Connect your wallet to join on-chain tables' : undefined}
+                    >
+                      {full ? 'Full' : room.locked ? 'Locked' : closed ? 'In progress' : 'Join'}
+                    </Button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
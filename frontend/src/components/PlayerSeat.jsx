@@ -1,5 +1,5 @@
 import React, { useEffect, useRef } from 'react';
-import { User, Crown } from 'lucide-react';
+import { User, Crown, WifiOff, Bot, X } from 'lucide-react';
 import { cn, formatChips } from '@/lib/utils';
 import PlayingCard from './PlayingCard';
 import gsap from 'gsap';
@@ -8,30 +8,58 @@ export default function PlayerSeat({
   player,
   isCurrentPlayer,
   isDealer,
+  turnDeadline = null, // Server deadline (ms) for the current turn
+  turnTimeMs = 30000,
   cards = [],
   showCards = false,
   position = 'bottom',
+  onRemove = null, // Host control for removing a bot or kicking a player
+  reaction = null, // { emoji, key } of the player's latest emoji reaction
+  eliminated = false, // Knocked out of a Sit & Go
   className
 }) {
   const seatRef = useRef(null);
   const progressCircleRef = useRef(null);
+  const reactionRef = useRef(null);
 
-  // Animation for turn timer
+  // Float the latest reaction up over the avatar, then fade it out
+  useEffect(() => {
+    if (!reaction || !reactionRef.current) return;
+    gsap.killTweensOf(reactionRef.current);
+    gsap.timeline()
+      .fromTo(
+        reactionRef.current,
+        { xPercent: -50, y: 10, scale: 0.4, opacity: 0 },
+        { xPercent: -50, y: -40, scale: 1.4, opacity: 1, duration: 0.5, ease: 'back.out(2)' }
+      )
+      .to(reactionRef.current, { y: -60, opacity: 0, duration: 0.5, delay: 1.2 });
+  }, [reaction?.key]);
+
+  // Animation for turn timer, driven by the server deadline
   useEffect(() => {
     if (isCurrentPlayer && progressCircleRef.current) {
-      // Reset animation
-      gsap.set(progressCircleRef.current, { strokeDashoffset: 0 });
+      gsap.killTweensOf(progressCircleRef.current);
+      if (!turnDeadline) {
+        gsap.set(progressCircleRef.current, { strokeDashoffset: 0 });
+        return;
+      }
+
+      // Start part-way round if the turn began before we got the event
+      // (a time bank extension refills the ring)
+      const remainingMs = Math.max(0, turnDeadline - Date.now());
+      const elapsed = 1 - Math.min(1, remainingMs / turnTimeMs);
+      gsap.set(progressCircleRef.current, { strokeDashoffset: 251 * elapsed });
       // Animate to empty (251 is approx circumference of r=40)
       gsap.to(progressCircleRef.current, {
         strokeDashoffset: 251,
-        duration: 15,
+        duration: remainingMs / 1000,
         ease: "linear"
       });
     } else if (progressCircleRef.current) {
       gsap.killTweensOf(progressCircleRef.current);
       gsap.set(progressCircleRef.current, { strokeDashoffset: 0 });
     }
-  }, [isCurrentPlayer]);
+  }, [isCurrentPlayer, turnDeadline, turnTimeMs]);
 
   const isHero = position === 'bottom';
 
@@ -72,7 +100,11 @@ export default function PlayerSeat({
         )}>
           {/* Placeholder Avatar Image or Initial */}
           <div className="bg-gradient-to-br from-gray-800 to-black w-full h-full flex items-center justify-center">
-            <User className="w-10 h-10 text-gray-400" />
+            {player.isBot ? (
+              <Bot className="w-10 h-10 text-cyan-400" />
+            ) : (
+              <User className="w-10 h-10 text-gray-400" />
+            )}
           </div>
 
           {/* Dealer Button */}
@@ -83,10 +115,63 @@ export default function PlayerSeat({
           )}
         </div>
 
-        {/* Status Badge (Folded) */}
+        {/* Status Badge (Folded, or not dealt into this hand) */}
         {player.isFolded && (
           <div className="absolute inset-0 z-20 flex items-center justify-center rounded-full bg-black/70">
-            <span className="text-white font-bold text-xs">FOLD</span>
+            <span className="text-white font-bold text-xs">{player.inHand === false ? 'OUT' : 'FOLD'}</span>
+          </div>
+        )}
+
+        {/* Status Badge (Bot) */}
+        {player.isBot && (
+          <div className="absolute -top-1 left-1/2 -translate-x-1/2 z-20 bg-cyan-700 rounded-full px-2 py-0.5 shadow-md flex items-center gap-1">
+            <Bot className="w-3 h-3 text-white" />
+            <span className="text-white font-bold text-[10px] whitespace-nowrap">BOT</span>
+          </div>
+        )}
+
+        {reaction && (
+          <div ref={reactionRef} className="absolute left-1/2 top-0 z-40 text-4xl pointer-events-none opacity-0">
+            {reaction.emoji}
+          </div>
+        )}
+
+        {onRemove && (
+          <button
+            onClick={onRemove}
+            title={player.isBot ? 'Remove bot' : 'Kick player'}
+            className="absolute -top-1 -right-1 z-30 bg-red-600 hover:bg-red-500 rounded-full w-6 h-6 flex items-center justify-center shadow-md"
+          >
+            <X className="w-3.5 h-3.5 text-white" />
+          </button>
+        )}
+
+        {/* Status Badge (Connection dropped, seat held for them) */}
+        {player.connected === false && (
+          <div className="absolute -top-1 left-1/2 -translate-x-1/2 z-20 bg-orange-600 rounded-full px-2 py-0.5 shadow-md flex items-center gap-1">
+            <WifiOff className="w-3 h-3 text-white" />
+            <span className="text-white font-bold text-[10px] whitespace-nowrap">OFFLINE</span>
+          </div>
+        )}
+
+        {/* Status Badge (Out of the tournament) */}
+        {eliminated && (
+          <div className="absolute -bottom-1 left-1/2 -translate-x-1/2 z-20 bg-gray-800 border border-white/20 rounded-full px-2 py-0.5 shadow-md">
+            <span className="text-gray-300 font-bold text-[10px] whitespace-nowrap">OUT</span>
+          </div>
+        )}
+
+        {/* Status Badge (Sitting out from the next hand) */}
+        {player.sittingOut && !(player.isAllIn && !player.isFolded) && (
+          <div className="absolute -bottom-1 left-1/2 -translate-x-1/2 z-20 bg-gray-600 rounded-full px-2 py-0.5 shadow-md">
+            <span className="text-white font-bold text-[10px] whitespace-nowrap">SITTING OUT</span>
+          </div>
+        )}
+
+        {/* Status Badge (All-in) */}
+        {player.isAllIn && !player.isFolded && (
+          <div className="absolute -bottom-1 left-1/2 -translate-x-1/2 z-20 bg-red-600 rounded-full px-2 py-0.5 shadow-md">
+            <span className="text-white font-bold text-[10px] whitespace-nowrap">ALL IN</span>
           </div>
         )}
       </div>
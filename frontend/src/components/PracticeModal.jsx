@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from 'react';
+import { X, Loader2, Bot, User, Lock } from 'lucide-react';
+import Button from './Button';
+import Input from './Input';
+import { fetchBotStrategies } from '@/lib/api';
+import { saveSessionToken } from '@/lib/session';
+import TournamentOptions, { DEFAULT_TOURNAMENT_OPTIONS, buildTournament } from './TournamentOptions';
+
+const MIXED = 'mixed';
+
+// An off-chain table against bots: no wallet, no buy-in
+export default function PracticeModal({ isOpen, onClose, onSuccess, socket }) {
+  const [playerName, setPlayerName] = useState('');
+  const [botCount, setBotCount] = useState('3');
+  const [strategy, setStrategy] = useState(MIXED);
+  const [strategies, setStrategies] = useState([]);
+  const [isPrivate, setIsPrivate] = useState(false);
+  const [password, setPassword] = useState('');
+  const [tournament, setTournament] = useState(DEFAULT_TOURNAMENT_OPTIONS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || strategies.length > 0) return;
+    fetchBotStrategies()
+      .then(setStrategies)
+      .catch((err) => setError(err.message));
+  }, [isOpen, strategies.length]);
+
+  if (!isOpen) return null;
+
+  function handleStart() {
+    const name = playerName.trim();
+    if (!name) {
+      setError('Please enter your name');
+      return;
+    }
+    if (!socket) {
+      setError('Not connected to the server');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const handleError = ({ message }) => {
+      socket.off('roomCreated', handleCreated);
+      setLoading(false);
+      setError(message);
+    };
+
+    function handleCreated({ roomId, playerId, sessionToken }) {
+      socket.off('error', handleError);
+      saveSessionToken(roomId, sessionToken);
+
+      // "Mixed" seats one bot of each style in turn
+      for (let i = 0; i < Number(botCount); i++) {
+        const botStrategy = strategy === MIXED ? strategies[i % strategies.length].id : strategy;
+        socket.emit('addBot', { strategy: botStrategy });
+      }
+
+      setLoading(false);
+      onSuccess(roomId, playerId, name);
+    }
+
+    socket.once('roomCreated', handleCreated);
+    socket.once('error', handleError);
+    // A password makes the room private on the server as well
+    socket.emit('createRoom', {
+      playerName: name,
+      isPrivate,
+      password: isPrivate && password ? password : undefined,
+      tournament: buildTournament(tournament),
+    });
+  }
+
+  function handleClose() {
+    if (!loading) {
+      setError('');
+      onClose();
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl shadow-2xl max-w-md w-full border border-gray-700 max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-700">
+          <h2 className="text-2xl font-bold text-white">Practice vs Bots</h2>
+          <Button
+            onClick={handleClose}
+            disabled={loading}
+            variant="ghost"
+            size="icon"
+            className="text-gray-400 hover:text-white transition-colors disabled:opacity-50 h-8 w-8"
+          >
+            <X className="w-6 h-6" />
+          </Button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-gray-300 flex items-center gap-2">
+              <User className="w-4 h-4" />
+              Your Name
+            </label>
+            <Input
+              value={playerName}
+              onChange={(e) => setPlayerName(e.target.value)}
+              placeholder="Enter your name"
+              maxLength={20}
+              disabled={loading}
+              className="bg-gray-800 border-gray-600 text-white"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-300 flex items-center gap-2">
+                <Bot className="w-4 h-4" />
+                Bots
+              </label>
+              <select
+                value={botCount}
+                onChange={(e) => setBotCount(e.target.value)}
+                disabled={loading}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="0">None</option>
+                {[1, 2, 3, 4, 5].map((n) => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-gray-300">Style</label>
+              <select
+                value={strategy}
+                onChange={(e) => setStrategy(e.target.value)}
+                disabled={loading || strategies.length === 0}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value={MIXED}>Mixed</option>
+                {strategies.map((s) => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs text-gray-400">
+            {strategy === MIXED
+              ? 'One bot of each style in turn'
+              : strategies.find((s) => s.id === strategy)?.description}
+          </p>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+              <input
+                type="checkbox"
+                checked={isPrivate}
+                onChange={(e) => setIsPrivate(e.target.checked)}
+                disabled={loading}
+              />
+              <Lock className="w-4 h-4" />
+              Private table
+            </label>
+            {isPrivate && (
+              <>
+                <Input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Password (optional)"
+                  maxLength={64}
+                  disabled={loading}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+                <p className="text-xs text-gray-400">
+                  Hidden from the lobby. Friends join with an invite link from the table, or the room code and password.
+                </p>
+              </>
+            )}
+          </div>
+
+          <TournamentOptions value={tournament} onChange={setTournament} disabled={loading} />
+
+          {error && (
+            <div className="bg-red-600/20 border border-red-600/50 rounded-lg p-3 text-red-200 text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="bg-blue-600/10 border border-blue-600/30 rounded-lg p-4">
+            <p className="text-sm text-blue-200">
+              Practice tables are off-chain: play chips only, nothing is staked or settled.
+            </p>
+          </div>
+
+          <div className="flex gap-3">
+            <Button
+              onClick={handleClose}
+              disabled={loading}
+              variant="outline"
+              className="flex-1 border-gray-600 text-gray-300 hover:bg-gray-700"
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleStart}
+              disabled={loading || strategies.length === 0}
+              className="flex-1 bg-gradient-to-r from-cyan-600 to-blue-600 hover:from-cyan-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  Setting up...
+                </>
+              ) : (
+                'Start Practice'
+              )}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
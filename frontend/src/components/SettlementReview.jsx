@@ -0,0 +1,74 @@
+import React from 'react';
+import { PenLine, ShieldAlert, CheckCircle2, Loader2 } from 'lucide-react';
+import { formatChips } from '@/lib/utils';
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Review and co-sign the final stacks the server proposed for a signed-settlement room
+export default function SettlementReview({ proposal, playerId, players = [], busy, onSign, onDispute }) {
+  const { typedData, signers, signaturesRequired, disputeDeadline, disputed } = proposal;
+  const { players: addresses, finalChips } = typedData.message;
+  const totalChips = finalChips.reduce((sum, chips) => sum + Number(chips), 0);
+  const nameOf = (address) => players.find((p) => sameAddress(p.id, address))?.name || `${address.slice(0, 8)}...`;
+
+  const isListed = addresses.some((address) => sameAddress(address, playerId));
+  const hasSigned = signers.some((address) => sameAddress(address, playerId));
+  const windowOpen = Date.now() < disputeDeadline;
+  const fallbackTime = new Date(disputeDeadline).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="winner-content-item bg-blue-600/10 border border-blue-500/30 rounded-2xl p-5 mb-4 text-left space-y-3">
+      <p className="text-blue-200 text-xs font-bold tracking-[0.2em] uppercase flex items-center gap-2">
+        <PenLine className="w-4 h-4" />
+        Review and sign settlement
+      </p>
+
+      <div className="space-y-1">
+        {addresses.map((address, i) => (
+          <div key={address} className="flex items-center justify-between text-sm">
+            <span className="text-gray-300 flex items-center gap-2">
+              {signers.some((signer) => sameAddress(signer, address)) && (
+                <CheckCircle2 className="w-3 h-3 text-green-400" />
+              )}
+              {nameOf(address)}
+            </span>
+            <span className="text-white font-mono">
+              {formatChips(Number(finalChips[i]))}
+              <span className="text-gray-500 text-xs ml-2">
+                {totalChips > 0 ? ((Number(finalChips[i]) / totalChips) * 100).toFixed(1) : '0.0'}%
+              </span>
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400">
+        {signers.length} of {signaturesRequired} signatures.{' '}
+        {disputed
+          ? 'A player disputed these stacks, so the server settles this room.'
+          : `The pot is paid out in proportion to these stacks once enough players sign. If they don't by ${fallbackTime}, the server settles it.`}
+      </p>
+
+      {isListed && !disputed && windowOpen && (
+        <div className="flex gap-2">
+          <button
+            onClick={onSign}
+            disabled={busy || hasSigned}
+            className="flex-1 h-10 rounded-xl bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white text-sm font-medium flex items-center justify-center gap-2"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <PenLine className="w-4 h-4" />}
+            {hasSigned ? 'Signed' : 'Sign'}
+          </button>
+          <button
+            onClick={onDispute}
+            disabled={busy}
+            className="flex-1 h-10 rounded-xl bg-red-600/20 hover:bg-red-600/30 border border-red-600/40 disabled:opacity-50 text-red-200 text-sm font-medium flex items-center justify-center gap-2"
+          >
+            <ShieldAlert className="w-4 h-4" />
+            Dispute
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React from 'react';
+import { Trophy } from 'lucide-react';
+import Input from './Input';
+
+// Must match PAYOUT_TABLES in backend/tournament.js
+export const PAYOUT_TABLES = [
+  { id: 'winner-takes-all', name: 'Winner takes all', shares: [100] },
+  { id: '65-35', name: '65 / 35', shares: [65, 35] },
+  { id: '50-30-20', name: '50 / 30 / 20', shares: [50, 30, 20] },
+];
+
+// How fast the boot goes up
+const LEVEL_SPEEDS = [
+  { id: 'turbo', name: 'Turbo: every 5 hands', levelBy: 'hands', levelEvery: 5 },
+  { id: 'regular', name: 'Regular: every 10 hands', levelBy: 'hands', levelEvery: 10 },
+  { id: 'slow', name: 'Slow: every 20 hands', levelBy: 'hands', levelEvery: 20 },
+  { id: 'timed-5', name: 'Every 5 minutes', levelBy: 'time', levelEvery: 5 * 60000 },
+  { id: 'timed-10', name: 'Every 10 minutes', levelBy: 'time', levelEvery: 10 * 60000 },
+];
+
+const STARTING_STACKS = ['1000', '1500', '3000'];
+
+export const DEFAULT_TOURNAMENT_OPTIONS = {
+  enabled: false,
+  payouts: '65-35',
+  speed: 'regular',
+  startingChips: '1500',
+  entryFee: '100',
+};
+
+// Settings for createRoom, or null for a cash table; the boot schedule is the server default
+export function buildTournament({ enabled, payouts, speed, startingChips, entryFee }, { withEntryFee = true } = {}) {
+  if (!enabled) return null;
+  const { levelBy, levelEvery } = LEVEL_SPEEDS.find((s) => s.id === speed);
+  return {
+    payouts,
+    levelBy,
+    levelEvery,
+    startingChips: Number(startingChips),
+    ...(withEntryFee ? { entryFee: Number(entryFee) } : {}),
+  };
+}
+
+// Sit & Go settings shared by the create-room modals; on-chain the buy-in is the entry fee
+export default function TournamentOptions({ value, onChange, disabled, showEntryFee = true }) {
+  const set = (key) => (e) => onChange({ ...value, [key]: key === 'enabled' ? e.target.checked : e.target.value });
+  const payoutTable = PAYOUT_TABLES.find((t) => t.id === value.payouts);
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-300">
+        <input type="checkbox" checked={value.enabled} onChange={set('enabled')} disabled={disabled} />
+        <Trophy className="w-4 h-4" />
+        Sit &amp; Go tournament
+      </label>
+      {value.enabled && (
+        <>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Payouts</p>
+              <select
+                value={value.payouts}
+                onChange={set('payouts')}
+                disabled={disabled}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {PAYOUT_TABLES.map((t) => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Starting chips</p>
+              <select
+                value={value.startingChips}
+                onChange={set('startingChips')}
+                disabled={disabled}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {STARTING_STACKS.map((chips) => (
+                  <option key={chips} value={chips}>{chips}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Boot goes up</p>
+              <select
+                value={value.speed}
+                onChange={set('speed')}
+                disabled={disabled}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {LEVEL_SPEEDS.map((s) => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            </div>
+            {showEntryFee && (
+              <div className="space-y-1">
+                <p className="text-xs text-gray-400">Entry fee</p>
+                <Input
+                  type="number"
+                  value={value.entryFee}
+                  onChange={set('entryFee')}
+                  min="1"
+                  disabled={disabled}
+                  className="bg-gray-800 border-gray-600 text-white"
+                />
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-gray-400">
+            Everyone starts with the same stack and plays until one player has all the chips.
+            The prize pool is paid by finishing place ({payoutTable.shares.length} paid), not by chips,
+            so the table needs at least {payoutTable.shares.length + 1} players.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react';
+import { X, ShieldCheck, ShieldAlert } from 'lucide-react';
+import Button from './Button';
+import PlayingCard from './PlayingCard';
+import { verifyHand } from '@/lib/fairness';
+
+function SeedRow({ label, value }) {
+  return (
+    <div className="space-y-1">
+      <p className="text-xs font-medium text-gray-400 uppercase tracking-wider">{label}</p>
+      <p className="text-xs font-mono text-gray-200 break-all bg-gray-800 rounded-lg px-3 py-2">{value || '—'}</p>
+    </div>
+  );
+}
+
+export default function VerifyHandModal({ isOpen, onClose, fairness, shownCards, committedHash, players = [] }) {
+  // Re-derive the deal locally from the revealed seeds
+  const result = useMemo(
+    () => (isOpen && fairness ? verifyHand(fairness, shownCards) : null),
+    [isOpen, fairness, shownCards]
+  );
+
+  if (!isOpen || !fairness || !result) return null;
+
+  // The hash announced before the deal must be the one the seed was revealed against
+  const commitmentKept = !committedHash || committedHash === fairness.serverSeedHash;
+  const verified = result.valid && commitmentKept;
+  const nameOf = (id) => players.find((p) => p.id === id)?.name || id.slice(0, 6);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-[110]">
+      <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl shadow-2xl max-w-lg w-full border border-gray-700 max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-700">
+          <h2 className="text-2xl font-bold text-white">Verify This Hand</h2>
+          <Button
+            onClick={onClose}
+            variant="ghost"
+            size="icon"
+            className="text-gray-400 hover:text-white transition-colors h-8 w-8"
+          >
+            <X className="w-6 h-6" />
+          </Button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          <div className={`flex items-center gap-3 rounded-lg p-4 border ${verified ? 'bg-green-600/20 border-green-600/50 text-green-200' : 'bg-red-600/20 border-red-600/50 text-red-200'}`}>
+            {verified ? <ShieldCheck className="w-6 h-6 flex-shrink-0" /> : <ShieldAlert className="w-6 h-6 flex-shrink-0" />}
+            <div className="text-sm">
+              {verified && 'The deal matches the seeds the server committed to before the hand.'}
+              {!commitmentKept && 'The revealed seed is not the one the server committed to before the deal.'}
+              {commitmentKept && !result.hashMatches && 'The revealed seed does not match its hash.'}
+              {commitmentKept && result.hashMatches && result.mismatches.length > 0 &&
+                `Cards shown for ${result.mismatches.map(nameOf).join(', ')} differ from the derived deal.`}
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <SeedRow label="Committed hash (before the deal)" value={committedHash || fairness.serverSeedHash} />
+            <SeedRow label="Revealed server seed" value={fairness.serverSeed} />
+            <SeedRow label="Client seeds (seat order)" value={fairness.clientSeed} />
+            <SeedRow label="Hand number" value={String(fairness.nonce)} />
+          </div>
+
+          {/* Derived deal */}
+          <div className="space-y-3">
+            <p className="text-xs font-medium text-gray-400 uppercase tracking-wider">Derived deal</p>
+            {Object.entries(result.hands).map(([id, cards]) => (
+              <div key={id} className="flex items-center justify-between gap-3">
+                <span className={`text-sm truncate ${result.mismatches.includes(id) ? 'text-red-300' : 'text-white'}`}>{nameOf(id)}</span>
+                <div className="flex gap-1">
+                  {cards.map((card, idx) => (
+                    <PlayingCard key={idx} rank={card.rank} suit={card.suit} className="w-10 h-14" />
+                  ))}
+                </div>
+              </div>
+            ))}
+            {result.jokerCard && (
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-sm text-purple-300">Joker</span>
+                <PlayingCard rank={result.jokerCard.rank} suit={result.jokerCard.suit} className="w-10 h-14" />
+              </div>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-400">
+            Cards are dealt one per player per round from the end of a deck shuffled with HMAC-SHA256(server seed, client seeds:hand number).
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
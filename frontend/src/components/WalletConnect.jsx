@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useAccount, useConnect, useDisconnect } from 'wagmi';
-import { Wallet, LogOut, ChevronDown } from 'lucide-react';
+import { Wallet, LogOut, ChevronDown, ShieldCheck, PenLine } from 'lucide-react';
 import { useWallet } from '@/hooks/useWallet.jsx';
 import Button from './Button';
 
@@ -8,8 +8,20 @@ export default function WalletConnect() {
   const { address, isConnected } = useAccount();
   const { connect, connectors, isPending } = useConnect();
   const { disconnect } = useDisconnect();
-  const { balance } = useWallet();
+  const { balance, isSignedIn, signIn } = useWallet();
   const [showConnectors, setShowConnectors] = useState(false);
+  const [signingIn, setSigningIn] = useState(false);
+
+  const handleSignIn = async () => {
+    setSigningIn(true);
+    try {
+      await signIn();
+    } catch (err) {
+      console.error('Sign-in failed:', err);
+    } finally {
+      setSigningIn(false);
+    }
+  };
 
   const formatAddress = (addr) => {
     if (!addr) return '';
@@ -28,11 +40,25 @@ export default function WalletConnect() {
           </div>
         )} */}
         <div className="bg-white/10 backdrop-blur-sm rounded-lg px-4 py-2">
-          <div className="text-xs text-gray-300">Wallet</div>
+          <div className="text-xs text-gray-300 flex items-center gap-1">
+            Wallet
+            {isSignedIn && <ShieldCheck className="w-3 h-3 text-green-400"/>}
+          </div>
           <div className="text-white font-semibold font-mono">
             {formatAddress(address)}
           </div>
         </div>
+        {!isSignedIn && (
+          <Button
+            onClick={handleSignIn}
+            disabled={signingIn}
+            size="sm"
+            className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700"
+          >
+            <PenLine className="w-4 h-4 mr-2" />
+            {signingIn ? 'Signing...' : 'Sign In'}
+          </Button>
+        )}
         <Button
           onClick={() => disconnect()}
           variant="outline"
@@ -3,6 +3,8 @@ import { ethers } from 'ethers';
 import { useWallet } from './useWallet.jsx';
 import TokenABI from '../contracts/TeenPattiToken.json';
 import GameABI from '../contracts/TeenPattiGame.json';
+import TournamentABI from '../contracts/TeenPattiTournament.json';
+import { tableRulesHash } from '@backend/tableRules.js';
 import addresses from '../contracts/addresses.json';
 
 // RPC URLs for different networks
@@ -11,10 +13,14 @@ const RPC_URLS = {
   8453: 'https://mainnet.base.org',
 };
 
+// How long an on-chain Sit & Go takes registrations before an underfilled one can be refunded
+const TOURNAMENT_REGISTRATION_PERIOD = 24 * 60 * 60;
+
 export function useContracts() {
   const { provider: walletProvider, signer, chainId } = useWallet();
   const [tokenContract, setTokenContract] = useState(null);
   const [gameContract, setGameContract] = useState(null);
+  const [tournamentContract, setTournamentContract] = useState(null);
   const [contractAddresses, setContractAddresses] = useState(null);
   const [rpcProvider, setRpcProvider] = useState(null);
 
@@ -54,6 +60,13 @@ export function useContracts() {
         );
         setTokenContract(token);
         setGameContract(game);
+        if (contractAddresses.TeenPattiTournament) {
+          setTournamentContract(new ethers.Contract(
+            contractAddresses.TeenPattiTournament,
+            TournamentABI.abi,
+            signer
+          ));
+        }
       }
     }
   }, [signer, contractAddresses]);
@@ -105,6 +118,15 @@ export function useContracts() {
         setGameContract(game);
       }
 
+      // Sit & Go entry fees are escrowed by the tournament contract
+      if (networkAddresses.TeenPattiTournament) {
+        setTournamentContract(new ethers.Contract(
+          networkAddresses.TeenPattiTournament,
+          TournamentABI.abi,
+          provider
+        ));
+      }
+
       console.log('Contracts initialized with RPC provider for network:', networkName);
     } catch (error) {
       console.error('Error initializing contracts with RPC:', error);
@@ -159,6 +181,16 @@ export function useContracts() {
         console.log('✅ Game contract initialized');
       }
 
+      // Sit & Go entry fees are escrowed by the tournament contract
+      if (networkAddresses.TeenPattiTournament) {
+        setTournamentContract(new ethers.Contract(
+          networkAddresses.TeenPattiTournament,
+          TournamentABI.abi,
+          provider
+        ));
+        console.log('✅ Tournament contract initialized');
+      }
+
       console.log('✅ Contracts initialized for network:', networkName);
     } catch (error) {
       console.error('❌ Error initializing contracts:', error);
@@ -257,7 +289,9 @@ export function useContracts() {
   }
 
   // Game functions
-  async function createRoom(buyIn, maxPlayers) {
+  // quorumBps > 0 creates a room whose payouts the players co-sign (see signSettlement).
+  // The variant and a hash of the rules, as they are sent to the server, are fixed on-chain.
+  async function createRoom(buyIn, maxPlayers, { variant = 'classic', rules = {}, quorumBps = 0 } = {}) {
     if (!gameContract || !signer) throw new Error('Contract not initialized');
 
     try {
@@ -288,7 +322,11 @@ export function useContracts() {
 
       console.log('🎮 Creating room with buy-in:', ethers.formatEther(buyIn), 'TPT, max players:', maxPlayers);
 
-      const tx = await gameContract.createRoom(buyIn, maxPlayers);
+      const variantId = ethers.encodeBytes32String(variant);
+      const rulesHash = tableRulesHash(rules);
+      const tx = quorumBps > 0
+        ? await gameContract.createRoomWithSignedSettlement(buyIn, maxPlayers, variantId, rulesHash, quorumBps)
+        : await gameContract.createRoom(buyIn, maxPlayers, variantId, rulesHash);
       console.log('Create room tx:', tx.hash);
       const receipt = await tx.wait();
       console.log('Create room confirmed:', receipt);
@@ -345,12 +383,15 @@ export function useContracts() {
     if (!gameContract || !signer) throw new Error('Contract not initialized');
 
     try {
-      // If user enters short ID (6 chars), expand it to full bytes32
+      // If user enters short ID (6 chars), look up the full bytes32
       let fullRoomId = roomId;
 
       // Check if it's a short ID (less than full 66 chars including 0x)
       if (roomId.length < 66) {
-        fullRoomId = expandRoomId(roomId);
+        fullRoomId = await expandRoomId(roomId);
+        if (!fullRoomId) {
+          return { success: false, error: 'No open room with that code' };
+        }
         console.log('📝 Expanded room ID:', {
           input: roomId,
           expanded: fullRoomId
@@ -410,6 +451,101 @@ export function useContracts() {
     }
   }
 
+  // Tournament functions
+  // Create an on-chain Sit & Go and pay the creator's entry fee. Payouts are percentages
+  // by place; the contract needs more entrants than paid places before it starts.
+  async function createTournament(entryFee, maxPlayers, payouts) {
+    if (!tournamentContract || !signer) throw new Error('Tournaments are not available on this network');
+
+    try {
+      const payoutBps = payouts.map((share) => share * 100);
+      const minPlayers = Math.max(2, payouts.length + 1);
+      const tx = await tournamentContract.createTournament(
+        entryFee,
+        minPlayers,
+        maxPlayers,
+        payoutBps,
+        TOURNAMENT_REGISTRATION_PERIOD
+      );
+      console.log('Create tournament tx:', tx.hash);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs
+        .map((log) => {
+          try {
+            return tournamentContract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .find((parsed) => parsed && parsed.name === 'TournamentCreated');
+
+      return { success: true, txHash: tx.hash, receipt, roomId: event?.args.tournamentId };
+    } catch (error) {
+      console.error('Error creating tournament:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Pay the entry fee of an on-chain Sit & Go
+  async function registerTournament(tournamentId) {
+    if (!tournamentContract || !signer) throw new Error('Tournaments are not available on this network');
+
+    try {
+      const tx = await tournamentContract.register(tournamentId);
+      console.log('Register tx:', tx.hash);
+      const receipt = await tx.wait();
+      return { success: true, txHash: tx.hash, receipt };
+    } catch (error) {
+      console.error('Error registering for tournament:', error);
+
+      let errorMessage = error.message;
+      if (error.message.includes('Already registered')) {
+        errorMessage = 'You have already joined this tournament';
+      } else if (error.message.includes('Tournament is full')) {
+        errorMessage = 'Tournament is full';
+      }
+      return { success: false, error: errorMessage };
+    }
+  }
+
+  // Close registration on-chain (the creator) so the entry fees are locked in for play
+  async function startTournament(tournamentId) {
+    if (!tournamentContract || !signer) throw new Error('Tournaments are not available on this network');
+
+    try {
+      const tx = await tournamentContract.startTournament(tournamentId);
+      console.log('Start tournament tx:', tx.hash);
+      const receipt = await tx.wait();
+      return { success: true, txHash: tx.hash, receipt };
+    } catch (error) {
+      console.error('Error starting tournament:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // An on-chain Sit & Go in the shape of getRoomDetails, or null if there is none
+  async function getTournamentDetails(tournamentId) {
+    if (!tournamentContract) return null;
+
+    try {
+      const details = await tournamentContract.getTournament(tournamentId);
+      if (details.creator === ethers.ZeroAddress) return null;
+      return {
+        creator: details.creator,
+        buyIn: details.entryFee,
+        pot: details.prizePool,
+        maxPlayers: details.maxPlayers,
+        currentPlayers: details.playerCount,
+        state: details.state, // 0 = REGISTERING, like a WAITING room
+        tournament: true
+      };
+    } catch (error) {
+      console.error('Error fetching tournament details:', error);
+      return null;
+    }
+  }
+
   async function leaveRoom(roomId) {
     if (!gameContract || !signer) throw new Error('Contract not initialized');
 
@@ -540,18 +676,48 @@ export function useContracts() {
     }
   }
 
-  // Helper function to expand short room ID to full bytes32
-  function expandRoomId(shortRoomId) {
-    // Remove "0x" if present
-    let cleanId = shortRoomId.toLowerCase().replace('0x', '');
+  // Sign the server's proposed settlement (EIP-712 typed data from settlementProposed)
+  async function signSettlement(typedData) {
+    if (!signer) throw new Error('Wallet not connected');
 
-    // Ensure it's 6 characters
-    cleanId = cleanId.padStart(6, '0');
+    try {
+      const { domain, types, message } = typedData;
+      const signature = await signer.signTypedData(domain, types, message);
+      return { success: true, signature };
+    } catch (error) {
+      console.error('Error signing settlement:', error);
+      const errorMessage = error.message.includes('user rejected') ? 'Signature rejected by user.' : error.message;
+      return { success: false, error: errorMessage };
+    }
+  }
 
-    // Add zeros to make it 64 characters (32 bytes)
-    const fullId = '0x' + cleanId.padEnd(64, '0');
+  // Object to the proposed settlement on-chain; the owner settles the room instead
+  async function disputeSettlement(roomId) {
+    if (!gameContract || !signer) throw new Error('Contract not initialized');
+
+    try {
+      const tx = await gameContract.disputeSettlement(roomId);
+      console.log('Dispute settlement tx:', tx.hash);
+      const receipt = await tx.wait();
+      console.log('Dispute settlement confirmed:', receipt);
+      return { success: true, txHash: tx.hash, receipt };
+    } catch (error) {
+      console.error('Error disputing settlement:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Helper function to look up the full bytes32 of a waiting or active room
+  // by its short ID; null if no such room
+  async function expandRoomId(shortRoomId) {
+    if (!gameContract) return null;
+
+    // Remove "0x" if present
+    const cleanId = shortRoomId.trim().toLowerCase().replace('0x', '');
+    if (!/^[0-9a-f]{6}$/.test(cleanId)) return null;
 
-    return fullId;
+    const fullId = await gameContract.roomIdByCode('0x' + cleanId);
+    return fullId === ethers.ZeroHash ? null : fullId;
   }
 
   // Helper function to get short room ID from full ID
@@ -563,6 +729,7 @@ export function useContracts() {
   return {
     tokenContract,
     gameContract,
+    tournamentContract,
     contractAddresses,
     rpcProvider,
     // Token functions
@@ -575,10 +742,16 @@ export function useContracts() {
     createRoom,
     joinRoom,
     leaveRoom,
+    createTournament,
+    registerTournament,
+    startTournament,
+    getTournamentDetails,
     getRoomDetails,
     startGame,
     declareWinner,
     settleCashGame,
+    signSettlement,
+    disputeSettlement,
     // Helper functions
     expandRoomId,
     getShortRoomId,
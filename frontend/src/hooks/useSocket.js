@@ -1,5 +1,6 @@
 import { useEffect, useState } from "react";
 import { io } from "socket.io-client";
+import { getAuthToken, clearAuth, onAuthChange } from "@/lib/auth";
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:3001";
 export function useSocket() {
   const [socket, setSocket] = useState(null);
@@ -9,8 +10,10 @@ export function useSocket() {
     const socketInstance = io(SOCKET_URL, {
       transports: ["websocket"],
       reconnection: true,
-      reconnectionAttempts: 5,
+      reconnectionAttempts: Infinity, // Seats are held while we keep trying (see resumeSession)
       reconnectionDelay: 1000,
+      // Read on every (re)connect so a fresh sign-in is picked up
+      auth: (cb) => cb({ token: getAuthToken() }),
     });
 
     socketInstance.on("connect", () => {
@@ -27,9 +30,22 @@ export function useSocket() {
       console.error("Socket error:", error);
     });
 
+    // A rejected token is dropped, and we carry on anonymously
+    socketInstance.on("connect_error", (error) => {
+      if (error.data?.code === "AUTH_INVALID") {
+        clearAuth();
+      }
+    });
+
+    // Reconnect whenever the sign-in changes so the server sees the new wallet
+    const unsubscribe = onAuthChange(() => {
+      socketInstance.disconnect().connect();
+    });
+
     setSocket(socketInstance);
 
     return () => {
+      unsubscribe();
       socketInstance.disconnect();
     };
   }, []);
@@ -1,6 +1,9 @@
 import { useState, useEffect, createContext, useContext } from 'react';
 import { useAccount, useBalance, useWalletClient, useSwitchChain } from 'wagmi';
 import { ethers } from 'ethers';
+import { fetchAuthNonce, verifySignIn } from '@/lib/api';
+import { getAuth, setAuth, clearAuth, onAuthChange } from '@/lib/auth';
+import { createSiweMessage } from '@/lib/siwe';
 
 const WalletContext = createContext();
 
@@ -13,7 +16,7 @@ export function useWallet() {
 }
 
 export function WalletProvider({ children }) {
-  const { address, isConnected, chain, connector } = useAccount();
+  const { address, isConnected, status, chain, connector } = useAccount();
   const { data: walletClient } = useWalletClient();
   const { switchChain } = useSwitchChain();
   const { data: balanceData } = useBalance({
@@ -22,6 +25,16 @@ export function WalletProvider({ children }) {
 
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
+  const [auth, setAuthState] = useState(getAuth);
+
+  useEffect(() => onAuthChange(() => setAuthState(getAuth())), []);
+
+  // A sign-in only speaks for the wallet that made it
+  useEffect(() => {
+    if (status === 'disconnected' || (address && auth && auth.address.toLowerCase() !== address.toLowerCase())) {
+      clearAuth();
+    }
+  }, [status, address, auth]);
 
   // Create ethers provider and signer from wagmi wallet client
   useEffect(() => {
@@ -69,6 +82,21 @@ export function WalletProvider({ children }) {
     }
   };
 
+  // Sign-In With Ethereum: sign a one-time message so the server knows this wallet is ours
+  const signIn = async () => {
+    if (!signer || !address) {
+      throw new Error('Please connect your wallet');
+    }
+    const nonce = await fetchAuthNonce();
+    const message = createSiweMessage({ address, chainId: chain?.id || 1, nonce });
+    const signature = await signer.signMessage(message);
+    const result = await verifySignIn(message, signature);
+    setAuth({ token: result.authToken, address: result.address, expiresAt: result.expiresAt });
+    return result.address;
+  };
+
+  const isSignedIn = !!(auth && address && auth.address.toLowerCase() === address.toLowerCase());
+
   const value = {
     account: address,
     provider,
@@ -82,6 +110,10 @@ export function WalletProvider({ children }) {
     disconnectWallet: () => {}, // Handled by wagmi useDisconnect
     switchNetwork,
     updateBalance: () => {}, // Handled by wagmi useBalance
+    isSignedIn,
+    authAddress: isSignedIn ? auth.address : null,
+    signIn,
+    signOut: clearAuth,
   };
 
   return <WalletContext.Provider value={value}>{children}</WalletContext.Provider>;
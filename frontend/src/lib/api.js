@@ -0,0 +1,102 @@
+// REST endpoints live on the same server as the socket connection
+export const API_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:3001";
+
+// Variants a room can be created with
+export async function fetchVariants() {
+  const response = await fetch(`${API_URL}/api/variants`);
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Could not load variants");
+  }
+  return data.variants;
+}
+
+// Off-chain summary of a room: variant, table rules and seats taken
+export async function fetchRoom(roomId) {
+  const response = await fetch(`${API_URL}/api/rooms/${encodeURIComponent(roomId)}`);
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Room not found");
+  }
+  return data.room;
+}
+
+// Playing styles a host can pick when adding a bot
+export async function fetchBotStrategies() {
+  const response = await fetch(`${API_URL}/api/bots`);
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Could not load bot strategies");
+  }
+  return data.strategies;
+}
+
+// The room an invite link leads to
+export async function fetchInvite(inviteToken) {
+  const response = await fetch(`${API_URL}/api/invites/${encodeURIComponent(inviteToken)}`);
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Invite link is not valid");
+  }
+  return data;
+}
+
+// Shareable link for an invite token
+export function inviteUrl(inviteToken) {
+  return `${window.location.origin}/join/${inviteToken}`;
+}
+
+// A completed hand with its event log. With the session token of a seat at the
+// table it comes in full; without it, only the hands shown at a showdown
+export async function fetchHand(handId, sessionToken) {
+  const response = await fetch(`${API_URL}/api/hands/${encodeURIComponent(handId)}`, {
+    headers: sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {},
+  });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Hand not found");
+  }
+  return data.hand;
+}
+
+// Download the plain-text history of a hand, for hand trackers or pasting into chat.
+// Fetched rather than linked so the session token stays in a header, out of the URL.
+export async function downloadHandText(handId, sessionToken) {
+  const response = await fetch(`${API_URL}/api/hands/${encodeURIComponent(handId)}?format=text`, {
+    headers: sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {},
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Hand not found");
+  }
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(await response.blob());
+  link.download = `${handId}.txt`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// One-time nonce to put in a sign-in message
+export async function fetchAuthNonce() {
+  const response = await fetch(`${API_URL}/api/auth/nonce`);
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Could not start sign-in");
+  }
+  return data.nonce;
+}
+
+// Trade a signed sign-in message for an auth token
+export async function verifySignIn(message, signature) {
+  const response = await fetch(`${API_URL}/api/auth/verify`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ message, signature }),
+  });
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "Sign-in failed");
+  }
+  return data;
+}
@@ -0,0 +1,40 @@
+// The wallet auth token from signing in (POST /api/auth/verify). Sockets send
+// it in their handshake and REST calls send it as a bearer token.
+
+const KEY = "teenpatti:auth";
+const listeners = new Set();
+
+export function getAuth() {
+  try {
+    const auth = JSON.parse(localStorage.getItem(KEY));
+    return auth && auth.expiresAt > Date.now() ? auth : null;
+  } catch {
+    return null;
+  }
+}
+
+export function getAuthToken() {
+  return getAuth()?.token || null;
+}
+
+export function setAuth({ token, address, expiresAt }) {
+  localStorage.setItem(KEY, JSON.stringify({ token, address, expiresAt }));
+  listeners.forEach((listener) => listener());
+}
+
+export function clearAuth() {
+  if (localStorage.getItem(KEY) === null) return;
+  localStorage.removeItem(KEY);
+  listeners.forEach((listener) => listener());
+}
+
+// Called whenever the token changes; returns an unsubscribe function
+export function onAuthChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function authHeaders() {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
@@ -0,0 +1,11 @@
+// Provably fair shuffle verification in the browser, with the same code the server
+// shuffles and verifies with (backend/fairness.js), so the two cannot drift apart.
+
+import { hexlify, randomBytes } from "ethers";
+
+export { hashServerSeed, deriveDeck, verifyHand } from "@backend/fairness.js";
+
+// Fresh entropy for the next hand's shuffle
+export function generateClientSeed() {
+  return hexlify(randomBytes(16));
+}
@@ -0,0 +1,124 @@
+// Rebuilds the table after every event of a recorded hand (GET /api/hands/:handId)
+
+const cardLabel = ({ rank, suit }) => `${rank}${{ hearts: "♥", diamonds: "♦", clubs: "♣", spades: "♠" }[suit] || ""}`;
+
+// One line per event, in the words the table uses
+export function describeEvent(event, nameOf) {
+  const name = nameOf(event.playerId);
+  switch (event.type) {
+    case "deal":
+      return `Hand #${event.handNumber} dealt, boot ${event.boot}`;
+    case "boot":
+      return `${name} posts the boot of ${event.amount}`;
+    case "see":
+      return `${name} sees their cards`;
+    case "chaal": {
+      const blind = event.blind ? " blind" : "";
+      if (event.allIn) return `${name} goes all-in for ${event.amount}${blind}`;
+      return `${name} ${event.raise ? "raises" : "chaals"} ${event.amount}${blind}`;
+    }
+    case "pack":
+      return `${name} packs`;
+    case "check":
+      return `${name} checks`;
+    case "show":
+      return `${name} calls a show for ${event.amount}`;
+    case "sideshow":
+      return `${name} asks ${nameOf(event.targetId)} for a sideshow`;
+    case "sideshowResult":
+      return event.accepted
+        ? `${name} accepts the sideshow, ${nameOf(event.loserId)} packs`
+        : `${name} declines the sideshow`;
+    case "timeout":
+      return `${name} runs out of time`;
+    case "leave":
+      return `${name} leaves the table`;
+    case "showdown":
+      return `Showdown: ${event.hands.map((h) => `${nameOf(h.playerId)} ${h.cards.map(cardLabel).join(" ")}`).join(", ")}`;
+    case "result":
+      return event.winners.map((w) => `${nameOf(w.id)} wins ${w.amount}`).join(", ") || "Hand over";
+    default:
+      return event.type;
+  }
+}
+
+// Table state after each event. Hole cards are face down until the showdown,
+// then the shown hands turn over; every hand is revealed once the pots are paid.
+export function buildReplayFrames(hand) {
+  const deal = hand.events.find((e) => e.type === "deal");
+  if (!deal) return [];
+
+  const cardsOf = new Map(hand.players.map((p) => [p.id, p.cards]));
+  const names = new Map(deal.players.map((p) => [p.id, p.name]));
+  const nameOf = (id) => names.get(id) || id;
+
+  let pot = 0;
+  let revealed = [];
+  let seats = deal.players.map((p) => ({
+    id: p.id,
+    name: p.name,
+    seat: p.seat,
+    chips: p.chips,
+    currentBet: 0,
+    isFolded: false,
+    isAllIn: false,
+    hasSeenCards: false,
+    inHand: true,
+  }));
+
+  const update = (id, changes) => {
+    seats = seats.map((p) => (p.id === id ? { ...p, ...changes } : p));
+  };
+  const pay = (id, amount) => {
+    const player = seats.find((p) => p.id === id);
+    pot += amount;
+    update(id, { chips: player.chips - amount, currentBet: amount, isAllIn: player.chips === amount });
+  };
+
+  return hand.events.map((event) => {
+    switch (event.type) {
+      case "boot":
+      case "chaal":
+      case "show":
+      case "sideshow":
+        pay(event.playerId, event.amount);
+        break;
+      case "see":
+        update(event.playerId, { hasSeenCards: true });
+        break;
+      case "pack":
+      case "leave":
+        update(event.playerId, { isFolded: true });
+        break;
+      case "sideshowResult":
+        if (event.accepted) update(event.loserId, { isFolded: true });
+        break;
+      case "showdown":
+        revealed = event.hands.map((h) => h.playerId);
+        event.hands.forEach((h) => cardsOf.set(h.playerId, h.cards));
+        break;
+      case "result":
+        revealed = [...cardsOf.keys()];
+        event.winners.forEach((w) => {
+          const player = seats.find((p) => p.id === w.id);
+          update(w.id, { chips: player.chips + w.amount });
+        });
+        seats = seats.map((p) => ({ ...p, currentBet: 0 }));
+        break;
+      default:
+        break;
+    }
+
+    return {
+      event,
+      description: describeEvent(event, nameOf),
+      actorId: event.playerId || null,
+      dealerId: deal.dealerId,
+      jokerCard: deal.jokerCard,
+      pot,
+      players: seats,
+      cards: Object.fromEntries(seats.map((p) => [p.id, revealed.includes(p.id) ? cardsOf.get(p.id) : null])),
+      winnerIds: event.type === "result" ? event.winners.map((w) => w.id) : [],
+    };
+  });
+}
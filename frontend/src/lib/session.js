@@ -0,0 +1,18 @@
+// Session tokens the server hands out on create/join, kept per room so a
+// reload or a dropped connection can take the seat back (resumeSession)
+
+const key = (roomId) => `teenpatti:session:${roomId}`;
+
+export function saveSessionToken(roomId, token) {
+  if (roomId && token) {
+    localStorage.setItem(key(roomId), token);
+  }
+}
+
+export function getSessionToken(roomId) {
+  return roomId ? localStorage.getItem(key(roomId)) : null;
+}
+
+export function clearSessionToken(roomId) {
+  localStorage.removeItem(key(roomId));
+}
@@ -0,0 +1,22 @@
+// Sign-In With Ethereum (EIP-4361) message, as checked by backend/siwe.js
+
+export const SIGN_IN_STATEMENT = "Sign in to Teen Patti to play with this wallet.";
+
+// Signing in is only good for a few minutes before the server must see it
+const MESSAGE_TTL_MS = 5 * 60 * 1000;
+
+export function createSiweMessage({ address, chainId, nonce, now = new Date() }) {
+  return [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    SIGN_IN_STATEMENT,
+    "",
+    `URI: ${window.location.origin}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${now.toISOString()}`,
+    `Expiration Time: ${new Date(now.getTime() + MESSAGE_TTL_MS).toISOString()}`,
+  ].join("\n");
+}
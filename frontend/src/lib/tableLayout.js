@@ -0,0 +1,53 @@
+// Where each seat sits around the table, counted from the bottom (hero) seat
+
+// Side of the table a seat is on; PlayerSeat places its cards from this
+export function getPlayerPosition(index, total) {
+  if (total <= 2) {
+    return index === 0 ? "bottom" : "right"; // Visually on the right
+  }
+  if (total === 3) {
+    return ["bottom", "left", "right"][index];
+  }
+  if (total === 4) {
+    return ["bottom", "left", "top", "right"][index];
+  }
+  if (total === 5) {
+    return ["bottom", "left", "top", "right", "right"][index];
+  }
+  return ["bottom", "left", "left", "top", "right", "right"][index];
+}
+
+// Responsive positioning classes for a seat in the players overlay
+export function getSeatClasses(index, total) {
+  let positionClasses = "absolute pointer-events-auto transition-all duration-500";
+
+  // Hero (Bottom Center)
+  if (index === 0) {
+    positionClasses += " bottom-[5%] md:bottom-[2%] left-1/2 -translate-x-1/2";
+  }
+  // Opponent Logic for 2 Players
+  else if (total === 2) {
+    positionClasses += " top-[15%] md:top-[10%] right-[5%] md:right-[20%]";
+  }
+  // 3 Players Layout
+  else if (total === 3) {
+    if (index === 1) positionClasses += " bottom-[25%] md:bottom-[20%] left-[5%] md:left-[12%]";
+    else if (index === 2) positionClasses += " bottom-[25%] md:bottom-[20%] right-[5%] md:right-[12%]";
+  }
+  // 4 Players Layout
+  else if (total === 4) {
+    if (index === 1) positionClasses += " bottom-[30%] md:bottom-[25%] left-[3%] md:left-[8%]";
+    else if (index === 2) positionClasses += " top-[15%] md:top-[12%] left-[8%] md:left-[15%]";
+    else if (index === 3) positionClasses += " bottom-[30%] md:bottom-[25%] right-[3%] md:right-[8%]";
+  }
+  // Standard 5-6 Players Logic
+  else {
+    if (index === 1) positionClasses += " bottom-[25%] md:bottom-[20%] left-[2%] md:left-[10%]";
+    else if (index === 2) positionClasses += " top-[20%] md:top-[15%] left-[5%] md:left-[15%]";
+    else if (index === 3) positionClasses += " top-[10%] md:top-[8%] left-1/2 -translate-x-1/2";
+    else if (index === 4) positionClasses += " top-[20%] md:top-[15%] right-[5%] md:right-[15%]";
+    else if (index === 5) positionClasses += " bottom-[25%] md:bottom-[20%] right-[2%] md:right-[10%]";
+  }
+
+  return positionClasses;
+}
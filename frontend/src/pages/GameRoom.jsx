@@ -13,29 +13,67 @@ import {
   Trophy,
   Coins,
   Loader2,
+  Swords,
+  Timer,
+  ShieldCheck,
+  Coffee,
+  LogOut,
+  Flag,
+  History,
+  Bot,
+  Lock,
+  Unlock,
+  Link2,
 } from "lucide-react";
 import Button from "@/components/Button";
 import PlayerSeat from "@/components/PlayerSeat";
 import PlayingCard from "@/components/PlayingCard";
+import VerifyHandModal from "@/components/VerifyHandModal";
+import ChatPanel from "@/components/ChatPanel";
+import SettlementReview from "@/components/SettlementReview";
+import { generateClientSeed } from "@/lib/fairness";
+import { API_URL, fetchBotStrategies, inviteUrl } from "@/lib/api";
+import { getPlayerPosition, getSeatClasses } from "@/lib/tableLayout";
+import { getSessionToken, saveSessionToken, clearSessionToken } from "@/lib/session";
+import { authHeaders } from "@/lib/auth";
 import { formatChips } from "@/lib/utils";
 import { useContracts } from "@/hooks/useContracts";
 import GameABI from "@/contracts/TeenPattiGame.json";
 import addresses from "@/contracts/addresses.json";
 
+// When the Sit & Go boot goes up next (mirrors levelFor in backend/tournament.js)
+function nextLevelText(tournament, handsPlayed) {
+  const { level, levels, levelBy, levelEvery, startedAt, startHand } = tournament;
+  if (level >= levels.length - 1) return "Top level reached.";
+  const nextBoot = formatChips(levels[level + 1]);
+  if (levelBy === "hands") {
+    const hands = (level + 1) * levelEvery - (handsPlayed - startHand);
+    return `Boot goes up to ${nextBoot} in ${hands} hand${hands === 1 ? "" : "s"}.`;
+  }
+  const minutes = Math.max(1, Math.ceil((startedAt + (level + 1) * levelEvery - Date.now()) / 60000));
+  return `Boot goes up to ${nextBoot} in about ${minutes} min.`;
+}
+
 export default function GameRoom({ socket }) {
   const { roomId } = useParams();
   const location = useLocation();
   const navigate = useNavigate();
-  const { startGame: blockchainStartGame, settleCashGame } = useContracts();
+  const { startGame: blockchainStartGame, startTournament, settleCashGame, signSettlement, disputeSettlement } = useContracts();
 
   const [playerId, setPlayerId] = useState(location.state?.playerId || "");
+  const [spectating] = useState(!!location.state?.spectating); // Watching without a seat
   const [playerName, setPlayerName] = useState(
     location.state?.playerName || ""
   );
-  const [blockchainRoomId] = useState(
-    location.state?.blockchainRoomId || roomId
+  // Practice rooms are opened with blockchainRoomId: null; otherwise assume the
+  // room id is the on-chain one until the server says which it is
+  const [initialBlockchainRoomId] = useState(
+    location.state && "blockchainRoomId" in location.state
+      ? location.state.blockchainRoomId
+      : roomId
   );
   const [gameState, setGameState] = useState(null);
+  const blockchainRoomId = gameState ? gameState.blockchainRoomId : initialBlockchainRoomId;
   const [myCards, setMyCards] = useState([]);
   const [allPlayerCards, setAllPlayerCards] = useState({}); // Store all players' cards for showdown
   const [isShowdown, setIsShowdown] = useState(false);
@@ -47,6 +85,26 @@ export default function GameRoom({ socket }) {
   const [startingGame, setStartingGame] = useState(false);
   const [gameEnded, setGameEnded] = useState(false);
   const [winnerInfo, setWinnerInfo] = useState(null);
+  const [sideshowRequest, setSideshowRequest] = useState(null); // Incoming/outgoing sideshow request
+  const [sideshowReveal, setSideshowReveal] = useState(null); // Private sideshow comparison
+  const [sideshowSecondsLeft, setSideshowSecondsLeft] = useState(0);
+  const [turnClock, setTurnClock] = useState(null); // { deadline, turnTimeMs } for the player on turn
+  const [committedSeedHash, setCommittedSeedHash] = useState(null); // Seed hash announced before the deal
+  const [handFairness, setHandFairness] = useState(null); // Seeds revealed in gameEnded (spectatorReveal for spectators)
+  const [showVerify, setShowVerify] = useState(false);
+  const [lastHandId, setLastHandId] = useState(null); // Recorded hand the replay link opens
+  const [nextHandAt, setNextHandAt] = useState(null); // When the next hand of the session is dealt
+  const [nextHandSeconds, setNextHandSeconds] = useState(0);
+  const [sessionSummary, setSessionSummary] = useState(null); // Final stacks once the session ends
+  const [settlementError, setSettlementError] = useState(null);
+  const [settlementProposal, setSettlementProposal] = useState(null); // Final stacks waiting for co-signatures
+  const [signingSettlement, setSigningSettlement] = useState(false);
+  const [botStrategies, setBotStrategies] = useState([]);
+  const [botStrategy, setBotStrategy] = useState("loose");
+  const [spectatorReveal, setSpectatorReveal] = useState(null); // { handNumber, cards } sent to spectators after a hand
+  const [chatMessages, setChatMessages] = useState([]);
+  const [mutedIds, setMutedIds] = useState([]); // Players whose chat we don't see
+  const [reactions, setReactions] = useState({}); // Latest emoji reaction by player id
 
   // Use wagmi's useReadContract to fetch room details reactively
   const { data: blockchainRoomDetails, refetch: refetchRoomDetails } =
@@ -76,14 +134,158 @@ export default function GameRoom({ socket }) {
     }
   }, [blockchainRoomDetails]);
 
+  // Strategies for the host's Add Bot control (off-chain rooms only)
+  const isOffChainRoom = gameState ? !gameState.blockchainRoomId : false;
+  useEffect(() => {
+    if (!isOffChainRoom) return;
+    fetchBotStrategies()
+      .then(setBotStrategies)
+      .catch((err) => console.error("Failed to load bot strategies:", err));
+  }, [isOffChainRoom]);
+
   // Update ref on every render
   useEffect(() => {
     handleSettleCashGameRef.current = handleSettleCashGame;
   });
 
+  // Take the seat back after a reload or a dropped connection
   useEffect(() => {
-    if (!socket || !playerId) {
+    if (!socket) return;
+
+    const resume = () => {
+      const sessionToken = getSessionToken(roomId);
+      if (sessionToken) {
+        socket.emit("resumeSession", { sessionToken });
+      }
+    };
+
+    const handleResumed = ({ roomId: resumedRoomId, playerId: resumedId, playerName: resumedName, sessionToken, turnTimeMs, cards, gameState: newGameState }) => {
+      if (resumedRoomId !== roomId) return;
+      saveSessionToken(roomId, sessionToken);
+      setPlayerId(resumedId);
+      setPlayerName(resumedName);
+      setGameState(newGameState);
+      setMyCards(cards);
+      setTurnClock(newGameState.turnDeadline ? { deadline: newGameState.turnDeadline, turnTimeMs } : null);
+
+      // Pick up a sideshow that was asked while we were away
+      const pending = newGameState.pendingSideshow;
+      const nameOf = (id) => newGameState.players.find((p) => p.id === id)?.name || "";
+      setSideshowRequest(
+        pending
+          ? { ...pending, requesterName: nameOf(pending.requesterId), targetName: nameOf(pending.targetId) }
+          : null
+      );
+    };
+
+    const handleResumeFailed = ({ message: reason }) => {
+      clearSessionToken(roomId);
+      setMessage(`Error: ${reason}`);
+      navigate("/");
+    };
+
+    // The seat was taken back from another tab or device
+    const handleReplaced = () => {
       navigate("/");
+    };
+
+    socket.on("connect", resume);
+    socket.on("sessionResumed", handleResumed);
+    socket.on("resumeFailed", handleResumeFailed);
+    socket.on("sessionReplaced", handleReplaced);
+    if (socket.connected) {
+      resume();
+    }
+
+    return () => {
+      socket.off("connect", resume);
+      socket.off("sessionResumed", handleResumed);
+      socket.off("resumeFailed", handleResumeFailed);
+      socket.off("sessionReplaced", handleReplaced);
+    };
+  }, [socket, roomId, navigate]);
+
+  // Chat arrives right after joining, resuming or watching: listen from the start
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleHistory = ({ messages, mutedIds: ids }) => {
+      setChatMessages(messages);
+      setMutedIds(ids);
+    };
+    const handleMessage = (chatMessage) => {
+      setChatMessages((list) => [...list, chatMessage].slice(-50));
+    };
+    const handleMuted = ({ mutedIds: ids }) => {
+      setMutedIds(ids);
+      setChatMessages((list) => list.filter((m) => !ids.includes(m.playerId)));
+    };
+    const handleReaction = ({ playerId: reactingId, emoji }) => {
+      setReactions((prev) => ({ ...prev, [reactingId]: { emoji, key: Date.now() } }));
+    };
+
+    socket.on("chatHistory", handleHistory);
+    socket.on("chatMessage", handleMessage);
+    socket.on("mutedPlayers", handleMuted);
+    socket.on("reaction", handleReaction);
+
+    return () => {
+      socket.off("chatHistory", handleHistory);
+      socket.off("chatMessage", handleMessage);
+      socket.off("mutedPlayers", handleMuted);
+      socket.off("reaction", handleReaction);
+    };
+  }, [socket]);
+
+  // Spectators ask to watch on every (re)connect and get public updates only
+  useEffect(() => {
+    if (!socket || !spectating) return;
+
+    const watch = () => socket.emit("watchRoom", { roomId });
+
+    const handleWatching = ({ roomId: watchedRoomId, turnTimeMs, gameState: newGameState }) => {
+      if (watchedRoomId !== roomId) return;
+      setGameState(newGameState);
+      setTurnClock(newGameState.turnDeadline ? { deadline: newGameState.turnDeadline, turnTimeMs } : null);
+    };
+
+    // The hand's seeds come with the reveal, so spectators can verify the deal then
+    const handleReveal = (reveal) => {
+      setSpectatorReveal(reveal);
+      if (reveal.fairness) {
+        setHandFairness(reveal.fairness);
+      }
+    };
+
+    const handleClosed = () => {
+      setMessage("This room has closed");
+      setTimeout(() => navigate("/"), 3000);
+    };
+
+    socket.on("connect", watch);
+    socket.on("watchingRoom", handleWatching);
+    socket.on("spectatorReveal", handleReveal);
+    socket.on("roomClosed", handleClosed);
+    if (socket.connected) {
+      watch();
+    }
+
+    return () => {
+      socket.off("connect", watch);
+      socket.off("watchingRoom", handleWatching);
+      socket.off("spectatorReveal", handleReveal);
+      socket.off("roomClosed", handleClosed);
+      socket.emit("unwatchRoom");
+    };
+  }, [socket, spectating, roomId, navigate]);
+
+  useEffect(() => {
+    if (!socket) return;
+    if (!playerId && !spectating) {
+      // Nothing to show unless there is a seat to resume
+      if (!getSessionToken(roomId)) {
+        navigate("/");
+      }
       return;
     }
 
@@ -98,6 +300,15 @@ export default function GameRoom({ socket }) {
 
     socket.on("gameStarted", async ({ gameState: newGameState }) => {
       setGameState(newGameState);
+      setCommittedSeedHash(newGameState.serverSeedHash);
+      setHandFairness(null);
+      // Clear the previous hand of the session
+      setGameEnded(false);
+      setWinnerInfo(null);
+      setMyCards([]);
+      setAllPlayerCards({});
+      setShowCards(false);
+      setNextHandAt(null);
       setMessage("Game started! Place your bets.");
       setTimeout(() => setMessage(""), 3000);
       // Refresh blockchain data immediately
@@ -118,6 +329,7 @@ export default function GameRoom({ socket }) {
         playerId: actionPlayerId,
         action,
         amount,
+        auto,
         gameState: newGameState,
       }) => {
         setGameState(newGameState);
@@ -125,17 +337,22 @@ export default function GameRoom({ socket }) {
           (p) => p.id === actionPlayerId
         );
         if (player) {
-          if (action === "fold" || action === "pack") {
+          if (auto) {
+            setMessage(`${player.name} ran out of time (${action === "check" ? "checked" : "packed"})`);
+          } else if (action === "fold" || action === "pack") {
             setMessage(`${player.name} folded`);
           } else if (action === "bet" || action === "chaal") {
             setMessage(`${player.name} bet ${formatChips(amount)}`);
+          } else if (action === "show") {
+            setMessage(`${player.name} called a show${amount > 0 ? ` for ${formatChips(amount)}` : ""}`);
           }
           setTimeout(() => setMessage(""), 3000);
         }
       }
     );
 
-    socket.on("turnChanged", ({ currentPlayerId, currentPlayerName }) => {
+    socket.on("turnChanged", ({ currentPlayerId, currentPlayerName, deadline, turnTimeMs }) => {
+      setTurnClock(deadline ? { deadline, turnTimeMs } : null);
       if (currentPlayerId === playerId) {
         setMessage("It's your turn!");
       } else {
@@ -144,6 +361,44 @@ export default function GameRoom({ socket }) {
       setTimeout(() => setMessage(""), 3000);
     });
 
+    socket.on("turnExtended", ({ deadline, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setTurnClock((clock) => (clock ? { ...clock, deadline } : clock));
+    });
+
+    socket.on("sideshowRequested", ({ gameState: newGameState, ...request }) => {
+      setGameState(newGameState);
+      setTurnClock(null); // The turn clock waits for the answer
+      setSideshowRequest(request);
+      if (request.targetId === playerId) {
+        setMessage(`${request.requesterName} asks you for a sideshow`);
+      } else {
+        setMessage(`${request.requesterName} asked ${request.targetName} for a sideshow`);
+      }
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on(
+      "sideshowResult",
+      ({ accepted, expired, loserId, gameState: newGameState }) => {
+        setGameState(newGameState);
+        setSideshowRequest(null);
+        if (!accepted) {
+          setMessage(expired ? "Sideshow timed out" : "Sideshow declined");
+        } else {
+          const loser = newGameState.players.find((p) => p.id === loserId);
+          setMessage(`Sideshow: ${loser ? loser.name : "Player"} packed`);
+        }
+        setTimeout(() => setMessage(""), 3000);
+      }
+    );
+
+    // Only sent to the two players involved in the sideshow
+    socket.on("sideshowReveal", (reveal) => {
+      setSideshowReveal(reveal);
+      setTimeout(() => setSideshowReveal(null), 5000);
+    });
+
     socket.on("showdownStarted", ({ allCards, gameState: newGameState }) => {
       setGameState(newGameState);
       setShowCards(true);
@@ -164,8 +419,14 @@ export default function GameRoom({ socket }) {
       // Let's check PlayerSeat logic.
     });
 
-    socket.on("gameEnded", async ({ winner, pot, allCards, reason, playerChips }) => {
+    socket.on("gameEnded", ({ handId, winner, winners, pot, allCards, reason, fairness, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setLastHandId(handId || null);
       setIsShowdown(false); // End showdown mode
+      setTurnClock(null);
+      if (fairness) {
+        setHandFairness(fairness);
+      }
       if (allCards) {
         // Show all cards at the end
         setShowCards(true);
@@ -175,22 +436,120 @@ export default function GameRoom({ socket }) {
       setGameEnded(true);
 
       if (winner) {
-        setWinnerInfo({ name: winner.name, pot, reason, playerChips });
+        // Tied hands split the pot: list everyone who took a share
+        const isSplit = winners?.length > 1;
+        const name = isSplit ? winners.map((w) => w.name).join(" & ") : winner.name;
+        setWinnerInfo({ name, winners, isSplit, pot, reason });
         setMessage(
-          `${winner.name} wins ${formatChips(pot)} chips! ${reason || ""}`
+          isSplit
+            ? `Split pot! ${winners.map((w) => `${w.name} +${formatChips(w.amount)}`).join(", ")} ${reason || ""}`
+            : `${winner.name} wins ${formatChips(pot)} chips! ${reason || ""}`
         );
-
-        // Settle cash game on blockchain with proportional payouts
-        if (blockchainRoomId && playerChips && handleSettleCashGameRef.current) {
-          await handleSettleCashGameRef.current(playerChips);
-        }
       } else {
         setMessage(`Game ended. ${reason || ""}`);
       }
     });
 
+    socket.on("nextHandScheduled", ({ startsAt }) => {
+      setNextHandAt(startsAt);
+    });
+
+    socket.on("waitingForPlayers", ({ gameState: newGameState }) => {
+      setGameState(newGameState);
+      setNextHandAt(null);
+    });
+
+    socket.on("sitOutChanged", ({ gameState: newGameState }) => {
+      setGameState(newGameState);
+    });
+
+    socket.on("playerCashedOut", ({ playerName: cashedOutName, chips, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(`${cashedOutName} cashed out with ${formatChips(chips)} chips`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("cashedOut", () => {
+      clearSessionToken(roomId);
+      navigate("/");
+    });
+
+    socket.on("kicked", ({ message: kickMessage }) => {
+      clearSessionToken(roomId);
+      setMessage(kickMessage);
+      setTimeout(() => navigate("/"), 3000);
+    });
+
+    socket.on("spectatorsChanged", ({ spectators }) => {
+      setGameState((state) => (state ? { ...state, spectators } : state));
+    });
+
+    socket.on("roomLockChanged", ({ locked, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(locked ? "The table is locked" : "The table is open again");
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("inviteCreated", async ({ inviteToken, expiresAt }) => {
+      const hours = Math.round((expiresAt - Date.now()) / 3600000);
+      try {
+        await navigator.clipboard.writeText(inviteUrl(inviteToken));
+        setMessage(`Invite link copied! It works for ${hours}h`);
+      } catch {
+        setMessage(`Invite link: ${inviteUrl(inviteToken)}`);
+      }
+      setTimeout(() => setMessage(""), 5000);
+    });
+
+    // Sit & Go: the boot went up, players were knocked out, the last stack won
+    socket.on("blindLevelUp", ({ level, boot, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(`Level ${level}: the boot is now ${formatChips(boot)}`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("playersEliminated", ({ eliminated, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(eliminated.map((e) => `${e.name} ${e.forfeited ? "left" : "is out"} in place ${e.place}`).join(". "));
+      setTimeout(() => setMessage(""), 4000);
+    });
+
+    socket.on("tournamentFinished", ({ standings, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setMessage(`${standings[0]?.name} wins the tournament!`);
+      setTimeout(() => setMessage(""), 5000);
+    });
+
+    // The session is over: the final stacks are settled in one go
+    socket.on("sessionEnded", ({ reason, handsPlayed, playerChips, gameState: newGameState }) => {
+      setGameState(newGameState);
+      setNextHandAt(null);
+      setSessionSummary({ reason, handsPlayed, playerChips });
+      setMessage(`Session over after ${handsPlayed} hands. ${reason || ""}`);
+      setTimeout(() => setMessage(""), 5000);
+    });
+
+    socket.on("settlementFailed", ({ error }) => {
+      setSettlementError(error);
+    });
+
+    // Signed-settlement rooms: the final stacks wait for the players' signatures
+    socket.on("settlementProposed", (proposal) => {
+      setSettlementProposal({ ...proposal, disputed: false });
+    });
+
+    socket.on("settlementSigned", ({ signers, signaturesRequired }) => {
+      setSettlementProposal((prev) => prev && { ...prev, signers, signaturesRequired });
+    });
+
+    socket.on("settlementDisputed", () => {
+      setSettlementProposal((prev) => prev && { ...prev, disputed: true });
+    });
+
     // Listen for settlement confirmation from backend
     socket.on("gameSettled", ({ txHash }) => {
+      setSettlementError(null);
+      setSettlementProposal(null);
       console.log("Game settled on blockchain:", txHash);
       setMessage(`💰 Tokens distributed! TX: ${txHash.slice(0, 10)}...`);
       setTimeout(() => setMessage(""), 5000);
@@ -205,6 +564,22 @@ export default function GameRoom({ socket }) {
       }
     );
 
+    // A player's connection dropped; their seat is held until reconnectDeadline
+    socket.on("playerDisconnected", ({ playerId: awayId, reconnectDeadline, gameState: newGameState }) => {
+      setGameState(newGameState);
+      const name = newGameState.players.find((p) => p.id === awayId)?.name || "A player";
+      const seconds = Math.round((reconnectDeadline - Date.now()) / 1000);
+      setMessage(`${name} lost connection. Holding their seat for ${seconds}s`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
+    socket.on("playerReconnected", ({ playerId: backId, gameState: newGameState }) => {
+      setGameState(newGameState);
+      const name = newGameState.players.find((p) => p.id === backId)?.name || "A player";
+      setMessage(`${name} is back`);
+      setTimeout(() => setMessage(""), 3000);
+    });
+
     socket.on("error", ({ message: errorMessage }) => {
       setMessage(`Error: ${errorMessage}`);
       setTimeout(() => setMessage(""), 3000);
@@ -217,11 +592,35 @@ export default function GameRoom({ socket }) {
       socket.off("playerSawCards");
       socket.off("actionPerformed");
       socket.off("turnChanged");
+      socket.off("turnExtended");
+      socket.off("sideshowRequested");
+      socket.off("sideshowResult");
+      socket.off("sideshowReveal");
       socket.off("gameEnded");
+      socket.off("nextHandScheduled");
+      socket.off("waitingForPlayers");
+      socket.off("sitOutChanged");
+      socket.off("playerCashedOut");
+      socket.off("cashedOut");
+      socket.off("kicked");
+      socket.off("roomLockChanged");
+      socket.off("spectatorsChanged");
+      socket.off("inviteCreated");
+      socket.off("blindLevelUp");
+      socket.off("playersEliminated");
+      socket.off("tournamentFinished");
+      socket.off("sessionEnded");
+      socket.off("settlementFailed");
+      socket.off("settlementProposed");
+      socket.off("settlementSigned");
+      socket.off("settlementDisputed");
+      socket.off("gameSettled");
       socket.off("playerLeft");
+      socket.off("playerDisconnected");
+      socket.off("playerReconnected");
       socket.off("error");
     };
-  }, [socket, playerId, navigate]);
+  }, [socket, playerId, spectating, roomId, navigate]);
 
   // Sync showCards state with gameState
   useEffect(() => {
@@ -378,6 +777,40 @@ export default function GameRoom({ socket }) {
     };
   }, [socket, gameState]);
 
+  // Add fresh entropy of our own to the next shuffle whenever the table is between hands
+  const isBetweenHands = gameState ? !gameState.gameStarted : false;
+  useEffect(() => {
+    if (socket && isBetweenHands) {
+      socket.emit("setClientSeed", { seed: generateClientSeed() });
+    }
+  }, [socket, isBetweenHands]);
+
+  // Countdown to the next hand of the session
+  useEffect(() => {
+    if (!nextHandAt) return;
+
+    const tick = () => {
+      setNextHandSeconds(Math.max(0, Math.ceil((nextHandAt - Date.now()) / 1000)));
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [nextHandAt]);
+
+  // Countdown for a pending sideshow request
+  useEffect(() => {
+    if (!sideshowRequest) return;
+
+    const tick = () => {
+      setSideshowSecondsLeft(
+        Math.max(0, Math.ceil((sideshowRequest.expiresAt - Date.now()) / 1000))
+      );
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [sideshowRequest]);
+
   // Winner Animation Effect
   useEffect(() => {
     if (gameEnded && winnerInfo) {
@@ -432,9 +865,9 @@ export default function GameRoom({ socket }) {
   };
 
   const handleStartGame = async () => {
+    // Off-chain rooms have no buy-ins to lock: the server deals straight away
     if (!blockchainRoomId) {
-      setMessage("No blockchain room ID found");
-      setTimeout(() => setMessage(""), 3000);
+      socket.emit("startGame");
       return;
     }
 
@@ -442,8 +875,10 @@ export default function GameRoom({ socket }) {
     setMessage("Starting game on blockchain...");
 
     try {
-      // Call blockchain startGame function
-      const result = await blockchainStartGame(blockchainRoomId);
+      // Call blockchain startGame function; a Sit & Go closes registration on the tournament contract
+      const result = gameState?.tournament
+        ? await startTournament(blockchainRoomId)
+        : await blockchainStartGame(blockchainRoomId);
 
       if (!result.success) {
         throw new Error(result.error || "Failed to start game on blockchain");
@@ -485,6 +920,38 @@ export default function GameRoom({ socket }) {
     }
   };
 
+  // Co-sign the proposed final stacks with the connected wallet
+  const handleSignSettlement = async () => {
+    setSigningSettlement(true);
+    try {
+      const result = await signSettlement(settlementProposal.typedData);
+      if (!result.success) throw new Error(result.error);
+      socket.emit("signSettlement", { signature: result.signature });
+    } catch (err) {
+      setMessage(`Error: ${err.message}`);
+      setTimeout(() => setMessage(""), 5000);
+    } finally {
+      setSigningSettlement(false);
+    }
+  };
+
+  // Object on-chain; the server then settles the room on its own
+  const handleDisputeSettlement = async () => {
+    setSigningSettlement(true);
+    try {
+      const result = await disputeSettlement(blockchainRoomId);
+      if (!result.success) throw new Error(result.error);
+      socket.emit("settlementDisputed");
+      setMessage("Dispute recorded on-chain");
+      setTimeout(() => setMessage(""), 5000);
+    } catch (err) {
+      setMessage(`Error: ${err.message}`);
+      setTimeout(() => setMessage(""), 5000);
+    } finally {
+      setSigningSettlement(false);
+    }
+  };
+
   // Ref to access latest handleSettleCashGame in socket callback
   const handleSettleCashGameRef = useRef(null);
 
@@ -524,9 +991,9 @@ export default function GameRoom({ socket }) {
 
       console.log("Calling backend API:", { roomId, blockchainRoomId, playerChips });
 
-      const response = await fetch('http://localhost:3001/api/settle-game', {
+      const response = await fetch(`${API_URL}/api/settle-game`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
         body: JSON.stringify({ roomId, blockchainRoomId, playerChips })
       });
 
@@ -586,8 +1053,53 @@ export default function GameRoom({ socket }) {
     socket.emit("show");
   };
 
+  const handleToggleSitOut = () => {
+    socket.emit("sitOut", { sittingOut: !currentPlayer?.sittingOut });
+  };
+
+  const handleCashOut = () => {
+    socket.emit("cashOut");
+  };
+
+  const handleEndSession = () => {
+    socket.emit("endSession");
+  };
+
+  const handleAddBot = () => {
+    socket.emit("addBot", { strategy: botStrategy });
+  };
+
+  const handleRemoveBot = (botId) => {
+    socket.emit("removeBot", { playerId: botId });
+  };
+
+  const handleKickPlayer = (kickedId) => {
+    socket.emit("kickPlayer", { playerId: kickedId });
+  };
+
+  const handleToggleLock = () => {
+    socket.emit("setRoomLocked", { locked: !gameState.locked });
+  };
+
+  const handleCreateInvite = () => {
+    socket.emit("createInvite");
+  };
+
+  const handleUseTimeBank = () => {
+    socket.emit("useTimeBank");
+  };
+
+  const handleRequestSideshow = () => {
+    socket.emit("requestSideshow");
+  };
+
+  const handleSideshowResponse = (accepted) => {
+    socket.emit("sideshowResponse", { accepted });
+  };
+
   const handleLeaveRoom = () => {
     socket.emit("leaveRoom");
+    clearSessionToken(roomId);
     navigate("/");
   };
 
@@ -634,6 +1146,16 @@ export default function GameRoom({ socket }) {
   }
 
   const currentPlayer = gameState?.players.find((p) => p.id === playerId);
+
+  // Cards face up on the table; spectators also get every hand of the last deal once the reveal delay is over
+  const revealedCards =
+    spectatorReveal && spectatorReveal.handNumber === gameState.handNumber && !gameState.gameStarted
+      ? spectatorReveal.cards
+      : null;
+  const shownCards = revealedCards
+    ? { ...allPlayerCards, ...revealedCards }
+    : showCards ? allPlayerCards : {};
+
   const isMyTurn =
     gameState?.currentPlayerIndex !== undefined &&
     gameState?.players[gameState.currentPlayerIndex]?.id === playerId;
@@ -654,37 +1176,78 @@ export default function GameRoom({ socket }) {
     playerId &&
     roomCreator.toLowerCase() === playerId.toLowerCase();
 
-  const canStartGame =
-    blockchainRoomDetails &&
+  const isHost = gameState.hostId === playerId;
+
+  const canStartGame = !blockchainRoomId
+    ? isHost && !gameState.sessionActive && gameState.players.length >= 2
+    : blockchainRoomDetails &&
     isCreator && // Must be the room creator
+    !gameState.sessionActive && // Later hands are dealt automatically
     Number(roomState) === 0 && // 0 = WAITING
     Number(roomCurrentPlayers) >= 2;
 
-  // Calculate min and max bet
-  const minBet = currentPlayer?.isBlind
-    ? gameState.currentBet
-    : gameState.currentBet * 2;
-  const maxBet = currentPlayer?.isBlind
-    ? gameState.currentBet * 2
-    : gameState.currentBet * 4;
-
-  // Position players around the table
-  const getPlayerPosition = (index, total) => {
-    if (total <= 2) {
-      return index === 0 ? "bottom" : "right"; // Visually on the right
-    }
-    if (total === 3) {
-      return ["bottom", "left", "right"][index];
-    }
-    if (total === 4) {
-      return ["bottom", "left", "top", "right"][index];
-    }
-    if (total === 5) {
-      return ["bottom", "left", "top", "right", "right"][index];
-    }
-    return ["bottom", "left", "left", "top", "right", "right"][index];
+  // Session controls: cash out whenever you are not contesting a hand.
+  // A tournament has neither: it runs until one player has all the chips
+  const tournament = gameState.tournament;
+  const canCashOut =
+    gameState.sessionActive &&
+    !tournament &&
+    !(gameState.gameStarted && currentPlayer?.inHand && !currentPlayer?.isFolded);
+  const canEndSession = isHost && gameState.sessionActive && !gameState.gameStarted && !tournament;
+  const eliminatedIds = new Set((tournament?.eliminated || []).map((e) => e.id));
+
+  // Bots fill seats in off-chain rooms, between hands
+  const canManageBots = isHost && !blockchainRoomId && !gameState.gameStarted;
+
+  // Kicking and locking only before the session starts
+  const canControlTable = isHost && !blockchainRoomId && !gameState.sessionActive;
+
+  const removeControl = (player) => {
+    if (player.isBot) return canManageBots ? () => handleRemoveBot(player.id) : null;
+    return canControlTable && player.id !== playerId ? () => handleKickPlayer(player.id) : null;
   };
 
+  // Sideshow is only possible against the previous non-folded player, both seen, with 3+ players left
+  const activePlayerCount = gameState.players.filter((p) => !p.isFolded).length;
+  const previousActivePlayer = (() => {
+    const myIndex = gameState.players.findIndex((p) => p.id === playerId);
+    if (myIndex === -1) return null;
+    for (let offset = 1; offset < gameState.players.length; offset++) {
+      const candidate =
+        gameState.players[(myIndex - offset + gameState.players.length) % gameState.players.length];
+      if (!candidate.isFolded) return candidate;
+    }
+    return null;
+  })();
+  const canRequestSideshow =
+    isMyTurn &&
+    !gameState.pendingSideshow &&
+    currentPlayer?.hasSeenCards &&
+    activePlayerCount >= 3 &&
+    previousActivePlayer?.hasSeenCards;
+
+  // Chaal and raise amounts, as Game.playerAction expects them: blind players pay half
+  const rules = gameState.rules;
+  const minBet = currentPlayer?.isBlind
+    ? gameState.currentBet / 2
+    : gameState.currentBet;
+  const maxBet = minBet * 2;
+  const myChips = currentPlayer?.chips ?? 0;
+  const chaalAmount = Math.min(minBet, myChips); // Short stacks go all-in
+  const canRaise =
+    myChips >= maxBet &&
+    (rules?.chaalLimit == null ||
+      (currentPlayer?.isBlind ? maxBet * 2 : maxBet) <= rules.chaalLimit);
+  const blindLimitReached =
+    currentPlayer?.isBlind &&
+    rules?.maxBlindRounds != null &&
+    currentPlayer.blindRounds >= rules.maxBlindRounds;
+  const showCost = !rules || rules.showCost === "chaal"
+    ? chaalAmount
+    : rules.showCost === "double"
+      ? Math.min(maxBet, myChips)
+      : 0;
+
   return (
     <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center pt-16">
       {/* Header - Sophisticated Design */}
@@ -708,11 +1271,48 @@ export default function GameRoom({ socket }) {
                     <h2 className="text-white text-sm font-bold tracking-wide">
                       {roomId.slice(0, 8)}...
                     </h2>
-                    {isCreator && (
+                    {(isCreator || (!blockchainRoomId && isHost)) && (
                       <span className="px-2 py-0.5 bg-gradient-to-r from-yellow-500/20 to-orange-500/20 border border-yellow-500/30 rounded-full text-yellow-400 text-[10px] font-bold tracking-wider flex items-center gap-1">
                         <span className="text-xs">👑</span> HOST
                       </span>
                     )}
+                    {spectating && (
+                      <span className="px-2 py-0.5 bg-cyan-500/20 border border-cyan-500/30 rounded-full text-cyan-300 text-[10px] font-bold tracking-wider">
+                        WATCHING
+                      </span>
+                    )}
+                    {gameState.spectators > 0 && (
+                      <span
+                        title="Spectators"
+                        className="px-2 py-0.5 bg-white/5 border border-white/10 rounded-full text-gray-300 text-[10px] font-bold flex items-center gap-1"
+                      >
+                        <Eye className="w-3 h-3" /> {gameState.spectators}
+                      </span>
+                    )}
+                    {gameState.isPrivate && (
+                      <span className="px-2 py-0.5 bg-blue-500/20 border border-blue-500/30 rounded-full text-blue-300 text-[10px] font-bold tracking-wider">
+                        PRIVATE
+                      </span>
+                    )}
+                    {gameState.locked && (
+                      <span className="px-2 py-0.5 bg-red-500/20 border border-red-500/30 rounded-full text-red-300 text-[10px] font-bold tracking-wider flex items-center gap-1">
+                        <Lock className="w-3 h-3" /> LOCKED
+                      </span>
+                    )}
+                    {tournament && (
+                      <span
+                        title={tournament.startedAt ? nextLevelText(tournament, gameState.handsPlayed) : `Entry fee ${tournament.entryFee}`}
+                        className="px-2 py-0.5 bg-emerald-500/20 border border-emerald-500/30 rounded-full text-emerald-300 text-[10px] font-bold tracking-wider flex items-center gap-1"
+                      >
+                        <Trophy className="w-3 h-3" /> SIT &amp; GO
+                        {tournament.startedAt && ` · LVL ${tournament.level + 1} · BOOT ${formatChips(gameState.rules.boot)}`}
+                      </span>
+                    )}
+                    {gameState.variant && gameState.variant.id !== "classic" && (
+                      <span className="px-2 py-0.5 bg-purple-500/20 border border-purple-500/30 rounded-full text-purple-300 text-[10px] font-bold tracking-wider">
+                        {gameState.variant.name.toUpperCase()}
+                      </span>
+                    )}
                   </div>
 
                   {blockchainRoomDetails && (
@@ -746,6 +1346,77 @@ export default function GameRoom({ socket }) {
                 <span className="hidden md:inline">Copy ID</span>
               </button>
 
+              {isHost && !blockchainRoomId && (
+                <button
+                  onClick={handleCreateInvite}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  <Link2 className="w-3.5 h-3.5" />
+                  <span className="hidden md:inline">Invite</span>
+                </button>
+              )}
+
+              {canControlTable && (
+                <button
+                  onClick={handleToggleLock}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  {gameState.locked ? <Unlock className="w-3.5 h-3.5" /> : <Lock className="w-3.5 h-3.5" />}
+                  <span className="hidden md:inline">{gameState.locked ? "Unlock" : "Lock"}</span>
+                </button>
+              )}
+
+              {gameState.sessionActive && currentPlayer && !tournament && (
+                <button
+                  onClick={handleToggleSitOut}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  <Coffee className="w-3.5 h-3.5" />
+                  <span className="hidden md:inline">{currentPlayer.sittingOut ? "Sit In" : "Sit Out"}</span>
+                </button>
+              )}
+
+              {canCashOut && (
+                <button
+                  onClick={handleCashOut}
+                  className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  <LogOut className="w-3.5 h-3.5" />
+                  <span className="hidden md:inline">Cash Out</span>
+                </button>
+              )}
+
+              {canEndSession && (
+                <button
+                  onClick={handleEndSession}
+                  className="h-9 px-4 rounded-full bg-red-600/80 hover:bg-red-500 border border-red-400/30 text-white text-xs font-bold transition-all hover:scale-105 active:scale-95 flex items-center gap-2"
+                >
+                  <Flag className="w-3.5 h-3.5" />
+                  <span className="hidden md:inline">End Session</span>
+                </button>
+              )}
+
+              {canManageBots && botStrategies.length > 0 && gameState.players.length < gameState.maxPlayers && (
+                <div className="h-9 flex items-center rounded-full bg-white/5 border border-white/10 overflow-hidden">
+                  <select
+                    value={botStrategy}
+                    onChange={(e) => setBotStrategy(e.target.value)}
+                    className="h-full bg-transparent text-white text-xs pl-3 pr-1 focus:outline-none"
+                  >
+                    {botStrategies.map((s) => (
+                      <option key={s.id} value={s.id} className="bg-gray-900">{s.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleAddBot}
+                    className="h-full px-3 hover:bg-white/10 text-white text-xs font-medium flex items-center gap-2 transition-colors"
+                  >
+                    <Bot className="w-3.5 h-3.5" />
+                    <span className="hidden md:inline">Add Bot</span>
+                  </button>
+                </div>
+              )}
+
               {canStartGame && (
                 <button
                   onClick={handleStartGame}
@@ -820,6 +1491,25 @@ export default function GameRoom({ socket }) {
                   POT: {formatChips(gameState.pot)}
                 </div>
               </div>
+
+              {/* Joker (wild rank for this hand) */}
+              {gameState.jokerCard && (
+                <div className="flex items-center gap-2 bg-black/60 rounded-full pl-3 pr-1 py-1">
+                  <span className="text-purple-300 text-[10px] md:text-xs font-bold tracking-wider">JOKER</span>
+                  <PlayingCard rank={gameState.jokerCard.rank} suit={gameState.jokerCard.suit} className="w-8 h-12" />
+                </div>
+              )}
+
+              {/* Main / Side Pots */}
+              {gameState.pots?.length > 1 && (
+                <div className="flex flex-wrap justify-center gap-1">
+                  {gameState.pots.map((pot, idx) => (
+                    <div key={idx} className="bg-black/60 rounded-full px-2 py-0.5 text-[10px] md:text-xs text-yellow-200 whitespace-nowrap">
+                      {idx === 0 ? 'Main' : `Side ${idx}`}: {formatChips(pot.amount)}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -849,42 +1539,15 @@ export default function GameRoom({ socket }) {
               const isDealer = gameState.players[gameState.dealerIndex]?.id === player.id;
 
               // RESPONSIVE POSITIONING USING TAILWIND CLASSES
-              let positionClasses = "absolute pointer-events-auto transition-all duration-500";
-
-              // Hero (Bottom Center)
-              if (index === 0) {
-                positionClasses += " bottom-[5%] md:bottom-[2%] left-1/2 -translate-x-1/2";
-              }
-              // Opponent Logic for 2 Players
-              else if (orderedPlayers.length === 2) {
-                positionClasses += " top-[15%] md:top-[10%] right-[5%] md:right-[20%]";
-              }
-              // 3 Players Layout
-              else if (orderedPlayers.length === 3) {
-                if (index === 1) positionClasses += " bottom-[25%] md:bottom-[20%] left-[5%] md:left-[12%]";
-                else if (index === 2) positionClasses += " bottom-[25%] md:bottom-[20%] right-[5%] md:right-[12%]";
-              }
-              // 4 Players Layout
-              else if (orderedPlayers.length === 4) {
-                if (index === 1) positionClasses += " bottom-[30%] md:bottom-[25%] left-[3%] md:left-[8%]";
-                else if (index === 2) positionClasses += " top-[15%] md:top-[12%] left-[8%] md:left-[15%]";
-                else if (index === 3) positionClasses += " bottom-[30%] md:bottom-[25%] right-[3%] md:right-[8%]";
-              }
-              // Standard 5-6 Players Logic
-              else {
-                if (index === 1) positionClasses += " bottom-[25%] md:bottom-[20%] left-[2%] md:left-[10%]";
-                else if (index === 2) positionClasses += " top-[20%] md:top-[15%] left-[5%] md:left-[15%]";
-                else if (index === 3) positionClasses += " top-[10%] md:top-[8%] left-1/2 -translate-x-1/2";
-                else if (index === 4) positionClasses += " top-[20%] md:top-[15%] right-[5%] md:right-[15%]";
-                else if (index === 5) positionClasses += " bottom-[25%] md:bottom-[20%] right-[2%] md:right-[10%]";
-              }
+              const positionClasses = getSeatClasses(index, orderedPlayers.length);
 
               // Logic to determine cards to pass to PlayerSeat
+              const cardsPerPlayer = gameState.variant?.cardsPerPlayer || 3;
               let playerCards = [];
 
               // 1. If we have all cards (Showdown/Game End), use them for EVERYONE
-              if (showCards && allPlayerCards && allPlayerCards[player.id]) {
-                playerCards = allPlayerCards[player.id];
+              if (shownCards[player.id]) {
+                playerCards = shownCards[player.id];
               }
               // 2. If it's Hero
               else if (player.id === playerId) {
@@ -892,18 +1555,18 @@ export default function GameRoom({ socket }) {
                   playerCards = myCards;
                 }
                 else if (gameState.gameStarted && !player.isFolded) {
-                  playerCards = [{}, {}, {}]; // 3 Placeholders
+                  playerCards = Array.from({ length: cardsPerPlayer }, () => ({})); // Placeholders
                 }
               }
               // 3. Opponents (during game, before showdown)
               else {
                 if (gameState.gameStarted && !player.isFolded) {
-                  playerCards = [{}, {}, {}]; // 3 Placeholders
+                  playerCards = Array.from({ length: cardsPerPlayer }, () => ({})); // Placeholders
                 }
               }
 
               // Force re-render when showCards changes for Hero OR during showdown
-              const shouldShowCards = (player.id === playerId && showCards) || (showCards && allPlayerCards && allPlayerCards[player.id]);
+              const shouldShowCards = (player.id === playerId && showCards) || shownCards[player.id];
 
               return (
                 <div key={player.id} className={positionClasses} id={`player-seat-${index}`}>
@@ -911,9 +1574,14 @@ export default function GameRoom({ socket }) {
                     player={player}
                     isCurrentPlayer={isCurrentTurn}
                     isDealer={isDealer}
+                    turnDeadline={isCurrentTurn ? turnClock?.deadline : null}
+                    turnTimeMs={turnClock?.turnTimeMs}
                     cards={playerCards}
                     showCards={!!shouldShowCards}
                     position={position}
+                    onRemove={removeControl(player)}
+                    reaction={reactions[player.id]}
+                    eliminated={eliminatedIds.has(player.id)}
                   />
                 </div>
               );
@@ -947,6 +1615,19 @@ export default function GameRoom({ socket }) {
               {isMyTurn && showCards && gameState?.players.filter((p) => !p.isFolded).length >= 2 && (
                 <button onClick={handleShow} className="h-10 px-4 md:h-12 md:px-6 rounded-full bg-yellow-600 hover:bg-yellow-500 text-white text-sm md:text-base font-bold shadow-lg border border-yellow-400 transition-all hover:scale-105 active:scale-95 flex items-center gap-2">
                   <Eye size={16} className="md:w-[18px] md:h-[18px]" /> SHOW
+                  {showCost > 0 && <span className="text-xs font-mono text-yellow-100">{formatChips(showCost)}</span>}
+                </button>
+              )}
+
+              {canRequestSideshow && (
+                <button onClick={handleRequestSideshow} className="h-10 px-4 md:h-12 md:px-6 rounded-full bg-blue-600 hover:bg-blue-500 text-white text-sm md:text-base font-bold shadow-lg border border-blue-400 transition-all hover:scale-105 active:scale-95 flex items-center gap-2">
+                  <Swords size={16} className="md:w-[18px] md:h-[18px]" /> SIDESHOW
+                </button>
+              )}
+
+              {isMyTurn && turnClock && currentPlayer?.timeBank > 0 && (
+                <button onClick={handleUseTimeBank} className="h-10 px-4 md:h-12 md:px-6 rounded-full bg-gray-700 hover:bg-gray-600 text-white text-sm md:text-base font-bold shadow-lg border border-gray-500 transition-all hover:scale-105 active:scale-95 flex items-center gap-2">
+                  <Timer size={16} className="md:w-[18px] md:h-[18px]" /> +{Math.round(currentPlayer.timeBank / 1000)}s
                 </button>
               )}
 
@@ -958,16 +1639,31 @@ export default function GameRoom({ socket }) {
             </div>
 
             {/* Betting Interface */}
-            {isMyTurn && !showBetInput && (
-              <button
-                onClick={() => handleBet(minBet)}
-                className="w-full md:w-auto h-12 md:h-14 px-8 bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 rounded-full shadow-lg border-t border-green-400 flex items-center justify-center gap-3 transition-all hover:scale-105 active:scale-95"
-              >
-                <span className="text-white font-black text-lg md:text-xl tracking-wider">CHAAL</span>
-                <div className="bg-black/20 px-3 py-1 rounded-full text-sm font-mono text-green-100 border border-white/10">
-                  {formatChips(minBet)}
-                </div>
-              </button>
+            {isMyTurn && !showBetInput && !blindLimitReached && (
+              <div className="flex gap-2 md:gap-3 w-full md:w-auto">
+                {canRaise && (
+                  <button
+                    onClick={() => handleBet(maxBet)}
+                    className="h-12 md:h-14 px-6 bg-gradient-to-r from-orange-600 to-amber-600 hover:from-orange-500 hover:to-amber-500 rounded-full shadow-lg border-t border-orange-400 flex items-center justify-center gap-3 transition-all hover:scale-105 active:scale-95"
+                  >
+                    <span className="text-white font-black text-lg md:text-xl tracking-wider">RAISE</span>
+                    <div className="bg-black/20 px-3 py-1 rounded-full text-sm font-mono text-orange-100 border border-white/10">
+                      {formatChips(maxBet)}
+                    </div>
+                  </button>
+                )}
+                <button
+                  onClick={() => handleBet(chaalAmount)}
+                  className="w-full md:w-auto h-12 md:h-14 px-8 bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 rounded-full shadow-lg border-t border-green-400 flex items-center justify-center gap-3 transition-all hover:scale-105 active:scale-95"
+                >
+                  <span className="text-white font-black text-lg md:text-xl tracking-wider">
+                    {chaalAmount < minBet ? "ALL IN" : "CHAAL"}
+                  </span>
+                  <div className="bg-black/20 px-3 py-1 rounded-full text-sm font-mono text-green-100 border border-white/10">
+                    {formatChips(chaalAmount)}
+                  </div>
+                </button>
+              </div>
             )}
 
             {/* Blind See Cards */}
@@ -982,7 +1678,7 @@ export default function GameRoom({ socket }) {
 
       {!isMyTurn && (
         <div className="text-center text-gray-300 mt-4">
-          Waiting for other players...
+          {spectating ? "You are watching this table" : "Waiting for other players..."}
         </div>
       )}
 
@@ -994,18 +1690,103 @@ export default function GameRoom({ socket }) {
             <div className="bg-black/30 backdrop-blur-sm rounded-lg p-6 text-center">
               <Users className="w-12 h-12 text-white mx-auto mb-4" />
               <h3 className="text-white text-xl font-semibold mb-2">
-                Waiting for players...
+                {gameState.sessionActive && nextHandAt
+                  ? `Next hand in ${nextHandSeconds}s`
+                  : "Waiting for players..."}
               </h3>
               <p className="text-gray-300">
-                {gameState.players.length >= 2
-                  ? 'Ready to start! Click "Start Game" to begin.'
-                  : "Need at least 2 players to start the game."}
+                {gameState.sessionActive
+                  ? tournament
+                    ? `Level ${tournament.level + 1}, boot ${formatChips(gameState.rules.boot)}. ${nextLevelText(tournament, gameState.handsPlayed)}`
+                    : nextHandAt
+                      ? `Hand ${gameState.handNumber + 1} of this session. Sit out if you want to skip it.`
+                      : "Waiting for enough players to sit back in."
+                  : sessionSummary
+                    ? `The session ended after ${sessionSummary.handsPlayed} hands.`
+                    : tournament
+                      ? `Sit & Go: ${formatChips(tournament.startingChips)} chips each, paying ${tournament.payouts.join(" / ")}%. Needs ${Math.max(2, tournament.payouts.length + 1)} players.`
+                      : gameState.players.length >= 2
+                      ? 'Ready to start! Click "Start Game" to begin.'
+                      : "Need at least 2 players to start the game."}
               </p>
             </div>
           </div>
         )
       }
 
+      {/* Sideshow Request Prompt (target only) */}
+      {sideshowRequest && sideshowRequest.targetId === playerId && (
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[90]">
+          <div className="bg-gradient-to-br from-gray-900 to-black rounded-2xl p-8 max-w-sm w-full mx-4 border border-blue-500/30 shadow-2xl text-center">
+            <Swords className="w-12 h-12 text-blue-400 mx-auto mb-4" />
+            <h3 className="text-white text-2xl font-bold mb-2">Sideshow Request</h3>
+            <p className="text-gray-300 mb-2">
+              {sideshowRequest.requesterName} wants to compare cards with you.
+            </p>
+            <p className="text-gray-400 text-sm mb-6">
+              The lower hand packs. Auto-declines in {sideshowSecondsLeft}s
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={() => handleSideshowResponse(false)}
+                className="flex-1 h-12 rounded-full bg-red-600 hover:bg-red-500 text-white font-bold border border-red-400 transition-all hover:scale-105 active:scale-95"
+              >
+                DECLINE
+              </button>
+              <button
+                onClick={() => handleSideshowResponse(true)}
+                className="flex-1 h-12 rounded-full bg-green-600 hover:bg-green-500 text-white font-bold border border-green-400 transition-all hover:scale-105 active:scale-95"
+              >
+                ACCEPT
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Sideshow Reveal (only the two players involved receive the cards) */}
+      {sideshowReveal && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-md flex items-center justify-center z-[95]">
+          <div className="relative w-full max-w-3xl mx-4">
+            <h2 className="text-center text-4xl font-black text-blue-400 mb-8 tracking-widest">
+              SIDESHOW
+            </h2>
+            <div className="flex flex-col md:flex-row items-center justify-center gap-8 md:gap-16">
+              {[sideshowReveal.requesterId, sideshowReveal.targetId].map((id, idx) => {
+                const player = gameState.players.find((p) => p.id === id);
+                const isLoser = id === sideshowReveal.loserId;
+                return (
+                  <React.Fragment key={id}>
+                    {idx > 0 && (
+                      <div className="text-5xl font-black text-white/20 italic">VS</div>
+                    )}
+                    <div className={`flex flex-col items-center gap-4 ${isLoser ? "opacity-50 grayscale" : ""}`}>
+                      <span className="text-xl font-bold text-white">
+                        {player ? player.name : id.slice(0, 6)}
+                        {id === playerId && " (You)"}
+                      </span>
+                      <div className="flex gap-2">
+                        {(sideshowReveal.cards[id] || []).map((card, cIdx) => (
+                          <PlayingCard
+                            key={cIdx}
+                            rank={card.rank}
+                            suit={card.suit}
+                            className="w-20 h-28 md:w-24 md:h-36 shadow-2xl"
+                          />
+                        ))}
+                      </div>
+                      <span className={`text-sm font-bold ${isLoser ? "text-red-400" : "text-green-400"}`}>
+                        {isLoser ? "PACKED" : "WINS"}
+                      </span>
+                    </div>
+                  </React.Fragment>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Showdown Overlay */}
       {isShowdown && (
         <div className="fixed inset-0 bg-black/90 backdrop-blur-md flex items-center justify-center z-[100]">
@@ -1053,9 +1834,9 @@ export default function GameRoom({ socket }) {
         </div>
       )}
 
-      {/* Game Ended Overlay */}
+      {/* Game Ended Overlay (between hands, and once the session is over) */}
       {
-        gameEnded && (
+        (gameEnded || sessionSummary) && (
           <div className="fixed inset-0 bg-black/90 backdrop-blur-md flex items-center justify-center z-[100]">
             {/* Background Glow */}
             <div className="absolute inset-0 overflow-hidden">
@@ -1079,30 +1860,67 @@ export default function GameRoom({ socket }) {
                 {winnerInfo ? (
                   <>
                     <h2 className="winner-content-item text-transparent bg-clip-text bg-gradient-to-r from-yellow-200 via-yellow-400 to-yellow-200 text-5xl font-black mb-2 tracking-tight drop-shadow-sm">
-                      GAME OVER!
+                      {sessionSummary ? "SESSION OVER" : "HAND OVER"}
                     </h2>
                     <p className="winner-content-item text-white/90 text-2xl font-medium mb-6 tracking-wide">
-                      {winnerInfo.name} wins!
+                      {winnerInfo.isSplit ? `${winnerInfo.name} split the pot!` : `${winnerInfo.name} wins!`}
                     </p>
 
-                    {/* Player Payouts Table */}
-                    {winnerInfo.playerChips && winnerInfo.playerChips.length > 0 ? (
+                    {/* Split Pot Shares */}
+                    {winnerInfo.isSplit && (
+                      <div className="winner-content-item flex flex-wrap justify-center gap-2 mb-6">
+                        {winnerInfo.winners.map((w) => (
+                          <span key={w.id} className="bg-white/10 rounded-full px-3 py-1 text-sm text-yellow-200 font-mono">
+                            {w.name}: +{formatChips(w.amount)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+
+                    {/* Tournament standings: paid by place */}
+                    {sessionSummary && tournament?.standings ? (
+                      <div className="winner-content-item bg-gradient-to-b from-white/10 to-transparent rounded-2xl p-6 mb-8 border border-white/10">
+                        <p className="text-gray-400 text-xs font-bold tracking-[0.2em] uppercase mb-4 text-center">Final Standings</p>
+                        <div className="space-y-2">
+                          {tournament.standings.map((s) => (
+                            <div
+                              key={s.id}
+                              className={`flex items-center justify-between p-3 rounded-xl ${s.place === 1
+                                ? "bg-yellow-500/20 border border-yellow-500/30"
+                                : "bg-white/5 border border-white/5"
+                                }`}
+                            >
+                              <span className={`text-sm font-medium ${s.place === 1 ? "text-yellow-100" : "text-gray-300"}`}>
+                                #{s.place} {s.name}
+                              </span>
+                              <span className="text-sm font-bold text-white">
+                                {s.share > 0
+                                  ? blockchainRoomId
+                                    ? `${s.share}% of the pot`
+                                    : `${formatChips(s.prize)} (${s.share}%)`
+                                  : "—"}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    ) : sessionSummary?.playerChips?.length > 0 ? (
                       <div className="winner-content-item bg-gradient-to-b from-white/10 to-transparent rounded-2xl p-6 mb-8 border border-white/10 relative overflow-hidden">
                         <p className="text-gray-400 text-xs font-bold tracking-[0.2em] uppercase mb-4 text-center">Cash Game Settlement</p>
 
                         {/* Calculate payouts using blockchain pot */}
                         {(() => {
-                          const totalChips = winnerInfo.playerChips.reduce((sum, pc) => sum + pc.chips, 0);
+                          const totalChips = sessionSummary.playerChips.reduce((sum, pc) => sum + pc.chips, 0);
                           // Blockchain pot = number of players * buy-in (1000 TPT default)
                           // For now we use player count * 1000 since buy-in is fixed
-                          const blockchainPot = winnerInfo.playerChips.length * 1000;
+                          const blockchainPot = sessionSummary.playerChips.length * 1000;
                           const rake = blockchainPot * 0.05; // 5% rake
                           const distributablePot = blockchainPot * 0.95;
 
                           return (
                             <>
                               <div className="space-y-2 mb-4">
-                                {winnerInfo.playerChips
+                                {[...sessionSummary.playerChips]
                                   .sort((a, b) => b.chips - a.chips) // Sort by chips descending
                                   .map((playerChip, idx) => {
                                     const percentage = totalChips > 0 ? (playerChip.chips / totalChips * 100) : 0;
@@ -1147,7 +1965,7 @@ export default function GameRoom({ socket }) {
                         })()}
                       </div>
                     ) : (
-                      /* Fallback to old display if playerChips not available */
+                      /* Pot won this hand */
                       <div className="winner-content-item bg-gradient-to-b from-white/10 to-transparent rounded-2xl p-6 mb-8 border border-white/10 relative overflow-hidden group">
                         <div className="absolute inset-0 bg-yellow-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
                         <p className="text-gray-400 text-xs font-bold tracking-[0.2em] uppercase mb-2">Total Pot Won</p>
@@ -1169,26 +1987,116 @@ export default function GameRoom({ socket }) {
                 ) : (
                   <>
                     <h2 className="winner-content-item text-white text-4xl font-bold mb-4">
-                      Game Ended
+                      {sessionSummary ? "Session Over" : "Game Ended"}
                     </h2>
                     <p className="winner-content-item text-gray-300 mb-8">
-                      The game has concluded.
+                      {sessionSummary?.reason || "The game has concluded."}
                     </p>
                   </>
                 )}
 
-                <Button
-                  onClick={() => navigate("/")}
-                  className="winner-content-item w-full h-14 bg-gradient-to-r from-yellow-600 to-yellow-700 hover:from-yellow-500 hover:to-yellow-600 text-white font-bold text-lg rounded-xl shadow-lg shadow-yellow-900/20 border border-yellow-500/20 transition-all hover:scale-[1.02] active:scale-[0.98] flex items-center justify-center gap-2 group"
-                >
-                  <ArrowLeft className="w-5 h-5 group-hover:-translate-x-1 transition-transform" />
-                  Return to Lobby
-                </Button>
+                {handFairness && (
+                  <button
+                    onClick={() => setShowVerify(true)}
+                    className="winner-content-item w-full h-11 mb-3 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 text-gray-200 text-sm font-medium transition-all flex items-center justify-center gap-2"
+                  >
+                    <ShieldCheck className="w-4 h-4 text-green-400" />
+                    Verify this hand
+                  </button>
+                )}
+
+                {lastHandId && (
+                  <a
+                    href={`/replay/${encodeURIComponent(lastHandId)}`}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="winner-content-item w-full h-11 mb-3 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 text-gray-200 text-sm font-medium transition-all flex items-center justify-center gap-2"
+                  >
+                    <History className="w-4 h-4 text-yellow-400" />
+                    Replay this hand
+                  </a>
+                )}
+
+                {gameState.sessionActive && tournament ? (
+                  <p className="winner-content-item text-gray-300 text-sm">
+                    {nextHandAt ? `Next hand in ${nextHandSeconds}s` : "Waiting for the next hand"}
+                  </p>
+                ) : gameState.sessionActive ? (
+                  <div className="winner-content-item space-y-3">
+                    <p className="text-gray-300 text-sm">
+                      {nextHandAt ? `Next hand in ${nextHandSeconds}s` : "Waiting for players to sit back in"}
+                    </p>
+                    <div className="flex gap-3">
+                      <Button
+                        onClick={handleToggleSitOut}
+                        className="flex-1 h-12 bg-white/10 hover:bg-white/20 text-white font-bold rounded-xl border border-white/10 flex items-center justify-center gap-2"
+                      >
+                        <Coffee className="w-4 h-4" />
+                        {currentPlayer?.sittingOut ? "Sit In" : "Sit Out Next Hand"}
+                      </Button>
+                      <Button
+                        onClick={handleCashOut}
+                        className="flex-1 h-12 bg-gradient-to-r from-yellow-600 to-yellow-700 hover:from-yellow-500 hover:to-yellow-600 text-white font-bold rounded-xl border border-yellow-500/20 flex items-center justify-center gap-2"
+                      >
+                        <LogOut className="w-4 h-4" />
+                        Cash Out
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <>
+                    {settlementProposal && (
+                      <SettlementReview
+                        proposal={settlementProposal}
+                        playerId={playerId}
+                        players={gameState.players}
+                        busy={signingSettlement}
+                        onSign={handleSignSettlement}
+                        onDispute={handleDisputeSettlement}
+                      />
+                    )}
+
+                    {settlementError && isCreator && (
+                      <button
+                        onClick={() => handleSettleCashGame(sessionSummary.playerChips)}
+                        className="winner-content-item w-full h-11 mb-3 rounded-xl bg-red-600/20 hover:bg-red-600/30 border border-red-600/40 text-red-200 text-sm font-medium transition-all"
+                      >
+                        Settlement failed ({settlementError}). Retry
+                      </button>
+                    )}
+
+                    <Button
+                      onClick={() => navigate("/")}
+                      className="winner-content-item w-full h-14 bg-gradient-to-r from-yellow-600 to-yellow-700 hover:from-yellow-500 hover:to-yellow-600 text-white font-bold text-lg rounded-xl shadow-lg shadow-yellow-900/20 border border-yellow-500/20 transition-all hover:scale-[1.02] active:scale-[0.98] flex items-center justify-center gap-2 group"
+                    >
+                      <ArrowLeft className="w-5 h-5 group-hover:-translate-x-1 transition-transform" />
+                      Return to Lobby
+                    </Button>
+                  </>
+                )}
               </div>
             </div>
           </div>
         )
       }
+
+      <ChatPanel
+        socket={socket}
+        messages={chatMessages}
+        mutedIds={mutedIds}
+        players={gameState.players}
+        playerId={playerId}
+        canChat={!!currentPlayer}
+      />
+
+      <VerifyHandModal
+        isOpen={showVerify}
+        onClose={() => setShowVerify(false)}
+        fairness={handFairness}
+        shownCards={{ ...(myCards.length > 0 && { [playerId]: myCards }), ...allPlayerCards }}
+        committedHash={committedSeedHash}
+        players={gameState.players}
+      />
     </div >
   );
 }
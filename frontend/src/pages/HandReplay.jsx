@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import {
+  ArrowLeft,
+  ChevronLeft,
+  ChevronRight,
+  SkipBack,
+  SkipForward,
+  Play,
+  Pause,
+  Download,
+  Loader2,
+} from "lucide-react";
+import PlayerSeat from "@/components/PlayerSeat";
+import PlayingCard from "@/components/PlayingCard";
+import { fetchHand, downloadHandText } from "@/lib/api";
+import { getSessionToken } from "@/lib/session";
+import { buildReplayFrames } from "@/lib/replay";
+import { getPlayerPosition, getSeatClasses } from "@/lib/tableLayout";
+import { formatChips, cn } from "@/lib/utils";
+
+const STEP_MS = 1500; // Time on each event at 1x
+const SPEEDS = [0.5, 1, 2, 4];
+
+export default function HandReplay() {
+  const { handId } = useParams();
+  const navigate = useNavigate();
+  // Hand ids are "<roomId>-<handNumber>"; a seat at that table sees every card
+  const sessionToken = getSessionToken(handId.slice(0, handId.lastIndexOf("-")));
+
+  const [hand, setHand] = useState(null);
+  const [error, setError] = useState(null);
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const logRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHand(null);
+    setError(null);
+    setStep(0);
+    fetchHand(handId, sessionToken)
+      .then((data) => !cancelled && setHand(data))
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [handId, sessionToken]);
+
+  const frames = useMemo(() => (hand?.events ? buildReplayFrames(hand) : []), [hand]);
+  const lastStep = Math.max(0, frames.length - 1);
+  const frame = frames[step];
+
+  // Autoplay advances one event per tick and stops at the end of the hand
+  useEffect(() => {
+    if (!playing) return;
+    if (step >= lastStep) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setStep((s) => Math.min(s + 1, lastStep)), STEP_MS / speed);
+    return () => clearTimeout(timer);
+  }, [playing, step, speed, lastStep]);
+
+  // Arrow keys step, space plays/pauses
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.target.tagName === "INPUT") return;
+      if (e.key === "ArrowRight") setStep((s) => Math.min(s + 1, lastStep));
+      else if (e.key === "ArrowLeft") setStep((s) => Math.max(s - 1, 0));
+      else if (e.key === " ") {
+        e.preventDefault();
+        setPlaying((p) => !p);
+      } else return;
+      if (e.key !== " ") setPlaying(false);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [lastStep]);
+
+  // Keep the current event in view in the log
+  useEffect(() => {
+    logRef.current?.querySelector(`[data-step="${step}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [step]);
+
+  const goTo = (target) => {
+    setPlaying(false);
+    setStep(Math.min(Math.max(target, 0), lastStep));
+  };
+
+  const togglePlay = () => {
+    // Playing from the end starts the hand over
+    if (!playing && step >= lastStep) setStep(0);
+    setPlaying(!playing);
+  };
+
+  if (error || (hand && !frame)) {
+    return (
+      <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center flex items-center justify-center p-4">
+        <div className="bg-black/80 border border-white/10 rounded-2xl p-8 text-center space-y-4 max-w-sm">
+          <p className="text-white font-bold">{error || "This hand has no event log to replay."}</p>
+          <button
+            onClick={() => navigate("/")}
+            className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium"
+          >
+            Back to Lobby
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!frame) {
+    return (
+      <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center flex items-center justify-center">
+        <Loader2 className="w-8 h-8 text-yellow-400 animate-spin" />
+      </div>
+    );
+  }
+
+  const cardsPerPlayer = hand.fairness?.cardsPerPlayer || 3;
+  const controlClasses =
+    "h-10 w-10 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white flex items-center justify-center transition-all disabled:opacity-30 disabled:cursor-not-allowed";
+
+  return (
+    <div className="min-h-screen bg-[url('/background.jpg')] bg-cover bg-center pt-16">
+      {/* Header */}
+      <div className="fixed top-0 left-0 right-0 z-50 bg-gradient-to-b from-black/60 via-black/40 to-transparent backdrop-blur-md border-b border-white/5">
+        <div className="max-w-7xl mx-auto px-4 py-3 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate("/")}
+              className="h-9 w-9 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white flex items-center justify-center"
+            >
+              <ArrowLeft className="w-4 h-4" />
+            </button>
+            <div>
+              <h2 className="text-white text-sm font-bold tracking-wide">Hand #{hand.handNumber} Replay</h2>
+              <p className="text-gray-400 text-xs">
+                Room {hand.roomId} · {new Date(hand.endedAt).toLocaleString()}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => downloadHandText(hand.handId, sessionToken).catch((err) => setError(err.message))}
+            className="h-9 px-4 rounded-full bg-white/5 hover:bg-white/10 border border-white/10 text-white text-xs font-medium transition-all flex items-center gap-2"
+          >
+            <Download className="w-3.5 h-3.5" />
+            <span className="hidden md:inline">Hand History</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Current Event */}
+      <div className="fixed top-20 left-1/2 -translate-x-1/2 z-[60] max-w-[90vw]">
+        <div className="bg-black/80 backdrop-blur-xl border border-yellow-500/30 text-yellow-100 px-8 py-3 rounded-full shadow-[0_0_30px_rgba(234,179,8,0.2)]">
+          <span className="font-medium tracking-wide text-sm md:text-base">{frame.description}</span>
+        </div>
+      </div>
+
+      {/* Table */}
+      <div className="relative w-full h-[calc(100vh-64px)] flex items-center justify-center overflow-hidden perspective-[1000px]">
+        <div className="relative w-[95vw] md:w-[85vw] max-w-[1000px] aspect-[1.8/1]">
+          <div className="w-full h-full transform-style-3d rotate-x-[20deg] z-10">
+            <img
+              src="/table.jpg"
+              alt="Poker Table"
+              className="absolute inset-0 w-full h-full object-contain drop-shadow-[0_20px_50px_rgba(0,0,0,0.5)]"
+            />
+
+            {/* Pot */}
+            <div className="absolute top-[51%] left-1/2 -translate-x-1/2 -translate-y-1/2 z-20 flex flex-col items-center gap-[2%]">
+              <div className="relative w-[15%] aspect-[4/3] min-w-[80px]">
+                <img src="/chips-group.png" alt="Pot Chips" className="w-full h-full object-contain drop-shadow-xl" />
+              </div>
+              <div className="bg-black/70 backdrop-blur-sm rounded-full px-4 py-1 border border-yellow-500/30">
+                <div className="text-yellow-100 font-bold text-sm md:text-lg whitespace-nowrap">
+                  POT: {formatChips(frame.pot)}
+                </div>
+              </div>
+              {frame.jokerCard && (
+                <div className="flex items-center gap-2 bg-black/60 rounded-full pl-3 pr-1 py-1">
+                  <span className="text-purple-300 text-[10px] md:text-xs font-bold tracking-wider">JOKER</span>
+                  <PlayingCard rank={frame.jokerCard.rank} suit={frame.jokerCard.suit} className="w-8 h-12" />
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Players */}
+        <div className="absolute inset-0 pointer-events-none z-30">
+          {frame.players.map((player, index) => {
+            const shown = frame.cards[player.id];
+            const cards = shown || (player.isFolded ? [] : Array.from({ length: cardsPerPlayer }, () => ({})));
+            return (
+              <div key={player.id} className={getSeatClasses(index, frame.players.length)}>
+                <PlayerSeat
+                  player={player}
+                  isCurrentPlayer={player.id === frame.actorId}
+                  isDealer={player.id === frame.dealerId}
+                  cards={cards}
+                  showCards={!!shown}
+                  position={getPlayerPosition(index, frame.players.length)}
+                  className={cn(frame.winnerIds.includes(player.id) && "drop-shadow-[0_0_20px_rgba(250,204,21,0.8)]")}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Event Log */}
+      <div
+        ref={logRef}
+        className="hidden lg:block fixed top-24 right-4 z-40 w-72 max-h-[55vh] overflow-y-auto bg-black/70 backdrop-blur-md border border-white/10 rounded-xl p-2 space-y-0.5"
+      >
+        {frames.map((f, idx) => (
+          <button
+            key={f.event.seq}
+            data-step={idx}
+            onClick={() => goTo(idx)}
+            className={cn(
+              "w-full text-left text-xs px-2 py-1 rounded-md transition-colors",
+              idx === step ? "bg-yellow-500/20 text-yellow-100" : idx < step ? "text-gray-300 hover:bg-white/5" : "text-gray-500 hover:bg-white/5"
+            )}
+          >
+            {f.description}
+          </button>
+        ))}
+      </div>
+
+      {/* Controls */}
+      <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 bg-black/80 backdrop-blur-xl border border-white/10 rounded-2xl px-4 py-3 flex flex-col items-center gap-2 w-[min(95vw,520px)]">
+        <input
+          type="range"
+          min={0}
+          max={lastStep}
+          value={step}
+          onChange={(e) => goTo(Number(e.target.value))}
+          className="w-full accent-yellow-500"
+        />
+        <div className="flex items-center gap-2">
+          <button onClick={() => goTo(0)} disabled={step === 0} className={controlClasses} title="First event">
+            <SkipBack className="w-4 h-4" />
+          </button>
+          <button onClick={() => goTo(step - 1)} disabled={step === 0} className={controlClasses} title="Step back">
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button
+            onClick={togglePlay}
+            className="h-12 w-12 rounded-full bg-gradient-to-r from-yellow-500 to-orange-500 text-black flex items-center justify-center shadow-lg"
+            title={playing ? "Pause" : "Play"}
+          >
+            {playing ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+          </button>
+          <button onClick={() => goTo(step + 1)} disabled={step === lastStep} className={controlClasses} title="Step forward">
+            <ChevronRight className="w-5 h-5" />
+          </button>
+          <button onClick={() => goTo(lastStep)} disabled={step === lastStep} className={controlClasses} title="Last event">
+            <SkipForward className="w-4 h-4" />
+          </button>
+          <div className="ml-2 flex rounded-full bg-white/5 border border-white/10 p-0.5">
+            {SPEEDS.map((s) => (
+              <button
+                key={s}
+                onClick={() => setSpeed(s)}
+                className={cn(
+                  "px-2 py-1 rounded-full text-[10px] font-bold transition-colors",
+                  speed === s ? "bg-yellow-500 text-black" : "text-gray-300 hover:text-white"
+                )}
+              >
+                {s}x
+              </button>
+            ))}
+          </div>
+        </div>
+        <span className="text-gray-400 text-[10px] font-mono">
+          {step + 1} / {frames.length}
+        </span>
+      </div>
+    </div>
+  );
+}
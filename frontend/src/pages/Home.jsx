@@ -1,5 +1,5 @@
 import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import {
   Gamepad2,
   Users,
@@ -10,6 +10,7 @@ import {
   Coins,
   Play,
   Crown,
+  Bot,
 } from "lucide-react";
 import Button from "@/components/Button";
 import WalletConnect from "@/components/WalletConnect";
@@ -17,15 +18,20 @@ import TokenBalance from "@/components/TokenBalance";
 import BuyTokensModal from "@/components/BuyTokensModal";
 import CreateRoomModal from "@/components/CreateRoomModal";
 import JoinRoomModal from "@/components/JoinRoomModal";
+import PracticeModal from "@/components/PracticeModal";
+import LobbyRoomList from "@/components/LobbyRoomList";
 import { useWallet } from "@/hooks/useWallet.jsx";
 
 export default function Home({ socket }) {
   const navigate = useNavigate();
+  const { inviteToken } = useParams(); // Set on /join/:inviteToken
   const { isConnected, account } = useWallet();
   const [error, setError] = useState("");
   const [showBuyTokens, setShowBuyTokens] = useState(false);
   const [showCreateRoom, setShowCreateRoom] = useState(false);
-  const [showJoinRoom, setShowJoinRoom] = useState(false);
+  const [showJoinRoom, setShowJoinRoom] = useState(!!inviteToken);
+  const [showPractice, setShowPractice] = useState(false);
+  const [lobbyRoomId, setLobbyRoomId] = useState(null); // On-chain room picked in the lobby
 
   function handleCreateRoomSuccess(socketRoomId, blockchainRoomId) {
     console.log("Room created:", { socketRoomId, blockchainRoomId });
@@ -42,11 +48,13 @@ export default function Home({ socket }) {
     }
   }
 
-  function handleJoinRoomSuccess(socketRoomId, blockchainRoomId) {
+  function handleJoinRoomSuccess(socketRoomId, blockchainRoomId, seat) {
     console.log("Room joined:", { socketRoomId, blockchainRoomId });
     setShowJoinRoom(false);
 
-    if (blockchainRoomId) {
+    if (seat) {
+      openOffChainRoom(socketRoomId, seat.playerId, seat.playerName);
+    } else if (blockchainRoomId) {
       navigate(`/room/${blockchainRoomId}`, {
         state: {
           playerId: account,
@@ -57,6 +65,26 @@ export default function Home({ socket }) {
     }
   }
 
+  // Practice tables and off-chain rooms joined from the lobby
+  function openOffChainRoom(roomId, playerId, playerName) {
+    setShowPractice(false);
+    navigate(`/room/${roomId}`, {
+      state: { playerId, playerName, blockchainRoomId: null },
+    });
+  }
+
+  // Watch a lobby table without taking a seat
+  function watchRoom(room) {
+    navigate(`/room/${room.roomId}`, {
+      state: { spectating: true, blockchainRoomId: room.blockchainRoomId },
+    });
+  }
+
+  function handleLobbyJoinOnChain(blockchainRoomId) {
+    setLobbyRoomId(blockchainRoomId);
+    setShowJoinRoom(true);
+  }
+
   return (
     <div className="min-h-screen relative overflow-hidden">
       {/* Blurred Background Image */}
@@ -266,6 +294,28 @@ export default function Home({ socket }) {
                   </div>
                 </>
               )}
+
+              {/* Practice Table: no wallet needed */}
+              <div className="mt-6 flex flex-col md:flex-row items-center justify-between gap-4 bg-gradient-to-r from-cyan-600/10 to-blue-600/10 border border-cyan-500/30 rounded-2xl p-5">
+                <div className="flex items-center gap-4">
+                  <div className="bg-cyan-500/20 p-3 rounded-xl">
+                    <Bot className="w-8 h-8 text-cyan-400" />
+                  </div>
+                  <div>
+                    <h3 className="text-lg font-bold text-white">Practice vs Bots</h3>
+                    <p className="text-sm text-gray-400">Warm up against computer players, no tokens needed</p>
+                  </div>
+                </div>
+                <Button
+                  onClick={() => setShowPractice(true)}
+                  disabled={!socket}
+                  variant="secondary"
+                >
+                  <Bot className="w-5 h-5" />
+                  Practice
+                </Button>
+              </div>
+
               <div className="flex justify-between items-end mt-5">
                 {isConnected && (
                   <div className="flex items-center gap-3 flex-wrap justify-center">
@@ -302,6 +352,15 @@ export default function Home({ socket }) {
             </div>
           </div>
 
+          {/* Lobby */}
+          <LobbyRoomList
+            socket={socket}
+            canJoinOnChain={isConnected}
+            onJoinOnChain={handleLobbyJoinOnChain}
+            onJoined={openOffChainRoom}
+            onWatch={watchRoom}
+          />
+
           {/* How to Play - Accordion Style */}
           <details className="group bg-gradient-to-br from-slate-800/60 to-slate-900/60 backdrop-blur-xl rounded-2xl border border-white/10 overflow-hidden">
             <summary className="cursor-pointer p-6 text-white font-bold text-xl flex items-center justify-between hover:bg-white/5 transition-colors">
@@ -409,12 +468,26 @@ export default function Home({ socket }) {
         socket={socket}
       />
 
+      {/* Practice Modal */}
+      <PracticeModal
+        isOpen={showPractice}
+        onClose={() => setShowPractice(false)}
+        onSuccess={openOffChainRoom}
+        socket={socket}
+      />
+
       {/* Join Room Modal */}
       <JoinRoomModal
         isOpen={showJoinRoom}
-        onClose={() => setShowJoinRoom(false)}
+        onClose={() => {
+          setShowJoinRoom(false);
+          setLobbyRoomId(null);
+          if (inviteToken) navigate("/");
+        }}
         onSuccess={handleJoinRoomSuccess}
         socket={socket}
+        roomId={lobbyRoomId}
+        inviteToken={inviteToken}
       />
     </div>
   );
@@ -1,4 +1,4 @@
-import { defineConfig } from 'vite'
+import { defineConfig, searchForWorkspaceRoot } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
 
@@ -7,6 +7,15 @@ export default defineConfig({
   resolve: {
     alias: {
       '@': path.resolve(__dirname, './src'),
+      // Browser-safe backend modules shared with the client (table rules, fairness)
+      '@backend': path.resolve(__dirname, '../backend'),
+    },
+    // Shared backend modules use the frontend's copy of ethers
+    dedupe: ['ethers'],
+  },
+  server: {
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), path.resolve(__dirname, '../backend')],
     },
   },
 })